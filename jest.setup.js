@@ -3,6 +3,7 @@
  * @description Runs before all test suites. Mocks Redis to avoid ECONNREFUSED
  *   errors and configures Mongoose to fail buffered operations quickly (500 ms)
  *   so controller tests that reach the DB layer get a fast 500 response.
+ *   Routing defaults to the offline haversine provider so no test reaches the network.
  */
 import { jest } from '@jest/globals';
 import Redis from 'ioredis-mock';
@@ -19,6 +20,11 @@ if (!process.env.JWT_SECRET) {
   process.env.JWT_SECRET = 'test-secret';
 }
 
+// Keep routing offline; provider tests point at tests/routingStubServer.js instead
+if (!process.env.ROUTING_PROVIDER) {
+  process.env.ROUTING_PROVIDER = 'haversine';
+}
+
 // Without a live DB, Mongoose buffers queries.  The default bufferTimeoutMS is
 // 10 000 ms which exceeds Jest's testTimeout.  Setting it to 500 ms lets the
 // controller's try/catch return a 500 within the test window.
@@ -15,6 +15,14 @@ import { globalLimiter, authLimiter } from "./middlewares/rateLimiter.middleware
 // Epic-2 Routes (new trip/ride functionality)
 import tripRoutes from "./routes/tripRoutes.js";
 import rideRoutes from "./routes/rideRoutes.js";
+import recurringTripRoutes from "./routes/recurringTrip.routes.js";
+import vehicleRoutes from "./routes/vehicle.routes.js";
+import fareRulesRoutes from "./routes/fareRules.routes.js";
+import routeMonitorRulesRoutes from "./routes/routeMonitorRules.routes.js";
+import tripTraceAdminRoutes from "./routes/tripTraceAdmin.routes.js";
+import ratingAdminRoutes from "./routes/ratingAdmin.routes.js";
+import incidentAdminRoutes from "./routes/incidentAdmin.routes.js";
+import sharedTrackingRoutes from "./routes/sharedTracking.routes.js";
 
 // Epic-3 Routes (Carbon calculation + ESG Impact Intelligence)
 import carbonRoutes from "./routes/carbon.routes.js";
@@ -29,6 +37,8 @@ import gamificationRoutes from "./routes/gamification.routes.js";
 import rewardsRoutes from "./routes/rewards.routes.js";
 import rewardsAdminRoutes from "./routes/rewardsAdmin.routes.js";
 import pointRulesRoutes from "./routes/pointRules.routes.js";
+import walletRoutes from "./routes/wallet.routes.js";
+import walletAdminRoutes from "./routes/walletAdmin.routes.js";
 
 const app = express();
 
@@ -63,6 +73,14 @@ app.use("/driver", driverRoutes);
 // Epic-2 Routes (Trip/Ride functionality)
 app.use("/api", tripRoutes);
 app.use("/api", rideRoutes);
+app.use("/api/recurring-trips", recurringTripRoutes);
+app.use("/api/vehicles", vehicleRoutes);
+app.use("/org-admin/fare-rules", fareRulesRoutes);
+app.use("/org-admin/route-monitor", routeMonitorRulesRoutes);
+app.use("/org-admin/trips", tripTraceAdminRoutes);
+app.use("/org-admin/ratings", ratingAdminRoutes);
+app.use("/org-admin/incidents", incidentAdminRoutes);
+app.use("/api/shared-tracking", sharedTrackingRoutes);
 app.use("/api/pickup-zones", smartPickupZoneRoutes);
 
 // Epic-3 Routes (Carbon calculation + ESG Impact Intelligence)
@@ -76,6 +94,8 @@ app.use("/api/gamification", gamificationRoutes);
 app.use("/api/rewards", rewardsRoutes);
 app.use("/org-admin/rewards", rewardsAdminRoutes);
 app.use("/platform/point-rules", pointRulesRoutes);
+app.use("/api/wallet", walletRoutes);
+app.use("/org-admin/wallets", walletAdminRoutes);
 
 // Mock/Testing Routes
 app.use("/api/mock", mockTripRoutes);
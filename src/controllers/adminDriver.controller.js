@@ -1,9 +1,11 @@
 import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
 
 /**
  * @fileoverview Driver Approval Management Controller
  * @description Handles organization admin operations for reviewing and approving driver
- * applications. Admins review uploaded documents and grant/deny driver privileges.
+ * applications and the vehicles drivers register. Admins review uploaded documents and
+ * grant/deny driver privileges, and verify vehicles before they can be used for trips.
  * @module controllers/adminDriver.controller
  */
 
@@ -41,7 +43,10 @@ import User from "../models/User.js";
  *       "driverDocuments": {
  *         "license": "uploads/driver-docs/license-123.pdf",
  *         "rc": "uploads/driver-docs/rc-123.pdf"
- *       }
+ *       },
+ *       "vehicles": [
+ *         { "_id": "...", "registrationNumber": "KA01AB1234", "fuelType": "ELECTRIC", "status": "PENDING", ... }
+ *       ]
  *     },
  *     ...
  *   ]
@@ -52,6 +57,7 @@ import User from "../models/User.js";
  * - Returns employees from same organization only
  * - Filters: role=EMPLOYEE, documentsUploaded=true, driverStatus=PENDING
  * - Shows name, email, phone, creation date, and document paths
+ * - Includes each driver's registered vehicles so both can be reviewed together
  * - Admin reviews documents and approves/rejects via separate endpoints
  * - Document paths point to uploaded files for admin review
  * 
@@ -78,9 +84,19 @@ export const getDriverRequests = async (req, res) => {
       documentsUploaded: true,
       driverStatus: "PENDING",
       organizationId: req.user.organizationId,
-    }).select("name email phone createdAt driverDocuments");
+    }).select("name email phone createdAt driverDocuments").lean();
 
-    res.json({ drivers });
+    const vehicles = await Vehicle.find({
+      driverId: { $in: drivers.map((d) => d._id) },
+      isActive: true,
+    }).lean();
+
+    res.json({
+      drivers: drivers.map((driver) => ({
+        ...driver,
+        vehicles: vehicles.filter((v) => v.driverId.toString() === driver._id.toString()),
+      })),
+    });
   } catch (err) {
     console.error("Fetch driver requests error:", err);
     res.status(500).json({ message: "Failed to fetch driver requests" });
@@ -234,3 +250,123 @@ export const rejectDriver = async (req, res) => {
   }
 };
 
+/**
+ * Get Vehicle Requests
+ *
+ * @description Lists vehicles awaiting verification from drivers in the admin's
+ * organization, including vehicles added by drivers who are already approved.
+ *
+ * @route GET /api/org-admin/vehicle-requests
+ * @access Private (ORG_ADMIN only)
+ *
+ * @returns {Object} 200 - { vehicles } with driver name, email and phone populated
+ * @returns {Object} 403 - Access denied (not ORG_ADMIN)
+ * @returns {Object} 500 - Internal server error
+ */
+export const getVehicleRequests = async (req, res) => {
+  try {
+    if (req.user.role !== "ORG_ADMIN") {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const vehicles = await Vehicle.find({
+      organizationId: req.user.organizationId,
+      status: "PENDING",
+      isActive: true,
+    })
+      .populate("driverId", "name email phone driverStatus")
+      .sort({ createdAt: 1 });
+
+    res.json({ vehicles });
+  } catch (err) {
+    console.error("Fetch vehicle requests error:", err);
+    res.status(500).json({ message: "Failed to fetch vehicle requests" });
+  }
+};
+
+/**
+ * Verify Vehicle
+ *
+ * @description Organization admin confirms the RC matches the vehicle details. The
+ * driver can then create trips with it; its fuel type and seat capacity are what
+ * those trips (and their ESG figures) use.
+ *
+ * @route POST /api/org-admin/vehicle-requests/:id/verify
+ * @access Private (ORG_ADMIN only)
+ *
+ * @returns {Object} 200 - Vehicle verified
+ * @returns {Object} 403 - Access denied (not ORG_ADMIN)
+ * @returns {Object} 404 - Vehicle not found in the admin's organization
+ * @returns {Object} 500 - Internal server error
+ */
+export const verifyVehicle = async (req, res) => {
+  try {
+    if (req.user.role !== "ORG_ADMIN") {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const vehicle = await Vehicle.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId,
+    });
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+
+    vehicle.status = "VERIFIED";
+    vehicle.verifiedBy = req.user.userId;
+    vehicle.verifiedAt = new Date();
+    vehicle.rejectionReason = undefined;
+    await vehicle.save();
+
+    res.json({ message: "Vehicle verified successfully" });
+  } catch (err) {
+    console.error("Verify vehicle error:", err);
+    res.status(500).json({ message: "Verification failed" });
+  }
+};
+
+/**
+ * Reject Vehicle
+ *
+ * @description Organization admin rejects a vehicle with an optional reason. A rejected
+ * vehicle cannot be used for new trips; trips already created with it are unaffected.
+ *
+ * @route POST /api/org-admin/vehicle-requests/:id/reject
+ * @access Private (ORG_ADMIN only)
+ *
+ * @param {string} [req.body.reason] - Optional rejection reason
+ *
+ * @returns {Object} 200 - Vehicle rejected
+ * @returns {Object} 403 - Access denied (not ORG_ADMIN)
+ * @returns {Object} 404 - Vehicle not found in the admin's organization
+ * @returns {Object} 500 - Internal server error
+ */
+export const rejectVehicle = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (req.user.role !== "ORG_ADMIN") {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const vehicle = await Vehicle.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId,
+    });
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+
+    vehicle.status = "REJECTED";
+    vehicle.verifiedBy = req.user.userId;
+    vehicle.verifiedAt = new Date();
+    vehicle.rejectionReason = reason || "Not specified";
+    await vehicle.save();
+
+    res.json({ message: "Vehicle rejected" });
+  } catch (err) {
+    console.error("Reject vehicle error:", err);
+    res.status(500).json({ message: "Rejection failed" });
+  }
+};
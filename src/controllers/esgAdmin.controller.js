@@ -5,6 +5,7 @@
  */
 
 import { getOrgImpact, getTopCommutePartners, getGlobalImpact } from '../services/aggregation.service.js';
+import { getBlockedUserIds } from '../services/block.service.js';
 
 // ─── GET /esg-admin/dashboard ─────────────────────────────────────────────────
 
@@ -52,7 +53,8 @@ export const getGlobalEsgStats = async (req, res) => {
 
 /**
  * Story 3.9 — Top Commute Partner Rankings
- * Returns the top commute partners for the authenticated driver.
+ * Returns the top commute partners for the authenticated driver. Passengers the driver
+ * has blocked, or been blocked by, are left out.
  *
  * @route GET /esg-admin/commute-partners
  * @access Authenticated driver (own data)
@@ -60,7 +62,8 @@ export const getGlobalEsgStats = async (req, res) => {
 export const getTopCommutePartnersHandler = async (req, res) => {
   try {
     const limit   = parseInt(req.query.limit) || 5;
-    const partners = await getTopCommutePartners(req.user.userId, limit);
+    const blockedIds = await getBlockedUserIds(req.user.userId);
+    const partners = await getTopCommutePartners(req.user.userId, limit, [...blockedIds]);
     return res.status(200).json({ success: true, data: partners });
   } catch (err) {
     console.error('[esgAdmin.controller] getTopCommutePartners error:', err);
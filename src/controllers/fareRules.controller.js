@@ -0,0 +1,76 @@
+import FareRuleConfig from '../models/FareRuleConfig.js';
+import { getFareRules } from '../services/fare.service.js';
+
+/**
+ * @fileoverview Org Admin — Fare Rules Controller
+ * @description ORG_ADMIN only. Get and update the organization's fare rules used by the
+ * fare engine (services/fare.service.js). Changes apply to new quotes and to fares
+ * finalised afterwards; fares already finalised are unaffected.
+ * @module controllers/fareRules.controller
+ */
+
+const FARE_RULE_KEYS = ['perKmRateINR', 'minimumFareINR', 'driverSharePercent'];
+
+/**
+ * GET /org-admin/fare-rules
+ * Returns the rules in effect for the admin's organization (org, else platform, else defaults).
+ */
+export const getOrgFareRules = async (req, res) => {
+    try {
+        const rules = await getFareRules(req.user.organizationId);
+        res.status(200).json({ success: true, data: rules });
+    } catch (err) {
+        console.error('getOrgFareRules error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch fare rules' });
+    }
+};
+
+/**
+ * PUT /org-admin/fare-rules
+ * Update the organization's fare rules. Only fields present in req.body.rules are applied.
+ * Body: { rules: { perKmRateINR?, minimumFareINR?, driverSharePercent? } }
+ */
+export const updateOrgFareRules = async (req, res) => {
+    try {
+        const { rules } = req.body;
+        if (!rules || typeof rules !== 'object') {
+            return res.status(400).json({ success: false, message: 'rules object is required' });
+        }
+
+        const update = {};
+        for (const key of FARE_RULE_KEYS) {
+            if (rules[key] === undefined) continue;
+
+            const value = rules[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                return res.status(400).json({ success: false, message: `${key} must be a non-negative number` });
+            }
+            update[`rules.${key}`] = value;
+        }
+        if (update['rules.driverSharePercent'] > 100) {
+            return res.status(400).json({ success: false, message: 'driverSharePercent cannot exceed 100' });
+        }
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `rules must include at least one of: ${FARE_RULE_KEYS.join(', ')}`
+            });
+        }
+        update.updatedBy = req.user.userId;
+
+        await FareRuleConfig.findOneAndUpdate(
+            { organizationId: req.user.organizationId },
+            { $set: update },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: await getFareRules(req.user.organizationId),
+            message: 'Fare rules updated — applies to new quotes and fares finalised from now on',
+        });
+    } catch (err) {
+        console.error('updateOrgFareRules error:', err);
+        res.status(500).json({ success: false, message: 'Failed to update fare rules' });
+    }
+};
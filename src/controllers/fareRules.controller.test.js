@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Fare Rules Controller Tests
+ * @description Auth guards and body validation for the org admin fare rules endpoints.
+ * All cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-fare-rules-tests';
+
+const makeToken = (payload) =>
+  jwt.sign(
+    {
+      userId: '507f1f77bcf86cd799439011',
+      organizationId: '507f1f77bcf86cd799439022',
+      role: 'ORG_ADMIN',
+      ...payload
+    },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+const putRules = (body, token = makeToken()) =>
+  request(app)
+    .put('/org-admin/fare-rules')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Fare Rules (/org-admin/fare-rules)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/org-admin/fare-rules');
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 403 for an employee', async () => {
+    const res = await putRules({ rules: { perKmRateINR: 3 } }, makeToken({ role: 'EMPLOYEE' }));
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 without a rules object', async () => {
+    const res = await putRules({});
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/rules object/);
+  });
+
+  it('should return 400 for a negative rate', async () => {
+    const res = await putRules({ rules: { perKmRateINR: -1 } });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/perKmRateINR/);
+  });
+
+  it('should return 400 for a driver share above 100', async () => {
+    const res = await putRules({ rules: { driverSharePercent: 120 } });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/driverSharePercent/);
+  });
+
+  it('should return 400 when no known rule is given', async () => {
+    const res = await putRules({ rules: { surgeMultiplier: 2 } });
+    expect(res.status).toBe(400);
+  });
+});
@@ -1,6 +1,7 @@
 import UserPoints from '../models/UserPoints.js';
 import PointLedger from '../models/PointLedger.js';
 import TierConfig, { DEFAULT_TIERS } from '../models/TierConfig.js';
+import { getBlockedUserIds } from '../services/block.service.js';
 
 /**
  * @fileoverview Gamification Controller
@@ -129,7 +130,8 @@ export const getTierProgress = async (req, res) => {
 
 /**
  * GET /api/gamification/leaderboard
- * Returns org-wide leaderboard, excluding opted-out users (4.7).
+ * Returns org-wide leaderboard, excluding opted-out users (4.7) and anyone the caller
+ * has a block with. Ranks are positions on the full board.
  */
 export const getLeaderboard = async (req, res) => {
     try {
@@ -141,6 +143,7 @@ export const getLeaderboard = async (req, res) => {
             .limit(50)
             .populate('userId', 'name email')
             .lean();
+        const blockedIds = await getBlockedUserIds(req.user.userId);
 
         const ranked = leaders.map((entry, idx) => ({
             rank: idx + 1,
@@ -150,7 +153,7 @@ export const getLeaderboard = async (req, res) => {
             currentTier: entry.currentTier,
             department: entry.department || '',
             isMe: entry.userId?._id?.toString() === req.user.userId?.toString(),
-        }));
+        })).filter(entry => !blockedIds.has(String(entry.userId)));
 
         res.status(200).json({ success: true, data: ranked });
     } catch (err) {
@@ -162,6 +165,7 @@ export const getLeaderboard = async (req, res) => {
 /**
  * GET /api/gamification/leaderboard/dept?dept=Engineering
  * Department-filtered leaderboard (4.8). Returns 400 if dept param missing.
+ * Blocked users are left out as on the org-wide board.
  */
 export const getDeptLeaderboard = async (req, res) => {
     try {
@@ -179,6 +183,7 @@ export const getDeptLeaderboard = async (req, res) => {
             .limit(50)
             .populate('userId', 'name email')
             .lean();
+        const blockedIds = await getBlockedUserIds(req.user.userId);
 
         const ranked = leaders.map((entry, idx) => ({
             rank: idx + 1,
@@ -187,7 +192,7 @@ export const getDeptLeaderboard = async (req, res) => {
             pointsBalance: entry.pointsBalance,
             currentTier: entry.currentTier,
             isMe: entry.userId?._id?.toString() === req.user.userId?.toString(),
-        }));
+        })).filter(entry => !blockedIds.has(String(entry.userId)));
 
         res.status(200).json({ success: true, data: ranked, dept });
     } catch (err) {
@@ -5,8 +5,11 @@
  */
 
 import Trip from '../models/Trip.js';
+import RideRequest from '../models/RideRequest.js';
 import { computeAllTripEsgMetrics } from '../services/esgCalculation.service.js';
+import { computeRouteEfficiency } from '../services/routeEfficiency.service.js';
 import { getUserLifetimeImpact, getPassengerLifetimeImpact } from '../services/aggregation.service.js';
+import { sumSeats } from '../utils/seats.utils.js';
 
 // ─── GET /impact/trips/:id ────────────────────────────────────────────────────
 
@@ -14,6 +17,7 @@ import { getUserLifetimeImpact, getPassengerLifetimeImpact } from '../services/a
  * Story 3.4 — Per-Trip Impact Modal
  * Returns full ESG breakdown for a single completed trip.
  * Re-computes live from stored fields; also enriches if ESG fields are missing.
+ * routeEfficiency explains the efficiency score, down to the detour each stop added.
  *
  * @route GET /impact/trips/:id
  * @access Authenticated (own trip driver or org admin or platform admin)
@@ -44,20 +48,35 @@ export const getTripImpactModal = async (req, res) => {
         soloBaselineCo2Kg:    trip.soloBaselineCo2Kg,
         carpoolSavingsKg:     trip.carpoolSavingsKg,
         routeEfficiencyScore: trip.routeEfficiencyScore,
+        routeEfficiency:      trip.routeEfficiency ?? null,
         idleEmissionsKg:      trip.idleEmissionsKg,
+        idleMinutes:          trip.idleMinutes,
         fuelCostSavingsINR:   trip.fuelCostSavingsINR,
         maintenanceSavingsINR: trip.maintenanceSavingsINR,
       };
     } else if (trip.distanceKm && trip.fuelType) {
-      // seatsOccupied: total passengers + driver, with a minimum of 1
-      const passengerCount = (trip.totalSeats ?? 1) - (trip.availableSeats ?? 0);
-      const seatsOccupied = Math.max(1, (passengerCount || 0) + 1);
-      esg = computeAllTripEsgMetrics({
-        distanceKm:   trip.distanceKm,
-        fuelType:     trip.fuelType,
-        co2SavedKg:   trip.co2SavedKg ?? 0,
-        seatsOccupied,
-      });
+      // seatsOccupied: seats held by approved passengers who showed up + driver
+      const approvedRides = await RideRequest.find({
+        tripId: trip._id,
+        status: 'APPROVED',
+        pickupStatus: { $ne: 'NO_SHOW' }
+      })
+        .select('seatsRequested')
+        .lean();
+      const seatsOccupied = sumSeats(approvedRides) + 1;
+      const routeEfficiency = computeRouteEfficiency(trip, trip);
+      esg = {
+        ...computeAllTripEsgMetrics({
+          distanceKm:       trip.distanceKm,
+          fuelType:         trip.fuelType,
+          co2SavedKg:       trip.co2SavedKg ?? 0,
+          seatsOccupied,
+          idleMinutes:      trip.idleMinutes ?? 0,
+          actualDistanceKm: routeEfficiency?.actualKm,
+          directDistanceKm: routeEfficiency?.directKm,
+        }),
+        routeEfficiency,
+      };
     }
 
     return res.status(200).json({
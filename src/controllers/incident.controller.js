@@ -0,0 +1,59 @@
+import { raiseSos as raiseSosIncident } from '../services/incident.service.js';
+
+/**
+ * @fileoverview Incident Controller
+ * @description SOS alerts raised by trip participants. Notification and incident
+ * handling live in services/incident.service.js; org admins work incidents through
+ * controllers/incidentAdmin.controller.js.
+ * @module controllers/incident.controller
+ */
+
+/**
+ * Raise SOS
+ *
+ * @description Raises an emergency alert from a STARTED or IN_PROGRESS trip. The trip's
+ * latest location is captured, org admins are alerted over sockets (`sos-alert`) and the
+ * user's emergency contact is emailed. Raising again while the user's incident is still
+ * open adds to that incident instead of opening another. Body is validated by schemas.raiseSos.
+ *
+ * @route POST /api/trips/:id/sos
+ * @access Private (the trip's driver or approved passengers)
+ *
+ * @param {string} req.params.id - MongoDB ObjectId of trip
+ * @param {string} [req.body.message] - Up to 500 characters
+ * @param {Object} [req.body.location] - Device location { lat, lng }
+ *
+ * @returns {Object} 201 - { success, incident } for a new incident
+ * @returns {Object} 200 - { success, incident } when added to the user's open incident
+ * @returns {Object} 400 - Trip not in progress
+ * @returns {Object} 403 - User is not on this trip
+ * @returns {Object} 404 - Trip not found
+ *
+ * @example
+ * POST /api/trips/507f1f77bcf86cd799439011/sos
+ * { "message": "Driver is not following the route", "location": { "lat": 12.97, "lng": 77.59 } }
+ */
+export const raiseSos = async (req, res) => {
+  try {
+    const { incident, created } = await raiseSosIncident({
+      tripId: req.params.id,
+      userId: req.user.userId,
+      message: req.body.message || undefined,
+      reportedLocation: req.body.location
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? 'SOS raised. Your emergency contact and organization admins are being notified'
+        : 'SOS raised again. Your organization admins have been alerted',
+      incident
+    });
+  } catch (error) {
+    console.error('Raise SOS error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to raise SOS'
+    });
+  }
+};
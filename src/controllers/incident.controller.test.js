@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Incident Controller Tests
+ * @description Auth guards and body validation for SOS and the org admin incident
+ * endpoints. All cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-incident-tests';
+const INCIDENT_ID = '507f1f77bcf86cd799439013';
+
+const makeToken = (payload) =>
+  jwt.sign(
+    { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE', ...payload },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+const adminToken = () => makeToken({ role: 'ORG_ADMIN', organizationId: '507f1f77bcf86cd799439014' });
+
+const sos = (body, token = makeToken()) =>
+  request(app)
+    .post('/api/trips/507f1f77bcf86cd799439012/sos')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Raise SOS (POST /api/trips/:id/sos)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app)
+      .post('/api/trips/507f1f77bcf86cd799439012/sos')
+      .send({});
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 for a message over 500 characters', async () => {
+    const res = await sos({ message: 'x'.repeat(501) });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Input validation failed');
+  });
+
+  it.each([
+    ['missing lng', { lat: 12.97 }],
+    ['latitude out of range', { lat: 91, lng: 77.59 }],
+    ['longitude out of range', { lat: 12.97, lng: 181 }]
+  ])('should return 400 for a location with %s', async (_label, location) => {
+    const res = await sos({ location });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Incident Handling (/org-admin/incidents)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/org-admin/incidents');
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 403 for an employee', async () => {
+    const res = await request(app)
+      .post(`/org-admin/incidents/${INCIDENT_ID}/acknowledge`)
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for an unknown status filter', async () => {
+    const res = await request(app)
+      .get('/org-admin/incidents?status=CLOSED')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for an invalid incident id', async () => {
+    const res = await request(app)
+      .get('/org-admin/incidents/not-an-id')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 when resolving without a resolution', async () => {
+    const res = await request(app)
+      .post(`/org-admin/incidents/${INCIDENT_ID}/resolve`)
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ resolution: '   ' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/resolution/);
+  });
+
+  it('should return 400 when adding an empty note', async () => {
+    const res = await request(app)
+      .post(`/org-admin/incidents/${INCIDENT_ID}/notes`)
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({});
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import Incident from '../models/Incident.js';
+import { transitionIncident, addIncidentNote } from '../services/incident.service.js';
+
+/**
+ * @fileoverview Org Admin — Incident Controller
+ * @description ORG_ADMIN only. SOS incidents raised on the organization's trips. Each
+ * incident must be acknowledged and then resolved with a resolution; notes can be added
+ * at any point. Every step is kept on the incident timeline.
+ * @module controllers/incidentAdmin.controller
+ */
+
+const STATUSES = ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'];
+
+/**
+ * GET /org-admin/incidents?status=OPEN&page=1
+ * Incidents in the admin's organization, newest first, 50 per page.
+ * Without ?status, unresolved incidents are returned.
+ */
+export const listIncidents = async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of ${STATUSES.join(', ')}` });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = 50;
+        const filter = {
+            organizationId: req.user.organizationId,
+            status: status || { $ne: 'RESOLVED' },
+        };
+
+        const [incidents, total] = await Promise.all([
+            Incident.find(filter)
+                .select('-timeline')
+                .populate('raisedBy', 'name email phone')
+                .populate('tripId', 'source destination status driverId')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Incident.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                incidents,
+            },
+        });
+    } catch (err) {
+        console.error('listIncidents error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch incidents' });
+    }
+};
+
+/**
+ * GET /org-admin/incidents/:id
+ * One incident with its full timeline.
+ */
+export const getIncident = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid incident id' });
+        }
+
+        const incident = await Incident.findOne({ _id: req.params.id, organizationId: req.user.organizationId })
+            .populate('raisedBy', 'name email phone emergencyContact')
+            .populate({
+                path: 'tripId',
+                select: 'source destination status currentLocation driverId vehicleId',
+                populate: [
+                    { path: 'driverId', select: 'name phone' },
+                    { path: 'vehicleId', select: 'registrationNumber make model colour' },
+                ],
+            })
+            .populate('acknowledgedBy resolvedBy', 'name email')
+            .populate('timeline.actorId', 'name')
+            .lean();
+
+        if (!incident) {
+            return res.status(404).json({ success: false, message: 'Incident not found' });
+        }
+
+        res.status(200).json({ success: true, data: incident });
+    } catch (err) {
+        console.error('getIncident error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch incident' });
+    }
+};
+
+const respondWithServiceError = (res, err, label) => {
+    if (err.status && err.status < 500) {
+        return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error(`${label} error:`, err);
+    res.status(500).json({ success: false, message: 'Failed to update incident' });
+};
+
+const moveTo = (to) => async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid incident id' });
+        }
+
+        const incident = await transitionIncident({
+            incidentId: req.params.id,
+            organizationId: req.user.organizationId,
+            adminId: req.user.userId,
+            to,
+            note: to === 'RESOLVED' ? req.body?.resolution : req.body?.note,
+        });
+
+        res.status(200).json({
+            success: true,
+            data: incident,
+            message: to === 'RESOLVED' ? 'Incident resolved' : 'Incident acknowledged',
+        });
+    } catch (err) {
+        respondWithServiceError(res, err, 'transitionIncident');
+    }
+};
+
+/**
+ * POST /org-admin/incidents/:id/acknowledge
+ * Body: { note? }. Only OPEN incidents can be acknowledged.
+ */
+export const acknowledgeIncident = moveTo('ACKNOWLEDGED');
+
+/**
+ * POST /org-admin/incidents/:id/resolve
+ * Body: { resolution } (required). Only ACKNOWLEDGED incidents can be resolved.
+ */
+export const resolveIncident = moveTo('RESOLVED');
+
+/**
+ * POST /org-admin/incidents/:id/notes
+ * Body: { note } (required). Adds to the timeline without changing status.
+ */
+export const addNote = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid incident id' });
+        }
+
+        const incident = await addIncidentNote({
+            incidentId: req.params.id,
+            organizationId: req.user.organizationId,
+            adminId: req.user.userId,
+            note: req.body?.note,
+        });
+
+        res.status(200).json({ success: true, data: incident, message: 'Note added' });
+    } catch (err) {
+        respondWithServiceError(res, err, 'addIncidentNote');
+    }
+};
@@ -1,4 +1,5 @@
 import User from "../models/User.js";
+import { getOrgBlockSummary } from "../services/block.service.js";
 
 /**
  * @fileoverview Organization Admin Employee Management Controller
@@ -71,7 +72,8 @@ export const listPendingEmployees = async (req, res) => {
 /**
  * List Approved Members
  *
- * @description Retrieves all approved employees in the organization admin's org.
+ * @description Retrieves all approved employees in the organization admin's org,
+ * including each member's passenger no-show count for reliability review.
  *
  * @route GET /org-admin/members
  * @access Private (ORG_ADMIN only)
@@ -82,7 +84,7 @@ export const listMembers = async (req, res) => {
       organizationId: req.user.organizationId,
       role: "EMPLOYEE",
       approvalStatus: "APPROVED",
-    }).select("_id email name phone isDriver driverStatus createdAt");
+    }).select("_id email name phone isDriver driverStatus noShowCount lastNoShowAt createdAt");
 
     res.json({ users });
   } catch (err) {
@@ -91,6 +93,28 @@ export const listMembers = async (req, res) => {
   }
 };
 
+/**
+ * Block Summary
+ *
+ * @description How often members of the admin's organization have been blocked by
+ * colleagues, most blocked first, to spot members others avoid. Only counts are
+ * returned; who blocked whom, or when, is never shown.
+ *
+ * @route GET /org-admin/block-summary
+ * @access Private (ORG_ADMIN only)
+ *
+ * @returns {Object} 200 - { totalBlocks, members: [{ userId, name, email, blockedByCount }] }
+ */
+export const getBlockSummary = async (req, res) => {
+  try {
+    const summary = await getOrgBlockSummary(req.user.organizationId);
+    res.json(summary);
+  } catch (err) {
+    console.error("getBlockSummary error:", err);
+    res.status(500).json({ message: "Failed to fetch block summary" });
+  }
+};
+
 /**
  * Approve Employee
  * 
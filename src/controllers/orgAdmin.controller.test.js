@@ -23,6 +23,14 @@ describe("Org Admin API — Basic Tests", () => {
         });
     });
 
+    // ── Block Summary ───────────────────────────────────────────────────────
+    describe("GET /org-admin/block-summary", () => {
+        test("should return 401 without JWT", async () => {
+            const res = await request(app).get("/org-admin/block-summary");
+            expect(res.status).toBe(401);
+        });
+    });
+
     // ── Remove User ─────────────────────────────────────────────────────────
     describe("DELETE /org-admin/remove-user/:userId", () => {
         test("should return 401 without JWT", async () => {
@@ -1,6 +1,7 @@
 import Organization from "../models/Organization.js";
 import User from "../models/User.js";
 import bcrypt from "bcryptjs";
+import jobScheduler from "../services/jobScheduler.service.js";
 
 /**
  * @fileoverview Platform Administration Controller
@@ -222,4 +223,26 @@ export const createOrgAdmin = async (req, res) => {
     console.log(err);
     res.status(500).json({ message: "Failed to create org admin" });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Background Job Status
+ *
+ * @description Lists every background job with its next run, completed/failed counts
+ * and last result, plus the most recent permanently failed runs.
+ *
+ * @route GET /platform/jobs
+ * @access Private (Platform Admin only)
+ *
+ * @returns {Object} 200 - { running, jobs, recentFailures }
+ * @returns {Object} 500 - Internal server error
+ */
+export const getJobStatus = async (req, res) => {
+  try {
+    const status = await jobScheduler.getStatus();
+    res.json(status);
+  } catch (err) {
+    console.error("getJobStatus error:", err);
+    res.status(500).json({ message: "Failed to fetch job status" });
+  }
+};
@@ -0,0 +1,59 @@
+import { submitRating } from '../services/rating.service.js';
+
+/**
+ * @fileoverview Rating Controller
+ * @description Passengers rate drivers and drivers rate passengers after drop-off.
+ * Rules and summaries live in services/rating.service.js.
+ * @module controllers/rating.controller
+ */
+
+/**
+ * Rate a Ride
+ *
+ * @description The passenger rates the driver, or the driver rates the passenger, of a
+ * dropped-off ride. Each side can rate a ride once, within RATING_WINDOW_HOURS (default 72)
+ * of drop-off. Body is validated by schemas.submitRating.
+ *
+ * @route POST /api/rides/:id/rating
+ * @access Private (the ride's passenger or the trip's driver)
+ *
+ * @param {string} req.params.id - MongoDB ObjectId of ride request
+ * @param {number} req.body.score - 1 to 5
+ * @param {string[]} [req.body.tags] - From RATING_TAGS for the rater's side
+ * @param {string} [req.body.comment] - Up to 500 characters
+ *
+ * @returns {Object} 201 - { success, rating, rateeSummary }
+ * @returns {Object} 400 - Not dropped off yet, window closed or unknown tags
+ * @returns {Object} 403 - User was not on this ride
+ * @returns {Object} 404 - Ride request not found
+ * @returns {Object} 409 - Already rated
+ *
+ * @example
+ * POST /api/rides/507f1f77bcf86cd799439012/rating
+ * { "score": 4, "tags": ["PUNCTUAL", "SAFE_DRIVING"], "comment": "Smooth ride" }
+ */
+export const rateRide = async (req, res) => {
+  try {
+    const { score, tags, comment } = req.body;
+    const { rating, summary } = await submitRating({
+      rideRequestId: req.params.id,
+      userId: req.user.userId,
+      score,
+      tags,
+      comment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your feedback',
+      rating,
+      rateeSummary: summary
+    });
+  } catch (error) {
+    console.error('Rate ride error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to rate ride'
+    });
+  }
+};
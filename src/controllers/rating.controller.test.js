@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Rating Controller Tests
+ * @description Auth guards and body validation for ride ratings and the org admin
+ * moderation endpoints. All cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-rating-tests';
+
+const makeToken = (payload) =>
+  jwt.sign(
+    { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE', ...payload },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+const rate = (body, token = makeToken()) =>
+  request(app)
+    .post('/api/rides/507f1f77bcf86cd799439012/rating')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Rate Ride (POST /api/rides/:id/rating)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app)
+      .post('/api/rides/507f1f77bcf86cd799439012/rating')
+      .send({ score: 5 });
+    expect(res.status).toBe(401);
+  });
+
+  it.each([
+    ['missing', {}],
+    ['zero', { score: 0 }],
+    ['six', { score: 6 }],
+    ['fractional', { score: 3.5 }]
+  ])('should return 400 when the score is %s', async (_label, body) => {
+    const res = await rate(body);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Input validation failed');
+  });
+
+  it('should return 400 for a comment over 500 characters', async () => {
+    const res = await rate({ score: 4, comment: 'x'.repeat(501) });
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for more than 5 tags', async () => {
+    const res = await rate({ score: 4, tags: ['A', 'B', 'C', 'D', 'E', 'F'] });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Rating Moderation (/org-admin/ratings)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/org-admin/ratings/low');
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 403 for an employee', async () => {
+    const res = await request(app)
+      .post('/org-admin/ratings/507f1f77bcf86cd799439013/hide')
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(403);
+  });
+});
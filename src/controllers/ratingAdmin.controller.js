@@ -0,0 +1,84 @@
+import Rating from '../models/Rating.js';
+import { LOW_RATING_THRESHOLD, moderateRating } from '../services/rating.service.js';
+
+/**
+ * @fileoverview Org Admin — Rating Moderation Controller
+ * @description ORG_ADMIN only. Review low ratings left within the organization and hide
+ * abusive or mistaken ones. Hidden ratings stay on record but no longer count towards
+ * the member's average.
+ * @module controllers/ratingAdmin.controller
+ */
+
+/**
+ * GET /org-admin/ratings/low?maxScore=2&includeHidden=true&page=1
+ * Low ratings in the admin's organization, newest first, 50 per page.
+ */
+export const listLowRatings = async (req, res) => {
+    try {
+        const maxScore = Math.min(5, Math.max(1, parseInt(req.query.maxScore) || LOW_RATING_THRESHOLD));
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = 50;
+
+        const filter = { organizationId: req.user.organizationId, score: { $lte: maxScore } };
+        if (req.query.includeHidden !== 'true') filter['moderation.hidden'] = { $ne: true };
+
+        const [ratings, total] = await Promise.all([
+            Rating.find(filter)
+                .populate('raterId', 'name email')
+                .populate('rateeId', 'name email ratings')
+                .populate('tripId', 'source destination scheduledTime')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Rating.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                maxScore,
+                ratings,
+            },
+        });
+    } catch (err) {
+        console.error('listLowRatings error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch ratings' });
+    }
+};
+
+const setHidden = (hidden) => async (req, res) => {
+    try {
+        const rating = await moderateRating({
+            ratingId: req.params.id,
+            organizationId: req.user.organizationId,
+            moderatorId: req.user.userId,
+            hidden,
+            note: req.body?.note,
+        });
+
+        res.status(200).json({
+            success: true,
+            data: rating,
+            message: hidden ? 'Rating hidden' : 'Rating restored',
+        });
+    } catch (err) {
+        if (err.status === 404) {
+            return res.status(404).json({ success: false, message: err.message });
+        }
+        console.error('moderateRating error:', err);
+        res.status(500).json({ success: false, message: 'Failed to update rating' });
+    }
+};
+
+/**
+ * POST /org-admin/ratings/:id/hide
+ * Body: { note? } — reason kept with the rating
+ */
+export const hideRating = setHidden(true);
+
+/** POST /org-admin/ratings/:id/restore */
+export const restoreRating = setHidden(false);
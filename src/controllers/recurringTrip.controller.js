@@ -0,0 +1,621 @@
+import RecurringTrip from '../models/RecurringTrip.js';
+import Trip from '../models/Trip.js';
+import {
+  materializeRecurringTrip,
+  bookStandingPassengers,
+  releaseStandingBookings,
+  applySeriesUpdate,
+  cancelSeries,
+  toDateKey,
+  SERIES_EDITABLE_FIELDS
+} from '../services/recurringTrip.service.js';
+import { cancelTripAndNotify } from '../services/tripCancellation.service.js';
+import { findVerifiedVehicle, deriveTripVehicleFields } from '../services/vehicle.service.js';
+import { assertGenderCompatible, resolveTripSameGenderOnly } from '../services/genderPreference.service.js';
+import { assertNotBlocked } from '../services/block.service.js';
+import { promoteFromWaitlist } from '../services/waitlist.service.js';
+
+/**
+ * @fileoverview Recurring Trip Controller
+ * @description Manages recurring commute series: drivers create a weekly template and
+ * edit or cancel either the whole series or a single occurrence; passengers book a
+ * standing seat that is reserved on every occurrence.
+ * @module controllers/recurringTrip.controller
+ */
+
+const toGeoPoint = (location, fallbackAddress) => {
+  if (!location || !location.lat || !location.lng) return undefined;
+  return {
+    address: location.address || fallbackAddress,
+    coordinates: {
+      type: 'Point',
+      coordinates: [parseFloat(location.lng), parseFloat(location.lat)]
+    }
+  };
+};
+
+// Accepts the same pickup/dropoff shape as POST /api/rides/request
+const toRideLocation = (location) => {
+  if (!location || !location.address || !location.coordinates) return null;
+  const coords = location.coordinates.coordinates || location.coordinates;
+  if (!Array.isArray(coords) || coords.length !== 2) return null;
+  return {
+    address: location.address,
+    coordinates: { type: 'Point', coordinates: coords.map(Number) }
+  };
+};
+
+const findOwnedSeries = async (req, res) => {
+  const template = await RecurringTrip.findById(req.params.id);
+  if (!template) {
+    res.status(404).json({ success: false, message: 'Recurring trip not found' });
+    return null;
+  }
+  if (template.driverId.toString() !== req.user.userId) {
+    res.status(403).json({ success: false, message: 'Only the driver can manage this recurring trip' });
+    return null;
+  }
+  return template;
+};
+
+const getUpcomingOccurrences = (templateId) => Trip.find({
+  recurringTripId: templateId,
+  status: { $in: ['SCHEDULED', 'STARTED', 'IN_PROGRESS'] },
+  scheduledTime: { $gte: new Date(Date.now() - 12 * 60 * 60 * 1000) }
+}).sort({ scheduledTime: 1 });
+
+/**
+ * Create Recurring Trip
+ *
+ * @description Driver creates a weekly commute template. Occurrences inside the
+ * 7-day booking window are generated immediately; later ones are generated by the
+ * scheduler as their day comes into range.
+ *
+ * @route POST /api/recurring-trips
+ * @access Private (Drivers only)
+ *
+ * @param {Object} req.body
+ * @param {string} req.body.vehicleId - Driver's verified vehicle (sets vehicleType and fuelType)
+ * @param {number} [req.body.totalSeats] - Seats on every occurrence (defaults to the vehicle's seatCapacity)
+ * @param {string} req.body.source - Source location text
+ * @param {string} req.body.destination - Destination location text
+ * @param {Object} [req.body.sourceLocation] - { lat, lng, address }
+ * @param {Object} [req.body.destinationLocation] - { lat, lng, address }
+ * @param {number[]} req.body.daysOfWeek - 0 (Sunday) to 6 (Saturday)
+ * @param {string} req.body.departureTime - "HH:mm"
+ * @param {string} req.body.startDate - ISO date (today or later)
+ * @param {string} req.body.endDate - ISO date (max 180 days after startDate)
+ * @param {string[]} [req.body.skipDates] - "YYYY-MM-DD" days to skip
+ * @param {boolean} [req.body.sameGenderOnly] - Only passengers of the driver's gender (defaults to the driver's profile preference)
+ *
+ * @returns {Object} 201 - { success, recurringTrip, occurrences }
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 403 - Not a driver
+ *
+ * @example
+ * POST /api/recurring-trips
+ * {
+ *   "vehicleId": "65f0c1a2b3c4d5e6f7a8b9c0", "totalSeats": 3,
+ *   "source": "Koramangala", "destination": "Tech Park",
+ *   "daysOfWeek": [1, 2, 3, 4, 5], "departureTime": "08:30",
+ *   "startDate": "2026-03-02", "endDate": "2026-05-29"
+ * }
+ */
+export const createRecurringTrip = async (req, res) => {
+  try {
+    if (!req.user.isDriver) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only drivers can create trips'
+      });
+    }
+
+    const {
+      vehicleId, totalSeats, source, destination,
+      sourceLocation, destinationLocation,
+      daysOfWeek, departureTime, startDate, endDate, skipDates, sameGenderOnly
+    } = req.body;
+
+    const start = new Date(startDate);
+    if (start < new Date(new Date().setHours(0, 0, 0, 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be in the past'
+      });
+    }
+
+    const vehicle = await findVerifiedVehicle(vehicleId, req.user.userId);
+    const sameGender = await resolveTripSameGenderOnly(req.user.userId, sameGenderOnly);
+
+    const template = await RecurringTrip.create({
+      driverId: req.user.userId,
+      organizationId: req.user.organizationId || null,
+      ...deriveTripVehicleFields(vehicle, totalSeats),
+      source,
+      destination,
+      sourceLocation: toGeoPoint(sourceLocation, source),
+      destinationLocation: toGeoPoint(destinationLocation, destination),
+      daysOfWeek: [...new Set(daysOfWeek)].sort(),
+      departureTime,
+      startDate: start,
+      endDate: new Date(endDate),
+      skipDates: skipDates || [],
+      sameGenderOnly: sameGender
+    });
+
+    const occurrences = await materializeRecurringTrip(template);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring trip created successfully',
+      recurringTrip: template,
+      occurrences
+    });
+  } catch (error) {
+    console.error('Create recurring trip error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to create recurring trip'
+    });
+  }
+};
+
+/**
+ * Get Driver's Recurring Trips
+ *
+ * @route GET /api/recurring-trips/driver
+ * @access Private (Drivers only)
+ *
+ * @returns {Object} 200 - { success, recurringTrips: [{ ...template, upcomingOccurrences }] }
+ */
+export const getDriverRecurringTrips = async (req, res) => {
+  try {
+    const templates = await RecurringTrip.find({ driverId: req.user.userId })
+      .populate('standingPassengers.passengerId', 'name email')
+      .sort({ createdAt: -1 });
+
+    const recurringTrips = await Promise.all(templates.map(async (template) => ({
+      ...template.toObject(),
+      upcomingOccurrences: await getUpcomingOccurrences(template._id)
+    })));
+
+    res.status(200).json({
+      success: true,
+      count: recurringTrips.length,
+      recurringTrips
+    });
+  } catch (error) {
+    console.error('Get driver recurring trips error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch recurring trips'
+    });
+  }
+};
+
+/**
+ * Get Recurring Trip by ID
+ *
+ * @description Series details with upcoming occurrences. Passengers see only the
+ * number of standing seats taken and whether they hold one themselves.
+ *
+ * @route GET /api/recurring-trips/:id
+ * @access Private (Authenticated users)
+ */
+export const getRecurringTripById = async (req, res) => {
+  try {
+    const template = await RecurringTrip.findById(req.params.id)
+      .populate('driverId', 'name email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring trip not found'
+      });
+    }
+
+    const data = template.toObject();
+    const activeStanding = data.standingPassengers.filter(p => p.status === 'ACTIVE');
+    const isDriver = template.driverId._id.toString() === req.user.userId;
+
+    if (!isDriver) {
+      data.hasStandingSeat = activeStanding.some(p => p.passengerId.toString() === req.user.userId);
+      delete data.standingPassengers;
+    }
+    data.standingSeatsTaken = activeStanding.length;
+    data.upcomingOccurrences = await getUpcomingOccurrences(template._id);
+
+    res.status(200).json({
+      success: true,
+      recurringTrip: data
+    });
+  } catch (error) {
+    console.error('Get recurring trip error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch recurring trip'
+    });
+  }
+};
+
+/**
+ * Update Recurring Trip (whole series)
+ *
+ * @description Edits the template and every future SCHEDULED occurrence that has not
+ * been edited on its own. Days removed from the schedule are cancelled and their
+ * passengers notified; newly added days are generated straight away.
+ *
+ * @route PATCH /api/recurring-trips/:id
+ * @access Private (Driver - series owner only)
+ *
+ * @param {Object} req.body - Any of departureTime, daysOfWeek, endDate, skipDates, totalSeats, vehicleId
+ *
+ * @returns {Object} 200 - { success, recurringTrip, updatedOccurrences, cancelledOccurrences }
+ * @returns {Object} 400 - Invalid change (e.g. fewer seats than already booked)
+ */
+export const updateRecurringTrip = async (req, res) => {
+  try {
+    const template = await findOwnedSeries(req, res);
+    if (!template) return;
+
+    if (template.status !== 'ACTIVE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot edit a cancelled recurring trip'
+      });
+    }
+
+    const updates = {};
+    for (const field of SERIES_EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (updates.endDate) updates.endDate = new Date(updates.endDate);
+    if (updates.daysOfWeek) updates.daysOfWeek = [...new Set(updates.daysOfWeek)].sort();
+
+    // A new vehicle brings its own type and fuel; seats are checked against whichever vehicle applies
+    if (updates.vehicleId || (updates.totalSeats !== undefined && template.vehicleId)) {
+      const vehicle = await findVerifiedVehicle(updates.vehicleId || template.vehicleId, req.user.userId);
+      Object.assign(updates, deriveTripVehicleFields(vehicle, updates.totalSeats ?? template.totalSeats));
+    }
+
+    const result = await applySeriesUpdate(template, updates);
+    const created = await materializeRecurringTrip(template);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring trip updated successfully',
+      recurringTrip: template,
+      updatedOccurrences: result.updatedOccurrences,
+      cancelledOccurrences: result.cancelledOccurrences,
+      createdOccurrences: created.length
+    });
+  } catch (error) {
+    console.error('Update recurring trip error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to update recurring trip'
+    });
+  }
+};
+
+/**
+ * Cancel Recurring Trip (whole series)
+ *
+ * @route POST /api/recurring-trips/:id/cancel
+ * @access Private (Driver - series owner only)
+ *
+ * @returns {Object} 200 - { success, cancelledOccurrences }
+ */
+export const cancelRecurringTrip = async (req, res) => {
+  try {
+    const template = await findOwnedSeries(req, res);
+    if (!template) return;
+
+    if (template.status === 'CANCELLED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring trip is already cancelled'
+      });
+    }
+
+    const cancelledOccurrences = await cancelSeries(template);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring trip cancelled successfully',
+      cancelledOccurrences
+    });
+  } catch (error) {
+    console.error('Cancel recurring trip error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cancel recurring trip'
+    });
+  }
+};
+
+const findOwnedOccurrence = async (req, res, template) => {
+  const trip = await Trip.findOne({ _id: req.params.tripId, recurringTripId: template._id });
+  if (!trip) {
+    res.status(404).json({ success: false, message: 'Occurrence not found for this recurring trip' });
+    return null;
+  }
+  if (trip.status !== 'SCHEDULED') {
+    res.status(400).json({ success: false, message: `Cannot change an occurrence that is ${trip.status.toLowerCase()}` });
+    return null;
+  }
+  return trip;
+};
+
+/**
+ * Update a Single Occurrence
+ *
+ * @description Changes one day's departure time or seats without touching the rest
+ * of the series. The occurrence is flagged so later series edits leave it alone.
+ *
+ * @route PATCH /api/recurring-trips/:id/occurrences/:tripId
+ * @access Private (Driver - series owner only)
+ *
+ * @param {string} [req.body.scheduledTime] - New ISO departure time (same day)
+ * @param {number} [req.body.totalSeats] - New seat count (not below seats already booked);
+ *   added seats are offered to the waitlist
+ */
+export const updateOccurrence = async (req, res) => {
+  try {
+    const template = await findOwnedSeries(req, res);
+    if (!template) return;
+    const trip = await findOwnedOccurrence(req, res, template);
+    if (!trip) return;
+
+    const { scheduledTime, totalSeats } = req.body;
+
+    if (scheduledTime !== undefined) {
+      const newTime = new Date(scheduledTime);
+      if (isNaN(newTime.getTime()) || toDateKey(newTime) !== trip.occurrenceDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Occurrence time can only be changed within the same day'
+        });
+      }
+      trip.scheduledTime = newTime;
+    }
+
+    let seatsAdded = false;
+    if (totalSeats !== undefined) {
+      const seats = parseInt(totalSeats);
+      const booked = trip.totalSeats - trip.availableSeats;
+      if (seats < booked) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot reduce seats below the ${booked} seat(s) already booked`
+        });
+      }
+      seatsAdded = seats > trip.totalSeats;
+      trip.totalSeats = seats;
+      trip.availableSeats = seats - booked;
+    }
+
+    trip.isOccurrenceModified = true;
+    await trip.save();
+
+    if (seatsAdded) {
+      try {
+        await promoteFromWaitlist(trip._id);
+      } catch (error) {
+        console.error('Waitlist promotion error:', error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence updated successfully',
+      trip
+    });
+  } catch (error) {
+    console.error('Update occurrence error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to update occurrence'
+    });
+  }
+};
+
+/**
+ * Cancel a Single Occurrence
+ *
+ * @description Cancels one day of the series and adds it to skipDates so the
+ * scheduler does not regenerate it. Booked passengers are notified.
+ *
+ * @route POST /api/recurring-trips/:id/occurrences/:tripId/cancel
+ * @access Private (Driver - series owner only)
+ */
+export const cancelOccurrence = async (req, res) => {
+  try {
+    const template = await findOwnedSeries(req, res);
+    if (!template) return;
+    const trip = await findOwnedOccurrence(req, res, template);
+    if (!trip) return;
+
+    await RecurringTrip.updateOne(
+      { _id: template._id },
+      { $addToSet: { skipDates: trip.occurrenceDate } }
+    );
+
+    const { trip: cancelledTrip, affectedRides } = await cancelTripAndNotify(trip, {
+      actorId: req.user.userId,
+      message: `The recurring trip from ${trip.source} to ${trip.destination} on ${trip.occurrenceDate} has been cancelled by the driver`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence cancelled successfully',
+      trip: cancelledTrip,
+      passengersNotified: affectedRides.length
+    });
+  } catch (error) {
+    console.error('Cancel occurrence error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cancel occurrence'
+    });
+  }
+};
+
+/**
+ * Book a Standing Seat
+ *
+ * @description Passenger reserves a seat on every occurrence of the series. The seat
+ * is booked on all upcoming occurrences now and on each new occurrence as it is
+ * generated. Occurrences that are already full are reported back as not booked.
+ *
+ * @route POST /api/recurring-trips/:id/standing-seat
+ * @access Private (Authenticated users)
+ *
+ * @param {Object} req.body.pickupLocation - { address, coordinates: [lng, lat] }
+ * @param {Object} [req.body.dropoffLocation] - { address, coordinates: [lng, lat] }
+ *
+ * @returns {Object} 201 - { success, bookings: [{ tripId, occurrenceDate, booked }] }
+ */
+export const bookStandingSeat = async (req, res) => {
+  try {
+    const passengerId = req.user.userId;
+    const template = await RecurringTrip.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring trip not found'
+      });
+    }
+
+    if (template.driverId.toString() === passengerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot book a seat on your own trip'
+      });
+    }
+
+    if (template.status !== 'ACTIVE') {
+      return res.status(400).json({
+        success: false,
+        message: 'This recurring trip is no longer running'
+      });
+    }
+
+    await assertGenderCompatible(template, passengerId);
+    await assertNotBlocked(template, passengerId);
+
+    const pickupLocation = toRideLocation(req.body.pickupLocation);
+    if (!pickupLocation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pickup location with address and coordinates is required'
+      });
+    }
+
+    const activeStanding = template.standingPassengers.filter(p => p.status === 'ACTIVE');
+    if (activeStanding.some(p => p.passengerId.toString() === passengerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a standing seat on this recurring trip'
+      });
+    }
+
+    if (activeStanding.length >= template.totalSeats) {
+      return res.status(400).json({
+        success: false,
+        message: 'No standing seats available for this recurring trip'
+      });
+    }
+
+    const standing = {
+      passengerId,
+      pickupLocation,
+      status: 'ACTIVE'
+    };
+    const dropoffLocation = toRideLocation(req.body.dropoffLocation);
+    if (dropoffLocation) standing.dropoffLocation = dropoffLocation;
+
+    template.standingPassengers.push(standing);
+    await template.save();
+    const saved = template.standingPassengers[template.standingPassengers.length - 1];
+
+    const occurrences = await Trip.find({
+      recurringTripId: template._id,
+      status: 'SCHEDULED',
+      scheduledTime: { $gt: new Date() }
+    }).sort({ scheduledTime: 1 });
+
+    const bookings = [];
+    for (const trip of occurrences) {
+      const [result] = await bookStandingPassengers(trip, [saved]);
+      bookings.push({
+        tripId: trip._id,
+        occurrenceDate: trip.occurrenceDate,
+        booked: result?.booked || false
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Standing seat booked successfully',
+      bookings
+    });
+  } catch (error) {
+    console.error('Book standing seat error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to book standing seat'
+    });
+  }
+};
+
+/**
+ * Cancel a Standing Seat
+ *
+ * @description Passenger gives up their standing seat. Bookings on future
+ * occurrences are released; past and in-progress rides are left as they are.
+ *
+ * @route DELETE /api/recurring-trips/:id/standing-seat
+ * @access Private (Authenticated users)
+ */
+export const cancelStandingSeat = async (req, res) => {
+  try {
+    const passengerId = req.user.userId;
+    const template = await RecurringTrip.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring trip not found'
+      });
+    }
+
+    const standing = template.standingPassengers.find(
+      p => p.status === 'ACTIVE' && p.passengerId.toString() === passengerId
+    );
+    if (!standing) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have a standing seat on this recurring trip'
+      });
+    }
+
+    standing.status = 'CANCELLED';
+    await template.save();
+
+    const releasedBookings = await releaseStandingBookings(template, passengerId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Standing seat cancelled successfully',
+      releasedBookings
+    });
+  } catch (error) {
+    console.error('Cancel standing seat error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cancel standing seat'
+    });
+  }
+};
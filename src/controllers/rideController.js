@@ -1,9 +1,19 @@
 import RideRequest from '../models/RideRequest.js';
 import Trip from '../models/Trip.js';
 import { getIO } from '../config/socket.js';
-import { creditRidePoints } from '../services/points.service.js';
-import { optimizeRoute } from '../services/routeOptimization.service.js';
+import { planTripRoute } from '../services/routePlanner.service.js';
 import { getSuggestedPickupZone, formatPickupZoneNotification } from '../services/smartPickupZone.service.js';
+import { promoteFromWaitlist, getWaitlistPositions } from '../services/waitlist.service.js';
+import { seatsOf, parseSeatsRequested } from '../utils/seats.utils.js';
+import { ACTIVE_TRIP_STATUSES } from '../services/tripLifecycle.service.js';
+import { getNoShowSettings, getRemainingWaitMs, getBookingRestriction } from '../services/noShow.service.js';
+import { quoteRideFare } from '../services/fare.service.js';
+import { endTrackingShares } from '../services/trackingShare.service.js';
+import { recordPickup, recordDropoff } from '../services/ridePickup.service.js';
+import { dismissStopPrompt } from '../services/stopDetection.service.js';
+import { assertGenderCompatible } from '../services/genderPreference.service.js';
+import { assertNotBlocked } from '../services/block.service.js';
+import User from '../models/User.js';
 
 /**
  * @fileoverview Ride Request Management Controller
@@ -26,10 +36,13 @@ import { getSuggestedPickupZone, formatPickupZoneNotification } from '../service
  * @param {string} req.user.userId - MongoDB ObjectId of authenticated user (passenger)
  * @param {Object} req.body - Request body
  * @param {string} req.body.tripId - MongoDB ObjectId of the trip to request
+ * @param {number} [req.body.seatsRequested=1] - Seats needed, e.g. for colleagues travelling together
+ * @param {boolean} [req.body.joinWaitlist] - Join the waitlist if the trip is full
  * 
- * @returns {Object} 201 - Ride request created successfully
+ * @returns {Object} 201 - Ride request created successfully (status WAITLISTED if trip was full)
  * @returns {Object} 400 - Invalid request (e.g., requesting own trip, duplicate request)
  * @returns {Object} 401 - Authentication error
+ * @returns {Object} 403 - Booking paused after repeated no-shows, same-gender preference does not match or a block applies
  * @returns {Object} 404 - Trip not found
  * 
  * @example
@@ -48,6 +61,7 @@ import { getSuggestedPickupZone, formatPickupZoneNotification } from '../service
  *     "passengerId": { "_id": "...", "name": "John Doe", "email": "..." },
  *     "tripId": { ... trip details ... },
  *     "status": "PENDING",
+ *     "fare": { "quotedINR": 42.5, "distanceKm": 8.3 },
  *     "createdAt": "2026-02-12T10:30:00.000Z"
  *   }
  * }
@@ -56,9 +70,14 @@ import { getSuggestedPickupZone, formatPickupZoneNotification } from '../service
  * - Validates user authentication
  * - Checks trip exists and is SCHEDULED
  * - Prevents drivers from requesting their own trips
- * - Checks for existing PENDING request for same trip
- * - Validates at least 1 seat available
- * - Creates ride request with PENDING status
+ * - Blocks passengers over the recent no-show limit (see services/noShow.service)
+ * - Enforces the passenger's and the trip's same-gender preference (services/genderPreference.service)
+ * - Refuses trips whose driver or a co-passenger has a block with the passenger (services/block.service)
+ * - Checks for existing PENDING or WAITLISTED request for same trip
+ * - Validates seatsRequested does not exceed the trip's total seats
+ * - Validates enough seats are available for seatsRequested, unless joinWaitlist is set
+ * - Quotes a distance-proportional fare (services/fare.service) into fare.quotedINR
+ * - Creates ride request with PENDING status (WAITLISTED + waitlistedAt when full)
  * - Emits Socket.io 'new-ride-request' event to driver
  * - Driver receives real-time notification to approve/reject
  * 
@@ -69,7 +88,8 @@ import { getSuggestedPickupZone, formatPickupZoneNotification } from '../service
  */
 export const requestRide = async (req, res) => {
   try {
-    const { tripId, pickupLocation, dropoffLocation } = req.body;
+    const { tripId, pickupLocation, dropoffLocation, joinWaitlist } = req.body;
+    const seatsRequested = parseSeatsRequested(req.body.seatsRequested);
     const passengerId = req.user.userId;
 
     // Validate user authentication
@@ -87,6 +107,13 @@ export const requestRide = async (req, res) => {
       });
     }
 
+    if (seatsRequested === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'seatsRequested must be a whole number of at least 1'
+      });
+    }
+
     // Validate pickup location
     if (!pickupLocation || !pickupLocation.address || !pickupLocation.coordinates) {
       return res.status(400).json({
@@ -122,17 +149,40 @@ export const requestRide = async (req, res) => {
       });
     }
 
-    // Check if passenger already has a pending request for this trip
+    // Passengers who keep missing pickups can be paused from booking (NO_SHOW_BOOKING_LIMIT)
+    const restriction = await getBookingRestriction(passengerId);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restriction
+      });
+    }
+
+    // Same-gender preference of the passenger or the trip, or a block with the driver or a
+    // co-passenger; the message never says which
+    try {
+      await assertGenderCompatible(trip, passengerId);
+      await assertNotBlocked(trip, passengerId);
+    } catch (preferenceError) {
+      return res.status(preferenceError.status || 403).json({
+        success: false,
+        message: preferenceError.message
+      });
+    }
+
+    // Check if passenger already has a pending or waitlisted request for this trip
     const existingRequest = await RideRequest.findOne({
       passengerId,
       tripId,
-      status: 'PENDING'
+      status: { $in: ['PENDING', 'WAITLISTED'] }
     });
 
     if (existingRequest) {
       return res.status(400).json({
         success: false,
-        message: 'You already have a pending request for this trip'
+        message: existingRequest.status === 'WAITLISTED'
+          ? 'You are already on the waitlist for this trip'
+          : 'You already have a pending request for this trip'
       });
     }
 
@@ -143,10 +193,22 @@ export const requestRide = async (req, res) => {
       });
     }
 
-    if (trip.availableSeats < 1) {
+    if (seatsRequested > trip.totalSeats) {
+      return res.status(400).json({
+        success: false,
+        message: `This trip only has ${trip.totalSeats} seat(s) in total`
+      });
+    }
+
+    // Not enough seats: join the waitlist if the passenger asked to, otherwise reject
+    const isWaitlisted = trip.availableSeats < seatsRequested;
+    if (isWaitlisted && !joinWaitlist) {
       return res.status(400).json({
         success: false,
-        message: 'No seats available for this trip'
+        message: seatsRequested > 1
+          ? `Only ${trip.availableSeats} seat(s) available for this trip`
+          : 'No seats available for this trip',
+        canJoinWaitlist: true
       });
     }
 
@@ -181,10 +243,15 @@ export const requestRide = async (req, res) => {
     const rideRequestData = {
       passengerId,
       tripId,
-      status: 'PENDING',
+      status: isWaitlisted ? 'WAITLISTED' : 'PENDING',
+      seatsRequested,
       pickupLocation: pickupLocationData
     };
 
+    if (isWaitlisted) {
+      rideRequestData.waitlistedAt = new Date();
+    }
+
     if (dropoffLocationData) {
       rideRequestData.dropoffLocation = dropoffLocationData;
     }
@@ -210,6 +277,16 @@ export const requestRide = async (req, res) => {
       console.error('Smart pickup zone detection error:', zoneError);
     }
 
+    // Fare quote against passengers already approved; the final fare is set at completion
+    try {
+      const quote = await quoteRideFare(trip, rideRequestData);
+      if (quote) {
+        rideRequestData.fare = quote;
+      }
+    } catch (fareError) {
+      console.error('Fare quote error:', fareError);
+    }
+
     console.log('🔍 DEBUG: rideRequestData BEFORE create:', JSON.stringify(rideRequestData, null, 2));
 
     const rideRequest = await RideRequest.create(rideRequestData);
@@ -225,12 +302,14 @@ export const requestRide = async (req, res) => {
     try {
       const io = getIO();
       
-      // Notify driver about new ride request
-      io.to(`user-${trip.driverId}`).emit('new-ride-request', {
-        rideRequest: populatedRequest,
-        message: 'New ride request received',
-        timestamp: new Date()
-      });
+      // Notify driver about new ride request (waitlist entries need no action yet)
+      if (!isWaitlisted) {
+        io.to(`user-${trip.driverId}`).emit('new-ride-request', {
+          rideRequest: populatedRequest,
+          message: 'New ride request received',
+          timestamp: new Date()
+        });
+      }
 
       // Notify passenger about smart pickup zone if available
       if (populatedRequest.suggestedPickupZone && populatedRequest.suggestedPickupZone.zoneId) {
@@ -259,10 +338,18 @@ export const requestRide = async (req, res) => {
       console.error('Socket.io emit error:', socketError);
     }
 
-    res.status(201).json({
+    const response = {
       success: true,
       data: populatedRequest
-    });
+    };
+
+    if (isWaitlisted) {
+      const positions = await getWaitlistPositions([rideRequest]);
+      response.message = 'Trip is full - you have been added to the waitlist';
+      response.waitlistPosition = positions.get(rideRequest._id.toString());
+    }
+
+    res.status(201).json(response);
 
   } catch (error) {
     console.error('Request ride error:', error);
@@ -313,8 +400,8 @@ export const requestRide = async (req, res) => {
  * @businessLogic
  * - Validates driver owns the trip
  * - Only PENDING requests can be approved
- * - Atomically decrements trip.availableSeats (prevents race conditions)
- * - Fails if no seats available (atomic operation ensures consistency)
+ * - Atomically decrements trip.availableSeats by seatsRequested (prevents race conditions)
+ * - Fails if fewer than seatsRequested seats are available (atomic operation ensures consistency)
  * - Updates request status to APPROVED
  * - Emits Socket.io events to passenger and all users
  * - Passenger can now be picked up by driver
@@ -361,14 +448,15 @@ export const approveRide = async (req, res) => {
       });
     }
 
-    // Atomically decrement seats and approve request
+    // Atomically reserve every seat the request needs and approve it
+    const seats = seatsOf(rideRequest);
     const trip = await Trip.findOneAndUpdate(
       {
         _id: rideRequest.tripId._id,
-        availableSeats: { $gt: 0 }
+        availableSeats: { $gte: seats }
       },
       {
-        $inc: { availableSeats: -1 }
+        $inc: { availableSeats: -seats }
       },
       { new: true }
     );
@@ -376,7 +464,9 @@ export const approveRide = async (req, res) => {
     if (!trip) {
       return res.status(400).json({
         success: false,
-        message: 'No seats available or trip not found'
+        message: seats > 1
+          ? `Not enough seats available for ${seats} passengers`
+          : 'No seats available or trip not found'
       });
     }
 
@@ -436,8 +526,8 @@ export const approveRide = async (req, res) => {
 /**
  * Reject Ride Request
  * 
- * @description Driver rejects a passenger's ride request. Does not affect available seats.
- * Notifies passenger via Socket.io.
+ * @description Driver rejects a passenger's pending or waitlisted ride request. Does not affect
+ * available seats. Notifies passenger via Socket.io and promotes the waitlist.
  * 
  * @route POST /api/rides/:id/reject
  * @access Private (Drivers only - must be the trip owner)
@@ -469,9 +559,10 @@ export const approveRide = async (req, res) => {
  * 
  * @businessLogic
  * - Validates driver owns the trip
- * - Only PENDING requests can be rejected
+ * - Only PENDING or WAITLISTED requests can be rejected
  * - Updates request status to REJECTED
  * - Does NOT affect trip.availableSeats (no seat was reserved)
+ * - A rejected PENDING request frees its claim on a seat - the waitlist is promoted
  * - Emits Socket.io event to passenger
  * - Passenger can request other trips
  * 
@@ -504,18 +595,22 @@ export const rejectRide = async (req, res) => {
       });
     }
 
-    // Check if request is still pending
-    if (rideRequest.status !== 'PENDING') {
+    // Check if request is still pending or waitlisted
+    if (rideRequest.status !== 'PENDING' && rideRequest.status !== 'WAITLISTED') {
       return res.status(400).json({
         success: false,
         message: `Cannot reject request with status ${rideRequest.status}`
       });
     }
 
+    const wasPending = rideRequest.status === 'PENDING';
+
     // Update ride request status
     rideRequest.status = 'REJECTED';
     await rideRequest.save();
 
+    const promoted = wasPending ? await promoteWaitlist(rideRequest.tripId._id) : [];
+
     // Emit Socket.io event to passenger
     try {
       const io = getIO();
@@ -534,7 +629,8 @@ export const rejectRide = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: rideRequest
+      data: rideRequest,
+      waitlistPromoted: promoted.length
     });
 
   } catch (error) {
@@ -588,6 +684,7 @@ export const rejectRide = async (req, res) => {
  * - Validates trip exists
  * - Verifies user is the trip driver
  * - Returns all requests sorted by creation date (newest first)
+ * - WAITLISTED requests include waitlistPosition
  * - Populates passenger info (name, email)
  * - Populates trip details (source, destination, time, vehicle)
  * - Driver uses this to manage incoming ride requests
@@ -620,10 +717,19 @@ export const getRideRequestsForTrip = async (req, res) => {
       .populate('tripId', 'source destination scheduledTime vehicleType')
       .sort({ createdAt: -1 });
 
+    const positions = await getWaitlistPositions(rideRequests);
+    const rides = rideRequests.map(ride => {
+      const data = ride.toObject();
+      if (ride.status === 'WAITLISTED') {
+        data.waitlistPosition = positions.get(ride._id.toString()) || null;
+      }
+      return data;
+    });
+
     res.status(200).json({
       success: true,
-      count: rideRequests.length,
-      rides: rideRequests
+      count: rides.length,
+      rides
     });
 
   } catch (error) {
@@ -681,7 +787,8 @@ export const getRideRequestsForTrip = async (req, res) => {
  * - Returns all ride requests for authenticated user
  * - Sorted by creation date (newest first)
  * - Populates full trip details including driver info
- * - Shows status (PENDING/APPROVED/REJECTED)
+ * - Shows status (PENDING/APPROVED/REJECTED/WAITLISTED)
+ * - WAITLISTED rides include waitlistPosition (1 = next in line)
  * - Shows pickup status if applicable (PICKED_UP/DROPPED_OFF)
  * - Used by passenger dashboard to track ride history
  */
@@ -705,10 +812,20 @@ export const getPassengerRides = async (req, res) => {
       })
     );
 
+    // Attach queue position to waitlisted rides
+    const positions = await getWaitlistPositions(ridesWithDriver);
+    const rides = ridesWithDriver.map(ride => {
+      const data = ride.toObject();
+      if (ride.status === 'WAITLISTED') {
+        data.waitlistPosition = positions.get(ride._id.toString()) || null;
+      }
+      return data;
+    });
+
     res.status(200).json({
       success: true,
-      count: ridesWithDriver.length,
-      rides: ridesWithDriver
+      count: rides.length,
+      rides
     });
 
   } catch (error) {
@@ -760,8 +877,10 @@ export const getPassengerRides = async (req, res) => {
  * - Validates driver owns the trip
  * - Only APPROVED passengers can be picked up
  * - Prevents duplicate pickup (already PICKED_UP)
+ * - Trip must be STARTED or IN_PROGRESS
  * - Sets pickupStatus to PICKED_UP
- * - Records pickedUpAt timestamp
+ * - Records pickedUpAt timestamp and pickupMethod MANUAL (GPS detection records AUTO)
+ * - First pickup moves the trip from STARTED to IN_PROGRESS
  * - Emits Socket.io events to passenger and trip room
  * - Enables tracking of passenger journey
  * - Required before marking as dropped off
@@ -798,47 +917,7 @@ export const markAsPickedUp = async (req, res) => {
       });
     }
 
-    // Check if request is approved
-    if (rideRequest.status !== 'APPROVED') {
-      return res.status(400).json({
-        success: false,
-        message: 'Only approved passengers can be picked up'
-      });
-    }
-
-    // Check if already picked up
-    if (rideRequest.pickupStatus === 'PICKED_UP') {
-      return res.status(400).json({
-        success: false,
-        message: 'Passenger already marked as picked up'
-      });
-    }
-
-    // Update pickup status
-    rideRequest.pickupStatus = 'PICKED_UP';
-    rideRequest.pickedUpAt = new Date();
-    await rideRequest.save();
-
-    // Emit Socket.io event to passenger
-    try {
-      const io = getIO();
-      io.to(`user-${rideRequest.passengerId._id}`).emit('pickup-status-update', {
-        rideId: rideRequest._id,
-        pickupStatus: 'PICKED_UP',
-        message: 'You have been picked up',
-        timestamp: new Date()
-      });
-
-      // Also emit to trip room
-      io.to(`trip:${rideRequest.tripId._id}`).emit('passengerPickup', {
-        rideId: rideRequest._id,
-        passengerId: rideRequest.passengerId._id,
-        passengerName: rideRequest.passengerId.name,
-        pickupStatus: 'PICKED_UP'
-      });
-    } catch (socketError) {
-      console.error('Socket.io emit error:', socketError);
-    }
+    await recordPickup(rideRequest, { method: 'MANUAL', actorId: req.user.userId });
 
     res.status(200).json({
       success: true,
@@ -848,7 +927,7 @@ export const markAsPickedUp = async (req, res) => {
 
   } catch (error) {
     console.error('Mark as picked up error:', error);
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: error.message || 'Failed to mark passenger as picked up'
     });
@@ -897,7 +976,8 @@ export const markAsPickedUp = async (req, res) => {
  * - Only APPROVED passengers can be dropped off
  * - Requires passenger to be PICKED_UP first (enforces journey flow)
  * - Sets pickupStatus to DROPPED_OFF
- * - Records droppedOffAt timestamp
+ * - Records droppedOffAt timestamp and dropoffMethod MANUAL (GPS detection records AUTO)
+ * - Finalises the fare and charges it to the passenger's wallet (services/wallet.service)
  * - Emits Socket.io events to passenger and trip room
  * - Completes the passenger journey for this ride
  * - Used for trip history and analytics
@@ -909,6 +989,9 @@ export const markAsPickedUp = async (req, res) => {
  * - Event: 'passengerDropoff'
  *   - Room: `trip:${tripId}`
  *   - Payload: { rideId, passengerId, passengerName, pickupStatus }
+ * - Event: 'fare-charged' (once the charge is posted)
+ *   - Room: `user-${passengerId}`
+ *   - Payload: { rideId, amountINR, balanceINR, timestamp }
  */
 export const markAsDroppedOff = async (req, res) => {
   try {
@@ -934,54 +1017,287 @@ export const markAsDroppedOff = async (req, res) => {
       });
     }
 
-    // Check if request is approved
-    if (rideRequest.status !== 'APPROVED') {
+    await recordDropoff(rideRequest, { method: 'MANUAL', organizationId: req.user.organizationId });
+
+    res.status(200).json({
+      success: true,
+      data: rideRequest,
+      message: 'Passenger marked as dropped off'
+    });
+
+  } catch (error) {
+    console.error('Mark as dropped off error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to mark passenger as dropped off'
+    });
+  }
+};
+
+/**
+ * Dismiss Stop Prompt
+ * 
+ * @description Driver answers "not yet" to a pickup or drop-off detected from GPS, so it
+ * is not confirmed automatically. No new prompt for that stop until the driver has left
+ * and come back. Confirming uses the usual /pickup and /dropoff endpoints.
+ * 
+ * @route POST /api/rides/:id/stop-prompt/dismiss
+ * @access Private (Drivers only - must be the trip owner)
+ * 
+ * @param {string} req.params.id - MongoDB ObjectId of ride request
+ * 
+ * @returns {Object} 200 - { success, message }
+ * @returns {Object} 400 - No stop waiting for confirmation
+ * @returns {Object} 403 - Not authorized (not the trip driver)
+ * @returns {Object} 404 - Ride request not found
+ */
+export const dismissStopDetection = async (req, res) => {
+  try {
+    await dismissStopPrompt({ rideRequestId: req.params.id, driverId: req.user.userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Stop prompt dismissed'
+    });
+  } catch (error) {
+    console.error('Dismiss stop prompt error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to dismiss stop prompt'
+    });
+  }
+};
+
+/**
+ * Mark Driver Arrived at Pickup
+ * 
+ * @description Driver reports arriving at an approved passenger's pickup point. Starts the
+ * wait after which the passenger can be marked as a no-show.
+ * 
+ * @route POST /api/rides/:id/arrived
+ * @access Private (Drivers only - must be the trip owner)
+ * 
+ * @param {string} req.params.id - MongoDB ObjectId of ride request
+ * 
+ * @returns {Object} 200 - { success, data, waitMinutes }
+ * @returns {Object} 400 - Trip not started, or passenger not waiting for pickup
+ * @returns {Object} 403 - Not authorized (not the trip driver)
+ * @returns {Object} 404 - Ride request not found
+ * 
+ * @realtime Socket.io Events Emitted:
+ * - Event: 'driver-arrived'
+ *   - Room: `user-${passengerId}`
+ *   - Payload: { rideId, tripId, message, waitMinutes, timestamp }
+ */
+export const markDriverArrived = async (req, res) => {
+  try {
+    const rideRequest = await RideRequest.findById(req.params.id)
+      .populate('passengerId', 'name email')
+      .populate('tripId');
+
+    if (!rideRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride request not found'
+      });
+    }
+
+    if (rideRequest.tripId.driverId.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the trip driver can report arrival'
+      });
+    }
+
+    if (rideRequest.status !== 'APPROVED' || rideRequest.pickupStatus !== 'WAITING') {
       return res.status(400).json({
         success: false,
-        message: 'Only approved passengers can be dropped off'
+        message: 'Passenger is not waiting for pickup'
       });
     }
 
-    // Check if picked up
-    if (rideRequest.pickupStatus !== 'PICKED_UP') {
+    if (!ACTIVE_TRIP_STATUSES.includes(rideRequest.tripId.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Passenger must be picked up before being dropped off'
+        message: 'Start the trip before arriving at pickups'
       });
     }
 
-    // Update pickup status
-    rideRequest.pickupStatus = 'DROPPED_OFF';
-    rideRequest.droppedOffAt = new Date();
-    await rideRequest.save();
+    // Keep the first arrival time so repeated taps cannot restart the wait
+    if (!rideRequest.driverArrivedAt) {
+      rideRequest.driverArrivedAt = new Date();
+      await rideRequest.save();
+    }
 
-    // ── Epic-4: Credit points for passenger and driver (non-blocking) ──
-    creditRidePoints({
-      passengerId: rideRequest.passengerId._id,
-      driverId: rideRequest.tripId.driverId,
-      tripId: rideRequest.tripId._id,
-      rideRequestId: rideRequest._id,
-      organizationId: rideRequest.tripId.organizationId || req.user.organizationId,
-      scheduledTime: rideRequest.tripId.scheduledTime,
-      requestedAt: rideRequest.createdAt,
-    }).catch(err => console.error('Points credit failed (non-critical):', err.message));
+    const { waitMinutes } = getNoShowSettings();
 
-    // Emit Socket.io event to passenger
     try {
       const io = getIO();
-      io.to(`user-${rideRequest.passengerId._id}`).emit('pickup-status-update', {
+      io.to(`user-${rideRequest.passengerId._id}`).emit('driver-arrived', {
         rideId: rideRequest._id,
-        pickupStatus: 'DROPPED_OFF',
-        message: 'You have been dropped off',
+        tripId: rideRequest.tripId._id,
+        message: `Your driver has arrived at the pickup point and will wait ${waitMinutes} minute(s)`,
+        waitMinutes,
         timestamp: new Date()
       });
+    } catch (socketError) {
+      console.error('Socket.io emit error:', socketError);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rideRequest,
+      waitMinutes
+    });
+
+  } catch (error) {
+    console.error('Mark driver arrived error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to record arrival'
+    });
+  }
+};
+
+/**
+ * Mark Passenger as No-Show
+ * 
+ * @description Driver records that an approved passenger did not turn up. Allowed once
+ * the driver has reported arrival and waited NO_SHOW_WAIT_MINUTES. Releases the
+ * passenger's seats and adds to their no-show count.
+ * 
+ * @route POST /api/rides/:id/no-show
+ * @access Private (Drivers only - must be the trip owner)
+ * 
+ * @param {string} req.params.id - MongoDB ObjectId of ride request
+ * 
+ * @returns {Object} 200 - { success, data, trip: { availableSeats } }
+ * @returns {Object} 400 - Not arrived yet, wait not over, or passenger not waiting
+ * @returns {Object} 403 - Not authorized (not the trip driver)
+ * @returns {Object} 404 - Ride request not found
+ * 
+ * @businessLogic
+ * - Only APPROVED passengers still WAITING can be marked
+ * - Trip must be STARTED or IN_PROGRESS
+ * - Sets pickupStatus to NO_SHOW and records noShowAt
+ * - Restores seatsRequested seats on the trip
+ * - Increments the passenger's noShowCount (visible to org admins)
+ * - No-shows are excluded from seatsOccupied in ESG metrics
+ * 
+ * @realtime Socket.io Events Emitted:
+ * - Event: 'ride-no-show'
+ *   - Room: `user-${passengerId}`
+ *   - Payload: { rideId, tripId, message, timestamp }
+ * - Event: 'passengerNoShow'
+ *   - Room: `trip:${tripId}`
+ *   - Payload: { rideId, passengerId, passengerName, pickupStatus }
+ * - Event: 'trip-seats-updated'
+ *   - Room: broadcast to all
+ *   - Payload: { tripId, availableSeats, timestamp }
+ */
+export const markNoShow = async (req, res) => {
+  try {
+    const rideRequest = await RideRequest.findById(req.params.id)
+      .populate('passengerId', 'name email')
+      .populate('tripId');
+
+    if (!rideRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride request not found'
+      });
+    }
+
+    const trip = rideRequest.tripId;
+
+    if (trip.driverId.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the trip driver can mark a passenger as a no-show'
+      });
+    }
 
-      // Also emit to trip room
-      io.to(`trip:${rideRequest.tripId._id}`).emit('passengerDropoff', {
+    if (rideRequest.status !== 'APPROVED' || rideRequest.pickupStatus !== 'WAITING') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved passengers waiting for pickup can be marked as a no-show'
+      });
+    }
+
+    if (!ACTIVE_TRIP_STATUSES.includes(trip.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start the trip before marking no-shows'
+      });
+    }
+
+    const { waitMinutes } = getNoShowSettings();
+    const remainingMs = getRemainingWaitMs(rideRequest.driverArrivedAt, waitMinutes);
+
+    if (remainingMs === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report arrival at the pickup point before marking a no-show'
+      });
+    }
+
+    if (remainingMs > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please wait ${Math.ceil(remainingMs / 60000)} more minute(s) before marking a no-show`,
+        remainingSeconds: Math.ceil(remainingMs / 1000)
+      });
+    }
+
+    // Conditional on WAITING so a concurrent pickup cannot be overwritten
+    const noShowAt = new Date();
+    const updated = await RideRequest.findOneAndUpdate(
+      { _id: rideRequest._id, status: 'APPROVED', pickupStatus: 'WAITING' },
+      { $set: { pickupStatus: 'NO_SHOW', noShowAt, updatedAt: noShowAt } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passenger is no longer waiting for pickup'
+      });
+    }
+
+    const updatedTrip = await Trip.findByIdAndUpdate(
+      trip._id,
+      { $inc: { availableSeats: seatsOf(rideRequest) } },
+      { new: true }
+    );
+
+    await User.updateOne(
+      { _id: rideRequest.passengerId._id },
+      { $inc: { noShowCount: 1 }, $set: { lastNoShowAt: noShowAt } }
+    );
+
+    endTrackingShares({ rideRequestId: rideRequest._id }, 'RIDE_ENDED')
+      .catch(err => console.error('Ending tracking shares failed (non-critical):', err.message));
+
+    try {
+      const io = getIO();
+      io.to(`user-${rideRequest.passengerId._id}`).emit('ride-no-show', {
+        rideId: rideRequest._id,
+        tripId: trip._id,
+        message: `You were marked as a no-show for the trip from ${trip.source} to ${trip.destination}`,
+        timestamp: noShowAt
+      });
+
+      io.to(`trip:${trip._id}`).emit('passengerNoShow', {
         rideId: rideRequest._id,
         passengerId: rideRequest.passengerId._id,
         passengerName: rideRequest.passengerId.name,
-        pickupStatus: 'DROPPED_OFF'
+        pickupStatus: 'NO_SHOW'
+      });
+
+      io.emit('trip-seats-updated', {
+        tripId: trip._id,
+        availableSeats: updatedTrip.availableSeats,
+        timestamp: noShowAt
       });
     } catch (socketError) {
       console.error('Socket.io emit error:', socketError);
@@ -989,15 +1305,18 @@ export const markAsDroppedOff = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: rideRequest,
-      message: 'Passenger marked as dropped off'
+      data: updated,
+      trip: {
+        availableSeats: updatedTrip.availableSeats
+      },
+      message: 'Passenger marked as a no-show'
     });
 
   } catch (error) {
-    console.error('Mark as dropped off error:', error);
+    console.error('Mark no-show error:', error);
     res.status(400).json({
       success: false,
-      message: error.message || 'Failed to mark passenger as dropped off'
+      message: error.message || 'Failed to mark passenger as a no-show'
     });
   }
 };
@@ -1005,9 +1324,11 @@ export const markAsDroppedOff = async (req, res) => {
 /**
  * Cancel Ride Request (Passenger)
  *
- * @description Passenger cancels their own PENDING or APPROVED ride request.
+ * @description Passenger cancels their own PENDING, APPROVED or WAITLISTED ride request.
  * - PENDING cancellation: straight status update, no seat change.
- * - APPROVED cancellation: atomically restores 1 seat on the trip, then notifies driver.
+ * - APPROVED cancellation: atomically restores seatsRequested seats on the trip, then notifies driver.
+ * - WAITLISTED cancellation: leaves the queue.
+ * - PENDING/APPROVED cancellation promotes the head of the trip's waitlist.
  * - Blocked once the trip has STARTED or progressed further.
  *
  * @route POST /api/rides/:id/cancel
@@ -1056,7 +1377,7 @@ export const cancelRide = async (req, res) => {
     const trip = rideRequest.tripId;
 
     // Cannot cancel after trip has started
-    if (trip.status === 'STARTED' || trip.status === 'IN_PROGRESS') {
+    if (ACTIVE_TRIP_STATUSES.includes(trip.status)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot cancel a ride after the trip has started'
@@ -1070,8 +1391,8 @@ export const cancelRide = async (req, res) => {
       });
     }
 
-    // Can only cancel PENDING or APPROVED rides
-    if (rideRequest.status !== 'PENDING' && rideRequest.status !== 'APPROVED') {
+    // Can only cancel PENDING, APPROVED or WAITLISTED rides
+    if (!['PENDING', 'APPROVED', 'WAITLISTED'].includes(rideRequest.status)) {
       return res.status(400).json({
         success: false,
         message: `Cannot cancel a ride request with status ${rideRequest.status}`
@@ -1079,23 +1400,30 @@ export const cancelRide = async (req, res) => {
     }
 
     const wasApproved = rideRequest.status === 'APPROVED';
+    const wasWaitlisted = rideRequest.status === 'WAITLISTED';
 
     // Update ride request to REJECTED (used as "passenger cancelled")
     rideRequest.status = 'REJECTED';
     await rideRequest.save();
 
+    endTrackingShares({ rideRequestId: rideRequest._id }, 'RIDE_ENDED')
+      .catch(err => console.error('Ending tracking shares failed (non-critical):', err.message));
+
     let updatedAvailableSeats = trip.availableSeats;
 
-    // Restore the seat if the request was already approved
+    // Restore every seat the request held if it was already approved
     if (wasApproved) {
       const updatedTrip = await Trip.findByIdAndUpdate(
         trip._id,
-        { $inc: { availableSeats: 1 } },
+        { $inc: { availableSeats: seatsOf(rideRequest) } },
         { new: true }
       );
       updatedAvailableSeats = updatedTrip.availableSeats;
     }
 
+    // Hand the freed seat (or pending claim) to the next passenger in line
+    const promoted = wasWaitlisted ? [] : await promoteWaitlist(trip._id);
+
     // Notify the driver in real-time
     try {
       const io = getIO();
@@ -1127,7 +1455,8 @@ export const cancelRide = async (req, res) => {
       success: true,
       message: 'Ride cancelled successfully',
       data: rideRequest,
-      seatRestored: wasApproved
+      seatRestored: wasApproved,
+      waitlistPromoted: promoted.length
     });
 
   } catch (error) {
@@ -1139,12 +1468,34 @@ export const cancelRide = async (req, res) => {
   }
 };
 
+/**
+ * Promote the trip's waitlist after a seat or pending claim is released, and
+ * re-optimize the route when anyone was auto-approved. Never throws - a failed
+ * promotion must not fail the cancellation/rejection that triggered it.
+ * 
+ * @param {ObjectId} tripId
+ * @returns {Promise<Array<Object>>} Promoted ride requests
+ */
+async function promoteWaitlist(tripId) {
+  try {
+    const promoted = await promoteFromWaitlist(tripId);
+    if (promoted.some(ride => ride.status === 'APPROVED')) {
+      await optimizeRouteForTrip(tripId);
+    }
+    return promoted;
+  } catch (error) {
+    console.error('Waitlist promotion error:', error);
+    return [];
+  }
+}
+
 /**
  * Optimize Route for Trip
  * 
- * @description Helper function to optimize route based on all approved passengers' pickup locations.
- * Called after a passenger is approved. Collects all approved passengers' pickup locations,
- * runs the optimization algorithm, and updates the trip with optimized waypoints.
+ * @description Helper function to optimize route based on all approved passengers' pickup and
+ * dropoff locations. Called after a passenger is approved. Plans the passengers' stops with
+ * services/routePlanner.service (every dropoff after its pickup) and updates the trip with
+ * the optimized waypoints and the distance saved versus the nearest-neighbour order.
  * 
  * @param {ObjectId} tripId - Trip ID to optimize
  * @returns {Promise<void>}
@@ -1186,59 +1537,30 @@ async function optimizeRouteForTrip(tripId) {
     hasCoords: !!r.pickupLocation?.coordinates
   })));
 
-  // Validate max 4 passengers
-  if (approvedRequests.length > 4) {
-    console.warn(`Trip ${tripId} has more than 4 approved passengers. Optimizing first 4 only.`);
+  // Pickups and dropoffs in order, each dropoff after its pickup
+  const plan = await planTripRoute(trip, approvedRequests);
+  if (!plan) {
+    console.log('⚠️ No passenger stops with coordinates, skipping optimization');
+    return;
   }
 
-  // Extract pickup locations from approved requests (max 4)
-  const waypoints = approvedRequests.slice(0, 4).map(request => ({
-    lat: request.pickupLocation.coordinates.coordinates[1],
-    lng: request.pickupLocation.coordinates.coordinates[0],
-    address: request.pickupLocation.address,
-    passengerId: request.passengerId._id,
-    passengerName: request.passengerId.name
-  }));
-
-  // Extract trip source and destination
-  const source = {
-    lat: trip.sourceLocation.coordinates.coordinates[1],
-    lng: trip.sourceLocation.coordinates.coordinates[0]
-  };
-
-  const destination = {
-    lat: trip.destinationLocation.coordinates.coordinates[1],
-    lng: trip.destinationLocation.coordinates.coordinates[0]
-  };
-
-  // Run optimization algorithm
-  const optimizationResult = optimizeRoute(source, destination, waypoints);
-
   console.log('✨ Optimization result:', {
-    waypointsCount: optimizationResult.orderedWaypoints.length,
-    totalDistance: optimizationResult.totalDistance,
-    estimatedDuration: optimizationResult.estimatedDuration
+    waypointsCount: plan.waypoints.length,
+    totalDistance: plan.totalDistance,
+    estimatedDuration: plan.estimatedDuration,
+    method: plan.method,
+    savedKm: plan.savings.savedKm
   });
 
   // Update trip with optimized waypoints - MUST match Trip model schema format
-  trip.waypoints = optimizationResult.orderedWaypoints.map((wp, index) => ({
-    address: wp.address,
-    coordinates: {
-      type: 'Point',
-      coordinates: [wp.lng, wp.lat] // [longitude, latitude] as per GeoJSON
-    },
-    order: index + 1,
-    passengerName: wp.passengerName,
-    passengerId: wp.passengerId,
-    distanceFromPrevious: index === 0
-      ? optimizationResult.legs[0]?.distance
-      : optimizationResult.legs[index]?.distance
-  }));
+  trip.waypoints = plan.waypoints;
   trip.isOptimized = true;
   trip.routeMetadata = {
-    totalDistance: optimizationResult.totalDistance,
-    estimatedDuration: optimizationResult.estimatedDuration,
-    optimizationApplied: true
+    totalDistance: plan.totalDistance,
+    estimatedDuration: plan.estimatedDuration,
+    optimizationApplied: true,
+    method: plan.method,
+    savings: plan.savings
   };
 
   await trip.save();
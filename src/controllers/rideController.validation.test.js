@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Ride Controller Validation Tests
+ * @description Request validation for ride requests and driver-only ride actions.
+ * All cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-ride-validation-tests';
+
+const makeToken = () =>
+  jwt.sign(
+    { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE', isDriver: false },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+const requestRide = (body) =>
+  request(app)
+    .post('/api/rides/request')
+    .set('Authorization', `Bearer ${makeToken()}`)
+    .send({
+      tripId: '507f1f77bcf86cd799439012',
+      pickupLocation: { address: 'Main Gate', coordinates: [77.59, 12.97] },
+      ...body
+    });
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Request Ride - Validation (POST /api/rides/request)', () => {
+  it('should return 400 for zero seats', async () => {
+    const res = await requestRide({ seatsRequested: 0 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/seatsRequested/);
+  });
+
+  it('should return 400 for a fractional seat count', async () => {
+    const res = await requestRide({ seatsRequested: 1.5 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/seatsRequested/);
+  });
+
+  it('should return 400 for a non-numeric seat count', async () => {
+    const res = await requestRide({ seatsRequested: 'two' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/seatsRequested/);
+  });
+});
+
+describe('No-Show - Auth (POST /api/rides/:id/arrived, /api/rides/:id/no-show)', () => {
+  it('should return 403 for a non-driver reporting arrival', async () => {
+    const res = await request(app)
+      .post('/api/rides/507f1f77bcf86cd799439013/arrived')
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 403 for a non-driver marking a no-show', async () => {
+    const res = await request(app)
+      .post('/api/rides/507f1f77bcf86cd799439013/no-show')
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post('/api/rides/507f1f77bcf86cd799439013/no-show');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('Stop Prompt - Auth (POST /api/rides/:id/stop-prompt/dismiss)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post('/api/rides/507f1f77bcf86cd799439012/stop-prompt/dismiss');
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 403 for a non-driver', async () => {
+    const res = await request(app)
+      .post('/api/rides/507f1f77bcf86cd799439012/stop-prompt/dismiss')
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,103 @@
+import RouteMonitorConfig from '../models/RouteMonitorConfig.js';
+import { getRouteMonitorRules } from '../services/routeMonitor.service.js';
+
+/**
+ * @fileoverview Org Admin — Route Monitor Rules Controller
+ * @description ORG_ADMIN only. Get and update the organization's thresholds for route
+ * deviation and unexpected stop alerts (services/routeMonitor.service.js). Changes apply
+ * from the next driver location update.
+ * @module controllers/routeMonitorRules.controller
+ */
+
+const NUMERIC_RULE_KEYS = [
+    'corridorMeters',
+    'majorDeviationMeters',
+    'deviationGraceSeconds',
+    'stopRadiusMeters',
+    'plannedStopMeters',
+    'stopMinutes',
+    'longStopMinutes',
+];
+const ADMIN_ALERT_SEVERITIES = ['MEDIUM', 'HIGH', 'OFF'];
+
+/**
+ * GET /org-admin/route-monitor
+ * Returns the rules in effect for the admin's organization (org, else platform, else defaults).
+ */
+export const getOrgRouteMonitorRules = async (req, res) => {
+    try {
+        const rules = await getRouteMonitorRules(req.user.organizationId);
+        res.status(200).json({ success: true, data: rules });
+    } catch (err) {
+        console.error('getOrgRouteMonitorRules error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch route monitor rules' });
+    }
+};
+
+/**
+ * PUT /org-admin/route-monitor
+ * Update the organization's monitoring rules. Only fields present in req.body.rules are applied.
+ * Body: { rules: { corridorMeters?, majorDeviationMeters?, deviationGraceSeconds?, stopRadiusMeters?,
+ *                  plannedStopMeters?, stopMinutes?, longStopMinutes?, adminAlertSeverity? } }
+ */
+export const updateOrgRouteMonitorRules = async (req, res) => {
+    try {
+        const { rules } = req.body;
+        if (!rules || typeof rules !== 'object') {
+            return res.status(400).json({ success: false, message: 'rules object is required' });
+        }
+
+        const update = {};
+        for (const key of NUMERIC_RULE_KEYS) {
+            if (rules[key] === undefined) continue;
+
+            const value = rules[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                return res.status(400).json({ success: false, message: `${key} must be a non-negative number` });
+            }
+            update[key] = value;
+        }
+        if (rules.adminAlertSeverity !== undefined) {
+            if (!ADMIN_ALERT_SEVERITIES.includes(rules.adminAlertSeverity)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `adminAlertSeverity must be one of: ${ADMIN_ALERT_SEVERITIES.join(', ')}`
+                });
+            }
+            update.adminAlertSeverity = rules.adminAlertSeverity;
+        }
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `rules must include at least one of: ${[...NUMERIC_RULE_KEYS, 'adminAlertSeverity'].join(', ')}`
+            });
+        }
+
+        // Checked against the rules in effect, since only some fields may be sent
+        const merged = { ...(await getRouteMonitorRules(req.user.organizationId)), ...update };
+        if (merged.majorDeviationMeters < merged.corridorMeters) {
+            return res.status(400).json({ success: false, message: 'majorDeviationMeters cannot be below corridorMeters' });
+        }
+        if (merged.longStopMinutes < merged.stopMinutes) {
+            return res.status(400).json({ success: false, message: 'longStopMinutes cannot be below stopMinutes' });
+        }
+
+        const $set = Object.fromEntries(Object.entries(update).map(([key, value]) => [`rules.${key}`, value]));
+        $set.updatedBy = req.user.userId;
+
+        await RouteMonitorConfig.findOneAndUpdate(
+            { organizationId: req.user.organizationId },
+            { $set },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: await getRouteMonitorRules(req.user.organizationId),
+            message: 'Route monitor rules updated — applies from the next location update',
+        });
+    } catch (err) {
+        console.error('updateOrgRouteMonitorRules error:', err);
+        res.status(500).json({ success: false, message: 'Failed to update route monitor rules' });
+    }
+};
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Route Monitor Rules Controller Tests
+ * @description Auth guards and body validation for the org admin route monitor endpoints.
+ * All cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-route-monitor-tests';
+
+const makeToken = (payload) =>
+  jwt.sign(
+    {
+      userId: '507f1f77bcf86cd799439011',
+      organizationId: '507f1f77bcf86cd799439022',
+      role: 'ORG_ADMIN',
+      ...payload
+    },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+const putRules = (body, token = makeToken()) =>
+  request(app)
+    .put('/org-admin/route-monitor')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Route Monitor Rules (/org-admin/route-monitor)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/org-admin/route-monitor');
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 403 for an employee', async () => {
+    const res = await putRules({ rules: { corridorMeters: 500 } }, makeToken({ role: 'EMPLOYEE' }));
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 without a rules object', async () => {
+    const res = await putRules({});
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/rules object/);
+  });
+
+  it('should return 400 for a negative threshold', async () => {
+    const res = await putRules({ rules: { stopMinutes: -1 } });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/stopMinutes/);
+  });
+
+  it('should return 400 for an unknown admin alert severity', async () => {
+    const res = await putRules({ rules: { adminAlertSeverity: 'CRITICAL' } });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/adminAlertSeverity/);
+  });
+
+  it('should return 400 when no known rule is given', async () => {
+    const res = await putRules({ rules: { speedLimitKmh: 80 } });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import {
+  createTrackingShare,
+  listTrackingShares,
+  revokeTrackingShare,
+  getSharedTrackingView
+} from '../services/trackingShare.service.js';
+
+/**
+ * @fileoverview Tracking Share Controller
+ * @description Passengers share live tracking of their ride with people who have no
+ * account. Link rules and what viewers see live in services/trackingShare.service.js;
+ * live updates are on the /shared-tracking socket namespace.
+ * @module controllers/trackingShare.controller
+ */
+
+/**
+ * Create Share Link
+ *
+ * @description Creates a time-limited link for the passenger's approved ride. The token
+ * is only returned here - store or send it straight away. Body is validated by
+ * schemas.createTrackingShare.
+ *
+ * @route POST /api/rides/:id/share-links
+ * @access Private (the ride's passenger)
+ *
+ * @param {string} req.params.id - MongoDB ObjectId of ride request
+ * @param {number} [req.body.expiresInMinutes] - Default 120, capped at TRACKING_SHARE_MAX_MINUTES (720)
+ * @param {string} [req.body.label] - Who it is for, up to 50 characters
+ *
+ * @returns {Object} 201 - { success, token, url, share }
+ * @returns {Object} 400 - Ride not approved or already over
+ * @returns {Object} 403 - Not the ride's passenger
+ * @returns {Object} 404 - Ride request not found
+ *
+ * @example
+ * POST /api/rides/507f1f77bcf86cd799439012/share-links
+ * { "expiresInMinutes": 90, "label": "Mum" }
+ */
+export const createShareLink = async (req, res) => {
+  try {
+    const { share, token } = await createTrackingShare({
+      rideRequestId: req.params.id,
+      userId: req.user.userId,
+      expiresInMinutes: req.body.expiresInMinutes,
+      label: req.body.label || undefined
+    });
+
+    const shareData = share.toObject();
+    delete shareData.tokenHash;
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      token,
+      url: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/track/${token}` : null,
+      share: shareData
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to create share link'
+    });
+  }
+};
+
+/**
+ * List Share Links
+ *
+ * @route GET /api/rides/:id/share-links
+ * @access Private (the ride's passenger)
+ *
+ * @returns {Object} 200 - { success, shares } newest first, each with `active`
+ */
+export const listShareLinks = async (req, res) => {
+  try {
+    const shares = await listTrackingShares({
+      rideRequestId: req.params.id,
+      userId: req.user.userId
+    });
+
+    res.status(200).json({ success: true, shares });
+  } catch (error) {
+    console.error('List share links error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch share links'
+    });
+  }
+};
+
+/**
+ * Revoke Share Link
+ *
+ * @description Ends a link straight away; anyone watching through it is disconnected.
+ *
+ * @route DELETE /api/rides/:id/share-links/:shareId
+ * @access Private (the ride's passenger)
+ *
+ * @returns {Object} 200 - { success, share }
+ * @returns {Object} 404 - No active link with that id on the passenger's ride
+ */
+export const revokeShareLink = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.shareId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid share link id'
+      });
+    }
+
+    const share = await revokeTrackingShare({
+      rideRequestId: req.params.id,
+      shareId: req.params.shareId,
+      userId: req.user.userId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+      share
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to revoke share link'
+    });
+  }
+};
+
+/**
+ * Get Shared Tracking
+ *
+ * @description Public, read-only view of a shared ride: the driver's position, ETA to
+ * the passenger's next stop, vehicle and status. Works until the link expires, is
+ * revoked or the passenger is dropped off.
+ *
+ * @route GET /api/shared-tracking/:token
+ * @access Public (share token)
+ *
+ * @returns {Object} 200 - { success, tracking: { tripStatus, rideStatus, driverLocation, eta, vehicle, expiresAt } }
+ * @returns {Object} 404 - Unknown link
+ * @returns {Object} 410 - Link expired, revoked or ride over
+ */
+export const getSharedTracking = async (req, res) => {
+  try {
+    const tracking = await getSharedTrackingView(req.params.token);
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({ success: true, tracking });
+  } catch (error) {
+    if (!error.status) console.error('Shared tracking error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to load tracking'
+    });
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Tracking Share Controller Tests
+ * @description Auth guards and body validation for ride share links. All cases are
+ * rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-tracking-share-tests';
+const RIDE_URL = '/api/rides/507f1f77bcf86cd799439012/share-links';
+
+const makeToken = (payload) =>
+  jwt.sign(
+    { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE', ...payload },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+const createLink = (body, token = makeToken()) =>
+  request(app)
+    .post(RIDE_URL)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Share Links (/api/rides/:id/share-links)', () => {
+  it('should return 401 without a token', async () => {
+    const create = await request(app).post(RIDE_URL).send({});
+    const list = await request(app).get(RIDE_URL);
+    const revoke = await request(app).delete(`${RIDE_URL}/507f1f77bcf86cd799439013`);
+    expect(create.status).toBe(401);
+    expect(list.status).toBe(401);
+    expect(revoke.status).toBe(401);
+  });
+
+  it.each([
+    ['too short', { expiresInMinutes: 2 }],
+    ['too long', { expiresInMinutes: 2000 }],
+    ['fractional', { expiresInMinutes: 30.5 }]
+  ])('should return 400 when the duration is %s', async (_label, body) => {
+    const res = await createLink(body);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Input validation failed');
+  });
+
+  it('should return 400 for a label over 50 characters', async () => {
+    const res = await createLink({ label: 'x'.repeat(51) });
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 when revoking with an invalid link id', async () => {
+    const res = await request(app)
+      .delete(`${RIDE_URL}/not-an-id`)
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(400);
+  });
+});
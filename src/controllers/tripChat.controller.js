@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import {
+  sendTripMessage,
+  listTripMessages,
+  markTripMessagesRead
+} from '../services/tripChat.service.js';
+
+/**
+ * @fileoverview Trip Chat Controller
+ * @description REST side of the per-trip chat between the driver and approved
+ * passengers. Rules and delivery live in services/tripChat.service.js; the same actions
+ * are available on the socket (sockets/tripChatSocket.js).
+ * @module controllers/tripChat.controller
+ */
+
+const invalidTripId = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid trip id'
+});
+
+/**
+ * Get Chat History
+ *
+ * @description Messages for the trip, oldest first, one page at a time. Also returns
+ * whether the chat has locked and the quick replies to offer.
+ *
+ * @route GET /api/trips/:id/chat
+ * @access Private (the trip's driver or approved passengers)
+ *
+ * @param {string} req.params.id - MongoDB ObjectId of trip
+ * @param {string} [req.query.before] - ISO timestamp; load messages sent before it
+ * @param {number} [req.query.limit] - Page size, default 50, at most 100
+ *
+ * @returns {Object} 200 - { success, messages, hasMore, locked, closesAt, cannedReplies }
+ * @returns {Object} 400 - Invalid trip id or before timestamp
+ * @returns {Object} 403 - Not the driver or an approved passenger
+ * @returns {Object} 404 - Trip not found
+ */
+export const getChatHistory = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidTripId(res);
+
+    let before;
+    if (req.query.before) {
+      before = new Date(req.query.before);
+      if (Number.isNaN(before.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'before must be a valid ISO timestamp'
+        });
+      }
+    }
+
+    const history = await listTripMessages({
+      tripId: req.params.id,
+      userId: req.user.userId,
+      before,
+      limit: parseInt(req.query.limit) || undefined
+    });
+
+    res.status(200).json({ success: true, ...history });
+  } catch (error) {
+    console.error('Get chat history error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to fetch chat'
+    });
+  }
+};
+
+/**
+ * Send Chat Message
+ *
+ * @description Sends a text or a quick reply to the trip chat. Participants in the trip
+ * room get it as `tripChat:message`. Body is validated by schemas.sendTripMessage.
+ *
+ * @route POST /api/trips/:id/chat
+ * @access Private (the trip's driver or approved passengers)
+ *
+ * @param {string} [req.body.text] - Up to 500 characters
+ * @param {string} [req.body.cannedReply] - Quick reply key (exactly one of text or cannedReply)
+ *
+ * @returns {Object} 201 - { success, chatMessage }
+ * @returns {Object} 400 - Empty message or unknown quick reply
+ * @returns {Object} 403 - Chat closed, or not the driver or an approved passenger
+ * @returns {Object} 404 - Trip not found
+ *
+ * @example
+ * POST /api/trips/507f1f77bcf86cd799439011/chat
+ * { "text": "I'm at gate 2" }
+ */
+export const sendMessage = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidTripId(res);
+
+    const chatMessage = await sendTripMessage({
+      tripId: req.params.id,
+      userId: req.user.userId,
+      text: req.body.text,
+      cannedReply: req.body.cannedReply
+    });
+
+    res.status(201).json({ success: true, chatMessage });
+  } catch (error) {
+    console.error('Send chat message error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to send message'
+    });
+  }
+};
+
+/**
+ * Mark Chat Read
+ *
+ * @description Read receipt for the other participants' messages up to `upTo` (or all
+ * of them). Participants in the trip room get `tripChat:read`. Body is validated by
+ * schemas.markTripChatRead.
+ *
+ * @route POST /api/trips/:id/chat/read
+ * @access Private (the trip's driver or approved passengers)
+ *
+ * @param {string} [req.body.upTo] - MongoDB ObjectId of the last message read
+ *
+ * @returns {Object} 200 - { success, upTo, readAt, updated }
+ * @returns {Object} 404 - Trip or message not found
+ */
+export const markRead = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidTripId(res);
+
+    const receipt = await markTripMessagesRead({
+      tripId: req.params.id,
+      userId: req.user.userId,
+      upTo: req.body.upTo
+    });
+
+    res.status(200).json({ success: true, ...receipt });
+  } catch (error) {
+    console.error('Mark chat read error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || 'Failed to mark messages as read'
+    });
+  }
+};
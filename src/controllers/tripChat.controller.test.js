@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Trip Chat Controller Tests
+ * @description Auth guards and request validation for the trip chat endpoints. All
+ * cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-trip-chat-tests';
+const CHAT_URL = '/api/trips/507f1f77bcf86cd799439012/chat';
+
+const makeToken = () =>
+  jwt.sign(
+    { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE' },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Trip Chat History (GET /api/trips/:id/chat)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get(CHAT_URL);
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 for an invalid trip id', async () => {
+    const res = await request(app)
+      .get('/api/trips/not-an-id/chat')
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid trip id');
+  });
+
+  it('should return 400 for an invalid before timestamp', async () => {
+    const res = await request(app)
+      .get(`${CHAT_URL}?before=yesterday`)
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/before/);
+  });
+});
+
+describe('Send Trip Chat Message (POST /api/trips/:id/chat)', () => {
+  const send = (body) =>
+    request(app)
+      .post(CHAT_URL)
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send(body);
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post(CHAT_URL).send({ text: 'Hi' });
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 without text or a quick reply', async () => {
+    const res = await send({});
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Input validation failed');
+  });
+
+  it('should return 400 when both text and a quick reply are sent', async () => {
+    const res = await send({ text: 'Hi', cannedReply: 'ON_MY_WAY' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for text over 500 characters', async () => {
+    const res = await send({ text: 'x'.repeat(501) });
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for an invalid trip id', async () => {
+    const res = await request(app)
+      .post('/api/trips/not-an-id/chat')
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send({ text: 'Hi' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Mark Trip Chat Read (POST /api/trips/:id/chat/read)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post(`${CHAT_URL}/read`).send({});
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 when upTo is not a message id', async () => {
+    const res = await request(app)
+      .post(`${CHAT_URL}/read`)
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send({ upTo: 'latest' });
+    expect(res.status).toBe(400);
+  });
+});
@@ -1,10 +1,32 @@
+import mongoose from 'mongoose';
 import Trip from '../models/Trip.js';
 import RideRequest from '../models/RideRequest.js';
 import { getIO } from '../config/socket.js';
 import { calculateCo2Saved } from '../services/carbon.service.js';
 import { FUEL_TYPES } from '../config/fuelTypes.js';
-import { computeAllTripEsgMetrics } from '../services/esgCalculation.service.js';
+import { findVerifiedVehicle, deriveTripVehicleFields } from '../services/vehicle.service.js';
+import { estimateTripCost, getFareRules } from '../services/fare.service.js';
 import { optimizeRoute, validateRouteInput } from '../services/routeOptimization.service.js';
+import { getDistanceMatrix } from '../services/routing.service.js';
+import { planTripRoute } from '../services/routePlanner.service.js';
+import { cancelTripAndNotify } from '../services/tripCancellation.service.js';
+import { forwardLocationToShareViewers } from '../services/trackingShare.service.js';
+import { filterTripsForPassenger, resolveTripSameGenderOnly } from '../services/genderPreference.service.js';
+import { filterBlockedTrips } from '../services/block.service.js';
+import { detectStopsFromLocation } from '../services/stopDetection.service.js';
+import { monitorTripLocation } from '../services/routeMonitor.service.js';
+import { recordTracePoint } from '../services/tripTrace.service.js';
+import { notifyPickupEtas } from '../services/pickupEta.service.js';
+import { matchRouteCorridor, computeRelevanceScore } from '../services/tripMatching.service.js';
+import { paginateRanked, parsePageSize } from '../utils/pagination.utils.js';
+import { seatsOf, sumSeats } from '../utils/seats.utils.js';
+import { summarizeIdleByLocation } from '../services/idleTime.service.js';
+import {
+  startTrip as startTripLifecycle,
+  completeTrip as completeTripLifecycle,
+  canTransition,
+  describeInvalidTransition
+} from '../services/tripLifecycle.service.js';
 
 /**
  * @fileoverview Trip Management Controller
@@ -14,6 +36,10 @@ import { optimizeRoute, validateRouteInput } from '../services/routeOptimization
  * @module controllers/tripController
  */
 
+// Upper bound on trips loaded for in-memory matching and ranking in searchTrips.
+// Candidates past it are never ranked; the response reports this as `truncated`.
+const MAX_SEARCH_CANDIDATES = 200;
+
 /**
  * Create New Trip
  * 
@@ -27,8 +53,8 @@ import { optimizeRoute, validateRouteInput } from '../services/routeOptimization
  * @param {string} req.user.userId - MongoDB ObjectId of authenticated driver
  * @param {boolean} req.user.isDriver - Must be true
  * @param {Object} req.body - Request body
- * @param {string} req.body.vehicleType - Type of vehicle (CAR or BIKE)
- * @param {number} req.body.totalSeats - Total seats available (CAR: 1-7, BIKE: 1)
+ * @param {string} req.body.vehicleId - Driver's verified vehicle (sets vehicleType, fuelType and seats)
+ * @param {number} [req.body.totalSeats] - Seats to offer (defaults to the vehicle's seatCapacity, never more)
  * @param {string} req.body.scheduledTime - ISO timestamp (must be within next 7 days)
  * @param {string} req.body.source - Source location text
  * @param {string} req.body.destination - Destination location text
@@ -36,13 +62,15 @@ import { optimizeRoute, validateRouteInput } from '../services/routeOptimization
  * @param {number} req.body.sourceLocation.lat - Source latitude
  * @param {number} req.body.sourceLocation.lng - Source longitude
  * @param {string} [req.body.sourceLocation.address] - Source address
+ * @param {boolean} [req.body.autoApproveWaitlist=false] - Auto-approve passengers promoted from the waitlist
+ * @param {boolean} [req.body.sameGenderOnly] - Only passengers of the driver's gender (defaults to the driver's profile preference)
  * @param {Object} [req.body.destinationLocation] - Destination coordinates (optional)
  * @param {number} req.body.destinationLocation.lat - Destination latitude
  * @param {number} req.body.destinationLocation.lng - Destination longitude
  * @param {string} [req.body.destinationLocation.address] - Destination address
  * 
  * @returns {Object} 201 - Trip created successfully
- * @returns {Object} 400 - Validation error (missing fields, invalid seats, invalid time)
+ * @returns {Object} 400 - Validation error (missing fields, unverified vehicle, invalid seats, invalid time)
  * @returns {Object} 401 - Authentication error
  * @returns {Object} 403 - Not a driver
  * 
@@ -51,7 +79,7 @@ import { optimizeRoute, validateRouteInput } from '../services/routeOptimization
  * POST /api/trips
  * Authorization: Bearer <jwt_token>
  * {
- *   "vehicleType": "CAR",
+ *   "vehicleId": "65f0c1a2b3c4d5e6f7a8b9c0",
  *   "totalSeats": 4,
  *   "scheduledTime": "2026-02-13T09:00:00.000Z",
  *   "source": "Downtown Office",
@@ -90,9 +118,11 @@ import { optimizeRoute, validateRouteInput } from '../services/routeOptimization
  * @businessLogic
  * - Only users with isDriver=true can create trips
  * - Scheduled time must be within next 7 days
- * - CAR: 1-7 seats, BIKE: exactly 1 seat
+ * - vehicleId must be the driver's own VERIFIED, active vehicle
+ * - vehicleType and fuelType are copied from the vehicle; totalSeats may not exceed its seatCapacity
  * - availableSeats initialized to totalSeats
- * - estimatedCost calculated: 50 + (totalSeats * 10)
+ * - estimatedCost: per-seat fare for the whole route under the org's fare rules (fare.service.js)
+ * - sameGenderOnly: defaults to the driver's profile preference; needs a gender on the driver's profile
  * - Status set to SCHEDULED
  * - Geolocation stored as GeoJSON Point (lng, lat order)
  * - Route created as LineString if both coordinates provided
@@ -127,28 +157,13 @@ export const createTrip = async (req, res) => {
       });
     }
 
-    const { vehicleType, totalSeats, scheduledTime, source, destination, sourceLocation, destinationLocation, distanceKm, conventionalEmissionFactor, sustainableEmissionFactor, fuelType, waypoints } = req.body;
+    const { vehicleId, totalSeats, scheduledTime, source, destination, sourceLocation, destinationLocation, distanceKm, conventionalEmissionFactor, sustainableEmissionFactor, waypoints, autoApproveWaitlist, sameGenderOnly } = req.body;
 
     // Validate required fields
-    if (!source || !destination || !scheduledTime || !vehicleType || !totalSeats) {
-      return res.status(400).json({
-        success: false,
-        message: 'All fields are required: source, destination, scheduledTime, vehicleType, totalSeats'
-      });
-    }
-
-    // Validate fuelType
-    if (!fuelType) {
+    if (!source || !destination || !scheduledTime || !vehicleId) {
       return res.status(400).json({
         success: false,
-        message: 'Fuel type is required'
-      });
-    }
-
-    if (!FUEL_TYPES.includes(fuelType)) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid fuel type. Allowed values: ${FUEL_TYPES.join(', ')}`
+        message: 'All fields are required: source, destination, scheduledTime, vehicleId'
       });
     }
 
@@ -184,37 +199,32 @@ export const createTrip = async (req, res) => {
       });
     }
 
-    // Validate seats based on vehicle type
-    if (vehicleType === 'CAR' && (totalSeats < 1 || totalSeats > 7)) {
-      return res.status(400).json({
-        success: false,
-        message: 'CAR can have between 1 and 7 seats'
-      });
-    }
-
-    if (vehicleType === 'BIKE' && totalSeats !== 1) {
-      return res.status(400).json({
+    // Vehicle type, fuel type and seats come from the driver's verified vehicle
+    let vehicleFields;
+    let sameGender;
+    try {
+      const vehicle = await findVerifiedVehicle(vehicleId, req.user.userId);
+      vehicleFields = deriveTripVehicleFields(vehicle, totalSeats);
+      sameGender = await resolveTripSameGenderOnly(req.user.userId, sameGenderOnly);
+    } catch (vehicleError) {
+      return res.status(vehicleError.status || 400).json({
         success: false,
-        message: 'BIKE must have exactly 1 seat'
+        message: vehicleError.message
       });
     }
 
-    // Calculate estimated cost (simple formula: base + per km)
-    const estimatedCost = 50 + (totalSeats * 10);
-
     // Prepare trip data
     const tripData = {
       driverId: req.user.userId,
       organizationId: req.user.organizationId || null, // Epic-4
-      vehicleType,
-      fuelType,
-      totalSeats: parseInt(totalSeats),
-      availableSeats: parseInt(totalSeats),
+      ...vehicleFields,
+      availableSeats: vehicleFields.totalSeats,
       scheduledTime: tripScheduledTime,
       source,
       destination,
-      estimatedCost,
-      status: 'SCHEDULED'
+      status: 'SCHEDULED',
+      autoApproveWaitlist: autoApproveWaitlist === true,
+      sameGenderOnly: sameGender
     };
 
     // Add geolocation data if provided
@@ -262,9 +272,15 @@ export const createTrip = async (req, res) => {
         });
       }
 
-      // Optimize waypoint order
+      // Optimize waypoint order, on road distances when the routing provider answers
       try {
-        const optimizedRoute = optimizeRoute(sourceForOptimization, destForOptimization, waypoints);
+        const matrix = await getDistanceMatrix(
+          [sourceForOptimization, ...waypoints, destForOptimization].map(p => ({ lat: Number(p.lat), lng: Number(p.lng) }))
+        ).catch(err => {
+          console.warn('[routing] Distance matrix failed, using straight lines:', err.message);
+          return null;
+        });
+        const optimizedRoute = optimizeRoute(sourceForOptimization, destForOptimization, waypoints, { matrix });
 
         // Store optimized waypoints with order
         tripData.waypoints = optimizedRoute.orderedWaypoints.map((wp, index) => ({
@@ -341,6 +357,9 @@ export const createTrip = async (req, res) => {
       }
     }
 
+    // Per-seat fare for the whole route, from the org's fare rules and the vehicle's fuel
+    tripData.estimatedCost = estimateTripCost(tripData, await getFareRules(tripData.organizationId));
+
     // Create trip
     const trip = await Trip.create(tripData);
 
@@ -375,8 +394,8 @@ export const createTrip = async (req, res) => {
 /**
  * Search Trips
  * 
- * @description Search for available trips by source and destination with optional geospatial
- * proximity matching. Supports text-based and coordinate-based search.
+ * @description Search for available trips by source and destination with optional route-corridor
+ * matching. Supports text-based and coordinate-based search.
  * 
  * @route GET /api/trips/search
  * @access Private (Authenticated users)
@@ -389,9 +408,17 @@ export const createTrip = async (req, res) => {
  * @param {number} [req.query.sourceLng] - Source longitude for geospatial search
  * @param {number} [req.query.destLat] - Destination latitude for geospatial search
  * @param {number} [req.query.destLng] - Destination longitude for geospatial search
- * @param {number} [req.query.maxDistance=5000] - Max distance in meters (default 5km)
- * 
- * @returns {Object} 200 - List of matching trips
+ * @param {number} [req.query.maxDistance=5000] - Max distance from the route in meters (default 5km)
+ * @param {string} [req.query.departAfter] - ISO timestamp, earliest departure
+ * @param {string} [req.query.departBefore] - ISO timestamp, latest departure
+ * @param {string} [req.query.fuelType] - Filter by fuel type (one of FUEL_TYPES)
+ * @param {number} [req.query.seatsNeeded=1] - Minimum available seats
+ * @param {string} [req.query.organizationId] - Only trips from this organization
+ * @param {string} [req.query.includeFull] - "true" to include full trips (for joining a waitlist)
+ * @param {string} [req.query.cursor] - nextCursor from the previous page
+ * @param {number} [req.query.limit=20] - Page size (max 50)
+ * 
+ * @returns {Object} 200 - One page of matching trips, best match first
  * @returns {Object} 400 - Missing required parameters or search error
  * 
  * @example
@@ -399,8 +426,8 @@ export const createTrip = async (req, res) => {
  * GET /api/trips/search?source=Downtown&destination=Airport&sourceLat=40.7128&sourceLng=-74.0060&destLat=40.6413&destLng=-73.7781&maxDistance=3000
  * Authorization: Bearer <jwt_token>
  * 
- * // Text-based search
- * GET /api/trips/search?source=Downtown&destination=Airport&vehicleType=CAR
+ * // Text-based search, leaving between 8:15 and 8:45
+ * GET /api/trips/search?source=Downtown&destination=Airport&vehicleType=CAR&departAfter=2026-02-13T08:15:00Z&departBefore=2026-02-13T08:45:00Z
  * Authorization: Bearer <jwt_token>
  * 
  * // Response
@@ -410,40 +437,66 @@ export const createTrip = async (req, res) => {
  *   "trips": [
  *     {
  *       "_id": "...",
- *       "driverId": { "name": "Jane Smith", "email": "..." },
+ *       "driverId": {
+ *         "name": "Jane Smith", "email": "...",
+ *         "ratings": { "asDriver": { "average": 4.6, "count": 38 } }
+ *       },
  *       "source": "Downtown Office",
  *       "destination": "Airport Terminal 2",
  *       "scheduledTime": "2026-02-13T09:00:00.000Z",
  *       "vehicleType": "CAR",
  *       "availableSeats": 3,
  *       "estimatedCost": 90,
- *       "sourceDistance": 850.5,
+ *       "pickupProjection": { "lat": 40.7101, "lng": -74.0012 },
+ *       "dropoffProjection": { "lat": 40.6450, "lng": -73.7850 },
+ *       "pickupDistance": 420,
+ *       "dropoffDistance": 610,
+ *       "detourKm": 1.12,
+ *       "detourMinutes": 1.7,
+ *       "relevanceScore": 87.4,
  *       ...
  *     },
  *     ...
- *   ]
+ *   ],
+ *   "nextCursor": "eyJzY29yZSI6ODcuNCwidGltZSI6MTc...",
+ *   "hasMore": true,
+ *   "truncated": false
  * }
  * 
  * @businessLogic
- * - Returns only SCHEDULED trips with availableSeats > 0
- * - Geospatial mode: uses MongoDB $geoNear aggregation
- * - Finds trips with source within maxDistance of search source
- * - Finds trips with destination within maxDistance of search destination
+ * - Returns only future SCHEDULED trips with availableSeats >= seatsNeeded
+ *   (includeFull=true drops the seat filter so passengers can find trips to waitlist on)
+ * - Optional filters: departure window, vehicleType, fuelType, organizationId
+ * - Geospatial mode: corridor matching against the trip's route LineString
+ * - Pickup and dropoff must each be within maxDistance of the route
+ * - Dropoff must project further along the route than pickup (same direction)
+ * - Passengers anywhere along the route match, not only near its endpoints
  * - Text mode (fallback): uses regex matching on source and destination
- * - Results sorted by scheduledTime (ascending)
- * - Populates driver info (name, email)
- * - Calculates sourceDistance in meters (geospatial only)
- * 
- * @geospatial Aggregation Pipeline (when coordinates provided):
- * 1. $geoNear: Find trips with source near search source
- * 2. $addFields: Calculate distance to destination
- * 3. $match: Filter by destination proximity
- * 4. $lookup: Join with users collection for driver info
- * 5. $sort: Order by scheduledTime
+ * - Both modes: relevanceScore (0-100) from walking distance, detour and offset from
+ *   the middle of the departure window; components a mode lacks are left out
+ * - Trips are dropped when the passenger's or the trip's same-gender preference does not match
+ *   (genderPreference.service); no gender is returned
+ * - Trips are dropped when the driver or a passenger on board has a block with the searcher,
+ *   either way (services/block.service)
+ * - Sorted by relevanceScore desc, then scheduledTime; cursor paginated
+ * - At most MAX_SEARCH_CANDIDATES (200) trips are matched and ranked: the nearest to the
+ *   pickup in geospatial mode, the earliest departures in text mode. truncated=true means
+ *   more trips passed the database filters; narrow the departure window or filters to see them
+ * - Populates driver info (name, email, ratings.asDriver)
+ * 
+ * @geospatial Corridor matching (when coordinates provided):
+ * 1. $geoNear on route (2dsphere): trips whose route passes near the pickup
+ * 2. $lookup: Join with users collection for driver info
+ * 3. tripMatching.service: project pickup/dropoff onto the route, check direction,
+ *    compute the out-and-back detour (detourKm / detourMinutes)
+ * 4. Score, sort and paginate
  */
 export const searchTrips = async (req, res) => {
   try {
-    const { source, destination, vehicleType, sourceLat, sourceLng, destLat, destLng, maxDistance = 5000 } = req.query;
+    const {
+      source, destination, vehicleType, sourceLat, sourceLng, destLat, destLng, maxDistance = 5000,
+      departAfter, departBefore, fuelType, seatsNeeded, organizationId, includeFull, cursor, limit
+    } = req.query;
 
     // Validate required parameters
     if (!source || !destination) {
@@ -453,7 +506,80 @@ export const searchTrips = async (req, res) => {
       });
     }
 
+    // Validate departure window
+    const windowStart = departAfter ? new Date(departAfter) : null;
+    const windowEnd = departBefore ? new Date(departBefore) : null;
+    if ((windowStart && isNaN(windowStart.getTime())) || (windowEnd && isNaN(windowEnd.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'departAfter and departBefore must be valid ISO timestamps'
+      });
+    }
+    if (windowStart && windowEnd && windowStart > windowEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'departAfter must be before departBefore'
+      });
+    }
+
+    if (fuelType && !FUEL_TYPES.includes(fuelType.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid fuel type. Allowed values: ${FUEL_TYPES.join(', ')}`
+      });
+    }
+
+    const seats = seatsNeeded !== undefined ? parseInt(seatsNeeded) : 1;
+    if (isNaN(seats) || seats < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'seatsNeeded must be a positive integer'
+      });
+    }
+
+    if (organizationId && !mongoose.Types.ObjectId.isValid(organizationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid organizationId'
+      });
+    }
+
+    // Filters shared by both search modes
+    const now = new Date();
+    const baseQuery = {
+      status: 'SCHEDULED',
+      scheduledTime: { $gte: windowStart && windowStart > now ? windowStart : now }  // Only future trips
+    };
+    // Full trips are only listed when the passenger is willing to join a waitlist
+    if (includeFull !== 'true') {
+      baseQuery.availableSeats = { $gte: seats };
+    }
+    if (windowEnd) {
+      baseQuery.scheduledTime.$lte = windowEnd;
+    }
+    if (vehicleType) {
+      baseQuery.vehicleType = vehicleType.toUpperCase();
+    }
+    if (fuelType) {
+      baseQuery.fuelType = fuelType.toUpperCase();
+    }
+    if (organizationId) {
+      baseQuery.organizationId = new mongoose.Types.ObjectId(organizationId);
+    }
+
+    // Preferred departure: middle of the window, or whichever bound was given
+    let preferredTime = null;
+    if (windowStart && windowEnd) {
+      preferredTime = new Date((windowStart.getTime() + windowEnd.getTime()) / 2);
+    } else {
+      preferredTime = windowStart || windowEnd;
+    }
+    const timeOffsetMinutes = (trip) => preferredTime
+      ? Math.abs(new Date(trip.scheduledTime) - preferredTime) / 60000
+      : undefined;
+
     let trips;
+    let truncated = false;
 
     // If geolocation coordinates are provided, use geospatial query
     if (sourceLat && sourceLng && destLat && destLng) {
@@ -463,69 +589,24 @@ export const searchTrips = async (req, res) => {
       const destLa = parseFloat(destLat);
       const maxDist = parseInt(maxDistance);
 
-      // Build base query
-      const baseQuery = {
-        status: 'SCHEDULED',
-        availableSeats: { $gt: 0 },
-        scheduledTime: { $gte: new Date() },  // Only future trips
-        'sourceLocation.coordinates.coordinates': { $exists: true, $ne: [0, 0] },
-        'destinationLocation.coordinates.coordinates': { $exists: true, $ne: [0, 0] }
-      };
-
-      // Add vehicle type filter if provided
-      if (vehicleType) {
-        baseQuery.vehicleType = vehicleType.toUpperCase();
-      }
-
-      // Find trips with source and destination within radius
-      // Using aggregation pipeline for better geospatial matching
-      trips = await Trip.aggregate([
+      // Candidate trips: route LineString passes within maxDistance of the pickup
+      const candidates = await Trip.aggregate([
         {
           $geoNear: {
             near: {
               type: 'Point',
               coordinates: [sourceLon, sourceLa]
             },
-            distanceField: 'sourceDistance',
+            distanceField: 'pickupDistance',
             maxDistance: maxDist,
             spherical: true,
-            key: 'sourceLocation.coordinates',
+            key: 'route',
             query: baseQuery
           }
         },
         {
-          $addFields: {
-            destDistance: {
-              $let: {
-                vars: {
-                  destCoords: '$destinationLocation.coordinates.coordinates'
-                },
-                in: {
-                  $sqrt: {
-                    $add: [
-                      {
-                        $pow: [
-                          { $subtract: [{ $arrayElemAt: ['$$destCoords', 0] }, destLon] },
-                          2
-                        ]
-                      },
-                      {
-                        $pow: [
-                          { $subtract: [{ $arrayElemAt: ['$$destCoords', 1] }, destLa] },
-                          2
-                        ]
-                      }
-                    ]
-                  }
-                }
-              }
-            }
-          }
-        },
-        {
-          $match: {
-            destDistance: { $lte: maxDist / 111320 } // Approximate conversion to degrees
-          }
+          // One extra to tell whether the candidate set was cut off
+          $limit: MAX_SEARCH_CANDIDATES + 1
         },
         {
           $lookup: {
@@ -543,7 +624,8 @@ export const searchTrips = async (req, res) => {
             driverId: {
               _id: '$driverInfo._id',
               name: '$driverInfo.name',
-              email: '$driverInfo.email'
+              email: '$driverInfo.email',
+              ratings: { asDriver: '$driverInfo.ratings.asDriver' }
             }
           }
         },
@@ -551,36 +633,77 @@ export const searchTrips = async (req, res) => {
           $project: {
             driverInfo: 0
           }
-        },
-        {
-          $sort: { scheduledTime: 1 }
         }
       ]);
+      truncated = candidates.length > MAX_SEARCH_CANDIDATES;
+
+      // Keep trips whose route also passes the dropoff after the pickup,
+      // then score by walking distance, detour and time offset
+      const pickup = { lat: sourceLa, lng: sourceLon };
+      const dropoff = { lat: destLa, lng: destLon };
+
+      trips = candidates
+        .slice(0, MAX_SEARCH_CANDIDATES)
+        .map(trip => {
+          const match = matchRouteCorridor(trip.route.coordinates, pickup, dropoff, { maxDistanceMeters: maxDist });
+          if (!match) return null;
+          return {
+            ...trip,
+            ...match,
+            relevanceScore: computeRelevanceScore({
+              walkingMeters: match.pickupDistance + match.dropoffDistance,
+              maxWalkingMeters: 2 * maxDist,
+              detourMinutes: match.detourMinutes,
+              timeOffsetMinutes: timeOffsetMinutes(trip)
+            })
+          };
+        })
+        .filter(Boolean);
 
     } else {
       // Fallback to text-based search using regex
       const query = {
-        status: 'SCHEDULED',
-        availableSeats: { $gt: 0 },
-        scheduledTime: { $gte: new Date() },  // Only future trips
+        ...baseQuery,
         source: { $regex: source, $options: 'i' },
         destination: { $regex: destination, $options: 'i' }
       };
 
-      // Add vehicle type filter if provided
-      if (vehicleType) {
-        query.vehicleType = vehicleType.toUpperCase();
-      }
-
-      trips = await Trip.find(query)
-        .populate('driverId', 'name email')
-        .sort({ scheduledTime: 1 });
+      const found = await Trip.find(query)
+        .populate('driverId', 'name email ratings.asDriver')
+        .sort({ scheduledTime: 1 })
+        .limit(MAX_SEARCH_CANDIDATES + 1);
+      truncated = found.length > MAX_SEARCH_CANDIDATES;
+
+      // Text matches carry no distance information - only the time offset is scored
+      trips = found.slice(0, MAX_SEARCH_CANDIDATES).map(trip => ({
+        ...trip.toObject(),
+        relevanceScore: computeRelevanceScore({ timeOffsetMinutes: timeOffsetMinutes(trip) })
+      }));
     }
 
+    // Same-gender preferences (the passenger's and each trip's) and blocked users on
+    // either side - before paging so pages stay full
+    trips = await filterTripsForPassenger(trips, req.user.userId);
+    trips = await filterBlockedTrips(trips, req.user.userId);
+
+    // Rank by relevance (then departure time) and return one page
+    const page = paginateRanked(
+      trips,
+      trip => ({
+        score: trip.relevanceScore,
+        time: new Date(trip.scheduledTime).getTime(),
+        id: trip._id.toString()
+      }),
+      { cursor, limit: parsePageSize(limit) }
+    );
+
     res.status(200).json({
       success: true,
-      count: trips.length,
-      trips: trips
+      count: page.items.length,
+      trips: page.items,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+      truncated
     });
 
   } catch (error) {
@@ -685,91 +808,15 @@ export const getDriverTrips = async (req, res) => {
 /**
  * End Trip
  * 
- * @description Driver ends an in-progress trip and marks it as completed. Only for trips
- * in IN_PROGRESS status.
+ * @description Alias of completeTrip kept for existing clients. Both endpoints share
+ * the same lifecycle checks, ESG computation and status history entry.
  * 
  * @route POST /api/trips/:id/end
  * @access Private (Drivers only - must be the trip owner)
  * 
- * @param {Object} req.user - Decoded JWT payload
- * @param {string} req.user.userId - MongoDB ObjectId of authenticated driver
- * @param {string} req.params.id - MongoDB ObjectId of trip to end
- * 
- * @returns {Object} 200 - Trip ended successfully
- * @returns {Object} 400 - Cannot end (not in IN_PROGRESS status)
- * @returns {Object} 403 - Not authorized (not the trip driver)
- * @returns {Object} 404 - Trip not found
- * 
- * @example
- * // Request
- * POST /api/trips/507f1f77bcf86cd799439011/end
- * Authorization: Bearer <jwt_token>
- * 
- * // Response
- * {
- *   "success": true,
- *   "message": "Trip ended successfully",
- *   "trip": {
- *     "_id": "507f1f77bcf86cd799439011",
- *     "status": "COMPLETED",
- *     "actualEndTime": "2026-02-13T10:30:00.000Z",
- *     ...
- *   }
- * }
- * 
- * @businessLogic
- * - Only trip owner (driver) can end their trip
- * - Trip must be in IN_PROGRESS status
- * - Status transitions: IN_PROGRESS -> COMPLETED
- * - Records actualEndTime timestamp
- * - Similar to completeTrip but requires IN_PROGRESS status
+ * @see completeTrip
  */
-export const endTrip = async (req, res) => {
-  try {
-    const trip = await Trip.findById(req.params.id);
-
-    if (!trip) {
-      return res.status(404).json({
-        success: false,
-        message: 'Trip not found'
-      });
-    }
-
-    // Check if user is the driver of this trip
-    if (trip.driverId.toString() !== req.user.userId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only the trip driver can end this trip'
-      });
-    }
-
-    // Check if trip is in IN_PROGRESS status
-    if (trip.status !== 'IN_PROGRESS') {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot end trip with status ${trip.status}. Trip must be in IN_PROGRESS status`
-      });
-    }
-
-    // Update status to COMPLETED
-    trip.status = 'COMPLETED';
-    trip.actualEndTime = new Date();
-    await trip.save();
-
-    res.status(200).json({
-      success: true,
-      message: 'Trip ended successfully',
-      trip: trip
-    });
-
-  } catch (error) {
-    console.error('End trip error:', error);
-    res.status(400).json({
-      success: false,
-      message: error.message || 'Failed to end trip'
-    });
-  }
-};
+export const endTrip = (req, res) => completeTrip(req, res);
 
 /**
  * Update Driver Location
@@ -786,6 +833,7 @@ export const endTrip = async (req, res) => {
  * @param {Object} req.body - Request body
  * @param {number} req.body.lat - Current latitude
  * @param {number} req.body.lng - Current longitude
+ * @param {number} [req.body.accuracy] - Device-reported accuracy in meters (inaccurate fixes are left out of the trace)
  * 
  * @returns {Object} 200 - Location updated successfully
  * @returns {Object} 400 - Missing coordinates
@@ -817,7 +865,11 @@ export const endTrip = async (req, res) => {
  * - Location stored as GeoJSON Point [lng, lat]
  * - Typically called periodically (e.g., every 5-30 seconds) during active trip
  * - Passengers can track driver location in real-time
- * - Consider emitting Socket.io event for live updates (future enhancement)
+ * - Forwarded to share-link viewers of the trip (services/trackingShare.service)
+ * - Detects arrival at passengers' pickups and drop-offs (services/stopDetection.service)
+ * - Alerts on route deviations and unexpected stops (services/routeMonitor.service)
+ * - Stored in the trip's GPS trace once started (services/tripTrace.service)
+ * - Sends waiting passengers their pickup ETA (services/pickupEta.service)
  * 
  * @geospatial
  * - currentLocation: GeoJSON Point format [lng, lat]
@@ -859,6 +911,18 @@ export const updateDriverLocation = async (req, res) => {
 
     await trip.save();
 
+    forwardLocationToShareViewers(trip)
+      .catch(err => console.error('Shared tracking forward failed:', err.message));
+
+    // Pickups and drop-offs near this position are prompted / auto-confirmed (never throws)
+    detectStopsFromLocation(trip, { lat: parseFloat(lat), lng: parseFloat(lng) });
+    // Route deviation and unexpected stop alerts (never throws)
+    monitorTripLocation(trip, { lat: parseFloat(lat), lng: parseFloat(lng) });
+    // GPS breadcrumb for the driven distance (never throws)
+    recordTracePoint(trip, { lat: parseFloat(lat), lng: parseFloat(lng), accuracy: parseFloat(req.body.accuracy) });
+    // ETA to each waiting passenger's pickup (never throws)
+    notifyPickupEtas(trip, { lat: parseFloat(lat), lng: parseFloat(lng) });
+
     res.status(200).json({
       success: true,
       message: 'Location updated successfully',
@@ -902,7 +966,8 @@ export const updateDriverLocation = async (req, res) => {
  *       "_id": "...",
  *       "name": "Jane Smith",
  *       "email": "jane@example.com",
- *       "phone": "+1234567890"
+ *       "phone": "+1234567890",
+ *       "ratings": { "asDriver": { "average": 4.6, "count": 38 } }
  *     },
  *     "source": "Downtown Office",
  *     "destination": "Airport Terminal 2",
@@ -924,22 +989,34 @@ export const updateDriverLocation = async (req, res) => {
  *         "pickupStatus": "PICKED_UP"
  *       }
  *     ],
+ *     "statusHistory": [
+ *       {
+ *         "from": "SCHEDULED",
+ *         "to": "STARTED",
+ *         "actorId": { "_id": "...", "name": "Jane Smith" },
+ *         "actorType": "DRIVER",
+ *         "reason": null,
+ *         "at": "2026-02-13T09:02:00.000Z"
+ *       }
+ *     ],
  *     ...
  *   }
  * }
  * 
  * @businessLogic
  * - Available to all authenticated users
- * - Populates driver contact information (name, email, phone)
+ * - Populates driver contact information (name, email, phone) and rating as a driver
  * - Populates all ride requests associated with trip
  * - Each ride includes passenger details (name, email, phone)
  * - Shows current seat availability
+ * - Includes statusHistory with the name of whoever made each change
  * - Used for trip detail view and live tracking
  */
 export const getTripById = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id)
-      .populate('driverId', 'name email phone')
+      .populate('driverId', 'name email phone ratings.asDriver')
+      .populate('statusHistory.actorId', 'name')
       .populate({
         path: 'rides',
         populate: {
@@ -981,11 +1058,13 @@ export const getTripById = async (req, res) => {
  * @param {Object} req.user - Decoded JWT payload
  * @param {string} req.user.userId - MongoDB ObjectId of authenticated driver
  * @param {string} req.params.id - MongoDB ObjectId of trip to start
+ * @param {string} [req.body.reason] - Optional note stored in the status history
  * 
  * @returns {Object} 200 - Trip started successfully
  * @returns {Object} 400 - Cannot start (wrong status)
  * @returns {Object} 403 - Not authorized (not the trip driver)
  * @returns {Object} 404 - Trip not found
+ * @returns {Object} 409 - Trip status changed concurrently
  * 
  * @example
  * // Request
@@ -1007,8 +1086,8 @@ export const getTripById = async (req, res) => {
  * @businessLogic
  * - Only trip owner (driver) can start their trip
  * - Can only start SCHEDULED trips
- * - Status transitions: SCHEDULED -> STARTED
- * - Records actualStartTime timestamp
+ * - Status transitions: SCHEDULED -> STARTED (IN_PROGRESS follows on the first pickup)
+ * - Records actualStartTime timestamp and a statusHistory entry
  * - Driver can now update location and mark passengers as picked up
  */
 export const startTrip = async (req, res) => {
@@ -1030,26 +1109,20 @@ export const startTrip = async (req, res) => {
       });
     }
 
-    if (trip.status !== 'SCHEDULED') {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot start trip with status ${trip.status}`
-      });
-    }
-
-    trip.status = 'STARTED';
-    trip.actualStartTime = new Date();
-    await trip.save();
+    const startedTrip = await startTripLifecycle(trip, {
+      actorId: req.user.userId,
+      reason: req.body?.reason
+    });
 
     res.status(200).json({
       success: true,
       message: 'Trip started successfully',
-      trip
+      trip: startedTrip
     });
 
   } catch (error) {
     console.error('Start trip error:', error);
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: error.message || 'Failed to start trip'
     });
@@ -1059,7 +1132,8 @@ export const startTrip = async (req, res) => {
 /**
  * Complete Trip
  * 
- * @description Driver marks trip as completed when journey ends. Records actual end time.
+ * @description Driver marks trip as completed when journey ends. Records actual end time,
+ * fills in the distance if missing and persists the trip's ESG metrics.
  * 
  * @route POST /api/trips/:id/complete
  * @access Private (Drivers only - must be the trip owner)
@@ -1067,11 +1141,13 @@ export const startTrip = async (req, res) => {
  * @param {Object} req.user - Decoded JWT payload
  * @param {string} req.user.userId - MongoDB ObjectId of authenticated driver
  * @param {string} req.params.id - MongoDB ObjectId of trip to complete
+ * @param {string} [req.body.reason] - Optional note stored in the status history
  * 
  * @returns {Object} 200 - Trip completed successfully
- * @returns {Object} 400 - Trip already completed
+ * @returns {Object} 400 - Trip not started, or already completed/cancelled
  * @returns {Object} 403 - Not authorized (not the trip driver)
  * @returns {Object} 404 - Trip not found
+ * @returns {Object} 409 - Trip status changed concurrently
  * 
  * @example
  * // Request
@@ -1092,10 +1168,9 @@ export const startTrip = async (req, res) => {
  * 
  * @businessLogic
  * - Only trip owner (driver) can complete their trip
- * - Can complete from any status except already COMPLETED
- * - Status transitions: SCHEDULED/STARTED/IN_PROGRESS -> COMPLETED
- * - Records actualEndTime timestamp
- * - Marks trip as finished in history
+ * - Status transitions: STARTED/IN_PROGRESS -> COMPLETED
+ * - Records actualEndTime timestamp and a statusHistory entry
+ * - seatsOccupied for ESG metrics is the sum of approved passengers' seats + driver
  * - No further modifications allowed after completion
  */
 export const completeTrip = async (req, res) => {
@@ -1117,72 +1192,20 @@ export const completeTrip = async (req, res) => {
       });
     }
 
-    if (trip.status === 'COMPLETED') {
-      return res.status(400).json({
-        success: false,
-        message: 'Trip is already completed'
-      });
-    }
-
-    trip.status = 'COMPLETED';
-    trip.actualEndTime = new Date();
-
-    // ── Auto-calculate distance if not set ────────────────────────────────────
-    if (!trip.distanceKm && trip.sourceLocation?.coordinates?.coordinates && trip.destinationLocation?.coordinates?.coordinates) {
-      try {
-        const [srcLng, srcLat] = trip.sourceLocation.coordinates.coordinates;
-        const [destLng, destLat] = trip.destinationLocation.coordinates.coordinates;
-        
-        // Haversine formula for distance (in km)
-        const R = 6371; // Earth's radius in km
-        const dLat = (destLat - srcLat) * Math.PI / 180;
-        const dLng = (destLng - srcLng) * Math.PI / 180;
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-                  Math.cos(srcLat * Math.PI / 180) * Math.cos(destLat * Math.PI / 180) *
-                  Math.sin(dLng / 2) * Math.sin(dLng / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        trip.distanceKm = Math.round(R * c * 100) / 100; // Round to 2 decimal places
-        console.log(`[tripController] Auto-calculated distance: ${trip.distanceKm} km`);
-      } catch (distErr) {
-        console.warn('[tripController] Distance calculation failed:', distErr.message);
-      }
-    }
-
-    // ── Epic 3: Compute & persist ESG metrics on completion ──────────────────
-    if (trip.distanceKm && trip.fuelType) {
-      try {
-        // seatsOccupied: total passengers + driver, with a minimum of 1
-        const passengerCount = (trip.totalSeats ?? 1) - (trip.availableSeats ?? 0);
-        const seatsOccupied = Math.max(1, (passengerCount || 0) + 1);
-        const esg = computeAllTripEsgMetrics({
-          distanceKm:   trip.distanceKm,
-          fuelType:     trip.fuelType,
-          co2SavedKg:   trip.co2SavedKg ?? 0,
-          seatsOccupied,
-        });
-        trip.treesEquivalent       = esg.treesEquivalent;
-        trip.soloBaselineCo2Kg     = esg.soloBaselineCo2Kg;
-        trip.carpoolSavingsKg      = esg.carpoolSavingsKg;
-        trip.routeEfficiencyScore  = esg.routeEfficiencyScore;
-        trip.idleEmissionsKg       = esg.idleEmissionsKg;
-        trip.fuelCostSavingsINR    = esg.fuelCostSavingsINR;
-        trip.maintenanceSavingsINR = esg.maintenanceSavingsINR;
-      } catch (esgErr) {
-        console.warn('[tripController] ESG metric computation failed (non-fatal):', esgErr.message);
-      }
-    }
-
-    await trip.save();
+    const completedTrip = await completeTripLifecycle(trip, {
+      actorId: req.user.userId,
+      reason: req.body?.reason
+    });
 
     res.status(200).json({
       success: true,
       message: 'Trip completed successfully',
-      trip
+      trip: completedTrip
     });
 
   } catch (error) {
     console.error('Complete trip error:', error);
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: error.message || 'Failed to complete trip'
     });
@@ -1225,11 +1248,11 @@ export const completeTrip = async (req, res) => {
  * 
  * @businessLogic
  * - Only trip owner (driver) can cancel their trip
- * - Cannot cancel COMPLETED or already CANCELLED trips
- * - Status transitions: SCHEDULED/STARTED/IN_PROGRESS -> CANCELLED
+ * - Only SCHEDULED trips can be cancelled (see services/tripLifecycle.service)
+ * - Status transitions: SCHEDULED -> CANCELLED
  * - Trip removed from search results
- * - Existing ride requests remain but trip unavailable
- * - Consider notifying passengers (future enhancement)
+ * - Approved passengers' seats are released, pending and waitlisted requests are rejected,
+ *   and every affected passenger is notified (services/tripCancellation.service)
  */
 export const cancelTrip = async (req, res) => {
   try {
@@ -1250,82 +1273,105 @@ export const cancelTrip = async (req, res) => {
       });
     }
 
-    if (trip.status === 'COMPLETED' || trip.status === 'CANCELLED') {
+    if (!canTransition(trip.status, 'CANCELLED')) {
       return res.status(400).json({
         success: false,
-        message: `Cannot cancel a trip that is already ${trip.status.toLowerCase()}`
+        message: describeInvalidTransition(trip.status, 'CANCELLED')
       });
     }
 
-    // Block cancellation once the trip has started
-    if (trip.status === 'STARTED' || trip.status === 'IN_PROGRESS') {
+    const { affectedRides } = await cancelTripAndNotify(trip, {
+      cancelledBy: 'driver',
+      actorId: req.user.userId,
+      reason: req.body?.reason
+    });
+
+    const updatedTrip = await Trip.findById(trip._id).populate('driverId', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip cancelled successfully',
+      trip: updatedTrip,
+      passengersNotified: affectedRides.length
+    });
+
+  } catch (error) {
+    console.error('Cancel trip error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cancel trip'
+    });
+  }
+};
+
+/**
+ * Update Waitlist Settings
+ * 
+ * @description Driver opts in or out of auto-approving passengers promoted from the
+ * trip's waitlist. When off, promoted passengers land in PENDING for manual review.
+ * 
+ * @route PATCH /api/trips/:id/waitlist-settings
+ * @access Private (Drivers only - trip owner)
+ * 
+ * @param {string} req.params.id - MongoDB ObjectId of trip
+ * @param {boolean} req.body.autoApproveWaitlist - New setting
+ * 
+ * @returns {Object} 200 - { success, trip: { _id, autoApproveWaitlist } }
+ * @returns {Object} 400 - Missing/invalid setting or trip no longer scheduled
+ * @returns {Object} 403 - Not the trip driver
+ * @returns {Object} 404 - Trip not found
+ */
+export const updateWaitlistSettings = async (req, res) => {
+  try {
+    const { autoApproveWaitlist } = req.body;
+
+    if (typeof autoApproveWaitlist !== 'boolean') {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel a trip that has already started'
+        message: 'autoApproveWaitlist must be true or false'
       });
     }
 
-    // Find all affected ride requests (APPROVED and PENDING)
-    const affectedRides = await RideRequest.find({
-      tripId: trip._id,
-      status: { $in: ['APPROVED', 'PENDING'] }
-    }).populate('passengerId', 'name email');
-
-    // Restore available seats atomically for APPROVED rides
-    const approvedRidesCount = affectedRides.filter(r => r.status === 'APPROVED').length;
-    if (approvedRidesCount > 0) {
-      await Trip.findByIdAndUpdate(trip._id, {
-        $inc: { availableSeats: approvedRidesCount }
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
       });
     }
 
-    // Auto-reject any pending requests since the trip is gone
-    await RideRequest.updateMany(
-      { tripId: trip._id, status: 'PENDING' },
-      { $set: { status: 'REJECTED' } }
-    );
-
-    // Mark trip as cancelled
-    trip.status = 'CANCELLED';
-    await trip.save();
+    if (trip.driverId.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the driver can change waitlist settings'
+      });
+    }
 
-    // Notify every affected passenger in real-time
-    try {
-      const io = getIO();
-      for (const ride of affectedRides) {
-        io.to(`user-${ride.passengerId._id.toString()}`).emit('trip-cancelled', {
-          tripId: trip._id.toString(),
-          rideId: ride._id.toString(),
-          message: `Your requested trip from ${trip.source} to ${trip.destination} has been cancelled by the driver`,
-          cancelledBy: 'driver',
-          timestamp: new Date()
-        });
-      }
-      // Also broadcast a general trip status update
-      io.emit('trip-seats-updated', {
-        tripId: trip._id.toString(),
-        availableSeats: trip.totalSeats,
-        status: 'CANCELLED',
-        timestamp: new Date()
+    if (trip.status !== 'SCHEDULED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Waitlist settings can only be changed before the trip starts'
       });
-    } catch (socketError) {
-      console.error('Socket.io emit error in cancelTrip:', socketError);
     }
 
-    const updatedTrip = await Trip.findById(trip._id).populate('driverId', 'name email');
+    trip.autoApproveWaitlist = autoApproveWaitlist;
+    await trip.save();
 
     res.status(200).json({
       success: true,
-      message: 'Trip cancelled successfully',
-      trip: updatedTrip,
-      passengersNotified: affectedRides.length
+      message: 'Waitlist settings updated',
+      trip: {
+        _id: trip._id,
+        autoApproveWaitlist: trip.autoApproveWaitlist
+      }
     });
 
   } catch (error) {
-    console.error('Cancel trip error:', error);
+    console.error('Update waitlist settings error:', error);
     res.status(400).json({
       success: false,
-      message: error.message || 'Failed to cancel trip'
+      message: error.message || 'Failed to update waitlist settings'
     });
   }
 };
@@ -1385,7 +1431,10 @@ export const getAllOrgTrips = async (req, res) => {
  * @param {Object} req.user - Decoded JWT payload
  * @param {string} req.user.userId - MongoDB ObjectId of authenticated user
  * 
- * @returns {Object} 200 - Trip summary data
+ * @returns {Object} 200 - Trip summary data; `idle` (total minutes, idle emissions and
+ * minutes by location) and `routeEfficiency` (score, directKm, plannedKm, actualKm and
+ * each stop's detourKm) are null until the trip completes. Each of `route.waypoints` has
+ * a stopType (PICKUP or DROPOFF) and the passenger it is for
  * @returns {Object} 403 - User not authorized to view this trip
  * @returns {Object} 404 - Trip not found
  */
@@ -1444,6 +1493,7 @@ export const getTripSummary = async (req, res) => {
     const approvedRides = rideRequests.filter(ride => ride.status === 'APPROVED');
     const pickedUpCount = approvedRides.filter(ride => ride.pickupStatus === 'PICKED_UP' || ride.pickupStatus === 'DROPPED_OFF').length;
     const droppedOffCount = approvedRides.filter(ride => ride.pickupStatus === 'DROPPED_OFF').length;
+    const noShows = approvedRides.filter(ride => ride.pickupStatus === 'NO_SHOW');
 
     // Build passenger list
     const passengerList = approvedRides.map(ride => ({
@@ -1452,11 +1502,19 @@ export const getTripSummary = async (req, res) => {
       email: ride.passengerId.email,
       phoneNumber: ride.passengerId.phoneNumber,
       pickupAddress: ride.passengerId.pickupLocation?.address || 'Not specified',
+      seatsRequested: seatsOf(ride),
       pickupStatus: ride.pickupStatus,
       pickedUpAt: ride.pickedUpAt,
       droppedOffAt: ride.droppedOffAt,
-      requestedAt: ride.createdAt
+      requestedAt: ride.createdAt,
+      fare: {
+        quoted: ride.fare?.quotedINR ?? null,
+        final: ride.fare?.finalINR ?? null
+      }
     }));
+    const sumFares = (key) => Math.round(
+      approvedRides.reduce((sum, ride) => sum + (ride.fare?.[key] || 0), 0) * 100
+    ) / 100;
 
     // Extract route coordinates for distance calculation
     let estimatedDistance = null;
@@ -1491,7 +1549,21 @@ export const getTripSummary = async (req, res) => {
         destination: trip.destination,
         sourceAddress: trip.sourceLocation?.address || trip.source,
         destinationAddress: trip.destinationLocation?.address || trip.destination,
-        estimatedDistance: estimatedDistance ? `${estimatedDistance} km` : 'Not available'
+        estimatedDistance: estimatedDistance ? `${estimatedDistance} km` : 'Not available',
+        waypoints: trip.waypoints?.map(wp => ({
+          address: wp.address,
+          order: wp.order,
+          stopType: wp.stopType || null,
+          passengerId: wp.passengerId || null,
+          passengerName: wp.passengerName || null,
+          coordinates: wp.coordinates?.coordinates ? {
+            lat: wp.coordinates.coordinates[1],
+            lng: wp.coordinates.coordinates[0]
+          } : null
+        })) || [],
+        isOptimized: trip.isOptimized || false,
+        // method and savings from the pickup/dropoff planner
+        routeMetadata: trip.routeMetadata || null
       },
       timing: {
         scheduledTime: trip.scheduledTime,
@@ -1506,17 +1578,32 @@ export const getTripSummary = async (req, res) => {
         total: approvedRides.length,
         pickedUp: pickedUpCount,
         droppedOff: droppedOffCount,
+        noShow: noShows.length,
         list: passengerList
       },
       vehicle: {
         type: trip.vehicleType,
         totalSeats: trip.totalSeats,
-        seatsOccupied: approvedRides.length
+        seatsOccupied: sumSeats(approvedRides) - sumSeats(noShows)
       },
       cost: {
         estimated: trip.estimatedCost,
+        totalQuoted: sumFares('quotedINR'),
+        // null until the trip completes and fares are finalised
+        totalFinal: trip.status === 'COMPLETED' ? sumFares('finalINR') : null,
         currency: 'INR'
       },
+      // null until the trip completes and idle time is measured from its GPS trace
+      idle: trip.idleMinutes === null || trip.idleMinutes === undefined ? null : {
+        totalMinutes: trip.idleMinutes,
+        emissionsKg: trip.idleEmissionsKg ?? null,
+        byLocation: summarizeIdleByLocation(trip.idlePeriods)
+      },
+      // null until the trip completes
+      routeEfficiency: trip.routeEfficiency?.directKm ? {
+        score: trip.routeEfficiencyScore,
+        ...trip.routeEfficiency
+      } : null,
       createdAt: trip.createdAt,
       updatedAt: trip.updatedAt
     };
@@ -1538,8 +1625,11 @@ export const getTripSummary = async (req, res) => {
 /**
  * Get Optimized Route Preview
  * 
- * @description Get optimized route with passenger pickup locations for driver to preview
- * before starting the trip. Only available for trips with approved passengers and optimized routes.
+ * @description Get optimized route with passenger pickup and dropoff locations for driver to
+ * preview before starting the trip. The approved passengers' stops are planned on each call
+ * (services/routePlanner.service), each dropoff after its pickup, with the distance saved
+ * versus the nearest-neighbour order. Trips without passengers show their stored optimized
+ * waypoints, if any.
  * 
  * @route GET /api/trips/:id/route-preview
  * @access Private (Driver only - must be the trip owner)
@@ -1573,8 +1663,11 @@ export const getOptimizedRoutePreview = async (req, res) => {
       });
     }
 
+    // Plan the approved passengers' pickups and dropoffs now, so the preview is current
+    const plan = await planTripRoute(trip);
+
     // Check if route is optimized
-    if (!trip.isOptimized || !trip.waypoints || trip.waypoints.length === 0) {
+    if (!plan && (!trip.isOptimized || !trip.waypoints || trip.waypoints.length === 0)) {
       return res.status(400).json({
         success: false,
         message: 'No optimized route available. Route will be optimized when passengers are approved.'
@@ -1585,11 +1678,13 @@ export const getOptimizedRoutePreview = async (req, res) => {
     res.status(200).json({
       success: true,
       route: {
-        isOptimized: trip.isOptimized,
-        waypoints: trip.waypoints,
-        totalDistance: trip.routeMetadata?.totalDistance || 0,
-        estimatedDuration: trip.routeMetadata?.estimatedDuration || 0,
-        passengersCount: trip.waypoints.length,
+        isOptimized: true,
+        waypoints: plan ? plan.waypoints : trip.waypoints,
+        totalDistance: (plan ? plan.totalDistance : trip.routeMetadata?.totalDistance) || 0,
+        estimatedDuration: (plan ? plan.estimatedDuration : trip.routeMetadata?.estimatedDuration) || 0,
+        passengersCount: plan ? plan.passengersCount : trip.waypoints.length,
+        method: plan?.method || trip.routeMetadata?.method || null,
+        savings: plan?.savings || trip.routeMetadata?.savings || null,
         optimizedAt: trip.routeMetadata?.optimizationApplied || null,
         source: {
           address: trip.sourceLocation?.address || trip.source,
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Trip Controller Validation Tests
+ * @description Request validation for trip search filters (departure window, fuel type,
+ * seats, organization) and waitlist settings. All cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-trip-validation-tests';
+
+const makeToken = () =>
+  jwt.sign(
+    { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE', isDriver: false },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+const search = (query) =>
+  request(app)
+    .get('/api/trips/search')
+    .query({ source: 'Downtown', destination: 'Airport', ...query })
+    .set('Authorization', `Bearer ${makeToken()}`);
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Trip Search - Validation (GET /api/trips/search)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/trips/search?source=A&destination=B');
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 when source or destination is missing', async () => {
+    const res = await request(app)
+      .get('/api/trips/search?source=Downtown')
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for an invalid departAfter timestamp', async () => {
+    const res = await search({ departAfter: 'not-a-date' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/departAfter/);
+  });
+
+  it('should return 400 when departAfter is after departBefore', async () => {
+    const res = await search({
+      departAfter: '2026-02-13T08:45:00Z',
+      departBefore: '2026-02-13T08:15:00Z'
+    });
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for an unknown fuel type', async () => {
+    const res = await search({ fuelType: 'COAL' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/fuel type/i);
+  });
+
+  it('should return 400 for a non-positive seatsNeeded', async () => {
+    const res = await search({ seatsNeeded: '0' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for a malformed organizationId', async () => {
+    const res = await search({ organizationId: 'abc' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Waitlist Settings - Validation (PATCH /api/trips/:id/waitlist-settings)', () => {
+  const makeDriverToken = () =>
+    jwt.sign(
+      { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE', isDriver: true },
+      TEST_JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+  it('should return 403 for a non-driver', async () => {
+    const res = await request(app)
+      .patch('/api/trips/507f1f77bcf86cd799439012/waitlist-settings')
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send({ autoApproveWaitlist: true });
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 when autoApproveWaitlist is not a boolean', async () => {
+    const res = await request(app)
+      .patch('/api/trips/507f1f77bcf86cd799439012/waitlist-settings')
+      .set('Authorization', `Bearer ${makeDriverToken()}`)
+      .send({ autoApproveWaitlist: 'yes' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Same-Gender Trips - Validation (POST /api/trips)', () => {
+  const makeDriverToken = () =>
+    jwt.sign(
+      { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE', isDriver: true },
+      TEST_JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+  it('should return 400 when sameGenderOnly is not a boolean', async () => {
+    const res = await request(app)
+      .post('/api/trips')
+      .set('Authorization', `Bearer ${makeDriverToken()}`)
+      .send({
+        vehicleId: '65f0c1a2b3c4d5e6f7a8b9c0',
+        totalSeats: 3,
+        scheduledTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        source: 'Downtown Office',
+        destination: 'Airport Terminal 2',
+        sameGenderOnly: 'yes'
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.some(e => e.includes('sameGenderOnly'))).toBe(true);
+  });
+});
@@ -0,0 +1,29 @@
+import { getTripTraceGeoJson } from '../services/tripTrace.service.js';
+
+/**
+ * @fileoverview Org Admin — Trip Trace Controller
+ * @description ORG_ADMIN only. The GPS trace recorded for one of the organization's trips
+ * (services/tripTrace.service.js), for reviewing the route actually driven.
+ * @module controllers/tripTraceAdmin.controller
+ */
+
+/**
+ * GET /org-admin/trips/:id/trace
+ * The trace as a GeoJSON Feature: a LineString of [lng, lat] points in time order, with
+ * pointCount, distanceKm, startedAt, endedAt and per-point timestamps in properties.
+ */
+export const getTripTrace = async (req, res) => {
+    try {
+        const trace = await getTripTraceGeoJson({
+            tripId: req.params.id,
+            organizationId: req.user.organizationId,
+        });
+        res.status(200).json({ success: true, data: trace });
+    } catch (err) {
+        if (err.status && err.status < 500) {
+            return res.status(err.status).json({ success: false, message: err.message });
+        }
+        console.error('getTripTrace error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch trip trace' });
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Trip Trace Admin Controller Tests
+ * @description Auth guards and id validation for GET /org-admin/trips/:id/trace.
+ * All cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-trip-trace-tests';
+
+const makeToken = (payload) =>
+  jwt.sign(
+    {
+      userId: '507f1f77bcf86cd799439011',
+      organizationId: '507f1f77bcf86cd799439022',
+      role: 'ORG_ADMIN',
+      ...payload
+    },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Trip Trace (GET /org-admin/trips/:id/trace)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/org-admin/trips/507f1f77bcf86cd799439033/trace');
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 403 for an employee', async () => {
+    const res = await request(app)
+      .get('/org-admin/trips/507f1f77bcf86cd799439033/trace')
+      .set('Authorization', `Bearer ${makeToken({ role: 'EMPLOYEE' })}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for an invalid trip id', async () => {
+    const res = await request(app)
+      .get('/org-admin/trips/not-an-id/trace')
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Invalid trip id/);
+  });
+});
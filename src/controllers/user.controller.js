@@ -1,9 +1,12 @@
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import Trip from "../models/Trip.js";
 import RideRequest from "../models/RideRequest.js";
 import PointLedger from "../models/PointLedger.js";
 import Redemption from "../models/Redemption.js";
 import UserPoints from "../models/UserPoints.js";
+import { canUseSameGenderPreference } from "../services/genderPreference.service.js";
+import { blockUser, unblockUser, listBlockedUsers } from "../services/block.service.js";
 
 /**
  * @fileoverview User Profile Management Controller
@@ -91,6 +94,7 @@ export const getMyProfile = async (req, res) => {
  * @param {string} req.body.workAddress - Work/office address
  * @param {string} [req.body.emergencyContactName] - Emergency contact name (optional)
  * @param {string} [req.body.emergencyContactPhone] - Emergency contact phone (optional)
+ * @param {string} [req.body.emergencyContactEmail] - Emergency contact email, used for SOS alerts (optional)
  * 
  * @returns {Object} 200 - Profile completed successfully
  * @returns {Object} 400 - Missing required fields or profile already completed
@@ -108,7 +112,8 @@ export const getMyProfile = async (req, res) => {
  *   "homeAddress": "123 Main St, City, State 12345",
  *   "workAddress": "456 Office Blvd, City, State 12345",
  *   "emergencyContactName": "Jane Doe",
- *   "emergencyContactPhone": "+1234567890"
+ *   "emergencyContactPhone": "+1234567890",
+ *   "emergencyContactEmail": "jane.doe@example.com"
  * }
  * 
  * // Response
@@ -134,6 +139,7 @@ export const completeProfile = async (req, res) => {
       workAddress,
       emergencyContactName,
       emergencyContactPhone,
+      emergencyContactEmail,
     } = req.body;
 
     // Required fields (emergency contact optional)
@@ -161,10 +167,11 @@ export const completeProfile = async (req, res) => {
     user.workAddress = workAddress;
 
     // Emergency contact (optional)
-    if (emergencyContactName || emergencyContactPhone) {
+    if (emergencyContactName || emergencyContactPhone || emergencyContactEmail) {
       user.emergencyContact = {
         name: emergencyContactName || "",
         phone: emergencyContactPhone || "",
+        email: emergencyContactEmail || undefined,
       };
     }
 
@@ -175,11 +182,161 @@ export const completeProfile = async (req, res) => {
       message: "Profile completed successfully",
     });
   } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("Complete profile error:", err);
     res.status(500).json({ message: "Profile completion failed" });
   }
 };
 
+/**
+ * Update Ride Preferences
+ * 
+ * @description Sets the user's matching preferences. With sameGenderOnly on, trip search
+ * only shows trips whose driver has the same gender and ride requests to other trips are
+ * refused. Drivers' new trips default to the same setting. Body is validated by
+ * schemas.updateRidePreferences.
+ * 
+ * @route PATCH /api/users/me/ride-preferences
+ * @access Private (Authenticated users)
+ * 
+ * @param {boolean} req.body.sameGenderOnly - Only ride with people of the same gender
+ * 
+ * @returns {Object} 200 - { message, ridePreferences }
+ * @returns {Object} 400 - Turning it on without MALE, FEMALE or OTHER as the profile gender
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 500 - Internal server error
+ * 
+ * @example
+ * // Request
+ * PATCH /api/users/me/ride-preferences
+ * Authorization: Bearer <jwt_token>
+ * { "sameGenderOnly": true }
+ * 
+ * // Response
+ * {
+ *   "message": "Ride preferences updated",
+ *   "ridePreferences": { "sameGenderOnly": true }
+ * }
+ * 
+ * @privacy
+ * - The preference and gender are only returned to the user themselves (GET /api/users/me)
+ * - Matching compares genders on the server; no response reveals another user's gender
+ */
+export const updateRidePreferences = async (req, res) => {
+  try {
+    const { sameGenderOnly } = req.body;
+
+    const user = await User.findById(req.user.userId).select("gender ridePreferences");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (sameGenderOnly && !canUseSameGenderPreference(user.gender)) {
+      return res.status(400).json({
+        message: "Set your gender on your profile to use same-gender rides",
+      });
+    }
+
+    user.set("ridePreferences.sameGenderOnly", sameGenderOnly);
+    await user.save();
+
+    res.json({
+      message: "Ride preferences updated",
+      ridePreferences: { sameGenderOnly: user.ridePreferences.sameGenderOnly },
+    });
+  } catch (err) {
+    console.error("Update ride preferences error:", err);
+    res.status(500).json({ message: "Failed to update ride preferences" });
+  }
+};
+
+/**
+ * Block a Colleague
+ * 
+ * @description Stops the user being matched with a colleague in the same organization,
+ * in both directions: neither sees the other's trips, neither can book next to the other
+ * and they are left out of each other's commute partners and leaderboards. The blocked
+ * user is not told. Body is validated by schemas.blockUser.
+ * 
+ * @route POST /api/users/blocks
+ * @access Private (Authenticated users)
+ * 
+ * @param {string} req.body.userId - MongoDB ObjectId of the colleague to block
+ * 
+ * @returns {Object} 201 - { message, block: { userId, name, blockedAt } }
+ * @returns {Object} 400 - Blocking yourself
+ * @returns {Object} 404 - No such user in the organization
+ * @returns {Object} 500 - Internal server error
+ */
+export const blockColleague = async (req, res) => {
+  try {
+    const block = await blockUser({ blockerId: req.user.userId, blockedId: req.body.userId });
+
+    res.status(201).json({
+      message: "User blocked",
+      block: {
+        userId: block.blockedId?._id ?? block.blockedId,
+        name: block.blockedId?.name,
+        blockedAt: block.createdAt,
+      },
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("Block user error:", err);
+    res.status(500).json({ message: "Failed to block user" });
+  }
+};
+
+/**
+ * Unblock a Colleague
+ * 
+ * @route DELETE /api/users/blocks/:userId
+ * @access Private (Authenticated users)
+ * 
+ * @returns {Object} 200 - { message }
+ * @returns {Object} 400 - Invalid user id
+ * @returns {Object} 404 - The user has not blocked them
+ * @returns {Object} 500 - Internal server error
+ */
+export const unblockColleague = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    await unblockUser({ blockerId: req.user.userId, blockedId: req.params.userId });
+    res.json({ message: "User unblocked" });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("Unblock user error:", err);
+    res.status(500).json({ message: "Failed to unblock user" });
+  }
+};
+
+/**
+ * List Blocked Colleagues
+ * 
+ * @description Colleagues the user has blocked, newest first. Blocks others placed on the
+ * user are never listed.
+ * 
+ * @route GET /api/users/blocks
+ * @access Private (Authenticated users)
+ * 
+ * @returns {Object} 200 - { blocks: [{ userId, name, blockedAt }] }
+ * @returns {Object} 500 - Internal server error
+ */
+export const listBlockedColleagues = async (req, res) => {
+  try {
+    const blocks = await listBlockedUsers(req.user.userId);
+    res.json({ blocks });
+  } catch (err) {
+    console.error("List blocked users error:", err);
+    res.status(500).json({ message: "Failed to fetch blocked users" });
+  }
+};
+
 /**
  * Request Driver Access
  * 
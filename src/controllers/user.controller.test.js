@@ -0,0 +1,90 @@
+/**
+ * @fileoverview User Controller Tests
+ * @description Request validation for ride preferences and blocking colleagues. All cases
+ * are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-user-controller-tests';
+
+const makeToken = () =>
+  jwt.sign(
+    { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE', isDriver: false },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Ride Preferences - Validation (PATCH /api/users/me/ride-preferences)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app)
+      .patch('/api/users/me/ride-preferences')
+      .send({ sameGenderOnly: true });
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 when sameGenderOnly is missing', async () => {
+    const res = await request(app)
+      .patch('/api/users/me/ride-preferences')
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send({});
+    expect(res.status).toBe(400);
+    expect(res.body.errors.some(e => e.includes('sameGenderOnly'))).toBe(true);
+  });
+
+  it('should return 400 when sameGenderOnly is not a boolean', async () => {
+    const res = await request(app)
+      .patch('/api/users/me/ride-preferences')
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send({ sameGenderOnly: 'true' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Blocking - Validation (/api/users/blocks)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/users/blocks');
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 when userId is missing', async () => {
+    const res = await request(app)
+      .post('/api/users/blocks')
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send({});
+    expect(res.status).toBe(400);
+    expect(res.body.errors.some(e => e.includes('userId'))).toBe(true);
+  });
+
+  it('should return 400 when userId is not an ObjectId', async () => {
+    const res = await request(app)
+      .post('/api/users/blocks')
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send({ userId: 'someone' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 when unblocking an invalid user id', async () => {
+    const res = await request(app)
+      .delete('/api/users/blocks/someone')
+      .set('Authorization', `Bearer ${makeToken()}`);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid user id');
+  });
+});
@@ -0,0 +1,154 @@
+import Vehicle from '../models/Vehicle.js';
+import { normalizeRegistrationNumber } from '../services/vehicle.service.js';
+
+/**
+ * @fileoverview Vehicle Controller
+ * @description Drivers register the vehicles they drive. A vehicle starts PENDING and can
+ * be used for trips once an org admin verifies it (see adminDriver.controller.js).
+ * @module controllers/vehicle.controller
+ */
+
+/**
+ * Register Vehicle
+ *
+ * @description Driver adds a vehicle with its registration certificate. The RC is either
+ * uploaded as multipart field 'rc' or passed as a link in rcDocumentUrl.
+ *
+ * @route POST /api/vehicles
+ * @access Private (Drivers only)
+ *
+ * @param {Object} req.body
+ * @param {string} req.body.registrationNumber - Plate number (spaces and dashes are ignored)
+ * @param {string} req.body.make
+ * @param {string} req.body.model
+ * @param {string} [req.body.colour]
+ * @param {string} req.body.vehicleType - CAR or BIKE
+ * @param {string} req.body.fuelType - One of FUEL_TYPES
+ * @param {number} req.body.seatCapacity - Passenger seats (CAR: 1-7, BIKE: 1)
+ * @param {string} [req.body.rcDocumentUrl] - RC link, when no file is uploaded
+ *
+ * @returns {Object} 201 - { success, vehicle } (status PENDING)
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 409 - Registration number already registered
+ *
+ * @example
+ * POST /api/vehicles
+ * {
+ *   "registrationNumber": "KA 01 AB 1234", "make": "Tata", "model": "Nexon EV",
+ *   "colour": "White", "vehicleType": "CAR", "fuelType": "ELECTRIC", "seatCapacity": 4,
+ *   "rcDocumentUrl": "https://files.example.com/rc/ka01ab1234.pdf"
+ * }
+ */
+export const registerVehicle = async (req, res) => {
+  try {
+    const { registrationNumber, make, model, colour, vehicleType, fuelType, seatCapacity, rcDocumentUrl } = req.body;
+
+    const rcDocument = req.file?.path || rcDocumentUrl;
+    if (!rcDocument) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration certificate is required: upload rc or provide rcDocumentUrl'
+      });
+    }
+
+    const normalized = normalizeRegistrationNumber(registrationNumber);
+    if (await Vehicle.exists({ registrationNumber: normalized })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A vehicle with this registration number is already registered'
+      });
+    }
+
+    const vehicle = await Vehicle.create({
+      driverId: req.user.userId,
+      organizationId: req.user.organizationId || null,
+      registrationNumber: normalized,
+      make,
+      model,
+      colour,
+      vehicleType,
+      fuelType,
+      seatCapacity: Number(seatCapacity),
+      rcDocument
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle registered. It can be used for trips once your organization admin verifies it.',
+      vehicle
+    });
+  } catch (error) {
+    console.error('Register vehicle error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to register vehicle'
+    });
+  }
+};
+
+/**
+ * Get My Vehicles
+ *
+ * @route GET /api/vehicles
+ * @access Private (Drivers only)
+ *
+ * @returns {Object} 200 - { success, count, vehicles } (removed vehicles excluded)
+ */
+export const getMyVehicles = async (req, res) => {
+  try {
+    const vehicles = await Vehicle.find({ driverId: req.user.userId, isActive: true })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: vehicles.length,
+      vehicles
+    });
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch vehicles'
+    });
+  }
+};
+
+/**
+ * Remove Vehicle
+ *
+ * @description Marks the vehicle inactive so it can no longer be picked for new trips.
+ * Trips and series already using it keep their reference.
+ *
+ * @route DELETE /api/vehicles/:id
+ * @access Private (Driver - vehicle owner only)
+ *
+ * @returns {Object} 200 - Vehicle removed
+ * @returns {Object} 404 - Vehicle not found
+ */
+export const removeVehicle = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findOneAndUpdate(
+      { _id: req.params.id, driverId: req.user.userId, isActive: true },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle removed'
+    });
+  } catch (error) {
+    console.error('Remove vehicle error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to remove vehicle'
+    });
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Vehicle Controller Tests
+ * @description Auth guards and request validation for vehicle registration and the org
+ * admin vehicle review endpoints. All cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-vehicle-tests';
+
+const makeToken = (payload) =>
+  jwt.sign(
+    { userId: '507f1f77bcf86cd799439011', role: 'EMPLOYEE', ...payload },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+const vehicleBody = () => ({
+  registrationNumber: 'KA 01 AB 1234',
+  make: 'Tata',
+  model: 'Nexon EV',
+  vehicleType: 'CAR',
+  fuelType: 'ELECTRIC',
+  seatCapacity: 4
+});
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Register Vehicle (POST /api/vehicles)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post('/api/vehicles').send(vehicleBody());
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 403 for a non-driver', async () => {
+    const res = await request(app)
+      .post('/api/vehicles')
+      .set('Authorization', `Bearer ${makeToken({ isDriver: false })}`)
+      .send(vehicleBody());
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 when no registration certificate is given', async () => {
+    const res = await request(app)
+      .post('/api/vehicles')
+      .set('Authorization', `Bearer ${makeToken({ isDriver: true })}`)
+      .send(vehicleBody());
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/registration certificate/i);
+  });
+});
+
+describe('Vehicle Review (/org-admin/vehicle-requests)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/org-admin/vehicle-requests');
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 403 for a driver listing requests', async () => {
+    const res = await request(app)
+      .get('/org-admin/vehicle-requests')
+      .set('Authorization', `Bearer ${makeToken({ isDriver: true })}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 403 for a driver verifying a vehicle', async () => {
+    const res = await request(app)
+      .post('/org-admin/vehicle-requests/507f1f77bcf86cd799439012/verify')
+      .set('Authorization', `Bearer ${makeToken({ isDriver: true })}`);
+    expect(res.status).toBe(403);
+  });
+});
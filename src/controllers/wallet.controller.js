@@ -0,0 +1,134 @@
+import Wallet from '../models/Wallet.js';
+import WalletLedger from '../models/WalletLedger.js';
+import SettlementStatement from '../models/SettlementStatement.js';
+import { topUpWallet } from '../services/wallet.service.js';
+
+/**
+ * @fileoverview Wallet Controller
+ * @description User-facing commute wallet endpoints: balance, history, top-up and
+ * settlement statements. Ride charges are posted by services/wallet.service.js.
+ * @module controllers/wallet.controller
+ */
+
+/** Largest single top-up, in INR */
+export const MAX_TOP_UP_INR = 10000;
+
+/**
+ * GET /api/wallet
+ * Returns the authenticated user's wallet balance and lifetime totals.
+ * A negative balance is owed and collected at the next settlement.
+ */
+export const getWallet = async (req, res) => {
+    try {
+        const wallet = await Wallet.findOne({ userId: req.user.userId }).lean();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                balanceINR: Math.round((wallet?.balanceINR ?? 0) * 100) / 100,
+                totalCreditedINR: wallet?.totalCreditedINR ?? 0,
+                totalDebitedINR: wallet?.totalDebitedINR ?? 0,
+                currency: 'INR',
+            },
+        });
+    } catch (err) {
+        console.error('getWallet error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch wallet' });
+    }
+};
+
+/**
+ * GET /api/wallet/history?page=1
+ * Returns paginated wallet ledger rows, 50 per page, newest first.
+ */
+export const getWalletHistory = async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = 50;
+        const skip = (page - 1) * limit;
+
+        const [ledger, total] = await Promise.all([
+            WalletLedger.find({ userId: req.user.userId })
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            WalletLedger.countDocuments({ userId: req.user.userId }),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                ledger,
+            },
+        });
+    } catch (err) {
+        console.error('getWalletHistory error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch wallet history' });
+    }
+};
+
+/**
+ * POST /api/wallet/top-up
+ * Adds money through the configured payment provider.
+ * Body: { amountINR }
+ */
+export const topUp = async (req, res) => {
+    try {
+        const amountINR = Number(req.body?.amountINR);
+        if (!Number.isFinite(amountINR) || amountINR < 1 || amountINR > MAX_TOP_UP_INR) {
+            return res.status(400).json({
+                success: false,
+                message: `amountINR must be between 1 and ${MAX_TOP_UP_INR}`,
+            });
+        }
+        if (!req.user.organizationId) {
+            return res.status(400).json({ success: false, message: 'Wallets are only available to organization members' });
+        }
+
+        let result;
+        try {
+            result = await topUpWallet({
+                userId: req.user.userId,
+                organizationId: req.user.organizationId,
+                amountINR,
+            });
+        } catch (providerErr) {
+            console.error('topUp provider error:', providerErr);
+            return res.status(402).json({ success: false, message: 'Payment failed — your wallet was not charged' });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                entry: result.entry,
+                balanceINR: Math.round(result.wallet.balanceINR * 100) / 100,
+            },
+            message: 'Wallet topped up',
+        });
+    } catch (err) {
+        console.error('topUp error:', err);
+        res.status(500).json({ success: false, message: 'Failed to top up wallet' });
+    }
+};
+
+/**
+ * GET /api/wallet/statements
+ * Returns the authenticated user's settlement statements, newest period first.
+ */
+export const getMyStatements = async (req, res) => {
+    try {
+        const statements = await SettlementStatement.find({ userId: req.user.userId })
+            .sort({ periodStart: -1 })
+            .limit(52)
+            .lean();
+
+        res.status(200).json({ success: true, data: statements });
+    } catch (err) {
+        console.error('getMyStatements error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch statements' });
+    }
+};
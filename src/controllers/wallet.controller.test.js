@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Wallet Controller Tests
+ * @description Auth guards and body validation for the wallet and org admin wallet
+ * endpoints. All cases are rejected before any DB call.
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_JWT_SECRET = 'test-jwt-secret-for-wallet-tests';
+
+const makeToken = (payload) =>
+  jwt.sign(
+    {
+      userId: '507f1f77bcf86cd799439011',
+      organizationId: '507f1f77bcf86cd799439022',
+      role: 'EMPLOYEE',
+      ...payload
+    },
+    TEST_JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+beforeAll(() => {
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+});
+
+afterAll(() => {
+  delete process.env.JWT_SECRET;
+});
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+describe('Wallet Top-up (POST /api/wallet/top-up)', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post('/api/wallet/top-up').send({ amountINR: 100 });
+    expect(res.status).toBe(401);
+  });
+
+  it.each([
+    ['missing', {}],
+    ['zero', { amountINR: 0 }],
+    ['above the limit', { amountINR: 100000 }],
+    ['not a number', { amountINR: 'lots' }]
+  ])('should return 400 when the amount is %s', async (_label, body) => {
+    const res = await request(app)
+      .post('/api/wallet/top-up')
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/amountINR/);
+  });
+
+  it('should return 400 for a user without an organization', async () => {
+    const res = await request(app)
+      .post('/api/wallet/top-up')
+      .set('Authorization', `Bearer ${makeToken({ organizationId: undefined })}`)
+      .send({ amountINR: 100 });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Wallet Adjustments (POST /org-admin/wallets/:userId/adjustments)', () => {
+  const url = '/org-admin/wallets/507f1f77bcf86cd799439033/adjustments';
+  const adminToken = () => makeToken({ role: 'ORG_ADMIN' });
+
+  it('should return 403 for an employee', async () => {
+    const res = await request(app)
+      .post(url)
+      .set('Authorization', `Bearer ${makeToken()}`)
+      .send({ type: 'CREDIT', amountINR: 20, note: 'Fare dispute' });
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for an unknown type', async () => {
+    const res = await request(app)
+      .post(url)
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ type: 'REFUND', amountINR: 20, note: 'Fare dispute' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 without a note', async () => {
+    const res = await request(app)
+      .post(url)
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ type: 'CREDIT', amountINR: 20 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/note/);
+  });
+
+  it('should return 400 for an invalid user id', async () => {
+    const res = await request(app)
+      .post('/org-admin/wallets/not-an-id/adjustments')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ type: 'CREDIT', amountINR: 20, note: 'Fare dispute' });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import SettlementStatement from '../models/SettlementStatement.js';
+import { postWalletEntry } from '../services/wallet.service.js';
+
+/**
+ * @fileoverview Org Admin — Wallet Controller
+ * @description ORG_ADMIN only. Settlement oversight and dispute resolution for the
+ * commute wallet. Adjustments are new ledger rows; existing rows are never edited.
+ * @module controllers/walletAdmin.controller
+ */
+
+/**
+ * GET /org-admin/wallets/statements?status=FAILED
+ * Statements for the admin's organization, newest period first.
+ */
+export const listOrgStatements = async (req, res) => {
+    try {
+        const filter = { organizationId: req.user.organizationId };
+        if (req.query.status) filter.status = req.query.status;
+
+        const statements = await SettlementStatement.find(filter)
+            .populate('userId', 'name email')
+            .sort({ periodStart: -1, createdAt: -1 })
+            .limit(200)
+            .lean();
+
+        res.status(200).json({ success: true, data: statements });
+    } catch (err) {
+        console.error('listOrgStatements error:', err);
+        res.status(500).json({ success: false, message: 'Failed to fetch statements' });
+    }
+};
+
+/**
+ * POST /org-admin/wallets/:userId/adjustments
+ * Post a correcting entry to a member's wallet, e.g. after a fare dispute.
+ * Body: { type: 'CREDIT'|'DEBIT', amountINR, note }
+ */
+export const createAdjustment = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { type, note } = req.body || {};
+        const amountINR = Number(req.body?.amountINR);
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user id' });
+        }
+        if (!['CREDIT', 'DEBIT'].includes(type)) {
+            return res.status(400).json({ success: false, message: 'type must be CREDIT or DEBIT' });
+        }
+        if (!Number.isFinite(amountINR) || amountINR < 0.01) {
+            return res.status(400).json({ success: false, message: 'amountINR must be a positive number' });
+        }
+        if (!note || typeof note !== 'string' || !note.trim()) {
+            return res.status(400).json({ success: false, message: 'note is required for adjustments' });
+        }
+
+        const member = await User.findOne({ _id: userId, organizationId: req.user.organizationId }).select('_id');
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'Member not found in your organization' });
+        }
+
+        const result = await postWalletEntry({
+            userId,
+            organizationId: req.user.organizationId,
+            type,
+            reason: 'ADJUSTMENT',
+            amountINR,
+            note: note.trim(),
+            createdBy: req.user.userId,
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                entry: result.entry,
+                balanceINR: Math.round(result.wallet.balanceINR * 100) / 100,
+            },
+            message: 'Adjustment posted',
+        });
+    } catch (err) {
+        console.error('createAdjustment error:', err);
+        res.status(500).json({ success: false, message: 'Failed to post adjustment' });
+    }
+};
@@ -88,3 +88,29 @@ export const uploadDriverDocs = multer({
   storage,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB limit
 });
+
+/**
+ * Vehicle Documents Upload Middleware
+ *
+ * @description Multer middleware for a vehicle's registration certificate (field 'rc').
+ * Stored in uploads/vehicle-docs as {userId}-rc-{timestamp}.{ext} so a driver can
+ * register several vehicles without overwriting earlier certificates.
+ *
+ * @middleware
+ */
+const vehicleUploadDir = "uploads/vehicle-docs";
+
+fs.mkdirSync(vehicleUploadDir, { recursive: true });
+
+export const uploadVehicleDocs = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, vehicleUploadDir);
+    },
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname);
+      cb(null, `${req.user.userId}-${file.fieldname}-${Date.now()}${ext}`);
+    },
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB limit
+});
@@ -1,5 +1,4 @@
 import Joi from 'joi';
-import { FUEL_TYPES } from '../config/fuelTypes.js';
 
 /**
  * Reusable validation middleware using Joi
@@ -54,10 +53,9 @@ export const schemas = {
     createTrip: Joi.object({
         source: Joi.string().required(),
         destination: Joi.string().required(),
-        vehicleType: Joi.string().valid('CAR', 'BIKE').required(),
-        totalSeats: Joi.number().integer().min(1).max(10).required(),
+        vehicleId: Joi.string().hex().length(24).required(),
+        totalSeats: Joi.number().integer().min(1).max(7).optional(),
         scheduledTime: Joi.date().iso().required(),
-        fuelType: Joi.string().valid(...FUEL_TYPES).required(),
         sourceLocation: Joi.object({
             lat: Joi.number().required(),
             lng: Joi.number().required(),
@@ -71,11 +69,80 @@ export const schemas = {
         distanceKm: Joi.number().positive().optional(),
         conventionalEmissionFactor: Joi.number().optional(),
         sustainableEmissionFactor: Joi.number().optional(),
+        autoApproveWaitlist: Joi.boolean().optional(),
+        sameGenderOnly: Joi.boolean().strict().optional(),
         waypoints: Joi.array().items(
             Joi.object({
                 lat: Joi.number().required(),
                 lng: Joi.number().required()
             })
         ).max(4).optional()
+    }),
+
+    // Recurring trip template — matches recurringTrip.controller.createRecurringTrip
+    createRecurringTrip: Joi.object({
+        source: Joi.string().required(),
+        destination: Joi.string().required(),
+        vehicleId: Joi.string().hex().length(24).required(),
+        totalSeats: Joi.number().integer().min(1).max(7).optional(),
+        sourceLocation: Joi.object({
+            lat: Joi.number().required(),
+            lng: Joi.number().required(),
+            address: Joi.string().optional()
+        }).optional(),
+        destinationLocation: Joi.object({
+            lat: Joi.number().required(),
+            lng: Joi.number().required(),
+            address: Joi.string().optional()
+        }).optional(),
+        daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).required(),
+        departureTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+        startDate: Joi.date().iso().required(),
+        endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+        skipDates: Joi.array().items(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)).optional(),
+        sameGenderOnly: Joi.boolean().strict().optional()
+    }),
+
+    // Ride rating — matches rating.controller.rateRide; tags are checked per side in rating.service
+    submitRating: Joi.object({
+        score: Joi.number().integer().min(1).max(5).required(),
+        tags: Joi.array().items(Joi.string()).max(5).optional(),
+        comment: Joi.string().trim().max(500).allow('').optional()
+    }),
+
+    // Matching preferences — matches user.controller.updateRidePreferences
+    updateRidePreferences: Joi.object({
+        sameGenderOnly: Joi.boolean().strict().required()
+    }),
+
+    // Block a colleague — matches user.controller.blockColleague
+    blockUser: Joi.object({
+        userId: Joi.string().hex().length(24).required()
+    }),
+
+    // Ride share link — matches trackingShare.controller.createShareLink
+    createTrackingShare: Joi.object({
+        expiresInMinutes: Joi.number().integer().min(5).max(1440).optional(),
+        label: Joi.string().trim().max(50).allow('').optional()
+    }),
+
+    // SOS from an active trip — matches incident.controller.raiseSos
+    raiseSos: Joi.object({
+        message: Joi.string().trim().max(500).allow('').optional(),
+        location: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        }).optional()
+    }),
+
+    // Trip chat message — matches tripChat.controller.sendMessage
+    sendTripMessage: Joi.object({
+        text: Joi.string().trim().min(1).max(500),
+        cannedReply: Joi.string()
+    }).xor('text', 'cannedReply'),
+
+    // Trip chat read receipt — matches tripChat.controller.markRead
+    markTripChatRead: Joi.object({
+        upTo: Joi.string().hex().length(24).optional()
     })
 };
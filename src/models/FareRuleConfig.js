@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview Fare Rule Configuration Model
+ * @description Global (organizationId=null) and per-org fare rules used by the fare
+ * engine (services/fare.service.js). Org-level config overrides the platform default,
+ * which in turn falls back to DEFAULT_FARE_RULES. Changes apply to new quotes and
+ * to fares finalised after the change.
+ * @module models/FareRuleConfig
+ */
+const fareRuleConfigSchema = new mongoose.Schema(
+    {
+        // null = platform global default; ObjectId = org-specific rules
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
+        rules: {
+            // Charge per km on top of the fuel cost (wear, tolls, parking)
+            perKmRateINR: { type: Number, default: 2, min: 0 },
+            // Lowest fare per seat, however short the ride
+            minimumFareINR: { type: Number, default: 20, min: 0 },
+            // Percentage of each km's running cost the driver keeps paying
+            driverSharePercent: { type: Number, default: 25, min: 0, max: 100 },
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    { timestamps: true }
+);
+
+// One config per org (or one global null entry)
+fareRuleConfigSchema.index({ organizationId: 1 }, { unique: true, sparse: true });
+
+export default mongoose.model('FareRuleConfig', fareRuleConfigSchema);
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview Incident Model
+ * @description Defines the Incident schema - an emergency raised from an active trip
+ * (SOS). Org admins must acknowledge and then resolve it; every step, including the
+ * emergency contact notification, is appended to the timeline.
+ * @module models/Incident
+ */
+
+/**
+ * Timeline entry sub-schema
+ *
+ * @property {string} action - What happened (see enum)
+ * @property {ObjectId} [actorId] - User who did it (null for system steps)
+ * @property {string} actorType - PASSENGER, DRIVER, ADMIN or SYSTEM
+ * @property {string} [note]
+ * @property {Date} at
+ */
+const timelineEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [
+      'RAISED',
+      'RAISED_AGAIN',
+      'CONTACT_NOTIFIED',
+      'CONTACT_NOT_NOTIFIED',
+      'ADMINS_ALERTED',
+      'ACKNOWLEDGED',
+      'NOTE',
+      'RESOLVED'
+    ],
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorType: {
+    type: String,
+    enum: ['PASSENGER', 'DRIVER', 'ADMIN', 'SYSTEM'],
+    required: true
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Incident Schema
+ *
+ * @schema
+ *
+ * @property {string} type - SOS
+ * @property {ObjectId} tripId - Reference to the active Trip
+ * @property {ObjectId} [organizationId] - Trip's organization (whose admins handle it)
+ * @property {ObjectId} raisedBy - Reference to User who raised it
+ * @property {string} raisedByRole - PASSENGER or DRIVER
+ * @property {string} [message] - Optional text from the user
+ * @property {Object} [location] - Trip.currentLocation when raised (GeoJSON Point)
+ * @property {Object} [reportedLocation] - Location sent by the user's device, if any
+ * @property {string} status - OPEN, ACKNOWLEDGED or RESOLVED
+ * @property {ObjectId} [acknowledgedBy] / {Date} [acknowledgedAt]
+ * @property {ObjectId} [resolvedBy] / {Date} [resolvedAt]
+ * @property {string} [resolution] - How it was resolved
+ * @property {Object[]} timeline - Every step, oldest first
+ *
+ * @lifecycle
+ * 1. Trip participant raises SOS via POST /api/trips/:id/sos (status = OPEN)
+ * 2. Emergency contact emailed, org admins alerted over sockets
+ * 3. Org admin acknowledges via /org-admin/incidents/:id/acknowledge
+ * 4. Org admin resolves via /org-admin/incidents/:id/resolve with a resolution
+ */
+const incidentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['SOS'],
+    default: 'SOS'
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip ID is required']
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  raisedByRole: {
+    type: String,
+    enum: ['PASSENGER', 'DRIVER'],
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number]
+  },
+  reportedLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number]
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'],
+    default: 'OPEN'
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolution: {
+    type: String,
+    trim: true
+  },
+  timeline: {
+    type: [timelineEntrySchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+incidentSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
+incidentSchema.index({ tripId: 1, raisedBy: 1, status: 1 });
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+export default Incident;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview Rating Model
+ * @description Defines the Rating schema - feedback left after a ride by the passenger
+ * about the driver, or by the driver about the passenger. Scores feed the rating
+ * summary stored on User (services/rating.service.js).
+ * @module models/Rating
+ */
+
+/**
+ * Rating Schema
+ *
+ * @schema
+ *
+ * @property {ObjectId} rideRequestId - Reference to the RideRequest that was rated
+ * @property {ObjectId} tripId - Reference to Trip
+ * @property {ObjectId} [organizationId] - Trip's organization (scopes moderation)
+ * @property {ObjectId} raterId - User who left the rating
+ * @property {ObjectId} rateeId - User being rated
+ * @property {string} direction - PASSENGER_TO_DRIVER or DRIVER_TO_PASSENGER
+ * @property {number} score - 1 to 5
+ * @property {string[]} tags - From RATING_TAGS for the direction
+ * @property {string} [comment] - Up to 500 characters
+ * @property {Object} moderation - Org admin review
+ * @property {boolean} moderation.hidden - Hidden ratings do not count towards the summary
+ * @property {ObjectId} [moderation.reviewedBy]
+ * @property {Date} [moderation.reviewedAt]
+ * @property {string} [moderation.note]
+ *
+ * @indexes
+ * - rideRequestId + raterId: Unique, one rating per side per ride
+ * - rateeId + direction: Summary recomputation
+ * - organizationId + score: Low-rating moderation queue
+ */
+const ratingSchema = new mongoose.Schema({
+  rideRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideRequest',
+    required: [true, 'Ride request ID is required']
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip ID is required']
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  raterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rateeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['PASSENGER_TO_DRIVER', 'DRIVER_TO_PASSENGER'],
+    required: true
+  },
+  score: {
+    type: Number,
+    required: [true, 'Score is required'],
+    min: [1, 'Score must be between 1 and 5'],
+    max: [5, 'Score must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Score must be a whole number'
+    }
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  moderation: {
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+ratingSchema.index({ rideRequestId: 1, raterId: 1 }, { unique: true });
+ratingSchema.index({ rateeId: 1, direction: 1 });
+ratingSchema.index({ organizationId: 1, score: 1, createdAt: -1 });
+
+const Rating = mongoose.model('Rating', ratingSchema);
+
+export default Rating;
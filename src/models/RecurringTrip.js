@@ -0,0 +1,233 @@
+import mongoose from 'mongoose';
+import { FUEL_TYPES } from '../config/fuelTypes.js';
+
+/**
+ * @fileoverview Recurring Trip Model
+ * @description Defines the RecurringTrip schema - a driver's repeating commute template.
+ * Concrete Trip documents are generated from it on a rolling window by the
+ * recurring trip scheduler.
+ * @module models/RecurringTrip
+ */
+
+/**
+ * Recurring Trip Schema
+ *
+ * @description A template describing a trip the driver makes on a weekly schedule
+ * (e.g. Mon-Fri at 08:30). It is never searched or booked directly; instead the
+ * scheduler materializes one Trip per scheduled day once that day falls inside the
+ * booking window (same 7-day limit enforced on Trip.scheduledTime).
+ *
+ * @schema
+ *
+ * @property {ObjectId} driverId - Reference to User (driver)
+ * @property {ObjectId} [organizationId] - Driver's organization (copied onto occurrences)
+ * @property {ObjectId} [vehicleId] - Verified Vehicle (source of vehicleType, fuelType and seat limit)
+ * @property {string} vehicleType - CAR or BIKE
+ * @property {string} fuelType - One of FUEL_TYPES
+ * @property {number} totalSeats - Seats offered on every occurrence
+ * @property {string} source - Source location text
+ * @property {Object} [sourceLocation] - GeoJSON Point for source
+ * @property {string} destination - Destination location text
+ * @property {Object} [destinationLocation] - GeoJSON Point for destination
+ * @property {number[]} daysOfWeek - Days the trip runs (0 = Sunday ... 6 = Saturday)
+ * @property {string} departureTime - Local departure time "HH:mm"
+ * @property {Date} startDate - First day of the series (inclusive)
+ * @property {Date} endDate - Last day of the series (inclusive)
+ * @property {string[]} skipDates - Days to skip, as "YYYY-MM-DD"
+ * @property {boolean} sameGenderOnly - Copied onto occurrences; also applies to standing seats
+ * @property {string} status - ACTIVE or CANCELLED
+ * @property {Object[]} standingPassengers - Passengers booked on every occurrence
+ * @property {Date} [lastMaterializedAt] - Last time the scheduler generated occurrences
+ *
+ * @lifecycle
+ * 1. Driver creates template via POST /api/recurring-trips
+ * 2. Scheduler creates Trip documents for days within the rolling window
+ *    - Trip.recurringTripId / Trip.occurrenceDate link back to the template
+ *    - Standing passengers receive an APPROVED RideRequest on each new occurrence
+ * 3. Driver edits series (future, unmodified occurrences are updated) or a single occurrence
+ * 4. Driver cancels series (status = CANCELLED, future occurrences cancelled)
+ *
+ * @businessRules
+ * - endDate must not be before startDate, and a series spans at most 180 days
+ * - At least one day of week is required
+ * - A passenger can hold only one ACTIVE standing seat per series
+ * - Standing seats count against totalSeats on every occurrence
+ *
+ * @example
+ * {
+ *   "driverId": "507f1f77bcf86cd799439011",
+ *   "vehicleId": "65f0c1a2b3c4d5e6f7a8b9c0",
+ *   "vehicleType": "CAR",
+ *   "totalSeats": 3,
+ *   "source": "Koramangala",
+ *   "destination": "Tech Park",
+ *   "daysOfWeek": [1, 2, 3, 4, 5],
+ *   "departureTime": "08:30",
+ *   "startDate": "2026-03-02T00:00:00.000Z",
+ *   "endDate": "2026-05-29T00:00:00.000Z",
+ *   "skipDates": ["2026-03-25"],
+ *   "status": "ACTIVE"
+ * }
+ */
+
+const MAX_SERIES_DAYS = 180;
+
+const pointDefinition = () => ({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: { type: [Number], default: [0, 0] } // [longitude, latitude]
+});
+
+const recurringTripSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Driver ID is required'],
+    index: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  vehicleType: {
+    type: String,
+    enum: {
+      values: ['CAR', 'BIKE'],
+      message: '{VALUE} is not a valid vehicle type'
+    },
+    required: [true, 'Vehicle type is required']
+  },
+  fuelType: {
+    type: String,
+    enum: {
+      values: FUEL_TYPES,
+      message: '{VALUE} is not a valid fuel type'
+    },
+    default: FUEL_TYPES[0]
+  },
+  totalSeats: {
+    type: Number,
+    required: [true, 'Total seats is required'],
+    min: [1, 'At least 1 seat must be available'],
+    validate: {
+      validator: function (value) {
+        if (this.vehicleType === 'CAR') return value <= 7;
+        if (this.vehicleType === 'BIKE') return value === 1;
+        return true;
+      },
+      message: 'Invalid seats configuration for vehicle type'
+    }
+  },
+  source: {
+    type: String,
+    required: [true, 'Source location is required'],
+    trim: true
+  },
+  sourceLocation: {
+    address: String,
+    coordinates: pointDefinition()
+  },
+  destination: {
+    type: String,
+    required: [true, 'Destination location is required'],
+    trim: true
+  },
+  destinationLocation: {
+    address: String,
+    coordinates: pointDefinition()
+  },
+  daysOfWeek: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function (days) {
+        return Array.isArray(days) && days.length > 0 &&
+          days.every(d => Number.isInteger(d) && d >= 0 && d <= 6);
+      },
+      message: 'daysOfWeek must contain at least one day between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  departureTime: {
+    type: String,
+    required: [true, 'Departure time is required'],
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Departure time must be in HH:mm format']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function (value) {
+        if (!this.startDate) return true;
+        const spanDays = (value - this.startDate) / (24 * 60 * 60 * 1000);
+        return spanDays >= 0 && spanDays <= MAX_SERIES_DAYS;
+      },
+      message: `End date must be on or after start date and within ${MAX_SERIES_DAYS} days of it`
+    }
+  },
+  skipDates: {
+    type: [{
+      type: String,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Skip dates must be in YYYY-MM-DD format']
+    }],
+    default: []
+  },
+  sameGenderOnly: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['ACTIVE', 'CANCELLED'],
+      message: '{VALUE} is not a valid status'
+    },
+    default: 'ACTIVE'
+  },
+  standingPassengers: {
+    type: [{
+      passengerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      pickupLocation: {
+        address: { type: String, required: true },
+        coordinates: pointDefinition()
+      },
+      dropoffLocation: {
+        address: String,
+        coordinates: pointDefinition()
+      },
+      status: {
+        type: String,
+        enum: ['ACTIVE', 'CANCELLED'],
+        default: 'ACTIVE'
+      },
+      bookedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    default: []
+  },
+  lastMaterializedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+recurringTripSchema.index({ status: 1, endDate: 1 });
+recurringTripSchema.index({ 'standingPassengers.passengerId': 1 });
+
+const RecurringTrip = mongoose.model('RecurringTrip', recurringTripSchema);
+
+export default RecurringTrip;
@@ -27,14 +27,35 @@ import mongoose from 'mongoose';
  * @property {Object} dropoffLocation.coordinates - GeoJSON Point coordinates
  * @property {string} dropoffLocation.coordinates.type - Always 'Point'
  * @property {number[]} dropoffLocation.coordinates.coordinates - [longitude, latitude]
- * @property {string} status - Request status: PENDING, APPROVED, REJECTED (default: PENDING)
- * @property {string} pickupStatus - Pickup status: WAITING, PICKED_UP, DROPPED_OFF (default: WAITING)
+ * @property {number} seatsRequested - Seats needed by this request, e.g. colleagues travelling together (default: 1)
+ * @property {string} status - Request status: PENDING, APPROVED, REJECTED, WAITLISTED (default: PENDING)
+ * @property {Date} [waitlistedAt] - When the passenger joined the trip's waitlist (queue order)
+ * @property {string} pickupStatus - Pickup status: WAITING, PICKED_UP, DROPPED_OFF, NO_SHOW (default: WAITING)
+ * @property {Date} [driverArrivedAt] - When the driver reported arriving at the pickup point
  * @property {Date} [pickedUpAt] - Timestamp when marked as picked up
  * @property {Date} [droppedOffAt] - Timestamp when marked as dropped off
+ * @property {Date} [noShowAt] - Timestamp when marked as a no-show
+ * @property {string} [pickupMethod] - MANUAL (driver) or AUTO (confirmed from GPS after the prompt timed out)
+ * @property {string} [dropoffMethod] - MANUAL or AUTO, as pickupMethod
+ * @property {Object} [stopDetection] - GPS geofence state for the next stop (services/stopDetection.service.js)
+ * @property {string} stopDetection.stop - PICKUP or DROPOFF
+ * @property {Date} [stopDetection.enteredAt] - Driver entered the stop's geofence
+ * @property {Date} [stopDetection.promptedAt] - Driver was asked to confirm
+ * @property {Date} [stopDetection.autoConfirmAt] - Confirmed automatically at this time unless dismissed
+ * @property {boolean} [stopDetection.dismissed] - Driver dismissed the prompt; no new one until they leave
+ * @property {Object} [pickupAlerts] - Pickup alerts already sent to the passenger (services/pickupEta.service.js)
+ * @property {Date} [pickupAlerts.approachingAt] - "Driver is N minutes away" sent
+ * @property {Date} [pickupAlerts.arrivedAt] - "Driver has arrived" sent
+ * @property {Object} [fare] - Cost share (services/fare.service.js)
+ * @property {number} fare.quotedINR - Estimate given at request time
+ * @property {number} [fare.finalINR] - Charged share, set at drop-off or when the trip completes
+ * @property {number} fare.distanceKm - Pickup-to-dropoff distance along the route
+ * @property {Date} [fare.finalizedAt] - When finalINR was computed
  * @property {Object} [suggestedPickupZone] - Nearby smart pickup zone suggestion
  * @property {ObjectId} suggestedPickupZone.zoneId - Reference to SmartPickupZone
  * @property {number} suggestedPickupZone.distance - Distance in meters from original pickup
  * @property {boolean} suggestedPickupZone.isAccepted - Whether passenger accepted the suggestion
+ * @property {boolean} isStandingBooking - Created from a standing seat on a recurring series
  * @property {Date} createdAt - Request creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  * 
@@ -43,16 +64,29 @@ import mongoose from 'mongoose';
  *    - status = PENDING, pickupStatus = WAITING
  * 2. Driver reviews via /api/rides/trip/:tripId
  * 3. Driver approves via /api/rides/:id/approve
- *    - status = APPROVED, trip.availableSeats decremented
+ *    - status = APPROVED, trip.availableSeats decremented by seatsRequested
  * 4. Driver marks picked up via /api/rides/:id/pickup
  *    - pickupStatus = PICKED_UP, pickedUpAt = now
  * 5. Driver marks dropped off via /api/rides/:id/dropoff
  *    - pickupStatus = DROPPED_OFF, droppedOffAt = now
+ *    Steps 4 and 5 can also be detected from the driver's GPS (pickupMethod/dropoffMethod = AUTO)
+ * 
+ * @alternatively Passenger does not show up:
+ * 4. Driver reports arrival via /api/rides/:id/arrived
+ *    - driverArrivedAt = now
+ * 5. After NO_SHOW_WAIT_MINUTES, driver marks no-show via /api/rides/:id/no-show
+ *    - pickupStatus = NO_SHOW, seats released, passenger's noShowCount incremented
  * 
  * @alternatively Driver rejects:
  * 3. Driver rejects via /api/rides/:id/reject
  *    - status = REJECTED, no seat decrement
  * 
+ * @alternatively Trip is full:
+ * 1. Passenger requests with joinWaitlist=true
+ *    - status = WAITLISTED, waitlistedAt = now
+ * 2. A seat frees up (cancellation, rejection, no-show)
+ *    - First in queue promoted to PENDING (or APPROVED if trip.autoApproveWaitlist)
+ * 
  * @realtime
  * - Socket.io events emitted on status changes
  * - Passenger notified of approval/rejection
@@ -60,7 +94,9 @@ import mongoose from 'mongoose';
  * - Trip room notified of passenger status changes
  * 
  * @businessRules
- * - Only one PENDING request per passenger per trip
+ * - Only one PENDING or WAITLISTED request per passenger per trip
+ * - seatsRequested cannot exceed trip.totalSeats; a request is approved only if all its seats are free
+ * - Waitlist is served first-in, first-out by waitlistedAt
  * - Only APPROVED passengers can be picked up
  * - Must be PICKED_UP before DROPPED_OFF
  * - Driver cannot request their own trip
@@ -134,28 +170,74 @@ const rideRequestSchema = new mongoose.Schema({
       }
     }
   },
+  seatsRequested: {
+    type: Number,
+    default: 1,
+    min: [1, 'At least 1 seat must be requested'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Seats requested must be a whole number'
+    }
+  },
   status: {
     type: String,
     enum: {
-      values: ['PENDING', 'APPROVED', 'REJECTED'],
+      values: ['PENDING', 'APPROVED', 'REJECTED', 'WAITLISTED'],
       message: '{VALUE} is not a valid status'
     },
     default: 'PENDING'
   },
+  waitlistedAt: {
+    type: Date
+  },
   pickupStatus: {
     type: String,
     enum: {
-      values: ['WAITING', 'PICKED_UP', 'DROPPED_OFF'],
+      values: ['WAITING', 'PICKED_UP', 'DROPPED_OFF', 'NO_SHOW'],
       message: '{VALUE} is not a valid pickup status'
     },
     default: 'WAITING'
   },
+  driverArrivedAt: {
+    type: Date
+  },
   pickedUpAt: {
     type: Date
   },
   droppedOffAt: {
     type: Date
   },
+  noShowAt: {
+    type: Date
+  },
+  pickupMethod: {
+    type: String,
+    enum: ['MANUAL', 'AUTO']
+  },
+  dropoffMethod: {
+    type: String,
+    enum: ['MANUAL', 'AUTO']
+  },
+  stopDetection: {
+    stop: {
+      type: String,
+      enum: ['PICKUP', 'DROPOFF']
+    },
+    enteredAt: Date,
+    promptedAt: Date,
+    autoConfirmAt: Date,
+    dismissed: Boolean
+  },
+  pickupAlerts: {
+    approachingAt: Date,
+    arrivedAt: Date
+  },
+  fare: {
+    quotedINR: { type: Number, min: 0 },
+    finalINR: { type: Number, min: 0 },
+    distanceKm: { type: Number, min: 0 },
+    finalizedAt: Date
+  },
   suggestedPickupZone: {
     zoneId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -170,6 +252,11 @@ const rideRequestSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Auto-approved booking generated from a RecurringTrip standing seat
+  isStandingBooking: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -188,6 +275,8 @@ rideRequestSchema.pre('save', function() {
 // Index for querying pending requests by passenger
 rideRequestSchema.index({ passengerId: 1, status: 1 });
 rideRequestSchema.index({ tripId: 1, status: 1 });
+rideRequestSchema.index({ passengerId: 1, pickupStatus: 1, noShowAt: -1 });
+rideRequestSchema.index({ 'stopDetection.autoConfirmAt': 1 }, { sparse: true });
 
 const RideRequest = mongoose.model('RideRequest', rideRequestSchema);
 
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview Route Monitor Configuration Model
+ * @description Global (organizationId=null) and per-org thresholds for live trip
+ * monitoring (services/routeMonitor.service.js): how far off the planned route counts
+ * as a deviation, how long a stop away from any planned stop counts as unexpected, and
+ * which alerts also go to org admins. Org-level config overrides the platform default,
+ * which in turn falls back to DEFAULT_ROUTE_MONITOR_RULES.
+ * @module models/RouteMonitorConfig
+ */
+const routeMonitorConfigSchema = new mongoose.Schema(
+    {
+        // null = platform global default; ObjectId = org-specific rules
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
+        rules: {
+            // Distance from the planned route before the driver counts as off-route
+            corridorMeters: { type: Number, default: 300, min: 0 },
+            // Distance from the planned route that makes a deviation HIGH severity
+            majorDeviationMeters: { type: Number, default: 1000, min: 0 },
+            // Time off-route before alerting, so a GPS glitch does not raise one
+            deviationGraceSeconds: { type: Number, default: 60, min: 0 },
+            // Movement below this counts as standing still
+            stopRadiusMeters: { type: Number, default: 50, min: 0 },
+            // Stops this close to the source, destination or a passenger's stop are expected
+            plannedStopMeters: { type: Number, default: 150, min: 0 },
+            // Standing still this long away from planned stops raises a MEDIUM alert
+            stopMinutes: { type: Number, default: 5, min: 0 },
+            // ...and this long a HIGH one
+            longStopMinutes: { type: Number, default: 15, min: 0 },
+            // Lowest severity also sent to org admins (OFF = passengers only)
+            adminAlertSeverity: { type: String, enum: ['MEDIUM', 'HIGH', 'OFF'], default: 'HIGH' },
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    { timestamps: true }
+);
+
+// One config per org (or one global null entry)
+routeMonitorConfigSchema.index({ organizationId: 1 }, { unique: true, sparse: true });
+
+export default mongoose.model('RouteMonitorConfig', routeMonitorConfigSchema);
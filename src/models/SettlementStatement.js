@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview Settlement Statement Model
+ * @description One statement per user per settlement period, summarizing the wallet
+ * ledger for that period. Lifecycle: OPEN → SETTLED | FAILED (retried next run).
+ * Nothing to settle (zero closing balance) goes straight to SETTLED.
+ * @module models/SettlementStatement
+ */
+const settlementStatementSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+            index: true,
+        },
+        // [periodStart, periodEnd)
+        periodStart: {
+            type: Date,
+            required: true,
+        },
+        periodEnd: {
+            type: Date,
+            required: true,
+        },
+        openingBalanceINR: { type: Number, default: 0 },
+        totalCreditsINR: { type: Number, default: 0, min: 0 },
+        totalDebitsINR: { type: Number, default: 0, min: 0 },
+        closingBalanceINR: { type: Number, default: 0 },
+        // Ledger rows in the period, by reason (e.g. { RIDE_FARE: 4, TOP_UP: 1 })
+        entryCounts: {
+            type: Map,
+            of: Number,
+            default: {},
+        },
+        status: {
+            type: String,
+            enum: ['OPEN', 'SETTLED', 'FAILED'],
+            default: 'OPEN',
+        },
+        settlement: {
+            // COLLECT = user owed money, PAYOUT = user was owed money, NONE = zero balance
+            action: { type: String, enum: ['COLLECT', 'PAYOUT', 'NONE'] },
+            amountINR: { type: Number, min: 0 },
+            provider: { type: String },
+            providerRef: { type: String },
+            settledAt: { type: Date },
+            failureReason: { type: String },
+            attempts: { type: Number, default: 0 },
+        },
+    },
+    { timestamps: true }
+);
+
+// One statement per user per period
+settlementStatementSchema.index({ userId: 1, periodStart: 1 }, { unique: true });
+settlementStatementSchema.index({ status: 1, periodEnd: 1 });
+
+export default mongoose.model('SettlementStatement', settlementStatementSchema);
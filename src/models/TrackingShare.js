@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview Tracking Share Model
+ * @description Defines the TrackingShare schema - a time-limited link a passenger
+ * creates so someone without an account can follow their ride. Only a SHA-256 hash of
+ * the token is stored; the token itself is returned once, when the link is created.
+ * @module models/TrackingShare
+ */
+
+/**
+ * Tracking Share Schema
+ *
+ * @schema
+ *
+ * @property {ObjectId} rideRequestId - Reference to the shared RideRequest
+ * @property {ObjectId} tripId - Reference to the ride's Trip
+ * @property {ObjectId} passengerId - Reference to User who created the link
+ * @property {string} tokenHash - SHA-256 hex digest of the share token (unique)
+ * @property {string} [label] - Who it was shared with, e.g. "Mum" (shown to the passenger only)
+ * @property {Date} expiresAt - Link stops working at this time
+ * @property {Date} [endedAt] - When the link was ended early
+ * @property {string} [endedReason] - REVOKED, DROPPED_OFF or RIDE_ENDED
+ * @property {number} viewCount - Times the link was opened
+ * @property {Date} [lastViewedAt]
+ *
+ * @lifecycle
+ * 1. Passenger creates a link via POST /api/rides/:id/share-links
+ * 2. Viewer opens GET /api/shared-tracking/:token or the /shared-tracking socket namespace
+ * 3. Link ends at expiresAt, when the passenger revokes it, or when the ride ends
+ *    (drop-off, no-show, trip completed or cancelled)
+ * 4. Records are removed 7 days after expiry (TTL index)
+ */
+const trackingShareSchema = new mongoose.Schema({
+  rideRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideRequest',
+    required: true
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  passengerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  endedReason: {
+    type: String,
+    enum: ['REVOKED', 'DROPPED_OFF', 'RIDE_ENDED']
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+trackingShareSchema.index({ rideRequestId: 1, expiresAt: -1 });
+trackingShareSchema.index({ tripId: 1, expiresAt: -1 });
+trackingShareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const TrackingShare = mongoose.model('TrackingShare', trackingShareSchema);
+
+export default TrackingShare;
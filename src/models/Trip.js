@@ -17,6 +17,7 @@ import { FUEL_TYPES } from '../config/fuelTypes.js';
  * @schema
  * 
  * @property {ObjectId} driverId - Reference to User (driver)
+ * @property {ObjectId} [vehicleId] - Verified Vehicle used (source of vehicleType, fuelType and seat limit)
  * @property {string} vehicleType - CAR or BIKE
  * @property {number} totalSeats - Total seats available (CAR: 1-7, BIKE: 1)
  * @property {number} availableSeats - Current available seats (decrements on approval)
@@ -33,7 +34,7 @@ import { FUEL_TYPES } from '../config/fuelTypes.js';
  * @property {string} destinationLocation.coordinates.type - Always 'Point'
  * @property {number[]} destinationLocation.coordinates.coordinates - [longitude, latitude]
  * @property {Date} scheduledTime - Trip scheduled time (must be within 7 days)
- * @property {number} estimatedCost - Calculated cost (50 + totalSeats * 10)
+ * @property {number} estimatedCost - Per-seat fare for riding the whole route alone (services/fare.service.js)
  * @property {string} status - SCHEDULED, STARTED, IN_PROGRESS, COMPLETED, CANCELLED
  * @property {Object} [currentLocation] - Driver's current location (GeoJSON Point)
  * @property {string} currentLocation.type - Always 'Point'
@@ -41,6 +42,25 @@ import { FUEL_TYPES } from '../config/fuelTypes.js';
  * @property {Object} [route] - GeoJSON LineString route
  * @property {Date} [actualStartTime] - When trip started
  * @property {Date} [actualEndTime] - When trip completed/ended
+ * @property {Object[]} statusHistory - Every status transition, oldest first
+ * @property {string} statusHistory.from - Status before the transition
+ * @property {string} statusHistory.to - Status after the transition
+ * @property {ObjectId} [statusHistory.actorId] - User who made the change (null for system)
+ * @property {string} statusHistory.actorType - DRIVER, PASSENGER, ADMIN or SYSTEM
+ * @property {string} [statusHistory.reason] - Why the status changed
+ * @property {Date} statusHistory.at - When the transition happened
+ * @property {boolean} autoApproveWaitlist - Promote waitlisted passengers straight to APPROVED
+ * @property {boolean} sameGenderOnly - Only passengers of the driver's gender can search for and join it
+ * @property {Object} [routeMonitor] - Live deviation / unexpected stop tracking (services/routeMonitor.service.js)
+ * @property {Date} [routeMonitor.offRouteSince] - When the driver left the planned route
+ * @property {string} [routeMonitor.deviationSeverity] - Highest deviation severity alerted since then
+ * @property {number[]} [routeMonitor.stationaryAt] - [longitude, latitude] where the driver stopped moving
+ * @property {Date} [routeMonitor.stationarySince] - When the driver stopped moving
+ * @property {string} [routeMonitor.stopSeverity] - Highest stop severity alerted since then
+ * @property {Object[]} routeAlerts - Deviation and stop alerts raised during the trip, oldest first
+ * @property {ObjectId} [recurringTripId] - RecurringTrip this occurrence was generated from
+ * @property {string} [occurrenceDate] - Series day this occurrence represents ("YYYY-MM-DD")
+ * @property {boolean} isOccurrenceModified - Occurrence edited individually (series edits skip it)
  * @property {Date} createdAt - Trip creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  * 
@@ -68,10 +88,14 @@ import { FUEL_TYPES } from '../config/fuelTypes.js';
  *    - availableSeats decremented atomically
  * 4. Driver starts trip via /api/trips/:id/start
  *    - status = STARTED, actualStartTime = now
- * 5. Driver updates location via /api/trips/:id/location
+ * 5. Driver picks up the first passenger via /api/rides/:id/pickup
+ *    - status = IN_PROGRESS
+ * 6. Driver updates location via /api/trips/:id/location
  *    - currentLocation updated periodically
- * 6. Driver completes via /api/trips/:id/complete
+ * 7. Driver completes via /api/trips/:id/complete
  *    - status = COMPLETED, actualEndTime = now
+ * All status changes go through services/tripLifecycle.service and are appended
+ * to statusHistory.
  * 
  * @example
  * {
@@ -103,6 +127,11 @@ const tripSchema = new mongoose.Schema({
     ref: 'Organization',
     index: true,
   },
+  // Trips created before the vehicle registry have no vehicleId
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
   vehicleType: {
     type: String,
     enum: {
@@ -189,12 +218,18 @@ const tripSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
+      // Passenger stops planned by services/routePlanner.service; unset for driver-added stops
+      stopType: {
+        type: String,
+        enum: ['PICKUP', 'DROPOFF']
+      },
       distanceFromPrevious: Number // distance in km from previous waypoint or source
     }],
     default: [],
     validate: {
+      // Passenger dropoffs come on top of the 4 stops
       validator: function(waypoints) {
-        return waypoints.length <= 4;
+        return waypoints.filter(wp => wp.stopType !== 'DROPOFF').length <= 4;
       },
       message: 'Maximum 4 intermediate waypoints allowed'
     }
@@ -209,6 +244,16 @@ const tripSchema = new mongoose.Schema({
     optimizationApplied: {
       type: Boolean,
       default: false
+    },
+    method: {
+      type: String,
+      enum: ['EXACT', 'HEURISTIC']
+    },
+    // Compared with the nearest-neighbour order
+    savings: {
+      baselineKm: Number,
+      savedKm: Number,
+      savedPercent: Number
     }
   },
   scheduledTime: {
@@ -258,11 +303,47 @@ const tripSchema = new mongoose.Schema({
   actualEndTime: {
     type: Date
   },
+  statusHistory: [{
+    _id: false,
+    from: {
+      type: String,
+      enum: ['SCHEDULED', 'STARTED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED']
+    },
+    to: {
+      type: String,
+      enum: ['SCHEDULED', 'STARTED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'],
+      required: true
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    actorType: {
+      type: String,
+      enum: ['DRIVER', 'PASSENGER', 'ADMIN', 'SYSTEM'],
+      default: 'SYSTEM'
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   distanceKm: {
     type: Number,
     default: null,
     min: [0, 'Distance cannot be negative']
   },
+  // Set on completion: TRACE (GPS trace), PLANNED (given at creation) or STRAIGHT_LINE
+  distanceSource: {
+    type: String,
+    enum: ['TRACE', 'PLANNED', 'STRAIGHT_LINE'],
+    default: null
+  },
   co2SavedKg: {
     type: Number,
     default: null,
@@ -290,11 +371,46 @@ const tripSchema = new mongoose.Schema({
     min: [1, 'Route efficiency score minimum is 1'],
     max: [5, 'Route efficiency score maximum is 5']
   },
+  // What the score is based on, set on completion (services/routeEfficiency.service.js)
+  routeEfficiency: {
+    directKm: Number,
+    plannedKm: Number,
+    actualKm: Number,
+    actualSource: { type: String, enum: ['TRACE', 'PLANNED_ROUTE'] },
+    ratio: Number,
+    unplannedKm: Number, // driven beyond the planned route
+    stops: {
+      type: [{
+        _id: false,
+        order: Number,
+        address: String,
+        passengerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        passengerName: String,
+        detourKm: Number, // added compared with skipping this stop
+        detourPercent: Number // of the direct distance
+      }],
+      default: undefined
+    }
+  },
   idleEmissionsKg: {
     type: Number,
     default: null,
     min: [0, 'Idle emissions cannot be negative']
   },
+  // Measured from the GPS trace on completion (services/idleTime.service.js)
+  idleMinutes: {
+    type: Number,
+    default: null,
+    min: [0, 'Idle minutes cannot be negative']
+  },
+  idlePeriods: [{
+    _id: false,
+    startedAt: Date,
+    endedAt: Date,
+    minutes: Number,
+    coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+    label: String // planned place it happened at, null when en route
+  }],
   fuelCostSavingsINR: {
     type: Number,
     default: null,
@@ -337,6 +453,58 @@ const tripSchema = new mongoose.Schema({
       }
     }
   },
+  // Driver opt-in: waitlist promotions skip the manual approval step
+  autoApproveWaitlist: {
+    type: Boolean,
+    default: false
+  },
+  // Driver opt-in: hidden from and closed to passengers of another gender
+  sameGenderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Route monitoring state, updated with every driver location (services/routeMonitor.service.js)
+  routeMonitor: {
+    offRouteSince: Date,
+    deviationSeverity: { type: String, enum: ['MEDIUM', 'HIGH'] },
+    stationaryAt: { type: [Number], default: undefined }, // [longitude, latitude]
+    stationarySince: Date,
+    stopSeverity: { type: String, enum: ['MEDIUM', 'HIGH'] }
+  },
+  routeAlerts: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['ROUTE_DEVIATION', 'BACK_ON_ROUTE', 'UNEXPECTED_STOP', 'MOVING_AGAIN'],
+      required: true
+    },
+    severity: {
+      type: String,
+      enum: ['INFO', 'MEDIUM', 'HIGH'],
+      required: true
+    },
+    location: { type: [Number], default: undefined }, // [longitude, latitude]
+    distanceMeters: Number, // from the planned route, for deviations
+    durationMinutes: Number, // standing still, for stops
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Recurring series link - only set on occurrences generated from a RecurringTrip
+  recurringTripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTrip',
+    default: null
+  },
+  occurrenceDate: {
+    type: String, // "YYYY-MM-DD" in server local time
+    default: null
+  },
+  isOccurrenceModified: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -364,6 +532,12 @@ tripSchema.index({ currentLocation: '2dsphere' });
 tripSchema.index({ status: 1, availableSeats: 1 });
 tripSchema.index({ source: 1, destination: 1 });
 
+// One occurrence per series day - guards against duplicate materialization
+tripSchema.index(
+  { recurringTripId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringTripId: { $type: 'objectId' } } }
+);
+
 const Trip = mongoose.model('Trip', tripSchema);
 
 export default Trip;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview Trip Message Model
+ * @description Defines the TripMessage schema - one chat message between a trip's driver
+ * and its approved passengers (services/tripChat.service.js).
+ * @module models/TripMessage
+ */
+
+/**
+ * Trip Message Schema
+ *
+ * @schema
+ *
+ * @property {ObjectId} tripId - Reference to Trip
+ * @property {ObjectId} senderId - Reference to User
+ * @property {string} senderRole - DRIVER or PASSENGER
+ * @property {string} body - Message text, up to 500 characters
+ * @property {string} [cannedReply] - Key from CANNED_REPLIES when sent as a quick reply
+ * @property {Object[]} readBy - Read receipts, one per participant other than the sender
+ * @property {ObjectId} readBy.userId
+ * @property {Date} readBy.readAt
+ *
+ * @indexes
+ * - tripId + createdAt: History, newest first
+ */
+const tripMessageSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip ID is required']
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['DRIVER', 'PASSENGER'],
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    required: [true, 'Message text is required'],
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  cannedReply: String,
+  readBy: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+tripMessageSchema.index({ tripId: 1, createdAt: -1 });
+
+const TripMessage = mongoose.model('TripMessage', tripMessageSchema);
+
+export default TripMessage;
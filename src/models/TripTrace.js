@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Trip Trace Model
+ * @description Defines the TripTrace time-series collection - the GPS breadcrumbs of a
+ * trip, one document per accepted driver location (services/tripTrace.service.js).
+ * Outliers and points too close to the previous one are never stored.
+ * @module models/TripTrace
+ */
+
+/**
+ * Trip Trace Schema
+ *
+ * @schema
+ *
+ * @property {ObjectId} tripId - Reference to Trip (time-series meta field)
+ * @property {Date} recordedAt - When the location was received (time-series time field)
+ * @property {number[]} coordinates - [longitude, latitude]
+ * @property {number} [accuracyMeters] - Accuracy reported by the driver's device
+ *
+ * @timeseries
+ * - timeField recordedAt, metaField tripId, granularity seconds
+ * - Points expire after TRIP_TRACE_RETENTION_DAYS (default 180), set when the collection is created
+ */
+const tripTraceSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip ID is required']
+  },
+  recordedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  },
+  accuracyMeters: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'tripId',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: readNumber(process.env.TRIP_TRACE_RETENTION_DAYS, 180) * 24 * 60 * 60,
+  versionKey: false
+});
+
+tripTraceSchema.index({ tripId: 1, recordedAt: 1 });
+
+const TripTrace = mongoose.model('TripTrace', tripTraceSchema);
+
+export default TripTrace;
@@ -38,6 +38,9 @@ import mongoose from "mongoose";
  * @property {Object} [emergencyContact] - Emergency contact information
  * @property {string} emergencyContact.name - Emergency contact name
  * @property {string} emergencyContact.phone - Emergency contact phone
+ * @property {string} [emergencyContact.email] - Emailed when the user raises an SOS
+ * @property {Object} ridePreferences - Matching preferences
+ * @property {boolean} ridePreferences.sameGenderOnly - Only ride with a driver of the same gender (default: false)
  * @property {boolean} profileCompleted - Profile completion status (default: false)
  * @property {boolean} isDriver - Driver privileges granted (default: false)
  * @property {string} driverStatus - NONE, PENDING, APPROVED, REJECTED (default: NONE)
@@ -48,6 +51,11 @@ import mongoose from "mongoose";
  * @property {string} driverDocuments.license - License file path
  * @property {string} driverDocuments.rc - RC file path
  * @property {string} [driverRejectionReason] - Reason for driver rejection
+ * @property {number} noShowCount - Lifetime pickups missed as a passenger (default: 0)
+ * @property {Date} [lastNoShowAt] - Most recent missed pickup
+ * @property {Object} ratings - Average score and count of visible ratings received
+ * @property {Object} ratings.asDriver - { average, count } from passengers
+ * @property {Object} ratings.asPassenger - { average, count } from drivers
  * @property {Date} [lastLogin] - Last successful login timestamp
  * @property {Date} createdAt - Auto-generated creation timestamp
  * @property {Date} updatedAt - Auto-generated update timestamp
@@ -180,6 +188,20 @@ const userSchema = new mongoose.Schema(
         type: String,
         trim: true,
       },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, "Please provide a valid emergency contact email"],
+      },
+    },
+
+    // Private: compared on the server only (services/genderPreference.service.js)
+    ridePreferences: {
+      sameGenderOnly: {
+        type: Boolean,
+        default: false,
+      },
     },
 
     profileCompleted: {
@@ -227,6 +249,33 @@ const userSchema = new mongoose.Schema(
       type: String,
     },
 
+    // --------------------
+    // Passenger Reliability
+    // --------------------
+    noShowCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lastNoShowAt: {
+      type: Date,
+    },
+
+    // --------------------
+    // Ratings (kept in sync by services/rating.service.js)
+    // --------------------
+    ratings: {
+      asDriver: {
+        average: { type: Number, default: null },
+        count: { type: Number, default: 0, min: 0 },
+      },
+      asPassenger: {
+        average: { type: Number, default: null },
+        count: { type: Number, default: 0, min: 0 },
+      },
+    },
+
 
 
     // --------------------
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview User Block Model
+ * @description Defines the UserBlock schema - one employee choosing not to be matched
+ * with another. A block works both ways for matching (services/block.service.js) but
+ * only the blocker can see or lift it.
+ * @module models/UserBlock
+ */
+
+/**
+ * User Block Schema
+ *
+ * @schema
+ *
+ * @property {ObjectId} blockerId - User who added the block
+ * @property {ObjectId} blockedId - User being blocked
+ * @property {ObjectId} [organizationId] - Blocker's organization (scopes admin counts)
+ *
+ * @indexes
+ * - blockerId + blockedId: Unique, one block per pair and direction
+ * - blockedId: Blocks against a user, for matching checks
+ * - organizationId + blockedId: Org admin block counts
+ */
+const userBlockSchema = new mongoose.Schema({
+  blockerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blockedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  }
+}, {
+  timestamps: true
+});
+
+userBlockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+userBlockSchema.index({ blockedId: 1 });
+userBlockSchema.index({ organizationId: 1, blockedId: 1 });
+
+const UserBlock = mongoose.model('UserBlock', userBlockSchema);
+
+export default UserBlock;
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import { FUEL_TYPES } from '../config/fuelTypes.js';
+
+/**
+ * @fileoverview Vehicle Model
+ * @description Defines the Vehicle schema - a car or bike registered by a driver and
+ * verified by an org admin. Trips reference a verified vehicle, and their vehicle type,
+ * fuel type and seat count are taken from it rather than typed in on every trip.
+ * @module models/Vehicle
+ */
+
+/**
+ * Vehicle Schema
+ *
+ * @schema
+ *
+ * @property {ObjectId} driverId - Reference to User (owner)
+ * @property {ObjectId} [organizationId] - Driver's organization (scopes admin review)
+ * @property {string} registrationNumber - Plate number, upper-case without spaces or dashes (unique)
+ * @property {string} make - Manufacturer, e.g. "Tata"
+ * @property {string} model - Model name, e.g. "Nexon EV"
+ * @property {string} [colour]
+ * @property {string} vehicleType - CAR or BIKE
+ * @property {string} fuelType - One of FUEL_TYPES
+ * @property {number} seatCapacity - Passenger seats (CAR: 1-7, BIKE: 1)
+ * @property {string} rcDocument - Registration certificate file path or URL
+ * @property {string} status - PENDING, VERIFIED or REJECTED
+ * @property {ObjectId} [verifiedBy] - Org admin who reviewed the vehicle
+ * @property {Date} [verifiedAt] - Review timestamp
+ * @property {string} [rejectionReason]
+ * @property {boolean} isActive - false once the driver removes the vehicle
+ *
+ * @lifecycle
+ * 1. Driver registers via POST /api/vehicles (status = PENDING)
+ * 2. Org admin verifies or rejects via /org-admin/vehicle-requests/:id/verify|reject
+ * 3. Driver creates trips with vehicleId of a VERIFIED, active vehicle
+ * 4. Driver removes the vehicle (isActive = false); existing trips keep their reference
+ */
+const vehicleSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Driver ID is required'],
+    index: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  registrationNumber: {
+    type: String,
+    required: [true, 'Registration number is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{4,12}$/, 'Registration number must be 4-12 letters or digits']
+  },
+  make: {
+    type: String,
+    required: [true, 'Make is required'],
+    trim: true
+  },
+  model: {
+    type: String,
+    required: [true, 'Model is required'],
+    trim: true
+  },
+  colour: {
+    type: String,
+    trim: true
+  },
+  vehicleType: {
+    type: String,
+    enum: {
+      values: ['CAR', 'BIKE'],
+      message: '{VALUE} is not a valid vehicle type'
+    },
+    required: [true, 'Vehicle type is required']
+  },
+  fuelType: {
+    type: String,
+    enum: {
+      values: FUEL_TYPES,
+      message: '{VALUE} is not a valid fuel type'
+    },
+    required: [true, 'Fuel type is required']
+  },
+  seatCapacity: {
+    type: Number,
+    required: [true, 'Seat capacity is required'],
+    min: [1, 'Seat capacity must be at least 1'],
+    validate: {
+      validator: function (value) {
+        if (this.vehicleType === 'CAR') return value <= 7;
+        if (this.vehicleType === 'BIKE') return value === 1;
+        return true;
+      },
+      message: 'CAR can have between 1 and 7 seats, BIKE exactly 1'
+    }
+  },
+  rcDocument: {
+    type: String,
+    required: [true, 'Registration certificate is required']
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'VERIFIED', 'REJECTED'],
+    default: 'PENDING'
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
+  rejectionReason: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+vehicleSchema.index({ organizationId: 1, status: 1 });
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema);
+
+export default Vehicle;
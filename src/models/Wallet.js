@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview Wallet Model
+ * @description Denormalized running balance per user, rebuilt from the user's WalletLedger
+ * rows after every posting (services/wallet.service rebuildWalletBalance), so a failed or
+ * retried posting can never leave it out of step with the ledger.
+ * A negative balance is money the user owes; it is collected at the next settlement.
+ * @module models/Wallet
+ */
+const walletSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true,
+        },
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        balanceINR: {
+            type: Number,
+            default: 0,
+        },
+        // Lifetime totals — only increase
+        totalCreditedINR: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        totalDebitedINR: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // Ledger rows the totals were rebuilt from; a rebuild only replaces an older one
+        ledgerEntries: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+    },
+    { timestamps: true }
+);
+
+// Org admin view of outstanding balances
+walletSchema.index({ organizationId: 1, balanceINR: 1 });
+
+export default mongoose.model('Wallet', walletSchema);
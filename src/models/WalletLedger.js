@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * @fileoverview Wallet Ledger Model
+ * @description Immutable money log — one document per credit/debit, same shape as
+ * PointLedger. Balance = Σ CREDIT - Σ DEBIT over all rows for a user.
+ * Never update or delete rows; post an ADJUSTMENT counter-entry to correct mistakes.
+ * @module models/WalletLedger
+ */
+const walletLedgerSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+            index: true,
+        },
+        // CREDIT = money in (balance up), DEBIT = money out (balance down)
+        type: {
+            type: String,
+            enum: ['CREDIT', 'DEBIT'],
+            required: true,
+        },
+        reason: {
+            type: String,
+            required: true,
+            enum: [
+                'RIDE_FARE',              // passenger pays for a completed ride
+                'RIDE_EARNING',           // driver receives a passenger's fare
+                'TOP_UP',                 // passenger adds money through the payment provider
+                'SETTLEMENT_COLLECTION',  // outstanding balance collected at settlement
+                'SETTLEMENT_PAYOUT',      // positive balance paid out at settlement
+                'ADJUSTMENT',             // org admin correction after a dispute
+            ],
+        },
+        // Always positive — sign determined by `type`
+        amountINR: {
+            type: Number,
+            required: true,
+            min: 0.01,
+        },
+        // Reference to causative document
+        refId: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        refModel: {
+            type: String,
+            enum: ['RideRequest', 'SettlementStatement'],
+        },
+        // Payment provider transaction id for TOP_UP / SETTLEMENT_* rows
+        providerRef: {
+            type: String,
+        },
+        note: {
+            type: String,
+            trim: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    { timestamps: true }
+);
+
+// Index for wallet history and statement generation
+walletLedgerSchema.index({ userId: 1, createdAt: -1 });
+// A ride or statement is posted once per user, however many times the caller retries
+walletLedgerSchema.index(
+    { userId: 1, reason: 1, refId: 1 },
+    { unique: true, partialFilterExpression: { refId: { $exists: true } } }
+);
+// Wallet reconciliation: recent ride rows, and each ride's rows across users
+walletLedgerSchema.index({ reason: 1, createdAt: -1 });
+walletLedgerSchema.index({ refId: 1, reason: 1 });
+
+export default mongoose.model('WalletLedger', walletLedgerSchema);
@@ -4,12 +4,15 @@ import {
   getDriverRequests,
   approveDriver,
   rejectDriver,
+  getVehicleRequests,
+  verifyVehicle,
+  rejectVehicle,
 } from "../controllers/adminDriver.controller.js";
 
 /**
  * @fileoverview Driver Approval Routes
  * @description Defines endpoints for organization admins to review and approve driver
- * applications with uploaded documents.
+ * applications with uploaded documents, and to verify drivers' vehicles.
  * @module routes/adminDriver.routes
  */
 
@@ -53,4 +56,31 @@ router.post(
   rejectDriver
 );
 
+/**
+ * @api {get} /api/org-admin/vehicle-requests Get Vehicle Requests
+ * @apiDescription Vehicles awaiting verification in the admin's organization
+ * @apiPermission org-admin
+ * @apiHeader {String} Authorization Bearer JWT token
+ */
+router.get("/vehicle-requests", requireAuth, getVehicleRequests);
+
+/**
+ * @api {post} /api/org-admin/vehicle-requests/:id/verify Verify Vehicle
+ * @apiDescription Mark a vehicle as verified so it can be used for trips
+ * @apiPermission org-admin
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiParam {String} id MongoDB ObjectId of the vehicle
+ */
+router.post("/vehicle-requests/:id/verify", requireAuth, verifyVehicle);
+
+/**
+ * @api {post} /api/org-admin/vehicle-requests/:id/reject Reject Vehicle
+ * @apiDescription Reject a vehicle with optional reason
+ * @apiPermission org-admin
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiParam {String} id MongoDB ObjectId of the vehicle
+ * @apiBody {String} [reason] Optional rejection reason
+ */
+router.post("/vehicle-requests/:id/reject", requireAuth, rejectVehicle);
+
 export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import requireAuth from '../middlewares/auth.middleware.js';
+import requireOrgAdmin from '../middlewares/orgAdmin.middleware.js';
+import { getOrgFareRules, updateOrgFareRules } from '../controllers/fareRules.controller.js';
+
+/**
+ * @fileoverview Org Fare Rules Routes
+ * @description ORG_ADMIN only. Mounted at /org-admin/fare-rules in app.js.
+ * Follows same pattern as existing rewardsAdmin.routes.js
+ */
+const router = express.Router();
+
+router.get('/', requireAuth, requireOrgAdmin, getOrgFareRules);
+router.put('/', requireAuth, requireOrgAdmin, updateOrgFareRules);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import requireAuth from '../middlewares/auth.middleware.js';
+import requireOrgAdmin from '../middlewares/orgAdmin.middleware.js';
+import {
+    listIncidents,
+    getIncident,
+    acknowledgeIncident,
+    resolveIncident,
+    addNote,
+} from '../controllers/incidentAdmin.controller.js';
+
+/**
+ * @fileoverview SOS Incident Routes
+ * @description ORG_ADMIN only. Mounted at /org-admin/incidents in app.js.
+ * Follows same pattern as existing rewardsAdmin.routes.js
+ */
+const router = express.Router();
+
+router.get('/', requireAuth, requireOrgAdmin, listIncidents);
+router.get('/:id', requireAuth, requireOrgAdmin, getIncident);
+router.post('/:id/acknowledge', requireAuth, requireOrgAdmin, acknowledgeIncident);
+router.post('/:id/resolve', requireAuth, requireOrgAdmin, resolveIncident);
+router.post('/:id/notes', requireAuth, requireOrgAdmin, addNote);
+
+export default router;
@@ -5,6 +5,7 @@ import {
   approveEmployee,
   listPendingEmployees,
   listMembers,
+  getBlockSummary,
   removeEmployee,
 } from "../controllers/orgAdmin.controller.js";
 
@@ -44,6 +45,19 @@ router.get(
   listMembers
 );
 
+/**
+ * @api {get} /org-admin/block-summary Block Summary
+ * @apiDescription How often each member has been blocked (counts only, never who blocked whom)
+ * @apiPermission org-admin
+ * @apiHeader {String} Authorization Bearer JWT token
+ */
+router.get(
+  "/block-summary",
+  requireAuth,
+  requireOrgAdmin,
+  getBlockSummary
+);
+
 /**
  * @api {post} /api/org-admin/approve-user Approve Employee
  * @apiDescription Approve pending employee registration
@@ -5,6 +5,7 @@ import {
   createOrganization,
   createOrgAdmin,
   listOrganizations,
+  getJobStatus,
 } from "../controllers/platform.controller.js";
 
 /**
@@ -56,4 +57,16 @@ router.post(
   createOrgAdmin
 );
 
+/**
+ * @api {get} /platform/jobs Background Job Status
+ * @apiDescription Next run, run counts and recent failures of the background jobs
+ * @apiPermission platform-admin
+ */
+router.get(
+  "/jobs",
+  requireAuth,
+  requirePlatformAdmin,
+  getJobStatus
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+import express from 'express';
+import requireAuth from '../middlewares/auth.middleware.js';
+import requireOrgAdmin from '../middlewares/orgAdmin.middleware.js';
+import { listLowRatings, hideRating, restoreRating } from '../controllers/ratingAdmin.controller.js';
+
+/**
+ * @fileoverview Rating Moderation Routes
+ * @description ORG_ADMIN only. Mounted at /org-admin/ratings in app.js.
+ * Follows same pattern as existing rewardsAdmin.routes.js
+ */
+const router = express.Router();
+
+router.get('/low', requireAuth, requireOrgAdmin, listLowRatings);
+router.post('/:id/hide', requireAuth, requireOrgAdmin, hideRating);
+router.post('/:id/restore', requireAuth, requireOrgAdmin, restoreRating);
+
+export default router;
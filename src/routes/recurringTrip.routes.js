@@ -0,0 +1,93 @@
+import express from 'express';
+import {
+  createRecurringTrip,
+  getDriverRecurringTrips,
+  getRecurringTripById,
+  updateRecurringTrip,
+  cancelRecurringTrip,
+  updateOccurrence,
+  cancelOccurrence,
+  bookStandingSeat,
+  cancelStandingSeat
+} from '../controllers/recurringTrip.controller.js';
+import protect from '../middlewares/authMiddleware.js';
+import requireDriver from '../middlewares/driverMiddleware.js';
+import { validate, schemas } from '../middlewares/validation.middleware.js';
+
+/**
+ * @fileoverview Recurring Trip Routes
+ * @description Endpoints for recurring commute series and standing seats.
+ * Mounted at /api/recurring-trips in app.js.
+ * @module routes/recurringTrip.routes
+ */
+
+const router = express.Router();
+
+/**
+ * @api {post} /api/recurring-trips Create Recurring Trip
+ * @apiDescription Driver creates a weekly commute template
+ * @apiPermission driver
+ * @apiBody {String} vehicleId Driver's verified vehicle
+ * @apiBody {Number} [totalSeats] Seats per occurrence (defaults to the vehicle's capacity)
+ * @apiBody {Number[]} daysOfWeek 0 (Sunday) to 6 (Saturday)
+ * @apiBody {String} departureTime HH:mm
+ * @apiBody {String} startDate ISO date
+ * @apiBody {String} endDate ISO date
+ * @apiBody {String[]} [skipDates] YYYY-MM-DD days to skip
+ */
+router.post('/', protect, requireDriver, validate(schemas.createRecurringTrip), createRecurringTrip);
+
+/**
+ * @api {get} /api/recurring-trips/driver Get Driver's Recurring Trips
+ * @apiPermission driver
+ */
+router.get('/driver', protect, requireDriver, getDriverRecurringTrips);
+
+/**
+ * @api {get} /api/recurring-trips/:id Get Recurring Trip
+ * @apiPermission authenticated
+ */
+router.get('/:id', protect, getRecurringTripById);
+
+/**
+ * @api {patch} /api/recurring-trips/:id Edit Series
+ * @apiDescription Edits the template and all future occurrences not edited individually
+ * @apiPermission driver (series owner only)
+ */
+router.patch('/:id', protect, requireDriver, updateRecurringTrip);
+
+/**
+ * @api {post} /api/recurring-trips/:id/cancel Cancel Series
+ * @apiPermission driver (series owner only)
+ */
+router.post('/:id/cancel', protect, requireDriver, cancelRecurringTrip);
+
+/**
+ * @api {patch} /api/recurring-trips/:id/occurrences/:tripId Edit Occurrence
+ * @apiPermission driver (series owner only)
+ * @apiBody {String} [scheduledTime] New departure time on the same day
+ * @apiBody {Number} [totalSeats] New seat count
+ */
+router.patch('/:id/occurrences/:tripId', protect, requireDriver, updateOccurrence);
+
+/**
+ * @api {post} /api/recurring-trips/:id/occurrences/:tripId/cancel Cancel Occurrence
+ * @apiPermission driver (series owner only)
+ */
+router.post('/:id/occurrences/:tripId/cancel', protect, requireDriver, cancelOccurrence);
+
+/**
+ * @api {post} /api/recurring-trips/:id/standing-seat Book Standing Seat
+ * @apiPermission authenticated
+ * @apiBody {Object} pickupLocation { address, coordinates: [lng, lat] }
+ * @apiBody {Object} [dropoffLocation] { address, coordinates: [lng, lat] }
+ */
+router.post('/:id/standing-seat', protect, bookStandingSeat);
+
+/**
+ * @api {delete} /api/recurring-trips/:id/standing-seat Cancel Standing Seat
+ * @apiPermission authenticated
+ */
+router.delete('/:id/standing-seat', protect, cancelStandingSeat);
+
+export default router;
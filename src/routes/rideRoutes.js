@@ -7,10 +7,16 @@ import {
   getPassengerRides,
   markAsPickedUp,
   markAsDroppedOff,
-  cancelRide
+  markDriverArrived,
+  markNoShow,
+  cancelRide,
+  dismissStopDetection
 } from '../controllers/rideController.js';
+import { rateRide } from '../controllers/rating.controller.js';
+import { createShareLink, listShareLinks, revokeShareLink } from '../controllers/trackingShare.controller.js';
 import protect from '../middlewares/authMiddleware.js';
 import requireDriver from '../middlewares/driverMiddleware.js';
+import { validate, schemas } from '../middlewares/validation.middleware.js';
 
 /**
  * @fileoverview Ride Request Routes
@@ -27,6 +33,8 @@ const router = express.Router();
  * @apiPermission authenticated
  * @apiHeader {String} Authorization Bearer JWT token
  * @apiBody {String} tripId MongoDB ObjectId of trip to join
+ * @apiBody {Number} [seatsRequested=1] Seats needed (passengers travelling together)
+ * @apiBody {Boolean} [joinWaitlist] Join the waitlist if the trip is full
  */
 router.post('/rides/request', protect, requestRide);
 
@@ -83,6 +91,34 @@ router.post('/rides/:id/pickup', protect, requireDriver, markAsPickedUp);
  */
 router.post('/rides/:id/dropoff', protect, requireDriver, markAsDroppedOff);
 
+/**
+ * @api {post} /api/rides/:id/stop-prompt/dismiss Dismiss Stop Prompt
+ * @apiDescription Driver rejects a pickup or drop-off detected from GPS (stop-detected) before it is auto-confirmed
+ * @apiPermission driver (trip owner only)
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiParam {String} id MongoDB ObjectId of ride request
+ */
+router.post('/rides/:id/stop-prompt/dismiss', protect, requireDriver, dismissStopDetection);
+
+/**
+ * @api {post} /api/rides/:id/arrived Report Arrival at Pickup
+ * @apiDescription Driver reports arriving at the passenger's pickup point (starts the no-show wait)
+ * @apiPermission driver (trip owner only)
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiParam {String} id MongoDB ObjectId of ride request
+ */
+router.post('/rides/:id/arrived', protect, requireDriver, markDriverArrived);
+
+/**
+ * @api {post} /api/rides/:id/no-show Mark as No-Show
+ * @apiDescription Driver marks a passenger who did not turn up; releases their seats
+ * @apiPermission driver (trip owner only)
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiParam {String} id MongoDB ObjectId of ride request
+ * @apiNote Allowed NO_SHOW_WAIT_MINUTES (default 5) after /arrived
+ */
+router.post('/rides/:id/no-show', protect, requireDriver, markNoShow);
+
 /**
  * @api {post} /api/rides/:id/cancel Cancel Ride Request (Passenger)
  * @apiDescription Passenger cancels their own PENDING or APPROVED ride request before trip starts
@@ -92,4 +128,37 @@ router.post('/rides/:id/dropoff', protect, requireDriver, markAsDroppedOff);
  */
 router.post('/rides/:id/cancel', protect, cancelRide);
 
+/**
+ * @api {post} /api/rides/:id/rating Rate a Ride
+ * @apiDescription Passenger rates the driver, or driver rates the passenger, after drop-off
+ * @apiPermission the ride's passenger or the trip's driver
+ * @apiParam {String} id Ride request ID
+ * @apiBody {Number} score 1 to 5
+ * @apiBody {String[]} [tags] From RATING_TAGS for the rater's side
+ * @apiBody {String} [comment] Up to 500 characters
+ */
+router.post('/rides/:id/rating', protect, validate(schemas.submitRating), rateRide);
+
+/**
+ * @api {post} /api/rides/:id/share-links Create Tracking Share Link
+ * @apiDescription Passenger shares live tracking of their ride with someone without an account
+ * @apiPermission the ride's passenger
+ * @apiParam {String} id Ride request ID
+ * @apiBody {Number} [expiresInMinutes] Default 120, capped at TRACKING_SHARE_MAX_MINUTES
+ * @apiBody {String} [label] Who it is for
+ */
+router.post('/rides/:id/share-links', protect, validate(schemas.createTrackingShare), createShareLink);
+
+/**
+ * @api {get} /api/rides/:id/share-links List Tracking Share Links
+ * @apiPermission the ride's passenger
+ */
+router.get('/rides/:id/share-links', protect, listShareLinks);
+
+/**
+ * @api {delete} /api/rides/:id/share-links/:shareId Revoke Tracking Share Link
+ * @apiPermission the ride's passenger
+ */
+router.delete('/rides/:id/share-links/:shareId', protect, revokeShareLink);
+
 export default router;
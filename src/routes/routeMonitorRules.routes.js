@@ -0,0 +1,16 @@
+import express from 'express';
+import requireAuth from '../middlewares/auth.middleware.js';
+import requireOrgAdmin from '../middlewares/orgAdmin.middleware.js';
+import { getOrgRouteMonitorRules, updateOrgRouteMonitorRules } from '../controllers/routeMonitorRules.controller.js';
+
+/**
+ * @fileoverview Org Route Monitor Rules Routes
+ * @description ORG_ADMIN only. Mounted at /org-admin/route-monitor in app.js.
+ * Follows same pattern as fareRules.routes.js
+ */
+const router = express.Router();
+
+router.get('/', requireAuth, requireOrgAdmin, getOrgRouteMonitorRules);
+router.put('/', requireAuth, requireOrgAdmin, updateOrgRouteMonitorRules);
+
+export default router;
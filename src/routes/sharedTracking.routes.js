@@ -0,0 +1,19 @@
+import express from 'express';
+import { getSharedTracking } from '../controllers/trackingShare.controller.js';
+
+/**
+ * @fileoverview Shared Tracking Routes
+ * @description Public, read-only tracking for share-link holders. No JWT; the share
+ * token in the path is the credential. Mounted at /api/shared-tracking in app.js.
+ */
+const router = express.Router();
+
+/**
+ * @api {get} /api/shared-tracking/:token Get Shared Tracking
+ * @apiDescription Driver position, ETA, vehicle and status of a shared ride
+ * @apiPermission public (valid share token)
+ * @apiParam {String} token Share token from POST /api/rides/:id/share-links
+ */
+router.get('/:token', getSharedTracking);
+
+export default router;
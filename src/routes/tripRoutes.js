@@ -5,6 +5,7 @@ import {
   startTrip,
   completeTrip,
   cancelTrip,
+  updateWaitlistSettings,
   endTrip,
   getDriverTrips,
   updateDriverLocation,
@@ -13,6 +14,8 @@ import {
   getTripSummary,
   getOptimizedRoutePreview
 } from '../controllers/tripController.js';
+import { raiseSos } from '../controllers/incident.controller.js';
+import { getChatHistory, sendMessage, markRead } from '../controllers/tripChat.controller.js';
 import protect from '../middlewares/authMiddleware.js';
 import requireDriver from '../middlewares/driverMiddleware.js';
 import { validate, schemas } from '../middlewares/validation.middleware.js';
@@ -31,8 +34,8 @@ const router = express.Router();
  * @apiDescription Driver creates a new scheduled trip
  * @apiPermission driver
  * @apiHeader {String} Authorization Bearer JWT token
- * @apiBody {String} vehicleType CAR or BIKE
- * @apiBody {Number} totalSeats Number of seats (CAR: 1-7, BIKE: 1)
+ * @apiBody {String} vehicleId Driver's verified vehicle (vehicle type and fuel type come from it)
+ * @apiBody {Number} [totalSeats] Seats to offer (defaults to the vehicle's capacity)
  * @apiBody {String} scheduledTime ISO timestamp (within 7 days)
  * @apiBody {String} source Source location text
  * @apiBody {String} destination Destination location text
@@ -53,7 +56,15 @@ router.post('/trips', protect, requireDriver, validate(schemas.createTrip), crea
  * @apiQuery {Number} [sourceLng] Source longitude for geospatial search
  * @apiQuery {Number} [destLat] Destination latitude
  * @apiQuery {Number} [destLng] Destination longitude
- * @apiQuery {Number} [maxDistance=5000] Max distance in meters
+ * @apiQuery {Number} [maxDistance=5000] Max distance from the trip route in meters
+ * @apiQuery {String} [departAfter] Earliest departure (ISO timestamp)
+ * @apiQuery {String} [departBefore] Latest departure (ISO timestamp)
+ * @apiQuery {String} [fuelType] Filter by fuel type
+ * @apiQuery {Number} [seatsNeeded=1] Minimum available seats
+ * @apiQuery {String} [organizationId] Filter by organization
+ * @apiQuery {Boolean} [includeFull=false] Include full trips (to join a waitlist)
+ * @apiQuery {String} [cursor] nextCursor from the previous page
+ * @apiQuery {Number} [limit=20] Page size (max 50)
  */
 router.get('/trips/search', protect, searchTrips);
 
@@ -85,30 +96,43 @@ router.get('/trips/driver/trips', protect, requireDriver, getDriverTrips);
  * @apiPermission driver (trip owner only)
  * @apiHeader {String} Authorization Bearer JWT token
  * @apiParam {String} id MongoDB ObjectId of trip
+ * @apiBody {String} [reason] Note stored in the trip's status history
  */
 router.post('/trips/:id/start', protect, requireDriver, startTrip);
 
 /**
  * @api {post} /api/trips/:id/complete Complete Trip
- * @apiDescription Driver marks trip as completed
+ * @apiDescription Driver marks trip as completed (STARTED/IN_PROGRESS -> COMPLETED)
  * @apiPermission driver (trip owner only)
  * @apiHeader {String} Authorization Bearer JWT token
  * @apiParam {String} id MongoDB ObjectId of trip
+ * @apiBody {String} [reason] Note stored in the trip's status history
  */
 router.post('/trips/:id/complete', protect, requireDriver, completeTrip);
 
 /**
  * @api {post} /api/trips/:id/cancel Cancel Trip
- * @apiDescription Driver cancels the trip
+ * @apiDescription Driver cancels the trip (SCHEDULED -> CANCELLED)
  * @apiPermission driver (trip owner only)
  * @apiHeader {String} Authorization Bearer JWT token
  * @apiParam {String} id MongoDB ObjectId of trip
+ * @apiBody {String} [reason] Note stored in the trip's status history
  */
 router.post('/trips/:id/cancel', protect, requireDriver, cancelTrip);
 
+/**
+ * @api {patch} /api/trips/:id/waitlist-settings Update Waitlist Settings
+ * @apiDescription Driver toggles auto-approval for passengers promoted from the waitlist
+ * @apiPermission driver (trip owner only)
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiParam {String} id MongoDB ObjectId of trip
+ * @apiBody {Boolean} autoApproveWaitlist New setting
+ */
+router.patch('/trips/:id/waitlist-settings', protect, requireDriver, updateWaitlistSettings);
+
 /**
  * @api {post} /api/trips/:id/end End Trip
- * @apiDescription Driver ends in-progress trip (IN_PROGRESS -> COMPLETED)
+ * @apiDescription Alias of /complete kept for existing clients (STARTED/IN_PROGRESS -> COMPLETED)
  * @apiPermission driver (trip owner only)
  * @apiHeader {String} Authorization Bearer JWT token
  * @apiParam {String} id MongoDB ObjectId of trip
@@ -144,4 +168,47 @@ router.get('/trips/:id/summary', protect, getTripSummary);
  */
 router.get('/trips/:id/route-preview', protect, requireDriver, getOptimizedRoutePreview);
 
+/**
+ * @api {post} /api/trips/:id/sos Raise SOS
+ * @apiDescription Raise an emergency alert from an active trip. Emails the user's emergency
+ * contact, alerts org admins over sockets and opens an incident
+ * @apiPermission authenticated (driver or approved passengers, trip STARTED or IN_PROGRESS)
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiParam {String} id MongoDB ObjectId of trip
+ * @apiBody {String} [message] Up to 500 characters
+ * @apiBody {Object} [location] Device location { lat, lng }
+ */
+router.post('/trips/:id/sos', protect, validate(schemas.raiseSos), raiseSos);
+
+/**
+ * @api {get} /api/trips/:id/chat Get Trip Chat
+ * @apiDescription Chat history (oldest first), lock state and quick replies
+ * @apiPermission authenticated (driver or approved passengers)
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiParam {String} id MongoDB ObjectId of trip
+ * @apiQuery {String} [before] ISO timestamp; older messages
+ * @apiQuery {Number} [limit=50] Page size (max 100)
+ */
+router.get('/trips/:id/chat', protect, getChatHistory);
+
+/**
+ * @api {post} /api/trips/:id/chat Send Trip Chat Message
+ * @apiDescription Send a message or quick reply; pushed live as tripChat:message
+ * @apiPermission authenticated (driver or approved passengers)
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiBody {String} [text] Up to 500 characters
+ * @apiBody {String} [cannedReply] Quick reply key (send text or cannedReply)
+ * @apiNote Closed TRIP_CHAT_LOCK_MINUTES (default 30) after the trip completes or is cancelled
+ */
+router.post('/trips/:id/chat', protect, validate(schemas.sendTripMessage), sendMessage);
+
+/**
+ * @api {post} /api/trips/:id/chat/read Mark Trip Chat Read
+ * @apiDescription Read receipt; pushed live as tripChat:read
+ * @apiPermission authenticated (driver or approved passengers)
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiBody {String} [upTo] Last message read (all messages when omitted)
+ */
+router.post('/trips/:id/chat/read', protect, validate(schemas.markTripChatRead), markRead);
+
 export default router;
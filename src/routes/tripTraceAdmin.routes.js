@@ -0,0 +1,15 @@
+import express from 'express';
+import requireAuth from '../middlewares/auth.middleware.js';
+import requireOrgAdmin from '../middlewares/orgAdmin.middleware.js';
+import { getTripTrace } from '../controllers/tripTraceAdmin.controller.js';
+
+/**
+ * @fileoverview Org Trip Trace Routes
+ * @description ORG_ADMIN only. Mounted at /org-admin/trips in app.js.
+ * Follows same pattern as existing incidentAdmin.routes.js
+ */
+const router = express.Router();
+
+router.get('/:id/trace', requireAuth, requireOrgAdmin, getTripTrace);
+
+export default router;
@@ -5,12 +5,18 @@ import {
   completeProfile,
   requestDriverAccess,
   getUserAdminDetails,
+  updateRidePreferences,
+  blockColleague,
+  unblockColleague,
+  listBlockedColleagues,
 } from "../controllers/user.controller.js";
+import { validate, schemas } from "../middlewares/validation.middleware.js";
 
 /**
  * @fileoverview User Profile Routes
  * @description Defines authenticated user profile management endpoints including
- * profile retrieval, profile completion, and driver access requests.
+ * profile retrieval, profile completion, ride preferences, blocking colleagues and driver
+ * access requests.
  * @module routes/user.routes
  */
 
@@ -36,9 +42,46 @@ router.get("/me", requireAuth, getMyProfile);
  * @apiBody {String} workAddress Work address
  * @apiBody {String} [emergencyContactName] Emergency contact name (optional)
  * @apiBody {String} [emergencyContactPhone] Emergency contact phone (optional)
+ * @apiBody {String} [emergencyContactEmail] Emergency contact email for SOS alerts (optional)
  */
 router.put("/complete-profile", requireAuth, completeProfile);
 
+/**
+ * @api {patch} /api/users/me/ride-preferences Update Ride Preferences
+ * @apiDescription Opt in or out of same-gender rides (private to the user)
+ * @apiPermission authenticated
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiBody {Boolean} sameGenderOnly Only ride with people of the same gender
+ * @apiNote Turning it on requires MALE, FEMALE or OTHER as the profile gender
+ */
+router.patch("/me/ride-preferences", requireAuth, validate(schemas.updateRidePreferences), updateRidePreferences);
+
+/**
+ * @api {get} /api/users/blocks List Blocked Colleagues
+ * @apiDescription Colleagues the user has blocked
+ * @apiPermission authenticated
+ * @apiHeader {String} Authorization Bearer JWT token
+ */
+router.get("/blocks", requireAuth, listBlockedColleagues);
+
+/**
+ * @api {post} /api/users/blocks Block Colleague
+ * @apiDescription Stop being matched with a colleague, in both directions
+ * @apiPermission authenticated
+ * @apiHeader {String} Authorization Bearer JWT token
+ * @apiBody {String} userId MongoDB ObjectId of the colleague
+ * @apiNote The blocked user is not notified
+ */
+router.post("/blocks", requireAuth, validate(schemas.blockUser), blockColleague);
+
+/**
+ * @api {delete} /api/users/blocks/:userId Unblock Colleague
+ * @apiDescription Lift a block the user added
+ * @apiPermission authenticated
+ * @apiHeader {String} Authorization Bearer JWT token
+ */
+router.delete("/blocks/:userId", requireAuth, unblockColleague);
+
 /**
  * @api {post} /api/users/driver-intent Request Driver Access
  * @apiDescription Employee requests to become a driver
@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  registerVehicle,
+  getMyVehicles,
+  removeVehicle
+} from '../controllers/vehicle.controller.js';
+import protect from '../middlewares/authMiddleware.js';
+import requireDriver from '../middlewares/driverMiddleware.js';
+import { uploadVehicleDocs } from '../middlewares/upload.middleware.js';
+
+/**
+ * @fileoverview Vehicle Routes
+ * @description Endpoints for drivers to register and manage their vehicles.
+ * Mounted at /api/vehicles in app.js.
+ * @module routes/vehicle.routes
+ */
+
+const router = express.Router();
+
+/**
+ * @api {post} /api/vehicles Register Vehicle
+ * @apiDescription Driver registers a vehicle for org admin verification
+ * @apiPermission driver
+ * @apiHeader {String} Content-Type multipart/form-data or application/json
+ * @apiBody {String} registrationNumber Plate number
+ * @apiBody {String} make Manufacturer
+ * @apiBody {String} model Model name
+ * @apiBody {String} [colour] Colour
+ * @apiBody {String} vehicleType CAR or BIKE
+ * @apiBody {String} fuelType One of FUEL_TYPES
+ * @apiBody {Number} seatCapacity Passenger seats (CAR: 1-7, BIKE: 1)
+ * @apiBody {File} [rc] Registration certificate (or rcDocumentUrl)
+ * @apiBody {String} [rcDocumentUrl] Link to the registration certificate
+ */
+router.post('/', protect, requireDriver, uploadVehicleDocs.single('rc'), registerVehicle);
+
+/**
+ * @api {get} /api/vehicles Get My Vehicles
+ * @apiPermission driver
+ */
+router.get('/', protect, requireDriver, getMyVehicles);
+
+/**
+ * @api {delete} /api/vehicles/:id Remove Vehicle
+ * @apiPermission driver (vehicle owner only)
+ */
+router.delete('/:id', protect, requireDriver, removeVehicle);
+
+export default router;
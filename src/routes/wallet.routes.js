@@ -0,0 +1,21 @@
+import express from 'express';
+import requireAuth from '../middlewares/auth.middleware.js';
+import {
+    getWallet,
+    getWalletHistory,
+    topUp,
+    getMyStatements,
+} from '../controllers/wallet.controller.js';
+
+/**
+ * @fileoverview Wallet Routes (user-facing)
+ * @description Mounted at /api/wallet in app.js
+ */
+const router = express.Router();
+
+router.get('/', requireAuth, getWallet);
+router.get('/history', requireAuth, getWalletHistory);
+router.post('/top-up', requireAuth, topUp);
+router.get('/statements', requireAuth, getMyStatements);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import requireAuth from '../middlewares/auth.middleware.js';
+import requireOrgAdmin from '../middlewares/orgAdmin.middleware.js';
+import { listOrgStatements, createAdjustment } from '../controllers/walletAdmin.controller.js';
+
+/**
+ * @fileoverview Wallet Admin Routes
+ * @description ORG_ADMIN only. Mounted at /org-admin/wallets in app.js.
+ * Follows same pattern as existing rewardsAdmin.routes.js
+ */
+const router = express.Router();
+
+router.get('/statements', requireAuth, requireOrgAdmin, listOrgStatements);
+router.post('/:userId/adjustments', requireAuth, requireOrgAdmin, createAdjustment);
+
+export default router;
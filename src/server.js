@@ -11,7 +11,10 @@ import { validateFuelTypesConfig } from "./config/fuelTypes.js";
 validateFuelTypesConfig();
 import setupRideSocket from "./sockets/rideSocket.js";
 import setupTrackingSocket from "./sockets/trackingSocket.js";
+import setupSharedTrackingSocket from "./sockets/sharedTrackingSocket.js";
+import setupTripChatSocket from "./sockets/tripChatSocket.js";
 import { setIO } from "./config/socket.js";
+import { startBackgroundJobs } from "./services/backgroundJobs.service.js";
 
 connectDB();
 
@@ -36,8 +39,16 @@ setIO(io);
 // io.use() JWT authentication middleware that all socket connections need.
 setupTrackingSocket(io);
 setupRideSocket(io);
+setupTripChatSocket(io);
+// Share-link viewers use their own namespace and token, not the JWT above
+setupSharedTrackingSocket(io);
 
 httpServer.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Socket.io initialized`);
+
+  // Recurring trip materialization and trip/request expiry run on the job scheduler
+  startBackgroundJobs().catch(error => {
+    console.error("Failed to start background jobs:", error.message);
+  });
 });
@@ -186,14 +186,20 @@ export const getOrgImpact = async (organizationId) => {
  * A "commute partner" is a passenger whose ride request was APPROVED on the driver's
  * trips. We aggregate via RideRequest to find passenger IDs, then join for names.
  *
- * @param {string}  driverId  - MongoDB ObjectId string of the driver
- * @param {number}  [limit=5] - Maximum partners to return
+ * @param {string}   driverId        - MongoDB ObjectId string of the driver
+ * @param {number}   [limit=5]       - Maximum partners to return
+ * @param {string[]} [excludeIds=[]] - Passengers to leave out (blocked either way)
  * @returns {Promise<Array>}  Ranked array of { partnerId, partnerName, sharedTrips, co2SavedTogether }
  */
-export const getTopCommutePartners = async (driverId, limit = 5) => {
+export const getTopCommutePartners = async (driverId, limit = 5, excludeIds = []) => {
   const pipeline = [
     // Pre-filter to only APPROVED ride requests before joining trips (performance optimisation)
-    { $match: { status: 'APPROVED' } },
+    {
+      $match: {
+        status: 'APPROVED',
+        ...(excludeIds.length > 0 && { passengerId: { $nin: excludeIds.map(toObjectId) } }),
+      },
+    },
     // Only approved rides on this driver's trips
     {
       $lookup: {
@@ -215,7 +221,7 @@ export const getTopCommutePartners = async (driverId, limit = 5) => {
     // Group by passenger
     {
       $group: {
-        _id: '$userId',
+        _id: '$passengerId',
         sharedTrips:      { $sum: 1 },
         co2SavedTogether: { $sum: { $ifNull: ['$trip.co2SavedKg', 0] } },
       },
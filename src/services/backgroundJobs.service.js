@@ -0,0 +1,84 @@
+import jobScheduler from './jobScheduler.service.js';
+import { materializeAllRecurringTrips } from './recurringTrip.service.js';
+import {
+  expireOverdueTrips,
+  rejectPendingAtDeparture,
+  autoCompleteStaleTrips
+} from './tripMaintenance.service.js';
+import { runSettlementCycle, reconcileWallets } from './wallet.service.js';
+import { confirmDueStops } from './stopDetection.service.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Background Jobs
+ * @description Registers the API's recurring jobs with the job scheduler and starts it.
+ * Intervals can be tuned per job through the environment variables listed below.
+ * @module services/backgroundJobs.service
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/** name -> { handler, env override, default interval, run on boot } */
+export const BACKGROUND_JOBS = [
+  {
+    name: 'materialize-recurring-trips',
+    handler: () => materializeAllRecurringTrips().then(created => ({ created })),
+    intervalEnv: 'RECURRING_TRIP_INTERVAL_MS',
+    everyMs: 15 * MINUTE_MS,
+    runNow: true
+  },
+  {
+    name: 'expire-overdue-trips',
+    handler: () => expireOverdueTrips(),
+    intervalEnv: 'TRIP_EXPIRY_INTERVAL_MS',
+    everyMs: 5 * MINUTE_MS
+  },
+  {
+    name: 'reject-pending-at-departure',
+    handler: () => rejectPendingAtDeparture(),
+    intervalEnv: 'PENDING_EXPIRY_INTERVAL_MS',
+    everyMs: MINUTE_MS
+  },
+  {
+    name: 'auto-complete-stale-trips',
+    handler: () => autoCompleteStaleTrips(),
+    intervalEnv: 'STALE_TRIP_INTERVAL_MS',
+    everyMs: 15 * MINUTE_MS
+  },
+  {
+    name: 'settle-wallets',
+    handler: () => runSettlementCycle(),
+    intervalEnv: 'SETTLEMENT_INTERVAL_MS',
+    everyMs: 60 * MINUTE_MS
+  },
+  {
+    name: 'reconcile-wallets',
+    handler: () => reconcileWallets(),
+    intervalEnv: 'WALLET_RECONCILE_INTERVAL_MS',
+    everyMs: 15 * MINUTE_MS
+  },
+  {
+    name: 'confirm-detected-stops',
+    handler: () => confirmDueStops(),
+    intervalEnv: 'STOP_CONFIRM_INTERVAL_MS',
+    everyMs: MINUTE_MS
+  }
+];
+
+/**
+ * Define and schedule every background job, then start polling.
+ *
+ * @param {Object} [scheduler] - Defaults to the process-wide scheduler
+ * @returns {Promise<Object>} The scheduler
+ */
+export const startBackgroundJobs = async (scheduler = jobScheduler) => {
+  for (const job of BACKGROUND_JOBS) {
+    scheduler.define(job.name, job.handler);
+    const everyMs = readNumber(process.env[job.intervalEnv], job.everyMs);
+    await scheduler.every(job.name, everyMs, { runNow: job.runNow });
+  }
+  scheduler.start();
+  return scheduler;
+};
+
+export default { BACKGROUND_JOBS, startBackgroundJobs };
@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import UserBlock from '../models/UserBlock.js';
+import RideRequest from '../models/RideRequest.js';
+import User from '../models/User.js';
+import { httpError, idOf } from '../utils/service.utils.js';
+
+/**
+ * @fileoverview Block Service
+ * @description Employees can block a colleague so the two are never matched. A block
+ * counts both ways: neither sees the other's trips in search, neither can request a
+ * seat next to the other (as driver or co-passenger) and they are left out of each
+ * other's commute partners and leaderboards. Only the blocker can list or lift it.
+ *
+ * Blocked users are never told. Refusals use the same message as any other trip that
+ * is not open to the user, and org admins only see how often each member was blocked.
+ *
+ * @module services/block.service
+ */
+
+/** Same wording as other matching refusals so a block cannot be detected */
+export const TRIP_UNAVAILABLE_MESSAGE = 'This trip is not available to you';
+
+/** Ride request statuses that put a passenger on a trip */
+const ACTIVE_RIDE_STATUSES = ['PENDING', 'APPROVED', 'WAITLISTED'];
+
+/**
+ * The other user in each block the user is part of, whichever side added it.
+ *
+ * @param {Object[]} blocks - { blockerId, blockedId }
+ * @param {string} userId
+ * @returns {Set<string>}
+ */
+export const getBlockedCounterparts = (blocks, userId) => {
+  const me = String(userId);
+  return new Set(blocks.map(block =>
+    idOf(block.blockerId) === me ? idOf(block.blockedId) : idOf(block.blockerId)
+  ));
+};
+
+/**
+ * Whether a trip is closed to the user because of a block.
+ *
+ * @param {Object} trip - With driverId (id or populated) and _id
+ * @param {Set<string>} blockedIds - From getBlockedCounterparts
+ * @param {Set<string>} [tripsWithBlockedRiders] - Trip ids a blocked user is riding on
+ * @returns {boolean}
+ */
+export const isTripBlocked = (trip, blockedIds, tripsWithBlockedRiders = new Set()) =>
+  blockedIds.has(idOf(trip.driverId)) || tripsWithBlockedRiders.has(idOf(trip._id));
+
+/**
+ * Ids of every user the user has blocked or been blocked by.
+ *
+ * @param {string} userId
+ * @returns {Promise<Set<string>>}
+ */
+export const getBlockedUserIds = async (userId) => {
+  const blocks = await UserBlock.find({
+    $or: [{ blockerId: userId }, { blockedId: userId }]
+  }).select('blockerId blockedId').lean();
+
+  return getBlockedCounterparts(blocks, userId);
+};
+
+const findTripsWithRiders = async (tripIds, passengerIds) => {
+  const ids = await RideRequest.distinct('tripId', {
+    tripId: { $in: tripIds },
+    passengerId: { $in: passengerIds },
+    status: { $in: ACTIVE_RIDE_STATUSES }
+  });
+  return new Set(ids.map(String));
+};
+
+/**
+ * Drop trips driven by, or carrying, someone the passenger has a block with.
+ *
+ * @param {Object[]} trips - Each with _id and driverId (id or populated)
+ * @param {string} userId - Searching passenger
+ * @returns {Promise<Object[]>} Remaining trips, order kept
+ */
+export const filterBlockedTrips = async (trips, userId) => {
+  if (trips.length === 0) return trips;
+
+  const blockedIds = await getBlockedUserIds(userId);
+  if (blockedIds.size === 0) return trips;
+
+  const withRiders = await findTripsWithRiders(trips.map(trip => trip._id), [...blockedIds]);
+  return trips.filter(trip => !isTripBlocked(trip, blockedIds, withRiders));
+};
+
+/**
+ * Reject a booking when the passenger has a block with the driver or a co-passenger.
+ *
+ * @param {Object} trip - Trip or recurring template with _id and driverId
+ * @param {string} passengerId
+ * @returns {Promise<void>}
+ * @throws {Error} 403 with TRIP_UNAVAILABLE_MESSAGE
+ */
+export const assertNotBlocked = async (trip, passengerId) => {
+  const blockedIds = await getBlockedUserIds(passengerId);
+  if (blockedIds.size === 0) return;
+
+  const withRiders = blockedIds.has(idOf(trip.driverId))
+    ? new Set()
+    : await findTripsWithRiders([trip._id], [...blockedIds]);
+
+  if (isTripBlocked(trip, blockedIds, withRiders)) {
+    throw httpError(TRIP_UNAVAILABLE_MESSAGE, 403);
+  }
+};
+
+/**
+ * Block a colleague. Blocking someone already blocked is a no-op.
+ *
+ * @param {Object} params
+ * @param {string} params.blockerId
+ * @param {string} params.blockedId
+ * @returns {Promise<Object>} The block, with blockedId populated (name)
+ * @throws {Error} 400 blocking yourself, 404 no such user in the blocker's organization
+ */
+export const blockUser = async ({ blockerId, blockedId }) => {
+  if (String(blockerId) === String(blockedId)) {
+    throw httpError('You cannot block yourself', 400);
+  }
+
+  const [blocker, blocked] = await Promise.all([
+    User.findById(blockerId).select('organizationId').lean(),
+    User.findById(blockedId).select('organizationId').lean()
+  ]);
+  if (!blocker) throw httpError('User not found', 404);
+  if (!blocked || String(blocked.organizationId) !== String(blocker.organizationId)) {
+    throw httpError('User not found', 404);
+  }
+
+  return UserBlock.findOneAndUpdate(
+    { blockerId, blockedId },
+    { $setOnInsert: { organizationId: blocker.organizationId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).populate('blockedId', 'name');
+};
+
+/**
+ * Lift a block the user added.
+ *
+ * @param {Object} params
+ * @param {string} params.blockerId
+ * @param {string} params.blockedId
+ * @returns {Promise<void>}
+ * @throws {Error} 404 when the user has not blocked them
+ */
+export const unblockUser = async ({ blockerId, blockedId }) => {
+  const { deletedCount } = await UserBlock.deleteOne({ blockerId, blockedId });
+  if (deletedCount === 0) {
+    throw httpError('You have not blocked this user', 404);
+  }
+};
+
+/**
+ * Users the user has blocked, newest first. Blocks against the user are not listed.
+ *
+ * @param {string} blockerId
+ * @returns {Promise<Object[]>} { userId, name, blockedAt }
+ */
+export const listBlockedUsers = async (blockerId) => {
+  const blocks = await UserBlock.find({ blockerId })
+    .sort({ createdAt: -1 })
+    .populate('blockedId', 'name')
+    .lean();
+
+  return blocks.map(block => ({
+    userId: block.blockedId?._id ?? block.blockedId,
+    name: block.blockedId?.name || 'Unknown',
+    blockedAt: block.createdAt
+  }));
+};
+
+/**
+ * How often members of an organization have been blocked, most blocked first. Only
+ * counts are returned, never who blocked whom or when, so a block cannot be traced back
+ * to a shared trip.
+ *
+ * @param {string} organizationId
+ * @param {number} [limit=50]
+ * @returns {Promise<Object>} { totalBlocks, members: [{ userId, name, email, blockedByCount }] }
+ */
+export const getOrgBlockSummary = async (organizationId, limit = 50) => {
+  const orgId = new mongoose.Types.ObjectId(String(organizationId));
+
+  const [totalBlocks, members] = await Promise.all([
+    UserBlock.countDocuments({ organizationId: orgId }),
+    UserBlock.aggregate([
+      { $match: { organizationId: orgId } },
+      {
+        $group: {
+          _id: '$blockedId',
+          blockedByCount: { $sum: 1 },
+        },
+      },
+      { $sort: { blockedByCount: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user',
+        },
+      },
+      { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          userId:         '$_id',
+          name:           { $ifNull: ['$user.name', 'Unknown'] },
+          email:          '$user.email',
+          blockedByCount: 1,
+        },
+      },
+    ])
+  ]);
+
+  return { totalBlocks, members };
+};
+
+export default {
+  TRIP_UNAVAILABLE_MESSAGE,
+  getBlockedCounterparts,
+  isTripBlocked,
+  getBlockedUserIds,
+  filterBlockedTrips,
+  assertNotBlocked,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  getOrgBlockSummary
+};
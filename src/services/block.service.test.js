@@ -0,0 +1,51 @@
+import { describe, it, expect } from '@jest/globals';
+import { getBlockedCounterparts, isTripBlocked } from './block.service.js';
+
+/**
+ * @fileoverview Block Service Tests
+ * @description Tests for which users and trips a block hides
+ */
+
+const ME = '507f1f77bcf86cd799439011';
+const ALEX = '507f1f77bcf86cd799439012';
+const SAM = '507f1f77bcf86cd799439013';
+
+describe('Block Service', () => {
+  describe('getBlockedCounterparts', () => {
+    it('should include users the user blocked and users who blocked them', () => {
+      const blocked = getBlockedCounterparts([
+        { blockerId: ME, blockedId: ALEX },
+        { blockerId: SAM, blockedId: ME }
+      ], ME);
+
+      expect([...blocked].sort()).toEqual([ALEX, SAM]);
+    });
+
+    it('should accept populated references', () => {
+      const blocked = getBlockedCounterparts([{ blockerId: { _id: ME }, blockedId: { _id: ALEX } }], ME);
+      expect(blocked.has(ALEX)).toBe(true);
+    });
+
+    it('should be empty without blocks', () => {
+      expect(getBlockedCounterparts([], ME).size).toBe(0);
+    });
+  });
+
+  describe('isTripBlocked', () => {
+    const trip = { _id: 'trip-1', driverId: ALEX };
+
+    it('should block trips driven by a blocked user', () => {
+      expect(isTripBlocked(trip, new Set([ALEX]))).toBe(true);
+      expect(isTripBlocked({ ...trip, driverId: { _id: ALEX, name: 'Alex' } }, new Set([ALEX]))).toBe(true);
+    });
+
+    it('should block trips a blocked user is riding on', () => {
+      expect(isTripBlocked(trip, new Set([SAM]), new Set(['trip-1']))).toBe(true);
+    });
+
+    it('should allow other trips', () => {
+      expect(isTripBlocked(trip, new Set([SAM]))).toBe(false);
+      expect(isTripBlocked(trip, new Set(), new Set(['trip-2']))).toBe(false);
+    });
+  });
+});
@@ -1,24 +1,20 @@
 /**
  * @fileoverview ETA Calculation Service
- * @description Calculates real-time ETA (Estimated Time of Arrival) using the OSRM
- * (Open Source Routing Machine) routing engine. Given a driver's current location and
- * the trip destination, it fetches the optimal driving route and returns the distance
- * and duration remaining.
- *
- * OSRM is free and open-source — no API key required.
+ * @description Calculates real-time ETA (Estimated Time of Arrival) with the configured
+ * routing provider (services/routing.service.js: OSRM by default, Valhalla, GraphHopper
+ * or offline haversine, cached in Redis). Given a driver's current location and the trip
+ * destination, it returns the driving distance and duration remaining.
  *
  * @module services/etaService
  */
 
-import https from 'https';
-
-const OSRM_BASE_URL = 'https://router.project-osrm.org/route/v1/driving';
+import { getETA } from './routing.service.js';
 
 /**
- * Fetch ETA from OSRM
+ * Fetch ETA from the routing provider
  *
- * @description Uses OSRM to compute the driving time and distance between two
- * geographic points. Suitable for real-time driver-to-destination ETA updates.
+ * @description Computes the driving time and distance between two geographic points.
+ * Suitable for real-time driver-to-destination ETA updates.
  *
  * @async
  * @param {Object} driverLocation        – Driver's current position
@@ -33,8 +29,9 @@ const OSRM_BASE_URL = 'https://router.project-osrm.org/route/v1/driving';
  * @returns {number}  result.distanceMeters   – Remaining distance in metres
  * @returns {string}  result.etaText          – Human-readable ETA ("12 min", "1h 5m")
  * @returns {string}  result.distanceText     – Human-readable distance ("2.3 km")
- * @returns {boolean} [result.fallback]       – True when OSRM was unreachable and
- *                                              Haversine straight-line estimate is used
+ * @returns {string}  result.provider         – Routing provider that answered
+ * @returns {boolean} [result.fallback]       – True when the provider was unreachable and
+ *                                              the haversine straight-line estimate is used
  */
 export const calculateETA = async (driverLocation, destination) => {
   // Guard: both points must be valid
@@ -45,60 +42,25 @@ export const calculateETA = async (driverLocation, destination) => {
     return null;
   }
 
-  const coords = `${driverLocation.lng},${driverLocation.lat};${destination.lng},${destination.lat}`;
-  const url = `${OSRM_BASE_URL}/${coords}?overview=false`;
-
-  try {
-    const data = await fetchJSON(url);
-
-    if (data.code !== 'Ok' || !data.routes?.length) {
-      throw new Error('No route returned by OSRM');
-    }
-
-    const route = data.routes[0];
-    return {
-      durationSeconds: Math.round(route.duration),
-      distanceMeters: Math.round(route.distance),
-      etaText: formatDuration(route.duration),
-      distanceText: formatDistance(route.distance),
-      fallback: false
-    };
-  } catch (err) {
-    console.warn('[ETA] OSRM request failed, using Haversine fallback:', err.message);
-
-    // Haversine straight-line estimate (assumes ~40 km/h average speed)
-    const distKm = haversineKm(driverLocation, destination);
-    const durationSeconds = (distKm / 40) * 3600; // 40 km/h
-
-    return {
-      durationSeconds: Math.round(durationSeconds),
-      distanceMeters: Math.round(distKm * 1000),
-      etaText: formatDuration(durationSeconds),
-      distanceText: formatDistance(distKm * 1000),
-      fallback: true
-    };
-  }
+  const { durationSeconds, distanceMeters, provider, fallback } = await getETA(
+    { lat: Number(driverLocation.lat), lng: Number(driverLocation.lng) },
+    { lat: Number(destination.lat), lng: Number(destination.lng) }
+  );
+
+  return {
+    durationSeconds,
+    distanceMeters,
+    etaText: formatDuration(durationSeconds),
+    distanceText: formatDistance(distanceMeters),
+    provider,
+    fallback
+  };
 };
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
-/** Simple Node https GET → parsed JSON */
-const fetchJSON = (url) =>
-  new Promise((resolve, reject) => {
-    https.get(url, { timeout: 5000 }, (res) => {
-      let raw = '';
-      res.on('data', (chunk) => { raw += chunk; });
-      res.on('end', () => {
-        try { resolve(JSON.parse(raw)); }
-        catch { reject(new Error('Invalid JSON from OSRM')); }
-      });
-    })
-      .on('error', reject)
-      .on('timeout', () => reject(new Error('OSRM request timed out')));
-  });
-
 /** Format seconds → "5m" / "1h 5m" */
-const formatDuration = (seconds) => {
+export const formatDuration = (seconds) => {
   const h = Math.floor(seconds / 3600);
   const m = Math.floor((seconds % 3600) / 60);
   if (h > 0) return `${h}h ${m}m`;
@@ -106,23 +68,9 @@ const formatDuration = (seconds) => {
 };
 
 /** Format metres → "800 m" / "2.3 km" */
-const formatDistance = (meters) => {
+export const formatDistance = (meters) => {
   if (meters < 1000) return `${Math.round(meters)} m`;
   return `${(meters / 1000).toFixed(1)} km`;
 };
 
-/** Haversine great-circle distance in km */
-const haversineKm = (p1, p2) => {
-  const R = 6371;
-  const dLat = toRad(p2.lat - p1.lat);
-  const dLng = toRad(p2.lng - p1.lng);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(p1.lat)) * Math.cos(toRad(p2.lat)) *
-    Math.sin(dLng / 2) ** 2;
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-};
-
-const toRad = (deg) => (deg * Math.PI) / 180;
-
 export default calculateETA;
@@ -0,0 +1,354 @@
+import FareRuleConfig from '../models/FareRuleConfig.js';
+import RideRequest from '../models/RideRequest.js';
+import {
+  FUEL_PRICE_INR_PER_LITRE,
+  FUEL_EFFICIENCY_KM_PER_LITRE
+} from '../config/esgConstants.js';
+import { calculateDistance } from './routeOptimization.service.js';
+import { projectPointOnRoute } from './tripMatching.service.js';
+import { getRouteStops } from './routeEfficiency.service.js';
+import { seatsOf } from '../utils/seats.utils.js';
+
+/**
+ * @fileoverview Fare Service
+ * @description Distance-proportional fare splitting. A trip's running cost per km is the
+ * fuel cost for its fuel type (FUEL_PRICE_INR_PER_LITRE / FUEL_EFFICIENCY_KM_PER_LITRE)
+ * plus the org's perKmRateINR. Along the route, every stretch's cost is shared: the driver
+ * covers driverSharePercent and the passengers on board at that stretch split the rest
+ * by seats. A passenger's fare is the sum over the stretches they ride, never below
+ * minimumFareINR per seat.
+ *
+ * - Quote: computed at request time against passengers already approved
+ * - Final: computed at drop-off against passengers carried or still expected, and when
+ *   the trip completes against passengers actually picked up (CARRIED_PICKUP_STATUSES);
+ *   no-shows and passengers never picked up pay nothing
+ *
+ * @module services/fare.service
+ */
+
+/** Used when neither the org nor the platform has saved fare rules */
+export const DEFAULT_FARE_RULES = Object.freeze({
+  perKmRateINR: 2,
+  minimumFareINR: 20,
+  driverSharePercent: 25
+});
+
+/** Pickup statuses of passengers who were on board and pay a final fare */
+export const CARRIED_PICKUP_STATUSES = Object.freeze(['PICKED_UP', 'DROPPED_OFF']);
+
+const roundINR = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Running cost of one km for a fuel type under the given rules (INR).
+ * Unknown fuel types are priced as petrol.
+ *
+ * @param {string} fuelType
+ * @param {Object} rules
+ * @returns {number}
+ */
+export const getRunningCostPerKm = (fuelType, rules) => {
+  const price = FUEL_PRICE_INR_PER_LITRE[fuelType] ?? FUEL_PRICE_INR_PER_LITRE.PETROL;
+  const efficiency = FUEL_EFFICIENCY_KM_PER_LITRE[fuelType] ?? FUEL_EFFICIENCY_KM_PER_LITRE.PETROL;
+  return price / efficiency + rules.perKmRateINR;
+};
+
+/**
+ * The trip's planned route as GeoJSON coordinates: source -> waypoints in driving order
+ * (passenger stops planned after creation included) -> destination. Falls back to the
+ * stored Trip.route when source or destination has no coordinates, otherwise null.
+ *
+ * @param {Object} trip
+ * @returns {number[][]|null}
+ */
+export const getTripRouteCoordinates = (trip) => {
+  const stops = getRouteStops(trip);
+  if (stops) return stops.map(stop => stop.coordinates);
+
+  const route = trip.route?.coordinates;
+  if (Array.isArray(route) && route.length >= 2) return route;
+  return null;
+};
+
+/**
+ * Length of a route polyline in km.
+ *
+ * @param {number[][]} routeCoordinates - [lng, lat] pairs
+ * @returns {number}
+ */
+export const getRouteLengthKm = (routeCoordinates) => {
+  let total = 0;
+  for (let i = 0; i < routeCoordinates.length - 1; i++) {
+    const [aLng, aLat] = routeCoordinates[i];
+    const [bLng, bLat] = routeCoordinates[i + 1];
+    total += calculateDistance({ lat: aLat, lng: aLng }, { lat: bLat, lng: bLng });
+  }
+  return total;
+};
+
+/**
+ * Where a ride starts and ends along the trip route, in km from the route start.
+ *
+ * Pickup and dropoff are projected onto the route. Rides that cannot be placed on it
+ * (no route, or a dropoff behind the pickup) get their straight-line distance and
+ * shared = false, so they are priced as if riding alone.
+ *
+ * @param {number[][]|null} routeCoordinates
+ * @param {{lat: number, lng: number}} pickup
+ * @param {{lat: number, lng: number}} dropoff
+ * @returns {{startKm: number, endKm: number, shared: boolean}}
+ */
+export const getRideSpan = (routeCoordinates, pickup, dropoff) => {
+  if (routeCoordinates) {
+    const from = projectPointOnRoute(pickup, routeCoordinates);
+    const to = projectPointOnRoute(dropoff, routeCoordinates);
+    if (from && to && to.alongKm > from.alongKm) {
+      return { startKm: from.alongKm, endKm: to.alongKm, shared: true };
+    }
+  }
+  return { startKm: 0, endKm: calculateDistance(pickup, dropoff), shared: false };
+};
+
+/**
+ * Split the running cost of a trip between its passengers.
+ *
+ * Pure function.
+ *
+ * @param {Array<{id: string, seats: number, startKm: number, endKm: number, shared: boolean}>} riders
+ * @param {number} costPerKm - From getRunningCostPerKm
+ * @param {Object} rules - perKmRateINR, minimumFareINR, driverSharePercent
+ * @returns {Map<string, number>} rider id -> fare in INR
+ */
+export const splitFares = (riders, costPerKm, rules) => {
+  const passengerShare = 1 - rules.driverSharePercent / 100;
+  const fares = new Map(riders.map(r => [r.id, 0]));
+
+  for (const rider of riders.filter(r => !r.shared)) {
+    fares.set(rider.id, (rider.endKm - rider.startKm) * costPerKm * passengerShare);
+  }
+
+  // Cut the route at every pickup and dropoff; each stretch is split by seats on board
+  const shared = riders.filter(r => r.shared);
+  const cuts = [...new Set(shared.flatMap(r => [r.startKm, r.endKm]))].sort((a, b) => a - b);
+  for (let i = 0; i < cuts.length - 1; i++) {
+    const from = cuts[i];
+    const to = cuts[i + 1];
+    const onBoard = shared.filter(r => r.startKm <= from && r.endKm >= to);
+    const seatsOnBoard = onBoard.reduce((sum, r) => sum + r.seats, 0);
+    if (seatsOnBoard === 0) continue;
+
+    const stretchCost = (to - from) * costPerKm * passengerShare;
+    for (const rider of onBoard) {
+      fares.set(rider.id, fares.get(rider.id) + stretchCost * rider.seats / seatsOnBoard);
+    }
+  }
+
+  for (const rider of riders) {
+    fares.set(rider.id, roundINR(Math.max(fares.get(rider.id), rules.minimumFareINR * rider.seats)));
+  }
+  return fares;
+};
+
+/**
+ * Per-seat fare for riding the whole route alone. Stored as Trip.estimatedCost so
+ * search results show an upper bound before any passenger has booked.
+ *
+ * @param {Object} trip - Trip data (route or source/destination coordinates, fuelType)
+ * @param {Object} rules
+ * @returns {number} INR
+ */
+export const estimateTripCost = (trip, rules) => {
+  const route = getTripRouteCoordinates(trip);
+  if (!route) return roundINR(rules.minimumFareINR);
+
+  const costPerKm = getRunningCostPerKm(trip.fuelType, rules);
+  const fares = splitFares(
+    [{ id: 'route', seats: 1, startKm: 0, endKm: getRouteLengthKm(route), shared: true }],
+    costPerKm,
+    rules
+  );
+  return fares.get('route');
+};
+
+/**
+ * Rider entry for splitFares from a ride request. The dropoff defaults to the trip
+ * destination, as it does everywhere else.
+ *
+ * @param {Object} trip
+ * @param {number[][]|null} routeCoordinates
+ * @param {Object} ride - Ride request (or request body shaped like one)
+ * @returns {Object|null} null when the pickup has no coordinates
+ */
+export const toRider = (trip, routeCoordinates, ride) => {
+  const pickup = ride.pickupLocation?.coordinates?.coordinates;
+  const dropoff = ride.dropoffLocation?.coordinates?.coordinates
+    || trip.destinationLocation?.coordinates?.coordinates;
+  if (!pickup || !dropoff) return null;
+
+  const span = getRideSpan(
+    routeCoordinates,
+    { lng: pickup[0], lat: pickup[1] },
+    { lng: dropoff[0], lat: dropoff[1] }
+  );
+  return { id: String(ride._id), seats: seatsOf(ride), ...span };
+};
+
+/**
+ * Split a trip's running cost between ride requests.
+ *
+ * @param {Object} trip
+ * @param {Object[]} rides - Approved ride requests, no-shows already left out
+ * @param {Object} rules - Fare rules
+ * @param {Object} [options]
+ * @param {boolean} [options.carriedOnly=false] - Leave out passengers not picked up
+ *   (pickupStatus not in CARRIED_PICKUP_STATUSES), as when the trip has completed
+ * @returns {{riders: Object[], fares: Map<string, number>}}
+ */
+export const splitTripFares = (trip, rides, rules, { carriedOnly = false } = {}) => {
+  const route = getTripRouteCoordinates(trip);
+  const riders = rides
+    .filter(ride => !carriedOnly || CARRIED_PICKUP_STATUSES.includes(ride.pickupStatus))
+    .map(ride => toRider(trip, route, ride))
+    .filter(Boolean);
+  return { riders, fares: splitFares(riders, getRunningCostPerKm(trip.fuelType, rules), rules) };
+};
+
+/**
+ * Fare rules for an organization: org config, then platform config, then defaults.
+ *
+ * @param {ObjectId|string|null} organizationId
+ * @returns {Promise<Object>}
+ */
+export const getFareRules = async (organizationId) => {
+  const configs = await FareRuleConfig.find({
+    organizationId: { $in: organizationId ? [organizationId, null] : [null] }
+  }).lean();
+
+  const org = configs.find(c => c.organizationId);
+  const platform = configs.find(c => !c.organizationId);
+  return { ...DEFAULT_FARE_RULES, ...(platform?.rules || {}), ...(org?.rules || {}) };
+};
+
+/**
+ * Quote a new ride request against the passengers already approved on the trip.
+ * More passengers sharing the route later can only lower the final fare.
+ *
+ * @param {Object} trip - Trip document
+ * @param {Object} ride - Ride request data (not yet saved; _id optional)
+ * @returns {Promise<{quotedINR: number, distanceKm: number}|null>} null when the pickup has no coordinates
+ */
+export const quoteRideFare = async (trip, ride) => {
+  const route = getTripRouteCoordinates(trip);
+  const candidate = toRider(trip, route, { ...ride, _id: ride._id || 'quote' });
+  if (!candidate) return null;
+
+  const [rules, approved] = await Promise.all([
+    getFareRules(trip.organizationId),
+    RideRequest.find({ tripId: trip._id, status: 'APPROVED', pickupStatus: { $ne: 'NO_SHOW' } })
+      .select('_id seatsRequested pickupLocation dropoffLocation')
+      .lean()
+  ]);
+
+  const riders = [candidate, ...approved.map(r => toRider(trip, route, r)).filter(Boolean)];
+  const fares = splitFares(riders, getRunningCostPerKm(trip.fuelType, rules), rules);
+
+  return {
+    quotedINR: fares.get(candidate.id),
+    distanceKm: roundINR(candidate.endKm - candidate.startKm)
+  };
+};
+
+/**
+ * Fares for the passengers on a trip (approved, not no-shows); see splitTripFares for
+ * carriedOnly.
+ */
+const computeCarriedFares = async (trip, { carriedOnly = false } = {}) => {
+  const [rules, approved] = await Promise.all([
+    getFareRules(trip.organizationId),
+    RideRequest.find({ tripId: trip._id, status: 'APPROVED', pickupStatus: { $ne: 'NO_SHOW' } })
+      .select('_id seatsRequested pickupStatus pickupLocation dropoffLocation fare')
+      .lean()
+  ]);
+
+  const { riders, fares } = splitTripFares(trip, approved, rules, { carriedOnly });
+  const carried = approved.filter(ride => fares.has(String(ride._id)));
+  return { carried, riders, fares };
+};
+
+const toFinalFareUpdate = (rider, fare, finalizedAt) => ({
+  updateOne: {
+    // Fares already finalised (e.g. charged at drop-off) are never rewritten
+    filter: { _id: rider.id, 'fare.finalizedAt': null },
+    update: {
+      $set: {
+        'fare.finalINR': fare,
+        'fare.distanceKm': roundINR(rider.endKm - rider.startKm),
+        'fare.finalizedAt': finalizedAt
+      }
+    }
+  }
+});
+
+/**
+ * Finalise one passenger's fare, e.g. when they are dropped off. Passengers still
+ * expected on the trip count as sharing the route, as they do in the quote.
+ *
+ * @param {Object} trip - Trip document
+ * @param {ObjectId|string} rideRequestId
+ * @returns {Promise<number|null>} Final fare in INR, or null when it cannot be priced
+ */
+export const finalizeRideFare = async (trip, rideRequestId) => {
+  const { carried, riders, fares } = await computeCarriedFares(trip);
+  const id = String(rideRequestId);
+
+  const existing = carried.find(r => String(r._id) === id)?.fare;
+  if (existing?.finalizedAt) return existing.finalINR;
+
+  const rider = riders.find(r => r.id === id);
+  if (!rider) return null;
+
+  await RideRequest.bulkWrite([toFinalFareUpdate(rider, fares.get(id), new Date())]);
+  return fares.get(id);
+};
+
+/**
+ * Work out final fares for the passengers actually carried and store them on their
+ * ride requests (fare.finalINR). No-shows and passengers still waiting for pickup (e.g.
+ * the trip was auto-completed) get no fare. Fares finalised earlier (at drop-off) are
+ * kept as they were.
+ *
+ * @param {Object} trip - Trip document
+ * @returns {Promise<{totalINR: number, fares: Map<string, number>}>}
+ */
+export const finalizeTripFares = async (trip) => {
+  const { carried, riders, fares } = await computeCarriedFares(trip, { carriedOnly: true });
+
+  for (const ride of carried) {
+    if (ride.fare?.finalizedAt) fares.set(String(ride._id), ride.fare.finalINR);
+  }
+
+  const finalizedAt = new Date();
+  const pending = riders.filter(rider => !carried.find(r => String(r._id) === rider.id)?.fare?.finalizedAt);
+  if (pending.length > 0) {
+    await RideRequest.bulkWrite(pending.map(rider => toFinalFareUpdate(rider, fares.get(rider.id), finalizedAt)));
+  }
+
+  const totalINR = roundINR([...fares.values()].reduce((sum, fare) => sum + fare, 0));
+  return { totalINR, fares };
+};
+
+export default {
+  DEFAULT_FARE_RULES,
+  CARRIED_PICKUP_STATUSES,
+  getRunningCostPerKm,
+  getTripRouteCoordinates,
+  getRouteLengthKm,
+  getRideSpan,
+  splitFares,
+  estimateTripCost,
+  toRider,
+  splitTripFares,
+  getFareRules,
+  quoteRideFare,
+  finalizeRideFare,
+  finalizeTripFares
+};
@@ -0,0 +1,174 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_FARE_RULES,
+  getRunningCostPerKm,
+  getTripRouteCoordinates,
+  getRideSpan,
+  splitFares,
+  splitTripFares,
+  estimateTripCost
+} from './fare.service.js';
+import {
+  FUEL_PRICE_INR_PER_LITRE,
+  FUEL_EFFICIENCY_KM_PER_LITRE
+} from '../config/esgConstants.js';
+
+/**
+ * @fileoverview Fare Service Tests
+ * @description Tests for the running cost per km, the planned route, ride spans along it,
+ * distance-proportional fare splitting and who pays a final fare
+ */
+
+describe('Fare Service', () => {
+  // No driver share and no minimum, so expected fares are plain arithmetic
+  const rules = { perKmRateINR: 0, minimumFareINR: 0, driverSharePercent: 0 };
+
+  describe('getRunningCostPerKm', () => {
+    it('should add the per-km rate to the fuel cost per km', () => {
+      const fuelCost = FUEL_PRICE_INR_PER_LITRE.DIESEL / FUEL_EFFICIENCY_KM_PER_LITRE.DIESEL;
+      expect(getRunningCostPerKm('DIESEL', { perKmRateINR: 2 })).toBeCloseTo(fuelCost + 2);
+    });
+
+    it('should price unknown fuel types as petrol', () => {
+      expect(getRunningCostPerKm('STEAM', rules)).toBe(getRunningCostPerKm('PETROL', rules));
+    });
+  });
+
+  describe('getTripRouteCoordinates', () => {
+    const point = (lng, lat) => ({ coordinates: { type: 'Point', coordinates: [lng, lat] } });
+
+    it('should run from source through the waypoints in order to destination', () => {
+      const trip = {
+        sourceLocation: point(0, 0),
+        destinationLocation: point(0.3, 0),
+        waypoints: [
+          { order: 2, stopType: 'DROPOFF', coordinates: { type: 'Point', coordinates: [0.2, 0.05] } },
+          { order: 1, stopType: 'PICKUP', coordinates: { type: 'Point', coordinates: [0.1, 0.05] } }
+        ],
+        route: { type: 'LineString', coordinates: [[0, 0], [0.3, 0]] }
+      };
+
+      expect(getTripRouteCoordinates(trip)).toEqual([[0, 0], [0.1, 0.05], [0.2, 0.05], [0.3, 0]]);
+    });
+
+    it('should fall back to the stored route without source and destination coordinates', () => {
+      const trip = { route: { type: 'LineString', coordinates: [[0, 0], [0.1, 0]] } };
+      expect(getTripRouteCoordinates(trip)).toEqual([[0, 0], [0.1, 0]]);
+      expect(getTripRouteCoordinates({})).toBeNull();
+    });
+  });
+
+  describe('getRideSpan', () => {
+    // Straight west -> east line along the equator, roughly 11.1 km per 0.1 degree
+    const route = [[0, 0], [0.1, 0], [0.2, 0]];
+
+    it('should place pickup and dropoff along the route', () => {
+      const span = getRideSpan(route, { lat: 0, lng: 0.1 }, { lat: 0, lng: 0.2 });
+      expect(span.shared).toBe(true);
+      expect(span.startKm).toBeCloseTo(11.1, 0);
+      expect(span.endKm).toBeCloseTo(22.2, 0);
+    });
+
+    it('should fall back to straight-line distance when the dropoff is behind the pickup', () => {
+      const span = getRideSpan(route, { lat: 0, lng: 0.2 }, { lat: 0, lng: 0.1 });
+      expect(span.shared).toBe(false);
+      expect(span.startKm).toBe(0);
+      expect(span.endKm).toBeCloseTo(11.1, 0);
+    });
+
+    it('should fall back to straight-line distance without a route', () => {
+      expect(getRideSpan(null, { lat: 0, lng: 0 }, { lat: 0, lng: 0.1 }).shared).toBe(false);
+    });
+  });
+
+  describe('splitFares', () => {
+    it('should charge a lone rider the full distance', () => {
+      const fares = splitFares([{ id: 'a', seats: 1, startKm: 0, endKm: 10, shared: true }], 5, rules);
+      expect(fares.get('a')).toBe(50);
+    });
+
+    it('should split shared stretches by seats on board', () => {
+      const fares = splitFares([
+        { id: 'a', seats: 1, startKm: 0, endKm: 10, shared: true },
+        { id: 'b', seats: 1, startKm: 5, endKm: 10, shared: true }
+      ], 4, rules);
+
+      // 0-5 km: a alone (20); 5-10 km: a and b split 20
+      expect(fares.get('a')).toBe(30);
+      expect(fares.get('b')).toBe(10);
+    });
+
+    it('should weight shares by seats requested', () => {
+      const fares = splitFares([
+        { id: 'a', seats: 1, startKm: 0, endKm: 10, shared: true },
+        { id: 'b', seats: 3, startKm: 0, endKm: 10, shared: true }
+      ], 4, rules);
+      expect(fares.get('a')).toBe(10);
+      expect(fares.get('b')).toBe(30);
+    });
+
+    it('should leave the driver share off passenger fares', () => {
+      const fares = splitFares(
+        [{ id: 'a', seats: 1, startKm: 0, endKm: 10, shared: true }],
+        4,
+        { ...rules, driverSharePercent: 25 }
+      );
+      expect(fares.get('a')).toBe(30);
+    });
+
+    it('should price unshared riders alone without affecting others', () => {
+      const fares = splitFares([
+        { id: 'a', seats: 1, startKm: 0, endKm: 10, shared: true },
+        { id: 'b', seats: 1, startKm: 0, endKm: 10, shared: false }
+      ], 4, rules);
+      expect(fares.get('a')).toBe(40);
+      expect(fares.get('b')).toBe(40);
+    });
+
+    it('should apply the minimum fare per seat', () => {
+      const fares = splitFares(
+        [{ id: 'a', seats: 2, startKm: 0, endKm: 1, shared: true }],
+        4,
+        { ...rules, minimumFareINR: 20 }
+      );
+      expect(fares.get('a')).toBe(40);
+    });
+  });
+
+  describe('splitTripFares', () => {
+    const trip = { fuelType: 'PETROL', route: { type: 'LineString', coordinates: [[0, 0], [0.1, 0]] } };
+    const ride = (id, pickupStatus) => ({
+      _id: id,
+      pickupStatus,
+      pickupLocation: { coordinates: { type: 'Point', coordinates: [0, 0] } },
+      dropoffLocation: { coordinates: { type: 'Point', coordinates: [0.1, 0] } }
+    });
+
+    it('should not charge or share the route with a passenger still waiting when the trip completed', () => {
+      const rides = [ride('a', 'DROPPED_OFF'), ride('b', 'PICKED_UP'), ride('c', 'WAITING')];
+      const { fares } = splitTripFares(trip, rides, rules, { carriedOnly: true });
+      const carriedOnly = splitTripFares(trip, rides.slice(0, 2), rules).fares;
+
+      expect([...fares.keys()]).toEqual(['a', 'b']);
+      expect(fares.get('a')).toBe(carriedOnly.get('a'));
+    });
+
+    it('should count waiting passengers as sharing the route before completion', () => {
+      const { fares } = splitTripFares(trip, [ride('a', 'DROPPED_OFF'), ride('c', 'WAITING')], rules);
+      expect(fares.has('c')).toBe(true);
+      expect(fares.get('a')).toBe(fares.get('c'));
+    });
+  });
+
+  describe('estimateTripCost', () => {
+    it('should return the minimum fare when the trip has no coordinates', () => {
+      expect(estimateTripCost({ fuelType: 'PETROL' }, DEFAULT_FARE_RULES)).toBe(DEFAULT_FARE_RULES.minimumFareINR);
+    });
+
+    it('should price one seat over the whole route', () => {
+      const trip = { fuelType: 'PETROL', route: { type: 'LineString', coordinates: [[0, 0], [0.1, 0]] } };
+      const costPerKm = getRunningCostPerKm('PETROL', rules);
+      expect(estimateTripCost(trip, rules)).toBeCloseTo(11.12 * costPerKm, 0);
+    });
+  });
+});
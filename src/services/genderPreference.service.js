@@ -0,0 +1,124 @@
+import User from '../models/User.js';
+import { httpError, idOf } from '../utils/service.utils.js';
+
+/**
+ * @fileoverview Gender Preference Service
+ * @description Same-gender ride matching. A passenger can opt in on their profile
+ * (User.ridePreferences.sameGenderOnly) and a driver can mark a trip or recurring
+ * series as same-gender only (Trip.sameGenderOnly). When either side asks for it, the
+ * passenger and driver must have the same gender on record.
+ *
+ * Genders are only compared here, on the server. Callers get a yes/no and trips that do
+ * not match are left out; no response carries another user's gender.
+ *
+ * @module services/genderPreference.service
+ */
+
+/** Genders that can be matched; PREFER_NOT_TO_SAY or no gender cannot use the preference */
+export const MATCHABLE_GENDERS = Object.freeze(['MALE', 'FEMALE', 'OTHER']);
+
+/** Same message whichever side's preference blocked the match */
+export const GENDER_MISMATCH_MESSAGE = 'This trip is not available to you';
+
+/**
+ * Whether a user with this gender can turn on the same-gender preference.
+ *
+ * @param {string} [gender]
+ * @returns {boolean}
+ */
+export const canUseSameGenderPreference = (gender) => MATCHABLE_GENDERS.includes(gender);
+
+/**
+ * Whether a passenger may ride on a trip given both sides' preferences.
+ *
+ * @param {Object} params
+ * @param {Object} params.passenger - { gender, ridePreferences: { sameGenderOnly } }
+ * @param {string} [params.driverGender]
+ * @param {Object} params.trip - { sameGenderOnly }
+ * @returns {boolean}
+ */
+export const isGenderCompatible = ({ passenger, driverGender, trip }) => {
+  const required = passenger?.ridePreferences?.sameGenderOnly === true || trip?.sameGenderOnly === true;
+  if (!required) return true;
+
+  return canUseSameGenderPreference(passenger?.gender) && passenger.gender === driverGender;
+};
+
+const loadPassenger = (passengerId) =>
+  User.findById(passengerId).select('gender ridePreferences').lean();
+
+const loadDriverGenders = async (driverIds) => {
+  const drivers = await User.find({ _id: { $in: [...new Set(driverIds)] } }).select('gender').lean();
+  return new Map(drivers.map(driver => [String(driver._id), driver.gender]));
+};
+
+/**
+ * Drop trips the passenger cannot join because of either side's same-gender preference.
+ * Skips the driver lookup when neither side asks for it.
+ *
+ * @param {Object[]} trips - Each with driverId (id or populated)
+ * @param {string} passengerId
+ * @returns {Promise<Object[]>} Matching trips, order kept
+ */
+export const filterTripsForPassenger = async (trips, passengerId) => {
+  if (trips.length === 0) return trips;
+
+  const passenger = await loadPassenger(passengerId);
+  const passengerRequires = passenger?.ridePreferences?.sameGenderOnly === true;
+  if (!passengerRequires && !trips.some(trip => trip.sameGenderOnly)) return trips;
+
+  const genders = await loadDriverGenders(trips.map(trip => idOf(trip.driverId)));
+  return trips.filter(trip => isGenderCompatible({
+    passenger,
+    driverGender: genders.get(idOf(trip.driverId)),
+    trip
+  }));
+};
+
+/**
+ * Reject a booking when either side's same-gender preference does not match.
+ *
+ * @param {Object} trip - Trip or recurring template with driverId and sameGenderOnly
+ * @param {string} passengerId
+ * @returns {Promise<void>}
+ * @throws {Error} 403 with GENDER_MISMATCH_MESSAGE
+ */
+export const assertGenderCompatible = async (trip, passengerId) => {
+  const passenger = await loadPassenger(passengerId);
+  if (!passenger?.ridePreferences?.sameGenderOnly && !trip.sameGenderOnly) return;
+
+  const genders = await loadDriverGenders([idOf(trip.driverId)]);
+  if (!isGenderCompatible({ passenger, driverGender: genders.get(idOf(trip.driverId)), trip })) {
+    throw httpError(GENDER_MISMATCH_MESSAGE, 403);
+  }
+};
+
+/**
+ * Same-gender setting for a new trip or series. Without an explicit choice the driver's
+ * profile preference applies.
+ *
+ * @param {string} driverId
+ * @param {boolean} [requested] - Value sent by the driver
+ * @returns {Promise<boolean>}
+ * @throws {Error} 400 when the driver asks for it without a matchable gender on their profile
+ */
+export const resolveTripSameGenderOnly = async (driverId, requested) => {
+  if (requested === false) return false;
+
+  const driver = await User.findById(driverId).select('gender ridePreferences').lean();
+  const eligible = canUseSameGenderPreference(driver?.gender);
+  if (requested === true && !eligible) {
+    throw httpError('Set your gender on your profile to offer same-gender trips', 400);
+  }
+  return eligible && (requested === true || driver.ridePreferences?.sameGenderOnly === true);
+};
+
+export default {
+  MATCHABLE_GENDERS,
+  GENDER_MISMATCH_MESSAGE,
+  canUseSameGenderPreference,
+  isGenderCompatible,
+  filterTripsForPassenger,
+  assertGenderCompatible,
+  resolveTripSameGenderOnly
+};
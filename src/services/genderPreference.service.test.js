@@ -0,0 +1,53 @@
+import { describe, it, expect } from '@jest/globals';
+import { canUseSameGenderPreference, isGenderCompatible } from './genderPreference.service.js';
+
+/**
+ * @fileoverview Gender Preference Service Tests
+ * @description Tests for same-gender matching between passengers and trips
+ */
+
+const passenger = (gender, sameGenderOnly = false) => ({ gender, ridePreferences: { sameGenderOnly } });
+
+describe('Gender Preference Service', () => {
+  describe('canUseSameGenderPreference', () => {
+    it('should allow MALE, FEMALE and OTHER', () => {
+      expect(canUseSameGenderPreference('MALE')).toBe(true);
+      expect(canUseSameGenderPreference('FEMALE')).toBe(true);
+      expect(canUseSameGenderPreference('OTHER')).toBe(true);
+    });
+
+    it('should not allow PREFER_NOT_TO_SAY or a missing gender', () => {
+      expect(canUseSameGenderPreference('PREFER_NOT_TO_SAY')).toBe(false);
+      expect(canUseSameGenderPreference(undefined)).toBe(false);
+    });
+  });
+
+  describe('isGenderCompatible', () => {
+    it('should match anyone when neither side asks for it', () => {
+      expect(isGenderCompatible({ passenger: passenger('FEMALE'), driverGender: 'MALE', trip: {} })).toBe(true);
+      expect(isGenderCompatible({ passenger: passenger(undefined), driverGender: undefined, trip: {} })).toBe(true);
+    });
+
+    it('should apply the passenger preference', () => {
+      const rider = passenger('FEMALE', true);
+      expect(isGenderCompatible({ passenger: rider, driverGender: 'FEMALE', trip: {} })).toBe(true);
+      expect(isGenderCompatible({ passenger: rider, driverGender: 'MALE', trip: {} })).toBe(false);
+    });
+
+    it('should apply a same-gender-only trip', () => {
+      const trip = { sameGenderOnly: true };
+      expect(isGenderCompatible({ passenger: passenger('MALE'), driverGender: 'MALE', trip })).toBe(true);
+      expect(isGenderCompatible({ passenger: passenger('FEMALE'), driverGender: 'MALE', trip })).toBe(false);
+    });
+
+    it('should not match passengers without a matchable gender on a same-gender-only trip', () => {
+      const trip = { sameGenderOnly: true };
+      expect(isGenderCompatible({ passenger: passenger('PREFER_NOT_TO_SAY'), driverGender: 'PREFER_NOT_TO_SAY', trip })).toBe(false);
+      expect(isGenderCompatible({ passenger: passenger(undefined), driverGender: undefined, trip })).toBe(false);
+    });
+
+    it('should not match when the driver gender is unknown', () => {
+      expect(isGenderCompatible({ passenger: passenger('OTHER', true), driverGender: undefined, trip: {} })).toBe(false);
+    });
+  });
+});
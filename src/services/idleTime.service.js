@@ -0,0 +1,193 @@
+import RideRequest from '../models/RideRequest.js';
+import { calculateDistance } from './routeOptimization.service.js';
+import { loadTrace } from './tripTrace.service.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Idle Time Service
+ * @description Measures how long a trip's vehicle stood still with the trip underway
+ * (STARTED or IN_PROGRESS), from its GPS trace (services/tripTrace.service.js). A run of
+ * trace points staying within IDLE_RADIUS_METERS of where it began, lasting at least
+ * IDLE_THRESHOLD_MINUTES, is an idle period. Waiting at a passenger's pickup until they
+ * were picked up is not idling and is cut out.
+ *
+ * Idle minutes feed idleEmissionsKg when the trip completes. Each period is labelled with
+ * the planned place it is at (source, destination, waypoint or a passenger's stop), if
+ * any, so the trip summary can break idle time down by location.
+ *
+ * @module services/idleTime.service
+ */
+
+export const DEFAULT_IDLE_THRESHOLD_MINUTES = 2;
+export const DEFAULT_IDLE_RADIUS_METERS = 50;
+
+// How close an idle period has to be to a planned place to be labelled with it
+const PLACE_RADIUS_METERS = 150;
+// Pickups confirmed this long after the car moved off still end a wait at that spot
+const PICKUP_CONFIRM_SLACK_MS = 5 * 60 * 1000;
+
+const toPoint = ([lng, lat]) => ({ lat, lng });
+
+const distanceMeters = (a, b) => calculateDistance(toPoint(a), toPoint(b)) * 1000;
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000 * 10) / 10;
+
+/**
+ * Current idle detection settings, read from the environment on each call.
+ *
+ * @returns {{ thresholdMinutes: number, radiusMeters: number }}
+ */
+export const getIdleSettings = () => ({
+  thresholdMinutes: readNumber(process.env.IDLE_THRESHOLD_MINUTES, DEFAULT_IDLE_THRESHOLD_MINUTES),
+  radiusMeters: readNumber(process.env.IDLE_RADIUS_METERS, DEFAULT_IDLE_RADIUS_METERS)
+});
+
+/**
+ * Stationary runs in a trace.
+ *
+ * @param {Object[]} points - { coordinates: [lng, lat], recordedAt } in time order
+ * @param {Object} settings - From getIdleSettings
+ * @returns {Object[]} { startedAt, endedAt, minutes, coordinates }
+ */
+export const detectIdlePeriods = (points, settings) => {
+  const periods = [];
+  let start = 0;
+
+  const closeRun = (end) => {
+    const first = points[start];
+    const last = points[end];
+    const minutes = minutesBetween(first.recordedAt, last.recordedAt);
+    if (end > start && minutes >= settings.thresholdMinutes) {
+      periods.push({
+        startedAt: new Date(first.recordedAt),
+        endedAt: new Date(last.recordedAt),
+        minutes,
+        coordinates: first.coordinates
+      });
+    }
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    if (distanceMeters(points[i].coordinates, points[start].coordinates) > settings.radiusMeters) {
+      closeRun(i - 1);
+      start = i;
+    }
+  }
+  if (points.length > 0) closeRun(points.length - 1);
+  return periods;
+};
+
+/**
+ * Cut confirmed pickup waits out of idle periods: time spent at a passenger's pickup
+ * before they were picked up. Periods left shorter than the threshold are dropped.
+ *
+ * @param {Object[]} periods - From detectIdlePeriods
+ * @param {Object[]} pickups - { coordinates: [lng, lat], pickedUpAt } of passengers picked up
+ * @param {Object} settings - From getIdleSettings
+ * @returns {Object[]}
+ */
+export const excludePickupWaits = (periods, pickups, settings) => periods
+  .map(period => {
+    const pickedUpAt = pickups
+      .filter(p => distanceMeters(period.coordinates, p.coordinates) <= PLACE_RADIUS_METERS)
+      .map(p => new Date(p.pickedUpAt))
+      .filter(at => at > period.startedAt && at.getTime() <= period.endedAt.getTime() + PICKUP_CONFIRM_SLACK_MS)
+      .sort((a, b) => b - a)[0];
+    if (!pickedUpAt) return period;
+
+    const startedAt = pickedUpAt < period.endedAt ? pickedUpAt : period.endedAt;
+    return { ...period, startedAt, minutes: minutesBetween(startedAt, period.endedAt) };
+  })
+  .filter(period => period.minutes >= settings.thresholdMinutes);
+
+/**
+ * Planned places a period can be labelled with.
+ *
+ * @param {Object} trip - { source, destination, sourceLocation, destinationLocation, waypoints }
+ * @param {Object[]} [rides] - With pickupLocation / dropoffLocation and passengerId (name)
+ * @returns {Array<{ label: string, coordinates: number[] }>}
+ */
+export const getNamedPlaces = (trip, rides = []) => [
+  { label: `Start: ${trip.sourceLocation?.address || trip.source}`, coordinates: trip.sourceLocation?.coordinates?.coordinates },
+  { label: `Destination: ${trip.destinationLocation?.address || trip.destination}`, coordinates: trip.destinationLocation?.coordinates?.coordinates },
+  ...(trip.waypoints || []).map(wp => ({ label: `Stop: ${wp.address}`, coordinates: wp.coordinates?.coordinates })),
+  ...rides.flatMap(ride => [
+    { label: `Pickup: ${ride.pickupLocation?.address || ride.passengerId?.name || 'passenger'}`, coordinates: ride.pickupLocation?.coordinates?.coordinates },
+    { label: `Drop-off: ${ride.dropoffLocation?.address || ride.passengerId?.name || 'passenger'}`, coordinates: ride.dropoffLocation?.coordinates?.coordinates }
+  ])
+].filter(place => place.coordinates?.length === 2);
+
+/**
+ * Label of the closest planned place within reach, or null when the period was en route.
+ *
+ * @param {number[]} coordinates - [lng, lat]
+ * @param {Object[]} places - From getNamedPlaces
+ * @returns {string|null}
+ */
+export const labelIdleLocation = (coordinates, places) => {
+  const nearest = places
+    .map(place => ({ label: place.label, meters: distanceMeters(coordinates, place.coordinates) }))
+    .filter(place => place.meters <= PLACE_RADIUS_METERS)
+    .sort((a, b) => a.meters - b.meters)[0];
+  return nearest?.label || null;
+};
+
+/**
+ * Idle time per location, longest first. Periods at the same planned place are added
+ * up; periods en route are grouped by ~100 m cell.
+ *
+ * @param {Object[]} periods - Trip.idlePeriods
+ * @returns {Object[]} { label, coordinates, minutes, periods }
+ */
+export const summarizeIdleByLocation = (periods = []) => {
+  const groups = new Map();
+  for (const period of periods) {
+    const [lng, lat] = period.coordinates;
+    const key = period.label || `${lat.toFixed(3)},${lng.toFixed(3)}`;
+    const group = groups.get(key) || { label: period.label || 'En route', coordinates: period.coordinates, minutes: 0, periods: 0 };
+    group.minutes = Math.round((group.minutes + period.minutes) * 10) / 10;
+    group.periods += 1;
+    groups.set(key, group);
+  }
+  return [...groups.values()].sort((a, b) => b.minutes - a.minutes);
+};
+
+/**
+ * Idle periods of a trip from its trace, pickup waits excluded and labelled by place.
+ *
+ * @param {Object} trip - Trip document
+ * @returns {Promise<{ idleMinutes: number, idlePeriods: Object[] }>}
+ */
+export const measureTripIdle = async (trip) => {
+  const settings = getIdleSettings();
+  const [points, rides] = await Promise.all([
+    loadTrace(trip._id),
+    RideRequest.find({ tripId: trip._id, status: 'APPROVED' })
+      .select('passengerId pickupStatus pickedUpAt pickupLocation dropoffLocation')
+      .populate('passengerId', 'name')
+      .lean()
+  ]);
+
+  const pickups = rides
+    .filter(ride => ride.pickedUpAt && ride.pickupLocation?.coordinates?.coordinates)
+    .map(ride => ({ coordinates: ride.pickupLocation.coordinates.coordinates, pickedUpAt: ride.pickedUpAt }));
+  const places = getNamedPlaces(trip, rides);
+
+  const idlePeriods = excludePickupWaits(detectIdlePeriods(points, settings), pickups, settings)
+    .map(period => ({ ...period, label: labelIdleLocation(period.coordinates, places) }));
+  const idleMinutes = Math.round(idlePeriods.reduce((sum, p) => sum + p.minutes, 0) * 10) / 10;
+
+  return { idleMinutes, idlePeriods };
+};
+
+export default {
+  DEFAULT_IDLE_THRESHOLD_MINUTES,
+  DEFAULT_IDLE_RADIUS_METERS,
+  getIdleSettings,
+  detectIdlePeriods,
+  excludePickupWaits,
+  getNamedPlaces,
+  labelIdleLocation,
+  summarizeIdleByLocation,
+  measureTripIdle
+};
@@ -0,0 +1,131 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  DEFAULT_IDLE_THRESHOLD_MINUTES,
+  getIdleSettings,
+  detectIdlePeriods,
+  excludePickupWaits,
+  getNamedPlaces,
+  labelIdleLocation,
+  summarizeIdleByLocation
+} from './idleTime.service.js';
+
+/**
+ * @fileoverview Idle Time Service Tests
+ * @description Tests for idle period detection from a GPS trace, pickup wait exclusion
+ * and the breakdown by location
+ */
+
+const settings = { thresholdMinutes: 2, radiusMeters: 50 };
+const T0 = new Date('2026-03-02T08:30:00Z');
+const at = (minutes) => new Date(T0.getTime() + minutes * 60000);
+
+// Along the equator, 0.001 degree of longitude is ~111 m
+const point = (lng, minutes) => ({ coordinates: [lng, 0], recordedAt: at(minutes) });
+
+// Moving, then ~4 min stationary at 0.002 (with GPS jitter), then moving again
+const trace = [
+  point(0, 0),
+  point(0.001, 0.5),
+  point(0.002, 1),
+  point(0.00202, 2),
+  point(0.00198, 3),
+  point(0.002, 5),
+  point(0.003, 5.5),
+  point(0.004, 6)
+];
+
+describe('Idle Time Service', () => {
+  describe('getIdleSettings', () => {
+    afterEach(() => {
+      delete process.env.IDLE_THRESHOLD_MINUTES;
+    });
+
+    it('should use defaults and read the environment', () => {
+      expect(getIdleSettings().thresholdMinutes).toBe(DEFAULT_IDLE_THRESHOLD_MINUTES);
+      process.env.IDLE_THRESHOLD_MINUTES = '4';
+      expect(getIdleSettings().thresholdMinutes).toBe(4);
+    });
+  });
+
+  describe('detectIdlePeriods', () => {
+    it('should find a stationary run longer than the threshold', () => {
+      expect(detectIdlePeriods(trace, settings)).toEqual([
+        { startedAt: at(1), endedAt: at(5), minutes: 4, coordinates: [0.002, 0] }
+      ]);
+    });
+
+    it('should ignore short stops', () => {
+      expect(detectIdlePeriods(trace, { ...settings, thresholdMinutes: 5 })).toEqual([]);
+    });
+
+    it('should count a stop at the end of the trace', () => {
+      const periods = detectIdlePeriods([point(0, 0), point(0.001, 1), point(0.001, 4)], settings);
+      expect(periods).toHaveLength(1);
+      expect(periods[0].minutes).toBe(3);
+    });
+
+    it('should handle empty and single-point traces', () => {
+      expect(detectIdlePeriods([], settings)).toEqual([]);
+      expect(detectIdlePeriods([point(0, 0)], settings)).toEqual([]);
+    });
+  });
+
+  describe('excludePickupWaits', () => {
+    const period = { startedAt: at(1), endedAt: at(9), minutes: 8, coordinates: [0.002, 0] };
+
+    it('should cut the wait before a pickup at that spot', () => {
+      const [left] = excludePickupWaits([period], [{ coordinates: [0.0025, 0], pickedUpAt: at(5) }], settings);
+      expect(left).toMatchObject({ startedAt: at(5), minutes: 4 });
+    });
+
+    it('should drop the period when the car left right after the pickup', () => {
+      expect(excludePickupWaits([period], [{ coordinates: [0.002, 0], pickedUpAt: at(8.5) }], settings)).toEqual([]);
+      expect(excludePickupWaits([period], [{ coordinates: [0.002, 0], pickedUpAt: at(10) }], settings)).toEqual([]);
+    });
+
+    it('should keep periods away from pickups or unrelated in time', () => {
+      expect(excludePickupWaits([period], [{ coordinates: [0.01, 0], pickedUpAt: at(5) }], settings)).toEqual([period]);
+      expect(excludePickupWaits([period], [{ coordinates: [0.002, 0], pickedUpAt: at(30) }], settings)).toEqual([period]);
+    });
+  });
+
+  describe('labelIdleLocation', () => {
+    const trip = {
+      source: 'Office',
+      sourceLocation: { address: 'Tech Park Gate 2', coordinates: { coordinates: [0, 0] } },
+      destination: 'Station',
+      destinationLocation: { coordinates: { coordinates: [0.1, 0] } }
+    };
+    const places = getNamedPlaces(trip, [
+      { pickupLocation: { address: 'Lake View', coordinates: { coordinates: [0.05, 0] } }, passengerId: { name: 'Asha' } }
+    ]);
+
+    it('should label periods at planned places', () => {
+      expect(labelIdleLocation([0.0005, 0], places)).toBe('Start: Tech Park Gate 2');
+      expect(labelIdleLocation([0.1, 0], places)).toBe('Destination: Station');
+      expect(labelIdleLocation([0.0501, 0], places)).toBe('Pickup: Lake View');
+    });
+
+    it('should return null en route', () => {
+      expect(labelIdleLocation([0.03, 0], places)).toBeNull();
+    });
+  });
+
+  describe('summarizeIdleByLocation', () => {
+    it('should add up periods per place, longest first', () => {
+      const summary = summarizeIdleByLocation([
+        { minutes: 2.5, coordinates: [0.1, 0], label: 'Destination: Station' },
+        { minutes: 4, coordinates: [0.03, 0], label: null },
+        { minutes: 3, coordinates: [0.1001, 0], label: 'Destination: Station' }
+      ]);
+      expect(summary).toEqual([
+        { label: 'Destination: Station', coordinates: [0.1, 0], minutes: 5.5, periods: 2 },
+        { label: 'En route', coordinates: [0.03, 0], minutes: 4, periods: 1 }
+      ]);
+    });
+
+    it('should be empty without periods', () => {
+      expect(summarizeIdleByLocation()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,328 @@
+import Incident from '../models/Incident.js';
+import Trip from '../models/Trip.js';
+import RideRequest from '../models/RideRequest.js';
+import User from '../models/User.js';
+import { getIO } from '../config/socket.js';
+import { sendEmail } from './email.service.js';
+import { ACTIVE_TRIP_STATUSES } from './tripLifecycle.service.js';
+import { httpError } from '../utils/service.utils.js';
+
+/**
+ * @fileoverview Incident Service
+ * @description SOS alerts from active trips. Raising an SOS captures the trip's latest
+ * location, opens an Incident, alerts the trip organization's admins over sockets
+ * (room `org-admins-<organizationId>`) and emails the user's emergency contact.
+ * Admins then acknowledge and resolve it; each step is appended to the timeline.
+ *
+ *   OPEN ──acknowledge──▶ ACKNOWLEDGED ──resolve──▶ RESOLVED
+ *
+ * @module services/incident.service
+ */
+
+/** Legal incident status changes */
+export const INCIDENT_TRANSITIONS = Object.freeze({
+  OPEN: ['ACKNOWLEDGED'],
+  ACKNOWLEDGED: ['RESOLVED'],
+  RESOLVED: []
+});
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/** Socket room for an organization's admins (joined in sockets/rideSocket.js) */
+export const orgAdminRoom = (organizationId) => `org-admins-${organizationId}`;
+
+// ─── Status and emails ──────────────────────────────────────────────────────
+
+/**
+ * Whether an incident can move from one status to another.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export const canTransitionIncident = (from, to) =>
+  (INCIDENT_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Email sent to the emergency contact. User-provided text is escaped.
+ *
+ * @param {Object} params
+ * @param {Object} params.user - { name, emergencyContact }
+ * @param {Object} params.trip - { source, destination, vehicleType }
+ * @param {Object} [params.driver] - { name, phone } when the user is a passenger
+ * @param {Object} [params.location] - GeoJSON Point
+ * @param {string} [params.message]
+ * @param {Date} params.raisedAt
+ * @returns {{subject: string, html: string}}
+ */
+export const buildSosEmail = ({ user, trip, driver, location, message, raisedAt }) => {
+  const [lng, lat] = location?.coordinates || [];
+  const mapLink = lat !== undefined && lng !== undefined
+    ? `https://www.google.com/maps?q=${lat},${lng}`
+    : null;
+
+  return {
+    subject: `SOS: ${user.name || 'Your contact'} needs help during a GreenCommute ride`,
+    html: `
+        <p>Hello ${escapeHtml(user.emergencyContact?.name || '')},</p>
+        <p><strong>${escapeHtml(user.name || 'Your contact')}</strong> raised an SOS alert during a
+        GreenCommute ride at ${escapeHtml(new Date(raisedAt).toUTCString())}.</p>
+        ${message ? `<p>Message: "${escapeHtml(message)}"</p>` : ''}
+        <p>Trip: ${escapeHtml(trip.source)} → ${escapeHtml(trip.destination)}</p>
+        ${driver ? `<p>Driver: ${escapeHtml(driver.name)}${driver.phone ? `, ${escapeHtml(driver.phone)}` : ''}</p>` : ''}
+        ${mapLink
+          ? `<p>Last known location: <a href="${mapLink}">${lat}, ${lng}</a></p>`
+          : '<p>The vehicle\'s location was not available.</p>'}
+        <p>Their organization's administrators have also been alerted. If you think they are
+        in danger, contact local emergency services.</p>
+      `
+  };
+};
+
+// ─── Raising an SOS ─────────────────────────────────────────────────────────
+
+const appendTimeline = (incidentId, entry) =>
+  Incident.updateOne({ _id: incidentId }, { $push: { timeline: { ...entry, at: new Date() } } });
+
+/**
+ * Email the emergency contact and record the outcome on the timeline.
+ */
+const notifyEmergencyContact = async (incident, user, trip, driver) => {
+  const email = user.emergencyContact?.email;
+  if (!email) {
+    await appendTimeline(incident._id, {
+      action: 'CONTACT_NOT_NOTIFIED',
+      actorType: 'SYSTEM',
+      note: 'No emergency contact email on file'
+    });
+    return;
+  }
+
+  try {
+    await sendEmail({
+      to: email,
+      ...buildSosEmail({
+        user,
+        trip,
+        driver,
+        location: incident.location,
+        message: incident.message,
+        raisedAt: incident.createdAt
+      })
+    });
+    await appendTimeline(incident._id, { action: 'CONTACT_NOTIFIED', actorType: 'SYSTEM', note: email });
+  } catch (error) {
+    await appendTimeline(incident._id, {
+      action: 'CONTACT_NOT_NOTIFIED',
+      actorType: 'SYSTEM',
+      note: `Email to ${email} failed: ${error.message}`
+    });
+  }
+};
+
+/**
+ * Alert the trip organization's admins over sockets and record it on the timeline.
+ */
+const alertOrgAdmins = async (incident, user) => {
+  if (!incident.organizationId) return;
+
+  try {
+    const io = getIO();
+    io.to(orgAdminRoom(incident.organizationId)).emit('sos-alert', {
+      incidentId: incident._id,
+      tripId: incident.tripId,
+      raisedBy: { _id: user._id, name: user.name, role: incident.raisedByRole },
+      emergencyContact: user.emergencyContact,
+      location: incident.location,
+      message: incident.message,
+      timestamp: new Date()
+    });
+    await appendTimeline(incident._id, { action: 'ADMINS_ALERTED', actorType: 'SYSTEM' });
+  } catch (socketError) {
+    console.error('sos-alert socket emit failed:', socketError.message);
+  }
+};
+
+/**
+ * Raise an SOS from an active trip.
+ *
+ * The driver and approved passengers who were not marked as no-shows may raise one.
+ * A second SOS from the same user on the same trip while theirs is unresolved is
+ * recorded on the existing incident and alerts the admins again.
+ *
+ * @param {Object} params
+ * @param {string} params.tripId
+ * @param {string} params.userId
+ * @param {string} [params.message]
+ * @param {{lat: number, lng: number}} [params.reportedLocation] - From the user's device
+ * @returns {Promise<{incident: Object, created: boolean}>}
+ * @throws {Error} 404 trip not found, 403 not a participant, 400 trip not active
+ */
+export const raiseSos = async ({ tripId, userId, message, reportedLocation }) => {
+  const trip = await Trip.findById(tripId).populate('driverId', 'name phone');
+  if (!trip) {
+    throw httpError('Trip not found', 404);
+  }
+
+  let raisedByRole;
+  if (trip.driverId._id.toString() === String(userId)) {
+    raisedByRole = 'DRIVER';
+  } else if (await RideRequest.exists({
+    tripId,
+    passengerId: userId,
+    status: 'APPROVED',
+    pickupStatus: { $ne: 'NO_SHOW' }
+  })) {
+    raisedByRole = 'PASSENGER';
+  } else {
+    throw httpError('Only the driver and passengers of this trip can raise an SOS', 403);
+  }
+
+  if (!ACTIVE_TRIP_STATUSES.includes(trip.status)) {
+    throw httpError('SOS is only available while the trip is in progress', 400);
+  }
+
+  const user = await User.findById(userId).select('name emergencyContact');
+  const actor = { actorId: userId, actorType: raisedByRole };
+
+  const existing = await Incident.findOneAndUpdate(
+    { tripId, raisedBy: userId, status: { $ne: 'RESOLVED' } },
+    { $push: { timeline: { action: 'RAISED_AGAIN', ...actor, note: message, at: new Date() } } },
+    { new: true }
+  );
+  if (existing) {
+    await alertOrgAdmins(existing, user);
+    return { incident: existing, created: false };
+  }
+
+  const incident = await Incident.create({
+    tripId,
+    organizationId: trip.organizationId,
+    raisedBy: userId,
+    raisedByRole,
+    message,
+    location: trip.currentLocation?.coordinates?.length === 2
+      ? { type: 'Point', coordinates: trip.currentLocation.coordinates }
+      : undefined,
+    reportedLocation: reportedLocation
+      ? { type: 'Point', coordinates: [reportedLocation.lng, reportedLocation.lat] }
+      : undefined,
+    timeline: [{ action: 'RAISED', ...actor, note: message }]
+  });
+
+  await alertOrgAdmins(incident, user);
+
+  // Email in the background so the SOS response is not held up by SMTP
+  const driver = raisedByRole === 'PASSENGER'
+    ? { name: trip.driverId.name, phone: trip.driverId.phone }
+    : null;
+  notifyEmergencyContact(incident, user, trip, driver)
+    .catch(err => console.error('SOS contact notification failed:', err.message));
+
+  return { incident, created: true };
+};
+
+// ─── Admin handling ─────────────────────────────────────────────────────────
+
+/**
+ * Move an incident to the next status, recording who did it.
+ *
+ * @param {Object} params
+ * @param {string} params.incidentId
+ * @param {ObjectId} params.organizationId - Admin's organization
+ * @param {ObjectId} params.adminId
+ * @param {'ACKNOWLEDGED'|'RESOLVED'} params.to
+ * @param {string} [params.note] - Required when resolving
+ * @returns {Promise<Object>} Updated incident
+ * @throws {Error} 404 not found in the organization, 400 illegal transition or missing resolution
+ */
+export const transitionIncident = async ({ incidentId, organizationId, adminId, to, note }) => {
+  if (to === 'RESOLVED' && !note?.trim()) {
+    throw httpError('A resolution note is required to resolve an incident', 400);
+  }
+
+  const incident = await Incident.findOne({ _id: incidentId, organizationId });
+  if (!incident) {
+    throw httpError('Incident not found', 404);
+  }
+  if (!canTransitionIncident(incident.status, to)) {
+    throw httpError(`Cannot move incident from ${incident.status} to ${to}`, 400);
+  }
+
+  const now = new Date();
+  const set = to === 'ACKNOWLEDGED'
+    ? { status: to, acknowledgedBy: adminId, acknowledgedAt: now }
+    : { status: to, resolvedBy: adminId, resolvedAt: now, resolution: note.trim() };
+
+  // Conditional on the status read above so two admins cannot both move it
+  const updated = await Incident.findOneAndUpdate(
+    { _id: incidentId, status: incident.status },
+    {
+      $set: set,
+      $push: { timeline: { action: to, actorId: adminId, actorType: 'ADMIN', note, at: now } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError('Incident was updated by someone else, refresh and try again', 409);
+  }
+
+  try {
+    const io = getIO();
+    io.to(`user-${updated.raisedBy}`).emit('sos-status-update', {
+      incidentId: updated._id,
+      status: updated.status,
+      timestamp: now
+    });
+    io.to(orgAdminRoom(organizationId)).emit('incident-updated', {
+      incidentId: updated._id,
+      status: updated.status,
+      timestamp: now
+    });
+  } catch (socketError) {
+    console.error('Incident socket emit failed:', socketError.message);
+  }
+
+  return updated;
+};
+
+/**
+ * Add an admin note to an incident's timeline.
+ *
+ * @param {Object} params
+ * @param {string} params.incidentId
+ * @param {ObjectId} params.organizationId
+ * @param {ObjectId} params.adminId
+ * @param {string} params.note
+ * @returns {Promise<Object>} Updated incident
+ */
+export const addIncidentNote = async ({ incidentId, organizationId, adminId, note }) => {
+  if (!note?.trim()) {
+    throw httpError('note is required', 400);
+  }
+
+  const incident = await Incident.findOneAndUpdate(
+    { _id: incidentId, organizationId },
+    { $push: { timeline: { action: 'NOTE', actorId: adminId, actorType: 'ADMIN', note: note.trim(), at: new Date() } } },
+    { new: true }
+  );
+  if (!incident) {
+    throw httpError('Incident not found', 404);
+  }
+  return incident;
+};
+
+export default {
+  INCIDENT_TRANSITIONS,
+  orgAdminRoom,
+  canTransitionIncident,
+  buildSosEmail,
+  raiseSos,
+  transitionIncident,
+  addIncidentNote
+};
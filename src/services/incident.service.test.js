@@ -0,0 +1,70 @@
+import { describe, it, expect } from '@jest/globals';
+import { canTransitionIncident, buildSosEmail, orgAdminRoom } from './incident.service.js';
+
+/**
+ * @fileoverview Incident Service Tests
+ * @description Tests for incident status changes and the emergency contact email
+ */
+
+describe('Incident Service', () => {
+  describe('canTransitionIncident', () => {
+    it('should allow OPEN → ACKNOWLEDGED → RESOLVED', () => {
+      expect(canTransitionIncident('OPEN', 'ACKNOWLEDGED')).toBe(true);
+      expect(canTransitionIncident('ACKNOWLEDGED', 'RESOLVED')).toBe(true);
+    });
+
+    it('should not allow resolving before acknowledging', () => {
+      expect(canTransitionIncident('OPEN', 'RESOLVED')).toBe(false);
+    });
+
+    it('should not allow moving a resolved incident', () => {
+      expect(canTransitionIncident('RESOLVED', 'ACKNOWLEDGED')).toBe(false);
+      expect(canTransitionIncident('RESOLVED', 'OPEN')).toBe(false);
+    });
+
+    it('should reject unknown statuses', () => {
+      expect(canTransitionIncident('CLOSED', 'RESOLVED')).toBe(false);
+    });
+  });
+
+  describe('orgAdminRoom', () => {
+    it('should name the room after the organization', () => {
+      expect(orgAdminRoom('507f1f77bcf86cd799439011')).toBe('org-admins-507f1f77bcf86cd799439011');
+    });
+  });
+
+  describe('buildSosEmail', () => {
+    const user = { name: 'Asha', emergencyContact: { name: 'Ravi', email: 'ravi@example.com' } };
+    const trip = { source: 'HSR Layout', destination: 'Whitefield' };
+    const raisedAt = new Date('2026-03-02T09:00:00Z');
+
+    it('should include a map link for the captured location', () => {
+      const { subject, html } = buildSosEmail({
+        user,
+        trip,
+        location: { type: 'Point', coordinates: [77.59, 12.97] },
+        raisedAt
+      });
+      expect(subject).toContain('Asha');
+      expect(html).toContain('https://www.google.com/maps?q=12.97,77.59');
+      expect(html).toContain('HSR Layout → Whitefield');
+    });
+
+    it('should say when no location was available', () => {
+      const { html } = buildSosEmail({ user, trip, raisedAt });
+      expect(html).not.toContain('google.com/maps');
+      expect(html).toContain('location was not available');
+    });
+
+    it('should include the driver for passengers', () => {
+      const { html } = buildSosEmail({ user, trip, driver: { name: 'Kiran', phone: '9876543210' }, raisedAt });
+      expect(html).toContain('Driver: Kiran, 9876543210');
+    });
+
+    it('should escape user-provided text', () => {
+      const { html } = buildSosEmail({ user, trip, message: '<script>alert(1)</script>', raisedAt });
+      expect(html).not.toContain('<script>');
+      expect(html).toContain('&lt;script&gt;');
+    });
+  });
+});
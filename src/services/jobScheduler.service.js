@@ -0,0 +1,290 @@
+import redisClient from '../config/redis.js';
+
+/**
+ * @fileoverview Job Scheduler Service
+ * @description Small Redis-backed scheduler for background work inside the API process.
+ * Supports recurring jobs (every N ms), one-off delayed jobs and retries with
+ * exponential backoff. Safe to run on several instances: a due job is claimed with
+ * ZREM, so only the instance that removes it from the schedule runs it.
+ *
+ * Redis keys (prefix defaults to "jobs"):
+ * - <prefix>:schedule        sorted set, member = job id, score = next run (epoch ms)
+ * - <prefix>:job:<id>        hash with name, payload, attempts, maxAttempts, everyMs
+ * - <prefix>:stats:<name>    hash with completed/failed counters and last run details
+ * - <prefix>:failed          list of the most recent permanently failed runs
+ *
+ * A job claimed by an instance that crashes mid-run is lost; recurring jobs are
+ * re-registered on every start, so they always come back.
+ *
+ * @module services/jobScheduler.service
+ */
+
+export const DEFAULT_POLL_INTERVAL_MS = 5000;
+export const DEFAULT_MAX_ATTEMPTS = 3;
+export const DEFAULT_RETRY_DELAY_MS = 30 * 1000;
+const FAILED_HISTORY_LIMIT = 50;
+const CLAIM_BATCH_SIZE = 10;
+
+/**
+ * Delay before retry number `attempt` (1-based): base, 2x base, 4x base, ...
+ *
+ * Pure function.
+ *
+ * @param {number} attempt
+ * @param {number} [baseDelayMs]
+ * @returns {number}
+ */
+export const getRetryDelayMs = (attempt, baseDelayMs = DEFAULT_RETRY_DELAY_MS) =>
+  baseDelayMs * 2 ** Math.max(0, attempt - 1);
+
+/**
+ * Create a scheduler bound to a Redis client.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.redis] - ioredis client (defaults to config/redis.js)
+ * @param {string} [options.prefix='jobs'] - Key prefix
+ * @param {number} [options.pollIntervalMs] - How often due jobs are checked
+ * @param {number} [options.retryDelayMs] - Base retry backoff
+ * @returns {Object} Scheduler with define, every, schedule, runDueJobs, start, stop, getStatus
+ */
+export const createJobScheduler = ({
+  redis = redisClient,
+  prefix = 'jobs',
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS
+} = {}) => {
+  const handlers = new Map();
+  const scheduleKey = `${prefix}:schedule`;
+  const jobKey = (id) => `${prefix}:job:${id}`;
+  const statsKey = (name) => `${prefix}:stats:${name}`;
+  const failedKey = `${prefix}:failed`;
+
+  let timer = null;
+  let polling = false;
+
+  /**
+   * Register the handler for a job name. Handlers receive the job payload.
+   *
+   * @param {string} name
+   * @param {Function} handler - async (payload, { id, attempt }) => any
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts]
+   */
+  const define = (name, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+    handlers.set(name, { handler, maxAttempts });
+  };
+
+  /**
+   * Run a defined job every `everyMs`. Registering again keeps the existing
+   * next-run time, so restarts and multiple instances do not bunch runs up.
+   *
+   * @param {string} name
+   * @param {number} everyMs
+   * @param {Object} [options]
+   * @param {boolean} [options.runNow=false] - First run immediately instead of after everyMs
+   * @param {Object} [options.payload]
+   * @returns {Promise<string>} Job id
+   */
+  const every = async (name, everyMs, { runNow = false, payload = {} } = {}) => {
+    assertDefined(name);
+    const id = `recurring:${name}`;
+    await redis.hset(jobKey(id), {
+      name,
+      payload: JSON.stringify(payload),
+      attempts: 0,
+      maxAttempts: handlers.get(name).maxAttempts,
+      everyMs
+    });
+    await redis.zadd(scheduleKey, 'NX', Date.now() + (runNow ? 0 : everyMs), id);
+    return id;
+  };
+
+  /**
+   * Run a defined job once, after a delay or at a given time. Passing the key of an
+   * already scheduled job moves it to the new time.
+   *
+   * @param {string} name
+   * @param {Object} [payload]
+   * @param {Object} [options]
+   * @param {number} [options.delayMs=0]
+   * @param {Date} [options.runAt] - Overrides delayMs
+   * @param {string} [options.key] - Stable key for de-duplication (unique per job name)
+   * @returns {Promise<string>} Job id
+   */
+  const schedule = async (name, payload = {}, { delayMs = 0, runAt, key } = {}) => {
+    assertDefined(name);
+    const jobId = `once:${name}:${key || `${Date.now()}:${Math.random().toString(36).slice(2, 10)}`}`;
+    const at = runAt ? new Date(runAt).getTime() : Date.now() + delayMs;
+    await redis.hset(jobKey(jobId), {
+      name,
+      payload: JSON.stringify(payload),
+      attempts: 0,
+      maxAttempts: handlers.get(name).maxAttempts,
+      everyMs: 0
+    });
+    await redis.zadd(scheduleKey, at, jobId);
+    return jobId;
+  };
+
+  /**
+   * Cancel a scheduled job.
+   *
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether a job was removed
+   */
+  const cancel = async (id) => {
+    const removed = await redis.zrem(scheduleKey, id);
+    await redis.del(jobKey(id));
+    return removed === 1;
+  };
+
+  /**
+   * Claim and run every job that is due. Called by the poll loop; exposed for tests
+   * and manual triggering.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<number>} Number of jobs run
+   */
+  const runDueJobs = async (now = new Date()) => {
+    const due = await redis.zrangebyscore(scheduleKey, 0, now.getTime(), 'LIMIT', 0, CLAIM_BATCH_SIZE);
+    let ran = 0;
+    for (const id of due) {
+      // Another instance got there first
+      if (await redis.zrem(scheduleKey, id) !== 1) continue;
+      await runJob(id);
+      ran++;
+    }
+    return ran;
+  };
+
+  async function runJob(id) {
+    const job = await redis.hgetall(jobKey(id));
+    if (!job || !job.name) return;
+
+    const definition = handlers.get(job.name);
+    const attempt = Number(job.attempts) + 1;
+    const everyMs = Number(job.everyMs);
+    const startedAt = Date.now();
+
+    try {
+      if (!definition) throw new Error(`No handler defined for job "${job.name}"`);
+      const result = await definition.handler(JSON.parse(job.payload || '{}'), { id, attempt });
+
+      await redis.hset(statsKey(job.name), {
+        lastRunAt: new Date(startedAt).toISOString(),
+        lastDurationMs: Date.now() - startedAt,
+        lastResult: JSON.stringify(result ?? null),
+        lastError: ''
+      });
+      await redis.hincrby(statsKey(job.name), 'completed', 1);
+
+      if (everyMs > 0) {
+        await redis.hset(jobKey(id), 'attempts', 0);
+        await redis.zadd(scheduleKey, Date.now() + everyMs, id);
+      } else {
+        await redis.del(jobKey(id));
+      }
+    } catch (error) {
+      console.error(`[jobScheduler] Job ${job.name} (${id}) attempt ${attempt} failed:`, error.message);
+      await redis.hset(statsKey(job.name), {
+        lastRunAt: new Date(startedAt).toISOString(),
+        lastDurationMs: Date.now() - startedAt,
+        lastError: error.message
+      });
+
+      if (attempt < Number(job.maxAttempts)) {
+        await redis.hset(jobKey(id), 'attempts', attempt);
+        await redis.zadd(scheduleKey, Date.now() + getRetryDelayMs(attempt, retryDelayMs), id);
+        return;
+      }
+
+      await redis.hincrby(statsKey(job.name), 'failed', 1);
+      await redis.lpush(failedKey, JSON.stringify({
+        id,
+        name: job.name,
+        attempts: attempt,
+        error: error.message,
+        failedAt: new Date().toISOString()
+      }));
+      await redis.ltrim(failedKey, 0, FAILED_HISTORY_LIMIT - 1);
+
+      // A recurring job keeps its schedule even when one run gives up
+      if (everyMs > 0) {
+        await redis.hset(jobKey(id), 'attempts', 0);
+        await redis.zadd(scheduleKey, Date.now() + everyMs, id);
+      } else {
+        await redis.del(jobKey(id));
+      }
+    }
+  }
+
+  /**
+   * Start polling for due jobs. The timer is unref'd so it never keeps the process alive.
+   */
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        await runDueJobs();
+      } catch (error) {
+        console.error('[jobScheduler] Poll failed:', error.message);
+      } finally {
+        polling = false;
+      }
+    }, pollIntervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  /**
+   * Snapshot for the admin status endpoint.
+   *
+   * @returns {Promise<{running: boolean, jobs: Array, recentFailures: Array}>}
+   */
+  const getStatus = async () => {
+    const scheduled = await redis.zrange(scheduleKey, 0, -1, 'WITHSCORES');
+    const nextRuns = new Map();
+    for (let i = 0; i < scheduled.length; i += 2) {
+      nextRuns.set(scheduled[i], Number(scheduled[i + 1]));
+    }
+
+    const jobs = [];
+    for (const name of handlers.keys()) {
+      const stats = await redis.hgetall(statsKey(name));
+      const pending = [...nextRuns.entries()].filter(([id]) => id === `recurring:${name}` || id.startsWith(`once:${name}:`));
+      const recurring = await redis.hget(jobKey(`recurring:${name}`), 'everyMs');
+      jobs.push({
+        name,
+        everyMs: recurring ? Number(recurring) : null,
+        scheduled: pending.length,
+        nextRunAt: pending.length ? new Date(Math.min(...pending.map(([, at]) => at))).toISOString() : null,
+        completed: Number(stats?.completed || 0),
+        failed: Number(stats?.failed || 0),
+        lastRunAt: stats?.lastRunAt || null,
+        lastDurationMs: stats?.lastDurationMs ? Number(stats.lastDurationMs) : null,
+        lastResult: stats?.lastResult ? JSON.parse(stats.lastResult) : null,
+        lastError: stats?.lastError || null
+      });
+    }
+
+    const recentFailures = (await redis.lrange(failedKey, 0, 9)).map(entry => JSON.parse(entry));
+    return { running: Boolean(timer), jobs, recentFailures };
+  };
+
+  function assertDefined(name) {
+    if (!handlers.has(name)) throw new Error(`No handler defined for job "${name}"`);
+  }
+
+  return { define, every, schedule, cancel, runDueJobs, start, stop, getStatus };
+};
+
+/** Process-wide scheduler used by the API */
+const jobScheduler = createJobScheduler();
+
+export default jobScheduler;
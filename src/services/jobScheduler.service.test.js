@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import Redis from 'ioredis-mock';
+import { createJobScheduler, getRetryDelayMs } from './jobScheduler.service.js';
+
+/**
+ * @fileoverview Job Scheduler Service Tests
+ * @description Recurring, delayed and retried jobs against an in-memory Redis
+ */
+
+const later = (ms) => new Date(Date.now() + ms);
+
+describe('Job Scheduler Service', () => {
+
+  describe('getRetryDelayMs', () => {
+    it('should double the delay on each attempt', () => {
+      expect(getRetryDelayMs(1, 1000)).toBe(1000);
+      expect(getRetryDelayMs(2, 1000)).toBe(2000);
+      expect(getRetryDelayMs(3, 1000)).toBe(4000);
+    });
+  });
+
+  describe('createJobScheduler', () => {
+    let redis;
+    let scheduler;
+    let prefix = 0;
+
+    beforeEach(() => {
+      redis = new Redis();
+      // ioredis-mock instances share data, so each test gets its own keys
+      scheduler = createJobScheduler({ redis, prefix: `test-jobs-${++prefix}`, retryDelayMs: 1000 });
+    });
+
+    it('should refuse to schedule a job without a handler', async () => {
+      await expect(scheduler.every('unknown', 1000)).rejects.toThrow('No handler defined');
+    });
+
+    it('should run a recurring job when due and reschedule it', async () => {
+      const runs = [];
+      scheduler.define('tick', async (payload) => { runs.push(payload); return { ok: true }; });
+      await scheduler.every('tick', 60000, { runNow: true, payload: { n: 1 } });
+
+      expect(await scheduler.runDueJobs()).toBe(1);
+      expect(runs).toEqual([{ n: 1 }]);
+
+      // Not due again until everyMs has passed
+      expect(await scheduler.runDueJobs()).toBe(0);
+      expect(await scheduler.runDueJobs(later(61000))).toBe(1);
+
+      const status = await scheduler.getStatus();
+      const tick = status.jobs.find(j => j.name === 'tick');
+      expect(tick.everyMs).toBe(60000);
+      expect(tick.scheduled).toBe(1);
+      expect(tick.completed).toBe(2);
+      expect(tick.lastResult).toEqual({ ok: true });
+    });
+
+    it('should keep the next run when a recurring job is registered again', async () => {
+      scheduler.define('tick', async () => {});
+      await scheduler.every('tick', 60000);
+      const { jobs: [before] } = await scheduler.getStatus();
+
+      await scheduler.every('tick', 60000, { runNow: true });
+      const { jobs: [after] } = await scheduler.getStatus();
+
+      expect(after.nextRunAt).toBe(before.nextRunAt);
+      expect(await scheduler.runDueJobs()).toBe(0);
+    });
+
+    it('should run a delayed job once, only after its delay', async () => {
+      let runs = 0;
+      scheduler.define('once', async () => { runs++; });
+      await scheduler.schedule('once', {}, { delayMs: 5000 });
+
+      expect(await scheduler.runDueJobs()).toBe(0);
+      expect(await scheduler.runDueJobs(later(6000))).toBe(1);
+      expect(await scheduler.runDueJobs(later(60000))).toBe(0);
+      expect(runs).toBe(1);
+    });
+
+    it('should de-duplicate one-off jobs by key', async () => {
+      scheduler.define('remind', async () => {});
+      const first = await scheduler.schedule('remind', {}, { delayMs: 1000, key: 'trip-1' });
+      const second = await scheduler.schedule('remind', {}, { delayMs: 2000, key: 'trip-1' });
+
+      expect(second).toBe(first);
+      const { jobs: [remind] } = await scheduler.getStatus();
+      expect(remind.scheduled).toBe(1);
+    });
+
+    it('should cancel a scheduled job', async () => {
+      scheduler.define('once', async () => {});
+      const id = await scheduler.schedule('once');
+
+      expect(await scheduler.cancel(id)).toBe(true);
+      expect(await scheduler.runDueJobs()).toBe(0);
+    });
+
+    it('should retry a failing job with backoff and succeed', async () => {
+      let attempts = 0;
+      scheduler.define('flaky', async (payload, { attempt }) => {
+        attempts = attempt;
+        if (attempt < 2) throw new Error('boom');
+        return 'done';
+      }, { maxAttempts: 3 });
+      await scheduler.schedule('flaky');
+
+      expect(await scheduler.runDueJobs()).toBe(1);
+      // First retry waits retryDelayMs
+      expect(await scheduler.runDueJobs(later(500))).toBe(0);
+      expect(await scheduler.runDueJobs(later(1500))).toBe(1);
+      expect(attempts).toBe(2);
+
+      const { jobs: [flaky], recentFailures } = await scheduler.getStatus();
+      expect(flaky.completed).toBe(1);
+      expect(flaky.failed).toBe(0);
+      expect(flaky.scheduled).toBe(0);
+      expect(recentFailures).toEqual([]);
+    });
+
+    it('should record a one-off job as failed after its last attempt', async () => {
+      scheduler.define('broken', async () => { throw new Error('always'); }, { maxAttempts: 2 });
+      await scheduler.schedule('broken');
+
+      await scheduler.runDueJobs();
+      await scheduler.runDueJobs(later(1500));
+
+      const { jobs: [broken], recentFailures } = await scheduler.getStatus();
+      expect(broken.failed).toBe(1);
+      expect(broken.scheduled).toBe(0);
+      expect(broken.lastError).toBe('always');
+      expect(recentFailures).toHaveLength(1);
+      expect(recentFailures[0]).toMatchObject({ name: 'broken', attempts: 2, error: 'always' });
+    });
+
+    it('should keep a recurring job scheduled after its last attempt fails', async () => {
+      scheduler.define('broken', async () => { throw new Error('always'); }, { maxAttempts: 1 });
+      await scheduler.every('broken', 60000, { runNow: true });
+
+      await scheduler.runDueJobs();
+
+      const { jobs: [broken] } = await scheduler.getStatus();
+      expect(broken.failed).toBe(1);
+      expect(broken.scheduled).toBe(1);
+      expect(await scheduler.runDueJobs(later(61000))).toBe(1);
+    });
+  });
+});
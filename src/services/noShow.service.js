@@ -0,0 +1,85 @@
+import RideRequest from '../models/RideRequest.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview No-Show Service
+ * @description Rules for marking a passenger as a no-show and for restricting bookings
+ * by passengers who repeatedly miss their pickup.
+ *
+ * Configuration (environment):
+ * - NO_SHOW_WAIT_MINUTES: how long the driver must wait after arriving (default 5)
+ * - NO_SHOW_BOOKING_LIMIT: no-shows within the lookback window that block new
+ *   bookings (default 0 = never block)
+ * - NO_SHOW_LOOKBACK_DAYS: window for the booking limit (default 30)
+ *
+ * @module services/noShow.service
+ */
+
+export const DEFAULT_NO_SHOW_WAIT_MINUTES = 5;
+export const DEFAULT_NO_SHOW_LOOKBACK_DAYS = 30;
+
+/**
+ * Current no-show settings, read from the environment on each call.
+ *
+ * @returns {{waitMinutes: number, bookingLimit: number, lookbackDays: number}}
+ */
+export const getNoShowSettings = () => ({
+  waitMinutes: readNumber(process.env.NO_SHOW_WAIT_MINUTES, DEFAULT_NO_SHOW_WAIT_MINUTES, { allowZero: true }),
+  bookingLimit: Math.floor(readNumber(process.env.NO_SHOW_BOOKING_LIMIT, 0, { allowZero: true })),
+  lookbackDays: readNumber(process.env.NO_SHOW_LOOKBACK_DAYS, DEFAULT_NO_SHOW_LOOKBACK_DAYS)
+});
+
+/**
+ * Milliseconds the driver still has to wait at the pickup before a no-show can be recorded.
+ *
+ * Pure function.
+ *
+ * @param {Date|string|null} arrivedAt - When the driver marked arrival
+ * @param {number} waitMinutes
+ * @param {Date} [now]
+ * @returns {number|null} Remaining ms (0 when the wait is over), or null if the driver never arrived
+ */
+export const getRemainingWaitMs = (arrivedAt, waitMinutes, now = new Date()) => {
+  if (!arrivedAt) return null;
+  const elapsed = now.getTime() - new Date(arrivedAt).getTime();
+  return Math.max(0, waitMinutes * 60 * 1000 - elapsed);
+};
+
+/**
+ * Count a passenger's no-shows since a given date.
+ *
+ * @param {ObjectId|string} passengerId
+ * @param {Date} since
+ * @returns {Promise<number>}
+ */
+export const countNoShowsSince = (passengerId, since) =>
+  RideRequest.countDocuments({
+    passengerId,
+    pickupStatus: 'NO_SHOW',
+    noShowAt: { $gte: since }
+  });
+
+/**
+ * Check whether a passenger may book, given their recent no-shows.
+ *
+ * @param {ObjectId|string} passengerId
+ * @param {Date} [now]
+ * @returns {Promise<string|null>} Reason the booking is blocked, or null if allowed
+ */
+export const getBookingRestriction = async (passengerId, now = new Date()) => {
+  const { bookingLimit, lookbackDays } = getNoShowSettings();
+  if (!bookingLimit) return null;
+
+  const since = new Date(now.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+  const recent = await countNoShowsSince(passengerId, since);
+  if (recent < bookingLimit) return null;
+
+  return `Booking is paused: you missed ${recent} pickup(s) in the last ${lookbackDays} days`;
+};
+
+export default {
+  getNoShowSettings,
+  getRemainingWaitMs,
+  countNoShowsSince,
+  getBookingRestriction
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  getNoShowSettings,
+  getRemainingWaitMs,
+  DEFAULT_NO_SHOW_WAIT_MINUTES,
+  DEFAULT_NO_SHOW_LOOKBACK_DAYS
+} from './noShow.service.js';
+
+/**
+ * @fileoverview No-Show Service Tests
+ * @description Tests for the no-show wait rule and environment settings
+ */
+
+describe('No-Show Service', () => {
+
+  describe('getRemainingWaitMs', () => {
+    const arrivedAt = new Date('2026-03-02T08:00:00Z');
+
+    it('should return null when the driver has not arrived', () => {
+      expect(getRemainingWaitMs(null, 5)).toBeNull();
+    });
+
+    it('should return the time left in the wait', () => {
+      const now = new Date('2026-03-02T08:03:00Z');
+      expect(getRemainingWaitMs(arrivedAt, 5, now)).toBe(2 * 60 * 1000);
+    });
+
+    it('should return 0 once the wait is over', () => {
+      const now = new Date('2026-03-02T08:07:00Z');
+      expect(getRemainingWaitMs(arrivedAt, 5, now)).toBe(0);
+    });
+
+    it('should allow an immediate no-show when the wait is 0', () => {
+      expect(getRemainingWaitMs(arrivedAt, 0, arrivedAt)).toBe(0);
+    });
+  });
+
+  describe('getNoShowSettings', () => {
+    afterEach(() => {
+      delete process.env.NO_SHOW_WAIT_MINUTES;
+      delete process.env.NO_SHOW_BOOKING_LIMIT;
+      delete process.env.NO_SHOW_LOOKBACK_DAYS;
+    });
+
+    it('should use defaults with booking restrictions off', () => {
+      expect(getNoShowSettings()).toEqual({
+        waitMinutes: DEFAULT_NO_SHOW_WAIT_MINUTES,
+        bookingLimit: 0,
+        lookbackDays: DEFAULT_NO_SHOW_LOOKBACK_DAYS
+      });
+    });
+
+    it('should read overrides from the environment', () => {
+      process.env.NO_SHOW_WAIT_MINUTES = '10';
+      process.env.NO_SHOW_BOOKING_LIMIT = '3';
+      process.env.NO_SHOW_LOOKBACK_DAYS = '14';
+
+      expect(getNoShowSettings()).toEqual({ waitMinutes: 10, bookingLimit: 3, lookbackDays: 14 });
+    });
+
+    it('should ignore invalid values', () => {
+      process.env.NO_SHOW_WAIT_MINUTES = 'soon';
+      process.env.NO_SHOW_BOOKING_LIMIT = '-2';
+
+      const settings = getNoShowSettings();
+      expect(settings.waitMinutes).toBe(DEFAULT_NO_SHOW_WAIT_MINUTES);
+      expect(settings.bookingLimit).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Payment Provider Service
+ * @description Pluggable payment providers for the commute wallet. A provider moves real
+ * money in and out of the platform; the wallet ledger records the result.
+ *
+ * A provider is an object with:
+ * - name: string, used as PAYMENT_PROVIDER
+ * - collect({ userId, amountINR, reference }) -> Promise<{ providerRef }>  (user pays platform)
+ * - payout({ userId, amountINR, reference })  -> Promise<{ providerRef }>  (platform pays user)
+ *
+ * Both reject on failure. `reference` is our idempotency key (e.g. a statement id), so a
+ * retried call must not move money twice.
+ *
+ * The built-in 'local' provider moves no money and is meant for development and tests.
+ * @module services/paymentProvider.service
+ */
+
+const PROVIDER_METHODS = ['collect', 'payout'];
+
+const providers = new Map();
+
+/**
+ * Local fake provider. Succeeds unless told to fail, records every transaction and
+ * returns the same providerRef when a reference is repeated.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name='local']
+ * @param {Function} [options.shouldFail] - (operation, request) => reason string to fail, falsy to succeed
+ * @returns {Object} Provider, plus `transactions` for inspection
+ */
+export const createLocalPaymentProvider = ({ name = 'local', shouldFail } = {}) => {
+  const transactions = [];
+
+  const execute = async (operation, { userId, amountINR, reference }) => {
+    if (!(amountINR > 0)) {
+      throw new Error(`${name}: amountINR must be positive`);
+    }
+
+    const previous = transactions.find(t => t.operation === operation && t.reference === reference);
+    if (previous) return { providerRef: previous.providerRef };
+
+    const failure = shouldFail?.(operation, { userId, amountINR, reference });
+    if (failure) {
+      throw new Error(`${name}: ${failure}`);
+    }
+
+    const providerRef = `${name}_${operation}_${transactions.length + 1}`;
+    transactions.push({ operation, userId: String(userId), amountINR, reference, providerRef, at: new Date() });
+    return { providerRef };
+  };
+
+  return {
+    name,
+    transactions,
+    collect: (request) => execute('collect', request),
+    payout: (request) => execute('payout', request)
+  };
+};
+
+/**
+ * Register a provider so it can be selected by name.
+ *
+ * @param {Object} provider
+ * @throws {Error} When the provider does not implement the interface
+ */
+export const registerPaymentProvider = (provider) => {
+  if (!provider?.name) {
+    throw new Error('Payment provider must have a name');
+  }
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment provider "${provider.name}" is missing: ${missing.join(', ')}`);
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * The provider configured by PAYMENT_PROVIDER (default 'local'), or a named one.
+ *
+ * @param {string} [name]
+ * @returns {Object}
+ * @throws {Error} When no provider is registered under that name
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'local') => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return provider;
+};
+
+registerPaymentProvider(createLocalPaymentProvider());
+
+export default { createLocalPaymentProvider, registerPaymentProvider, getPaymentProvider };
@@ -0,0 +1,73 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  createLocalPaymentProvider,
+  registerPaymentProvider,
+  getPaymentProvider
+} from './paymentProvider.service.js';
+
+/**
+ * @fileoverview Payment Provider Service Tests
+ * @description Tests for the provider registry and the local fake provider
+ */
+
+describe('Payment Provider Service', () => {
+
+  describe('createLocalPaymentProvider', () => {
+    it('should record collections and payouts with distinct references', async () => {
+      const provider = createLocalPaymentProvider({ name: 'fake-a' });
+
+      const collected = await provider.collect({ userId: 'u1', amountINR: 120, reference: 'r1' });
+      const paid = await provider.payout({ userId: 'u2', amountINR: 80, reference: 'r2' });
+
+      expect(collected.providerRef).not.toBe(paid.providerRef);
+      expect(provider.transactions.map(t => t.operation)).toEqual(['collect', 'payout']);
+    });
+
+    it('should not move money twice for a repeated reference', async () => {
+      const provider = createLocalPaymentProvider({ name: 'fake-b' });
+
+      const first = await provider.payout({ userId: 'u1', amountINR: 50, reference: 'stmt-1' });
+      const retry = await provider.payout({ userId: 'u1', amountINR: 50, reference: 'stmt-1' });
+
+      expect(retry.providerRef).toBe(first.providerRef);
+      expect(provider.transactions).toHaveLength(1);
+    });
+
+    it('should reject when told to fail and record nothing', async () => {
+      const provider = createLocalPaymentProvider({
+        name: 'fake-c',
+        shouldFail: (operation) => operation === 'collect' && 'card declined'
+      });
+
+      await expect(provider.collect({ userId: 'u1', amountINR: 10, reference: 'r1' }))
+        .rejects.toThrow('card declined');
+      expect(provider.transactions).toHaveLength(0);
+    });
+
+    it('should reject non-positive amounts', async () => {
+      const provider = createLocalPaymentProvider({ name: 'fake-d' });
+      await expect(provider.collect({ userId: 'u1', amountINR: 0, reference: 'r1' })).rejects.toThrow(/positive/);
+    });
+  });
+
+  describe('registry', () => {
+    it('should return the built-in local provider by default', () => {
+      expect(getPaymentProvider('local').name).toBe('local');
+    });
+
+    it('should return a registered provider by name', () => {
+      const provider = createLocalPaymentProvider({ name: 'fake-registered' });
+      registerPaymentProvider(provider);
+      expect(getPaymentProvider('fake-registered')).toBe(provider);
+    });
+
+    it('should reject providers missing part of the interface', () => {
+      expect(() => registerPaymentProvider({ name: 'half', collect: async () => ({}) }))
+        .toThrow(/missing: payout/);
+    });
+
+    it('should throw for an unknown provider', () => {
+      expect(() => getPaymentProvider('nope')).toThrow(/Unknown payment provider/);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { calculateDistance } from './routeOptimization.service.js';
+import { getETA } from './routing.service.js';
+import { formatDuration, formatDistance } from './etaService.js';
+import { ACTIVE_TRIP_STATUSES } from './tripLifecycle.service.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Pickup ETA Service
+ * @description Tells every passenger still waiting for pickup when the driver will reach
+ * them. On each driver location the stops ahead are put in waypoint order (waiting
+ * pickups, and drop-offs of passengers not yet dropped off) and the ETA is added up leg
+ * by leg (driver -> first stop -> second stop ...), so a passenger's ETA includes every
+ * stop before theirs. Legs come from the routing service, which caches them.
+ *
+ * Each passenger gets `pickup-eta` in their user-<passengerId> room, and once per ride:
+ * - `driver-approaching` when the ETA drops to PICKUP_APPROACHING_MINUTES (default 2)
+ * - `driver-at-pickup` when the driver is within PICKUP_ARRIVED_METERS (default 50)
+ *
+ * Sent alerts are kept on the ride request (pickupAlerts) and claimed with a conditional
+ * update, so API processes sharing a trip do not send one twice.
+ *
+ * @module services/pickupEta.service
+ */
+
+export const DEFAULT_PICKUP_APPROACHING_MINUTES = 2;
+export const DEFAULT_PICKUP_ARRIVED_METERS = 50;
+
+const ALERT_EVENTS = Object.freeze({
+  APPROACHING: { event: 'driver-approaching', field: 'approachingAt' },
+  ARRIVED: { event: 'driver-at-pickup', field: 'arrivedAt' }
+});
+
+const toPoint = (coords) => (coords?.length === 2 ? { lat: coords[1], lng: coords[0] } : null);
+
+const passengerKey = (ride) => String(ride.passengerId?._id || ride.passengerId);
+
+const pickupPoint = (ride) => toPoint(ride.pickupLocation?.coordinates?.coordinates);
+
+/**
+ * Current alert thresholds, read from the environment on each call.
+ *
+ * @returns {{ approachingMinutes: number, arrivedMeters: number }}
+ */
+export const getPickupEtaSettings = () => ({
+  approachingMinutes: readNumber(process.env.PICKUP_APPROACHING_MINUTES, DEFAULT_PICKUP_APPROACHING_MINUTES),
+  arrivedMeters: readNumber(process.env.PICKUP_ARRIVED_METERS, DEFAULT_PICKUP_ARRIVED_METERS)
+});
+
+/**
+ * Waiting rides in the order the driver picks them up: by their waypoint's order, then
+ * rides without a waypoint in the order they were requested.
+ *
+ * @param {Object[]} rides - With passengerId and pickupLocation; rides without pickup coordinates are left out
+ * @param {Object} trip - { waypoints }
+ * @returns {Object[]}
+ */
+export const orderPickups = (rides, trip) => {
+  const orderOf = new Map((trip.waypoints || [])
+    .filter(wp => wp.passengerId && wp.stopType !== 'DROPOFF')
+    .map(wp => [String(wp.passengerId), wp.order]));
+
+  return rides
+    .filter(pickupPoint)
+    .map((ride, index) => ({ ride, index, order: orderOf.get(passengerKey(ride)) ?? Infinity }))
+    .sort((a, b) => a.order - b.order || a.index - b.index)
+    .map(({ ride }) => ride);
+};
+
+/**
+ * The stops the driver makes up to the last waiting pickup, in waypoint order: waiting
+ * passengers' pickups and the drop-offs of passengers not yet dropped off. Waiting rides
+ * without a pickup waypoint come after them, in request order. Driver-added stops are
+ * left out, since nothing tells whether the driver has passed them.
+ *
+ * @param {Object[]} rides - APPROVED rides still WAITING or PICKED_UP, in request order
+ * @param {Object} trip - { waypoints }
+ * @returns {Array<{ point: {lat: number, lng: number}, ride?: Object }>} ride is set on pickups
+ */
+export const orderPickupStops = (rides, trip) => {
+  const waiting = orderPickups(rides.filter(ride => (ride.pickupStatus || 'WAITING') === 'WAITING'), trip);
+  const waitingIds = new Set(waiting.map(passengerKey));
+  const activeIds = new Set(rides.map(passengerKey));
+  const rideOf = new Map(waiting.map(ride => [passengerKey(ride), ride]));
+
+  const stops = [];
+  const placed = new Set();
+  const waypoints = [...(trip.waypoints || [])]
+    .filter(wp => wp.passengerId && activeIds.has(String(wp.passengerId)))
+    .sort((a, b) => a.order - b.order);
+  for (const wp of waypoints) {
+    const id = String(wp.passengerId);
+    if (wp.stopType === 'DROPOFF') {
+      const point = toPoint(wp.coordinates?.coordinates);
+      if (point) stops.push({ point });
+    } else if (waitingIds.has(id) && !placed.has(id)) {
+      stops.push({ point: pickupPoint(rideOf.get(id)), ride: rideOf.get(id) });
+      placed.add(id);
+    }
+  }
+
+  // Drop-offs after the last waiting pickup do not delay anyone
+  stops.length = stops.findLastIndex(stop => stop.ride) + 1;
+  for (const ride of waiting) {
+    if (!placed.has(passengerKey(ride))) stops.push({ point: pickupPoint(ride), ride });
+  }
+  return stops;
+};
+
+/**
+ * Which alert, if any, a pickup ETA calls for. Arrival wins over approaching; each is
+ * sent once.
+ *
+ * @param {Object} params
+ * @param {number} params.etaSeconds - Driver to this pickup, through earlier stops
+ * @param {number} params.metersAway - Straight-line driver to pickup
+ * @param {Object} [params.sent] - Ride's pickupAlerts
+ * @param {Object} params.settings - From getPickupEtaSettings
+ * @returns {string|null} APPROACHING, ARRIVED or null
+ */
+export const getPickupAlert = ({ etaSeconds, metersAway, sent = {}, settings }) => {
+  if (sent.arrivedAt) return null;
+  if (metersAway <= settings.arrivedMeters) return 'ARRIVED';
+  if (!sent.approachingAt && etaSeconds <= settings.approachingMinutes * 60) return 'APPROACHING';
+  return null;
+};
+
+/**
+ * ETAs to each waiting passenger's pickup, cumulative over the stops before it.
+ *
+ * @param {{ lat: number, lng: number }} location - Driver position
+ * @param {Object[]} stops - From orderPickupStops
+ * @returns {Promise<Object[]>} Per pickup { ride, pickup, durationSeconds, distanceMeters, stopsBefore, fallback }
+ */
+export const computePickupEtas = async (location, stops) => {
+  const legs = await Promise.all(stops.map((stop, i) => getETA(i === 0 ? location : stops[i - 1].point, stop.point)));
+
+  let durationSeconds = 0;
+  let distanceMeters = 0;
+  const etas = [];
+  stops.forEach((stop, i) => {
+    durationSeconds += legs[i].durationSeconds;
+    distanceMeters += legs[i].distanceMeters;
+    if (!stop.ride) return;
+    etas.push({
+      ride: stop.ride,
+      pickup: stop.point,
+      durationSeconds,
+      distanceMeters,
+      stopsBefore: i,
+      fallback: legs.slice(0, i + 1).some(leg => leg.fallback)
+    });
+  });
+  return etas;
+};
+
+const emitToPassenger = (passengerId, event, payload) => {
+  try {
+    getIO().to(`user-${passengerId}`).emit(event, payload);
+  } catch (socketError) {
+    console.error('Socket.io emit error in pickup ETA:', socketError);
+  }
+};
+
+// Claim the alert so only one process sends it
+const claimAlert = async (rideId, field, now) => {
+  const { modifiedCount } = await RideRequest.updateOne(
+    { _id: rideId, [`pickupAlerts.${field}`]: { $exists: false } },
+    { $set: { [`pickupAlerts.${field}`]: now } }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Send each waiting passenger their pickup ETA, and the approaching / arrived alerts
+ * when a threshold is crossed. Called from the location handlers after the position is
+ * saved; never throws.
+ *
+ * @param {Object} trip - Trip document (status, waypoints)
+ * @param {{ lat: number, lng: number }} location
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Per passenger { rideId, durationSeconds, alert } (alert sent, or null)
+ */
+export const notifyPickupEtas = async (trip, location, now = new Date()) => {
+  if (!ACTIVE_TRIP_STATUSES.includes(trip.status)) return [];
+  if (!Number.isFinite(location?.lat) || !Number.isFinite(location?.lng)) return [];
+
+  try {
+    // Passengers on board matter too: their drop-offs may come before a pickup
+    const rides = await RideRequest.find({
+      tripId: trip._id,
+      status: 'APPROVED',
+      pickupStatus: { $in: ['WAITING', 'PICKED_UP'] }
+    })
+      .select('passengerId pickupLocation pickupStatus pickupAlerts')
+      .sort({ createdAt: 1 })
+      .lean();
+    if (!rides.some(ride => ride.pickupStatus === 'WAITING')) return [];
+
+    const settings = getPickupEtaSettings();
+    const etas = await computePickupEtas(location, orderPickupStops(rides, trip));
+
+    const sent = [];
+    for (const { ride, pickup, durationSeconds, distanceMeters, stopsBefore, fallback } of etas) {
+      const payload = {
+        rideId: ride._id,
+        tripId: trip._id,
+        durationSeconds,
+        distanceMeters,
+        etaText: formatDuration(durationSeconds),
+        distanceText: formatDistance(distanceMeters),
+        stopsBefore,
+        fallback,
+        driverLocation: { lat: location.lat, lng: location.lng },
+        timestamp: now
+      };
+      emitToPassenger(ride.passengerId, 'pickup-eta', payload);
+
+      const alert = getPickupAlert({
+        etaSeconds: durationSeconds,
+        metersAway: calculateDistance(location, pickup) * 1000,
+        sent: ride.pickupAlerts,
+        settings
+      });
+      const claimed = alert && await claimAlert(ride._id, ALERT_EVENTS[alert].field, now);
+      if (claimed) {
+        emitToPassenger(ride.passengerId, ALERT_EVENTS[alert].event, {
+          ...payload,
+          message: alert === 'ARRIVED'
+            ? 'Your driver has arrived at the pickup point'
+            : `Your driver is ${Math.max(1, Math.ceil(durationSeconds / 60))} minute(s) away`
+        });
+      }
+      sent.push({ rideId: ride._id, durationSeconds, alert: claimed ? alert : null });
+    }
+    return sent;
+  } catch (error) {
+    console.error('Pickup ETA failed for trip', String(trip._id), error.message);
+    return [];
+  }
+};
+
+export default {
+  DEFAULT_PICKUP_APPROACHING_MINUTES,
+  DEFAULT_PICKUP_ARRIVED_METERS,
+  getPickupEtaSettings,
+  orderPickups,
+  orderPickupStops,
+  getPickupAlert,
+  computePickupEtas,
+  notifyPickupEtas
+};
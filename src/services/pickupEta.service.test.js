@@ -0,0 +1,131 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_PICKUP_APPROACHING_MINUTES,
+  DEFAULT_PICKUP_ARRIVED_METERS,
+  orderPickups,
+  orderPickupStops,
+  getPickupAlert,
+  computePickupEtas
+} from './pickupEta.service.js';
+
+/**
+ * @fileoverview Pickup ETA Service Tests
+ * @description Pickup order, stops ahead, cumulative ETAs (offline routing) and alert thresholds
+ */
+
+const settings = {
+  approachingMinutes: DEFAULT_PICKUP_APPROACHING_MINUTES,
+  arrivedMeters: DEFAULT_PICKUP_ARRIVED_METERS
+};
+
+const ride = (id, passengerId, [lng, lat]) => ({
+  _id: id,
+  passengerId,
+  pickupLocation: { coordinates: { type: 'Point', coordinates: [lng, lat] } }
+});
+
+describe('Pickup ETA Service', () => {
+
+  describe('orderPickups', () => {
+    it('should follow the pickup waypoint order, then request order', () => {
+      const rides = [
+        ride('r1', 'p1', [77.60, 12.97]),
+        ride('r2', 'p2', [77.61, 12.96]),
+        ride('r3', 'p3', [77.62, 12.95])
+      ];
+      const trip = {
+        waypoints: [
+          { passengerId: 'p3', order: 1, stopType: 'PICKUP' },
+          { passengerId: 'p1', order: 2 },
+          { passengerId: 'p3', order: 3, stopType: 'DROPOFF' }
+        ]
+      };
+
+      expect(orderPickups(rides, trip).map(r => r._id)).toEqual(['r3', 'r1', 'r2']);
+    });
+
+    it('should match populated passengers and skip rides without pickup coordinates', () => {
+      const rides = [
+        { _id: 'r1', passengerId: { _id: 'p1' }, pickupLocation: { address: 'Gate 2' } },
+        ride('r2', { _id: 'p2' }, [77.61, 12.96])
+      ];
+      expect(orderPickups(rides, { waypoints: [{ passengerId: 'p2', order: 1 }] }).map(r => r._id)).toEqual(['r2']);
+    });
+  });
+
+  describe('orderPickupStops', () => {
+    const dropoff = (passengerId, order, [lng, lat]) => ({
+      passengerId, order, stopType: 'DROPOFF', coordinates: { type: 'Point', coordinates: [lng, lat] }
+    });
+
+    it('should include drop-offs of passengers not yet dropped off between pickups', () => {
+      const onBoard = { ...ride('r1', 'p1', [77.60, 12.97]), pickupStatus: 'PICKED_UP' };
+      const waiting = { ...ride('r2', 'p2', [77.62, 12.97]), pickupStatus: 'WAITING' };
+      const trip = {
+        waypoints: [
+          { passengerId: 'p1', order: 1, stopType: 'PICKUP' },
+          dropoff('p1', 2, [77.61, 12.97]),
+          { passengerId: 'p2', order: 3, stopType: 'PICKUP' },
+          dropoff('p2', 4, [77.63, 12.97]),
+          dropoff('p9', 5, [77.64, 12.97])
+        ]
+      };
+
+      const stops = orderPickupStops([onBoard, waiting], trip);
+
+      expect(stops.map(stop => stop.ride?._id ?? 'dropoff')).toEqual(['dropoff', 'r2']);
+      expect(stops[0].point).toEqual({ lat: 12.97, lng: 77.61 });
+    });
+
+    it('should put waiting rides without a waypoint last', () => {
+      const rides = [ride('r1', 'p1', [77.60, 12.97]), ride('r2', 'p2', [77.61, 12.96])];
+      const trip = { waypoints: [{ passengerId: 'p2', order: 1, stopType: 'PICKUP' }] };
+
+      expect(orderPickupStops(rides, trip).map(stop => stop.ride._id)).toEqual(['r2', 'r1']);
+    });
+  });
+
+  describe('computePickupEtas', () => {
+    it('should add each pickup onto the ones before it', async () => {
+      const rides = [ride('r1', 'p1', [77.6100, 12.9700]), ride('r2', 'p2', [77.6200, 12.9700])];
+      const [first, second] = await computePickupEtas({ lat: 12.9700, lng: 77.6000 }, orderPickupStops(rides, {}));
+
+      expect(first.stopsBefore).toBe(0);
+      expect(second.stopsBefore).toBe(1);
+      // The legs are the same length, so the second pickup is twice as far
+      expect(second.distanceMeters).toBeCloseTo(first.distanceMeters * 2, -1);
+      expect(second.durationSeconds).toBeGreaterThan(first.durationSeconds);
+    });
+
+    it('should count a drop-off before the pickup in its ETA', async () => {
+      const stops = [
+        { point: { lat: 12.9800, lng: 77.6100 } },
+        { point: { lat: 12.9700, lng: 77.6200 }, ride: ride('r2', 'p2', [77.6200, 12.9700]) }
+      ];
+      const direct = await computePickupEtas({ lat: 12.9700, lng: 77.6000 }, stops.slice(1));
+      const [viaDropoff] = await computePickupEtas({ lat: 12.9700, lng: 77.6000 }, stops);
+
+      expect(viaDropoff.stopsBefore).toBe(1);
+      expect(viaDropoff.distanceMeters).toBeGreaterThan(direct[0].distanceMeters);
+      expect(viaDropoff.durationSeconds).toBeGreaterThan(direct[0].durationSeconds);
+    });
+  });
+
+  describe('getPickupAlert', () => {
+    it('should alert approaching at the threshold', () => {
+      expect(getPickupAlert({ etaSeconds: 120, metersAway: 900, settings })).toBe('APPROACHING');
+      expect(getPickupAlert({ etaSeconds: 121, metersAway: 900, settings })).toBeNull();
+    });
+
+    it('should alert arrival within the radius, even if approaching was never sent', () => {
+      expect(getPickupAlert({ etaSeconds: 5, metersAway: 40, settings })).toBe('ARRIVED');
+    });
+
+    it('should send each alert once', () => {
+      const now = new Date();
+      expect(getPickupAlert({ etaSeconds: 60, metersAway: 400, sent: { approachingAt: now }, settings })).toBeNull();
+      expect(getPickupAlert({ etaSeconds: 60, metersAway: 40, sent: { approachingAt: now }, settings })).toBe('ARRIVED');
+      expect(getPickupAlert({ etaSeconds: 0, metersAway: 10, sent: { arrivedAt: now }, settings })).toBeNull();
+    });
+  });
+});
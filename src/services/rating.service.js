@@ -0,0 +1,225 @@
+import mongoose from 'mongoose';
+import Rating from '../models/Rating.js';
+import RideRequest from '../models/RideRequest.js';
+import User from '../models/User.js';
+import { httpError, idOf } from '../utils/service.utils.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Rating Service
+ * @description Two-way ratings after a ride: the passenger rates the driver and the
+ * driver rates the passenger, once each, within a window after drop-off. Each user's
+ * average and count (visible ratings only) are kept on User.ratings so trip search
+ * and trip details can show them without aggregating.
+ *
+ * Configuration (environment):
+ * - RATING_WINDOW_HOURS: how long after drop-off a ride can be rated (default 72)
+ *
+ * @module services/rating.service
+ */
+
+export const DEFAULT_RATING_WINDOW_HOURS = 72;
+
+/** Ratings at or below this score appear in the org admin moderation queue */
+export const LOW_RATING_THRESHOLD = 2;
+
+/** Tags each side may pick from */
+export const RATING_TAGS = Object.freeze({
+  PASSENGER_TO_DRIVER: Object.freeze([
+    'PUNCTUAL', 'SAFE_DRIVING', 'FRIENDLY', 'CLEAN_VEHICLE',
+    'LATE', 'RASH_DRIVING', 'RUDE', 'UNCLEAN_VEHICLE', 'WRONG_ROUTE'
+  ]),
+  DRIVER_TO_PASSENGER: Object.freeze([
+    'PUNCTUAL', 'FRIENDLY', 'RESPECTFUL',
+    'LATE', 'RUDE', 'NOT_AT_PICKUP', 'NO_COMMUNICATION'
+  ])
+});
+
+/** User.ratings key holding the summary each direction feeds */
+const SUMMARY_KEY = {
+  PASSENGER_TO_DRIVER: 'asDriver',
+  DRIVER_TO_PASSENGER: 'asPassenger'
+};
+
+/**
+ * Current rating window in hours, read from the environment on each call.
+ *
+ * @returns {number}
+ */
+export const getRatingWindowHours = () => {
+  return readNumber(process.env.RATING_WINDOW_HOURS, DEFAULT_RATING_WINDOW_HOURS);
+};
+
+/**
+ * Who is rating whom for a ride, or why the user cannot rate it.
+ *
+ * Pure function.
+ *
+ * @param {Object} ride - Ride request with tripId populated (or trip passed separately)
+ * @param {Object} trip - Trip the ride belongs to
+ * @param {string} userId - User attempting to rate
+ * @param {number} windowHours
+ * @param {Date} [now]
+ * @returns {{direction: string, rateeId: string}}
+ * @throws {Error} 403 for users not on the ride, 400 before drop-off or after the window
+ */
+export const getRatingEligibility = (ride, trip, userId, windowHours, now = new Date()) => {
+  const passengerId = idOf(ride.passengerId);
+  const driverId = idOf(trip.driverId);
+
+  let direction;
+  if (String(userId) === passengerId) direction = 'PASSENGER_TO_DRIVER';
+  else if (String(userId) === driverId) direction = 'DRIVER_TO_PASSENGER';
+  else throw httpError('Only the passenger and driver of this ride can rate it', 403);
+
+  if (ride.pickupStatus !== 'DROPPED_OFF' || !ride.droppedOffAt) {
+    throw httpError('Rides can be rated after drop-off', 400);
+  }
+
+  const closesAt = new Date(ride.droppedOffAt).getTime() + windowHours * 60 * 60 * 1000;
+  if (now.getTime() > closesAt) {
+    throw httpError(`Rides can only be rated within ${windowHours} hours of drop-off`, 400);
+  }
+
+  return {
+    direction,
+    rateeId: direction === 'PASSENGER_TO_DRIVER' ? driverId : passengerId
+  };
+};
+
+/**
+ * Check tags against the list for the direction and drop duplicates.
+ *
+ * Pure function.
+ *
+ * @param {string[]} [tags]
+ * @param {string} direction
+ * @returns {string[]}
+ * @throws {Error} 400 naming the unknown tags
+ */
+export const normalizeRatingTags = (tags = [], direction) => {
+  const allowed = RATING_TAGS[direction];
+  const unique = [...new Set(tags.map(tag => String(tag).toUpperCase()))];
+  const unknown = unique.filter(tag => !allowed.includes(tag));
+  if (unknown.length > 0) {
+    throw httpError(`Unknown tags: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`, 400);
+  }
+  return unique;
+};
+
+/**
+ * Recompute a user's summary for one direction from their visible ratings.
+ *
+ * @param {ObjectId|string} userId - Ratee
+ * @param {string} direction
+ * @returns {Promise<{average: number|null, count: number}>}
+ */
+export const refreshRatingSummary = async (userId, direction) => {
+  const [result] = await Rating.aggregate([
+    {
+      $match: {
+        rateeId: new mongoose.Types.ObjectId(String(userId)),
+        direction,
+        'moderation.hidden': { $ne: true }
+      }
+    },
+    { $group: { _id: null, average: { $avg: '$score' }, count: { $sum: 1 } } }
+  ]);
+
+  const summary = {
+    average: result ? Math.round(result.average * 100) / 100 : null,
+    count: result?.count || 0
+  };
+  await User.updateOne({ _id: userId }, { $set: { [`ratings.${SUMMARY_KEY[direction]}`]: summary } });
+  return summary;
+};
+
+/**
+ * Rate the other side of a ride.
+ *
+ * @param {Object} params
+ * @param {string} params.rideRequestId
+ * @param {string} params.userId - Rater
+ * @param {number} params.score - Integer 1-5
+ * @param {string[]} [params.tags]
+ * @param {string} [params.comment]
+ * @returns {Promise<{rating: Object, summary: Object}>}
+ * @throws {Error} 404 ride not found, 409 already rated, plus eligibility errors
+ */
+export const submitRating = async ({ rideRequestId, userId, score, tags, comment }) => {
+  const ride = await RideRequest.findById(rideRequestId)
+    .select('passengerId tripId pickupStatus droppedOffAt')
+    .populate('tripId', 'driverId organizationId');
+  if (!ride || !ride.tripId) {
+    throw httpError('Ride request not found', 404);
+  }
+
+  const { direction, rateeId } = getRatingEligibility(ride, ride.tripId, userId, getRatingWindowHours());
+
+  let rating;
+  try {
+    rating = await Rating.create({
+      rideRequestId: ride._id,
+      tripId: ride.tripId._id,
+      organizationId: ride.tripId.organizationId,
+      raterId: userId,
+      rateeId,
+      direction,
+      score,
+      tags: normalizeRatingTags(tags, direction),
+      comment
+    });
+  } catch (error) {
+    if (error.code === 11000) throw httpError('You have already rated this ride', 409);
+    if (error.name === 'ValidationError') throw httpError(error.message, 400);
+    throw error;
+  }
+
+  const summary = await refreshRatingSummary(rateeId, direction);
+  return { rating, summary };
+};
+
+/**
+ * Hide or restore a rating and recompute the ratee's summary.
+ *
+ * @param {Object} params
+ * @param {string} params.ratingId
+ * @param {ObjectId} params.organizationId - Moderator's organization
+ * @param {ObjectId} params.moderatorId
+ * @param {boolean} params.hidden
+ * @param {string} [params.note]
+ * @returns {Promise<Object>} Updated rating
+ * @throws {Error} 404 when the rating is not in the moderator's organization
+ */
+export const moderateRating = async ({ ratingId, organizationId, moderatorId, hidden, note }) => {
+  const rating = await Rating.findOneAndUpdate(
+    { _id: ratingId, organizationId },
+    {
+      $set: {
+        'moderation.hidden': hidden,
+        'moderation.reviewedBy': moderatorId,
+        'moderation.reviewedAt': new Date(),
+        'moderation.note': note
+      }
+    },
+    { new: true }
+  );
+  if (!rating) {
+    throw httpError('Rating not found', 404);
+  }
+
+  await refreshRatingSummary(rating.rateeId, rating.direction);
+  return rating;
+};
+
+export default {
+  DEFAULT_RATING_WINDOW_HOURS,
+  LOW_RATING_THRESHOLD,
+  RATING_TAGS,
+  getRatingWindowHours,
+  getRatingEligibility,
+  normalizeRatingTags,
+  refreshRatingSummary,
+  submitRating,
+  moderateRating
+};
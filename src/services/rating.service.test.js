@@ -0,0 +1,86 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  DEFAULT_RATING_WINDOW_HOURS,
+  getRatingWindowHours,
+  getRatingEligibility,
+  normalizeRatingTags
+} from './rating.service.js';
+
+/**
+ * @fileoverview Rating Service Tests
+ * @description Tests for who may rate a ride, the rating window and tag validation
+ */
+
+describe('Rating Service', () => {
+  const passengerId = '507f1f77bcf86cd799439011';
+  const driverId = '507f1f77bcf86cd799439012';
+  const droppedOffAt = new Date('2026-03-02T09:00:00Z');
+  const ride = { passengerId: { _id: passengerId }, pickupStatus: 'DROPPED_OFF', droppedOffAt };
+  const trip = { driverId };
+  const anHourLater = new Date('2026-03-02T10:00:00Z');
+
+  describe('getRatingWindowHours', () => {
+    afterEach(() => {
+      delete process.env.RATING_WINDOW_HOURS;
+    });
+
+    it('should default when unset or invalid', () => {
+      expect(getRatingWindowHours()).toBe(DEFAULT_RATING_WINDOW_HOURS);
+      process.env.RATING_WINDOW_HOURS = '-4';
+      expect(getRatingWindowHours()).toBe(DEFAULT_RATING_WINDOW_HOURS);
+    });
+
+    it('should read RATING_WINDOW_HOURS', () => {
+      process.env.RATING_WINDOW_HOURS = '24';
+      expect(getRatingWindowHours()).toBe(24);
+    });
+  });
+
+  describe('getRatingEligibility', () => {
+    it('should let the passenger rate the driver', () => {
+      expect(getRatingEligibility(ride, trip, passengerId, 72, anHourLater)).toEqual({
+        direction: 'PASSENGER_TO_DRIVER',
+        rateeId: driverId
+      });
+    });
+
+    it('should let the driver rate the passenger', () => {
+      expect(getRatingEligibility(ride, trip, driverId, 72, anHourLater)).toEqual({
+        direction: 'DRIVER_TO_PASSENGER',
+        rateeId: passengerId
+      });
+    });
+
+    it('should reject anyone else with 403', () => {
+      expect(() => getRatingEligibility(ride, trip, '507f1f77bcf86cd799439099', 72, anHourLater))
+        .toThrow(expect.objectContaining({ status: 403 }));
+    });
+
+    it('should reject rides not yet dropped off', () => {
+      const pickedUp = { ...ride, pickupStatus: 'PICKED_UP', droppedOffAt: undefined };
+      expect(() => getRatingEligibility(pickedUp, trip, passengerId, 72, anHourLater))
+        .toThrow(/after drop-off/);
+    });
+
+    it('should reject ratings after the window closes', () => {
+      const fourDaysLater = new Date('2026-03-06T09:00:00Z');
+      expect(() => getRatingEligibility(ride, trip, passengerId, 72, fourDaysLater))
+        .toThrow(/within 72 hours/);
+    });
+  });
+
+  describe('normalizeRatingTags', () => {
+    it('should upper-case and de-duplicate tags', () => {
+      expect(normalizeRatingTags(['punctual', 'PUNCTUAL', 'safe_driving'], 'PASSENGER_TO_DRIVER'))
+        .toEqual(['PUNCTUAL', 'SAFE_DRIVING']);
+    });
+
+    it('should reject tags meant for the other side', () => {
+      expect(() => normalizeRatingTags(['SAFE_DRIVING'], 'DRIVER_TO_PASSENGER')).toThrow(/Unknown tags: SAFE_DRIVING/);
+    });
+
+    it('should accept no tags', () => {
+      expect(normalizeRatingTags(undefined, 'DRIVER_TO_PASSENGER')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,565 @@
+import Trip from '../models/Trip.js';
+import RecurringTrip from '../models/RecurringTrip.js';
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { cancelTripAndNotify } from './tripCancellation.service.js';
+import { DEFAULT_FARE_RULES, estimateTripCost, getFareRules, quoteRideFare } from './fare.service.js';
+import { promoteFromWaitlist } from './waitlist.service.js';
+import { assertGenderCompatible } from './genderPreference.service.js';
+import { assertNotBlocked } from './block.service.js';
+import { seatsOf } from '../utils/seats.utils.js';
+
+/**
+ * @fileoverview Recurring Trip Service
+ * @description Turns RecurringTrip templates into concrete Trip occurrences on a
+ * rolling window, books standing passengers onto new occurrences, and propagates
+ * series-level edits to occurrences that have not been edited individually.
+ *
+ * Dates are handled in server local time, the same clock used for
+ * Trip.scheduledTime validation and peak-hour checks.
+ * @module services/recurringTrip.service
+ */
+
+/** How far ahead occurrences are generated - matches the Trip.scheduledTime limit. */
+export const ROLLING_WINDOW_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Date helpers ───────────────────────────────────────────────────────────
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Format a date as a local "YYYY-MM-DD" key.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Combine a "YYYY-MM-DD" key with an "HH:mm" departure time into a local Date.
+ *
+ * @param {string} dateKey
+ * @param {string} departureTime
+ * @returns {Date}
+ */
+export const buildOccurrenceTime = (dateKey, departureTime) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = departureTime.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes, 0, 0);
+};
+
+// ─── Occurrence computation ─────────────────────────────────────────────────
+
+/**
+ * Compute the occurrences of a template whose departure falls within [from, to].
+ *
+ * Pure function - no database access.
+ *
+ * @param {Object} template - RecurringTrip document or plain object
+ * @param {number[]} template.daysOfWeek - 0 (Sunday) to 6 (Saturday)
+ * @param {string} template.departureTime - "HH:mm"
+ * @param {Date|string} template.startDate
+ * @param {Date|string} template.endDate
+ * @param {string[]} [template.skipDates] - "YYYY-MM-DD" keys to exclude
+ * @param {Date} from - Window start (inclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @returns {Array<{occurrenceDate: string, scheduledTime: Date}>} Sorted by time
+ */
+export const computeOccurrenceDates = (template, from, to) => {
+  const days = new Set(template.daysOfWeek || []);
+  const skip = new Set(template.skipDates || []);
+  const seriesStart = startOfDay(template.startDate);
+  const seriesEnd = startOfDay(template.endDate);
+
+  const first = startOfDay(Math.max(seriesStart.getTime(), startOfDay(from).getTime()));
+  const last = startOfDay(Math.min(seriesEnd.getTime(), startOfDay(to).getTime()));
+
+  const occurrences = [];
+  for (let day = first; day <= last; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    if (!days.has(day.getDay())) continue;
+
+    const occurrenceDate = toDateKey(day);
+    if (skip.has(occurrenceDate)) continue;
+
+    const scheduledTime = buildOccurrenceTime(occurrenceDate, template.departureTime);
+    if (scheduledTime < from || scheduledTime > to) continue;
+
+    occurrences.push({ occurrenceDate, scheduledTime });
+  }
+  return occurrences;
+};
+
+/**
+ * Days the series runs on from today to its end date. Counted from the start of today,
+ * so today's occurrence stays part of the schedule even when a new departure time has
+ * already passed.
+ *
+ * Pure function - no database access.
+ *
+ * @param {Object} template - RecurringTrip document or plain object
+ * @param {Date} now
+ * @returns {Set<string>} "YYYY-MM-DD" keys
+ */
+export const getSeriesOccurrenceDates = (template, now) => new Set(
+  computeOccurrenceDates(template, startOfDay(now), new Date(startOfDay(template.endDate).getTime() + DAY_MS))
+    .map(o => o.occurrenceDate)
+);
+
+/**
+ * Build the Trip document for a single occurrence of a template.
+ *
+ * @param {Object} template - RecurringTrip document
+ * @param {{occurrenceDate: string, scheduledTime: Date}} occurrence
+ * @param {Object} [fareRules] - Org fare rules for estimatedCost
+ * @returns {Object} Data for Trip.create
+ */
+export const buildOccurrenceTripData = (template, { occurrenceDate, scheduledTime }, fareRules = DEFAULT_FARE_RULES) => {
+  const tripData = {
+    driverId: template.driverId,
+    organizationId: template.organizationId || null,
+    vehicleId: template.vehicleId,
+    vehicleType: template.vehicleType,
+    fuelType: template.fuelType,
+    totalSeats: template.totalSeats,
+    availableSeats: template.totalSeats,
+    scheduledTime,
+    source: template.source,
+    destination: template.destination,
+    status: 'SCHEDULED',
+    sameGenderOnly: template.sameGenderOnly === true,
+    recurringTripId: template._id,
+    occurrenceDate
+  };
+
+  const sourceCoords = template.sourceLocation?.coordinates?.coordinates;
+  const destCoords = template.destinationLocation?.coordinates?.coordinates;
+  const hasCoords = (c) => Array.isArray(c) && c.length === 2 && (c[0] !== 0 || c[1] !== 0);
+
+  if (hasCoords(sourceCoords)) {
+    tripData.sourceLocation = {
+      address: template.sourceLocation.address || template.source,
+      coordinates: { type: 'Point', coordinates: [...sourceCoords] }
+    };
+  }
+  if (hasCoords(destCoords)) {
+    tripData.destinationLocation = {
+      address: template.destinationLocation.address || template.destination,
+      coordinates: { type: 'Point', coordinates: [...destCoords] }
+    };
+  }
+
+  // Same rule as createTrip: only store a route when the endpoints are distinct
+  if (tripData.sourceLocation && tripData.destinationLocation &&
+      (sourceCoords[0] !== destCoords[0] || sourceCoords[1] !== destCoords[1])) {
+    tripData.route = {
+      type: 'LineString',
+      coordinates: [[...sourceCoords], [...destCoords]]
+    };
+  }
+
+  tripData.estimatedCost = estimateTripCost(tripData, fareRules);
+  return tripData;
+};
+
+// ─── Standing passengers ────────────────────────────────────────────────────
+
+/**
+ * Book standing passengers onto a single occurrence.
+ *
+ * Each booking reserves a seat atomically and creates an APPROVED ride request with
+ * a fare quote, as requestRide does. Passengers who already hold a request on the
+ * trip are skipped. The same-gender and block checks run again for every occurrence,
+ * so a preference or block added after the standing seat was booked is respected;
+ * when a check fails or the trip is full the passenger is notified that this
+ * occurrence could not be booked.
+ *
+ * @param {Object} trip - Trip document (occurrence)
+ * @param {Object[]} standingPassengers - Entries from template.standingPassengers
+ * @returns {Promise<Array<{passengerId: string, booked: boolean, rideId?: string}>>}
+ */
+export const bookStandingPassengers = async (trip, standingPassengers) => {
+  const results = [];
+
+  for (const standing of standingPassengers) {
+    if (standing.status !== 'ACTIVE') continue;
+    const passengerId = standing.passengerId.toString();
+
+    const existing = await RideRequest.findOne({
+      tripId: trip._id,
+      passengerId,
+      status: { $in: ['PENDING', 'APPROVED'] }
+    });
+    if (existing) {
+      results.push({ passengerId, booked: existing.status === 'APPROVED', rideId: existing._id.toString() });
+      continue;
+    }
+
+    // Same message for every failed check; it never says which one
+    let reserved = null;
+    try {
+      await assertGenderCompatible(trip, passengerId);
+      await assertNotBlocked(trip, passengerId);
+      reserved = await Trip.findOneAndUpdate(
+        { _id: trip._id, status: 'SCHEDULED', availableSeats: { $gt: 0 } },
+        { $inc: { availableSeats: -1 } },
+        { new: true }
+      );
+    } catch (preferenceError) {
+      if (!preferenceError.status) throw preferenceError;
+    }
+
+    if (!reserved) {
+      results.push({ passengerId, booked: false });
+      notifyPassenger(passengerId, 'standing-seat-unavailable', {
+        tripId: trip._id.toString(),
+        scheduledTime: trip.scheduledTime,
+        message: `No seat was available for your standing booking on ${trip.occurrenceDate}`
+      });
+      continue;
+    }
+
+    const rideData = {
+      passengerId,
+      tripId: trip._id,
+      pickupLocation: {
+        address: standing.pickupLocation.address,
+        coordinates: {
+          type: 'Point',
+          coordinates: [...standing.pickupLocation.coordinates.coordinates]
+        }
+      },
+      status: 'APPROVED',
+      isStandingBooking: true
+    };
+    if (standing.dropoffLocation?.address) {
+      rideData.dropoffLocation = {
+        address: standing.dropoffLocation.address,
+        coordinates: {
+          type: 'Point',
+          coordinates: [...standing.dropoffLocation.coordinates.coordinates]
+        }
+      };
+    }
+
+    // Fare quote against passengers already approved; the final fare is set at completion
+    try {
+      const quote = await quoteRideFare(trip, rideData);
+      if (quote) {
+        rideData.fare = quote;
+      }
+    } catch (fareError) {
+      console.error('Fare quote error:', fareError);
+    }
+
+    const ride = await RideRequest.create(rideData);
+    results.push({ passengerId, booked: true, rideId: ride._id.toString() });
+
+    notifyPassenger(passengerId, 'standing-seat-booked', {
+      tripId: trip._id.toString(),
+      rideId: ride._id.toString(),
+      scheduledTime: trip.scheduledTime,
+      message: `Your standing seat from ${trip.source} to ${trip.destination} is booked for ${trip.occurrenceDate}`
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Release a passenger's standing bookings on future occurrences of a series. Like any
+ * other seat release, the freed seats go to the trip's waitlist and the driver is told.
+ *
+ * @param {Object} template - RecurringTrip document
+ * @param {string} passengerId
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of bookings released
+ */
+export const releaseStandingBookings = async (template, passengerId, now = new Date()) => {
+  const futureTrips = await Trip.find({
+    recurringTripId: template._id,
+    status: 'SCHEDULED',
+    scheduledTime: { $gt: now }
+  }).select('_id driverId occurrenceDate');
+
+  let released = 0;
+  for (const trip of futureTrips) {
+    const ride = await RideRequest.findOneAndUpdate(
+      { tripId: trip._id, passengerId, isStandingBooking: true, status: 'APPROVED' },
+      { $set: { status: 'REJECTED', updatedAt: new Date() } }
+    );
+    if (!ride) continue;
+
+    const updatedTrip = await Trip.findByIdAndUpdate(
+      trip._id,
+      { $inc: { availableSeats: seatsOf(ride) } },
+      { new: true }
+    );
+    released++;
+    notifyStandingRelease(trip, ride, updatedTrip.availableSeats);
+
+    // A failed promotion must not stop the remaining releases
+    try {
+      await promoteFromWaitlist(trip._id);
+    } catch (error) {
+      console.error('Waitlist promotion error:', error);
+    }
+  }
+  return released;
+};
+
+// ─── Materialization ────────────────────────────────────────────────────────
+
+/**
+ * Create any missing occurrences of a template inside the rolling window and
+ * book its standing passengers onto them.
+ *
+ * Safe to run repeatedly: existing occurrences are skipped and the unique
+ * (recurringTripId, occurrenceDate) index rejects concurrent duplicates.
+ *
+ * @param {Object} template - RecurringTrip document
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Newly created Trip documents
+ */
+export const materializeRecurringTrip = async (template, now = new Date()) => {
+  if (template.status !== 'ACTIVE') return [];
+
+  const windowEnd = new Date(now.getTime() + ROLLING_WINDOW_DAYS * DAY_MS);
+  const occurrences = computeOccurrenceDates(template, now, windowEnd);
+  if (occurrences.length === 0) return [];
+
+  const existing = await Trip.find({
+    recurringTripId: template._id,
+    occurrenceDate: { $in: occurrences.map(o => o.occurrenceDate) }
+  }).select('occurrenceDate');
+  const existingDates = new Set(existing.map(t => t.occurrenceDate));
+  if (occurrences.every(o => existingDates.has(o.occurrenceDate))) return [];
+
+  const fareRules = await getFareRules(template.organizationId);
+  const created = [];
+  for (const occurrence of occurrences) {
+    if (existingDates.has(occurrence.occurrenceDate)) continue;
+
+    try {
+      const trip = await Trip.create(buildOccurrenceTripData(template, occurrence, fareRules));
+      await bookStandingPassengers(trip, template.standingPassengers || []);
+      created.push(trip);
+    } catch (error) {
+      // Another scheduler run created it first
+      if (error.code === 11000) continue;
+      console.error(`[recurringTrip.service] Failed to create occurrence ${occurrence.occurrenceDate} for ${template._id}:`, error.message);
+    }
+  }
+
+  await RecurringTrip.updateOne({ _id: template._id }, { $set: { lastMaterializedAt: now } });
+
+  if (created.length > 0) {
+    try {
+      const io = getIO();
+      for (const trip of created) {
+        io.emit('new-trip-created', { trip, timestamp: new Date() });
+      }
+    } catch (socketError) {
+      console.error('Socket.io emit error in materializeRecurringTrip:', socketError);
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Materialize every active series. Errors on one template do not stop the rest.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} Total occurrences created
+ */
+export const materializeAllRecurringTrips = async (now = new Date()) => {
+  const templates = await RecurringTrip.find({
+    status: 'ACTIVE',
+    endDate: { $gte: startOfDay(now) }
+  });
+
+  let total = 0;
+  for (const template of templates) {
+    try {
+      const created = await materializeRecurringTrip(template, now);
+      total += created.length;
+    } catch (error) {
+      console.error(`[recurringTrip.service] Materialization failed for ${template._id}:`, error.message);
+    }
+  }
+  return total;
+};
+
+// ─── Series edits ───────────────────────────────────────────────────────────
+
+/** Template fields a driver may change for the whole series. */
+export const SERIES_EDITABLE_FIELDS = ['departureTime', 'daysOfWeek', 'endDate', 'skipDates', 'totalSeats', 'vehicleId'];
+
+/** Set from the vehicle when vehicleId changes, never directly by the driver. */
+const VEHICLE_DERIVED_FIELDS = ['vehicleType', 'fuelType'];
+
+/**
+ * Apply a series-wide edit and propagate it to future occurrences.
+ *
+ * - Occurrences whose day is no longer part of the schedule are cancelled (passengers notified)
+ * - Remaining SCHEDULED occurrences not edited individually get the new time, seats and vehicle;
+ *   one whose new time has already passed today keeps its time, and added seats go to the waitlist
+ * - Seat reductions below what is already booked are rejected before anything is changed
+ *
+ * @param {Object} template - RecurringTrip document (saved by this function)
+ * @param {Object} updates - Subset of SERIES_EDITABLE_FIELDS, plus vehicleType and fuelType
+ *   when vehicleId changes (callers derive them from the verified vehicle)
+ * @param {Date} [now]
+ * @returns {Promise<{updatedOccurrences: number, cancelledOccurrences: number}>}
+ */
+export const applySeriesUpdate = async (template, updates, now = new Date()) => {
+  for (const field of [...SERIES_EDITABLE_FIELDS, ...VEHICLE_DERIVED_FIELDS]) {
+    if (updates[field] !== undefined) {
+      template[field] = updates[field];
+    }
+  }
+  await template.validate();
+
+  const activeStanding = (template.standingPassengers || []).filter(p => p.status === 'ACTIVE').length;
+  if (template.totalSeats < activeStanding) {
+    throw new Error(`Cannot reduce seats below the ${activeStanding} standing seat(s) already booked`);
+  }
+
+  const futureOccurrences = await Trip.find({
+    recurringTripId: template._id,
+    status: 'SCHEDULED',
+    scheduledTime: { $gt: now }
+  });
+
+  const scheduledDates = getSeriesOccurrenceDates(template, now);
+
+  const toCancel = [];
+  const toUpdate = [];
+  for (const trip of futureOccurrences) {
+    if (!scheduledDates.has(trip.occurrenceDate)) {
+      toCancel.push(trip);
+    } else if (!trip.isOccurrenceModified) {
+      const booked = trip.totalSeats - trip.availableSeats;
+      if (template.totalSeats < booked) {
+        throw new Error(`Cannot reduce seats below the ${booked} seat(s) already booked on ${trip.occurrenceDate}`);
+      }
+      toUpdate.push(trip);
+    }
+  }
+
+  await template.save();
+  const fareRules = toUpdate.length > 0 ? await getFareRules(template.organizationId) : DEFAULT_FARE_RULES;
+
+  for (const trip of toCancel) {
+    await cancelTripAndNotify(trip, {
+      message: `The recurring trip from ${trip.source} to ${trip.destination} no longer runs on ${trip.occurrenceDate}`
+    });
+  }
+
+  for (const trip of toUpdate) {
+    const newTime = buildOccurrenceTime(trip.occurrenceDate, template.departureTime);
+    if (newTime > now && newTime.getTime() !== trip.scheduledTime.getTime()) {
+      trip.scheduledTime = newTime;
+    }
+    const seatsAdded = template.totalSeats > trip.totalSeats;
+    if (trip.totalSeats !== template.totalSeats) {
+      const booked = trip.totalSeats - trip.availableSeats;
+      trip.totalSeats = template.totalSeats;
+      trip.availableSeats = template.totalSeats - booked;
+    }
+    trip.vehicleId = template.vehicleId;
+    trip.vehicleType = template.vehicleType;
+    trip.fuelType = template.fuelType;
+    trip.estimatedCost = estimateTripCost(trip, fareRules);
+    await trip.save();
+
+    if (seatsAdded) {
+      // A failed promotion must not stop the remaining updates
+      try {
+        await promoteFromWaitlist(trip._id);
+      } catch (error) {
+        console.error('Waitlist promotion error:', error);
+      }
+    }
+  }
+
+  return { updatedOccurrences: toUpdate.length, cancelledOccurrences: toCancel.length };
+};
+
+/**
+ * Cancel a whole series: the template stops generating and every future
+ * SCHEDULED occurrence is cancelled with passenger notifications.
+ *
+ * @param {Object} template - RecurringTrip document
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of occurrences cancelled
+ */
+export const cancelSeries = async (template, now = new Date()) => {
+  template.status = 'CANCELLED';
+  await template.save();
+
+  const futureOccurrences = await Trip.find({
+    recurringTripId: template._id,
+    status: 'SCHEDULED',
+    scheduledTime: { $gt: now }
+  });
+
+  for (const trip of futureOccurrences) {
+    await cancelTripAndNotify(trip, {
+      message: `The recurring trip from ${trip.source} to ${trip.destination} has been cancelled by the driver`
+    });
+  }
+  return futureOccurrences.length;
+};
+
+function notifyPassenger(passengerId, event, payload) {
+  try {
+    const io = getIO();
+    io.to(`user-${passengerId}`).emit(event, { ...payload, timestamp: new Date() });
+  } catch (socketError) {
+    console.error(`Socket.io emit error (${event}):`, socketError);
+  }
+}
+
+function notifyStandingRelease(trip, ride, availableSeats) {
+  try {
+    const io = getIO();
+    io.to(`user-${trip.driverId.toString()}`).emit('ride-cancelled-by-passenger', {
+      rideId: ride._id.toString(),
+      tripId: trip._id.toString(),
+      message: `A standing passenger has given up their seat on ${trip.occurrenceDate}`,
+      seatsRestored: true,
+      timestamp: new Date()
+    });
+    io.emit('trip-seats-updated', {
+      tripId: trip._id.toString(),
+      availableSeats,
+      timestamp: new Date()
+    });
+  } catch (socketError) {
+    console.error('Socket.io emit error in releaseStandingBookings:', socketError);
+  }
+}
+
+export default {
+  computeOccurrenceDates,
+  getSeriesOccurrenceDates,
+  buildOccurrenceTripData,
+  bookStandingPassengers,
+  releaseStandingBookings,
+  materializeRecurringTrip,
+  materializeAllRecurringTrips,
+  applySeriesUpdate,
+  cancelSeries
+};
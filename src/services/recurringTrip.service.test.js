@@ -0,0 +1,127 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  computeOccurrenceDates,
+  getSeriesOccurrenceDates,
+  buildOccurrenceTripData,
+  buildOccurrenceTime,
+  toDateKey
+} from './recurringTrip.service.js';
+
+/**
+ * @fileoverview Recurring Trip Service Tests
+ * @description Tests for occurrence date computation and occurrence trip data
+ */
+
+describe('Recurring Trip Service', () => {
+
+  // 2026-03-02 is a Monday
+  const weekdayTemplate = {
+    daysOfWeek: [1, 2, 3, 4, 5],
+    departureTime: '08:30',
+    startDate: new Date(2026, 2, 2),
+    endDate: new Date(2026, 2, 31),
+    skipDates: []
+  };
+
+  describe('toDateKey / buildOccurrenceTime', () => {
+    it('should format local dates as YYYY-MM-DD', () => {
+      expect(toDateKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+    });
+
+    it('should combine a date key and departure time into a local date', () => {
+      const time = buildOccurrenceTime('2026-03-04', '08:30');
+      expect(time.getFullYear()).toBe(2026);
+      expect(time.getMonth()).toBe(2);
+      expect(time.getDate()).toBe(4);
+      expect(time.getHours()).toBe(8);
+      expect(time.getMinutes()).toBe(30);
+    });
+  });
+
+  describe('computeOccurrenceDates', () => {
+    it('should return only the configured weekdays inside the window', () => {
+      const from = new Date(2026, 2, 2, 0, 0);
+      const to = new Date(2026, 2, 8, 23, 59);
+
+      const result = computeOccurrenceDates(weekdayTemplate, from, to);
+
+      expect(result.map(o => o.occurrenceDate)).toEqual([
+        '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06'
+      ]);
+      expect(result[0].scheduledTime.getHours()).toBe(8);
+    });
+
+    it('should exclude skip dates', () => {
+      const template = { ...weekdayTemplate, skipDates: ['2026-03-04'] };
+      const result = computeOccurrenceDates(template, new Date(2026, 2, 2), new Date(2026, 2, 6, 23, 59));
+
+      expect(result.map(o => o.occurrenceDate)).not.toContain('2026-03-04');
+      expect(result).toHaveLength(4);
+    });
+
+    it('should skip today if the departure time has already passed', () => {
+      const from = new Date(2026, 2, 2, 9, 0); // Monday 09:00, departure was 08:30
+      const result = computeOccurrenceDates(weekdayTemplate, from, new Date(2026, 2, 3, 23, 59));
+
+      expect(result.map(o => o.occurrenceDate)).toEqual(['2026-03-03']);
+    });
+
+    it('should respect the series start and end dates', () => {
+      const template = { ...weekdayTemplate, startDate: new Date(2026, 2, 4), endDate: new Date(2026, 2, 5) };
+      const result = computeOccurrenceDates(template, new Date(2026, 2, 1), new Date(2026, 2, 31));
+
+      expect(result.map(o => o.occurrenceDate)).toEqual(['2026-03-04', '2026-03-05']);
+    });
+
+    it('should return an empty list when the window is outside the series', () => {
+      const result = computeOccurrenceDates(weekdayTemplate, new Date(2026, 4, 1), new Date(2026, 4, 7));
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('getSeriesOccurrenceDates', () => {
+    it('should keep today when the new departure time has already passed', () => {
+      // Monday 09:00; the series moved from 10:00 to 08:30, today's trip has not left yet
+      const result = getSeriesOccurrenceDates(weekdayTemplate, new Date(2026, 2, 30, 9, 0));
+
+      expect([...result]).toEqual(['2026-03-30', '2026-03-31']);
+    });
+  });
+
+  describe('buildOccurrenceTripData', () => {
+    const template = {
+      _id: '507f1f77bcf86cd799439099',
+      driverId: '507f1f77bcf86cd799439011',
+      organizationId: '507f1f77bcf86cd799439022',
+      vehicleType: 'CAR',
+      fuelType: 'PETROL',
+      totalSeats: 3,
+      source: 'Koramangala',
+      destination: 'Tech Park',
+      sourceLocation: { address: 'Koramangala', coordinates: { type: 'Point', coordinates: [77.6245, 12.9352] } },
+      destinationLocation: { address: 'Tech Park', coordinates: { type: 'Point', coordinates: [77.6950, 12.9780] } }
+    };
+    const occurrence = { occurrenceDate: '2026-03-02', scheduledTime: new Date(2026, 2, 2, 8, 30) };
+
+    it('should copy template fields and link the occurrence to its series', () => {
+      const data = buildOccurrenceTripData(template, occurrence);
+
+      expect(data.recurringTripId).toBe(template._id);
+      expect(data.occurrenceDate).toBe('2026-03-02');
+      expect(data.availableSeats).toBe(3);
+      expect(data.estimatedCost).toBe(59.86);
+      expect(data.status).toBe('SCHEDULED');
+      expect(data.route.coordinates).toEqual([[77.6245, 12.9352], [77.6950, 12.9780]]);
+    });
+
+    it('should omit locations and route when coordinates are not set', () => {
+      const data = buildOccurrenceTripData(
+        { ...template, sourceLocation: undefined, destinationLocation: undefined },
+        occurrence
+      );
+
+      expect(data.sourceLocation).toBeUndefined();
+      expect(data.route).toBeUndefined();
+    });
+  });
+});
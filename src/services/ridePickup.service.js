@@ -0,0 +1,151 @@
+import { getIO } from '../config/socket.js';
+import { creditRidePoints } from './points.service.js';
+import { ACTIVE_TRIP_STATUSES, markTripInProgress } from './tripLifecycle.service.js';
+import { chargeRideFare } from './wallet.service.js';
+import { endTrackingShares, notifyShareViewers } from './trackingShare.service.js';
+import { httpError } from '../utils/service.utils.js';
+
+/**
+ * @fileoverview Ride Pickup Service
+ * @description Pickup and drop-off of a passenger, shared by the driver's manual
+ * endpoints (POST /api/rides/:id/pickup and /dropoff) and GPS stop detection
+ * (services/stopDetection.service.js). Each outcome is recorded as MANUAL or AUTO on the
+ * ride request (pickupMethod, dropoffMethod).
+ * @module services/ridePickup.service
+ */
+
+export const CONFIRMATION_METHODS = Object.freeze(['MANUAL', 'AUTO']);
+
+/**
+ * Why a ride cannot move to the given stop, or null when it can.
+ *
+ * Pure function.
+ *
+ * @param {Object} rideRequest - { status, pickupStatus }
+ * @param {Object} trip - { status }
+ * @param {string} stop - PICKUP or DROPOFF
+ * @returns {string|null}
+ */
+export const getStopBlocker = (rideRequest, trip, stop) => {
+  if (stop === 'PICKUP') {
+    if (rideRequest.status !== 'APPROVED') return 'Only approved passengers can be picked up';
+    if (rideRequest.pickupStatus === 'PICKED_UP') return 'Passenger already marked as picked up';
+    if (rideRequest.pickupStatus === 'NO_SHOW') return 'Passenger was marked as a no-show and their seat released';
+    if (rideRequest.pickupStatus === 'DROPPED_OFF') return 'Passenger has already been dropped off';
+    if (!ACTIVE_TRIP_STATUSES.includes(trip.status)) return 'Start the trip before picking up passengers';
+    return null;
+  }
+
+  if (rideRequest.status !== 'APPROVED') return 'Only approved passengers can be dropped off';
+  if (rideRequest.pickupStatus !== 'PICKED_UP') return 'Passenger must be picked up before being dropped off';
+  return null;
+};
+
+const emitStopUpdate = (rideRequest, pickupStatus, method) => {
+  try {
+    const io = getIO();
+    const pickedUp = pickupStatus === 'PICKED_UP';
+    io.to(`user-${rideRequest.passengerId._id}`).emit('pickup-status-update', {
+      rideId: rideRequest._id,
+      pickupStatus,
+      method,
+      message: pickedUp ? 'You have been picked up' : 'You have been dropped off',
+      timestamp: new Date()
+    });
+
+    // Also emit to trip room
+    io.to(`trip:${rideRequest.tripId._id}`).emit(pickedUp ? 'passengerPickup' : 'passengerDropoff', {
+      rideId: rideRequest._id,
+      passengerId: rideRequest.passengerId._id,
+      passengerName: rideRequest.passengerId.name,
+      pickupStatus,
+      method
+    });
+  } catch (socketError) {
+    console.error('Socket.io emit error:', socketError);
+  }
+};
+
+/**
+ * Mark a passenger as picked up. The first pickup moves the trip to IN_PROGRESS.
+ *
+ * @param {Object} rideRequest - Document with passengerId (name) and tripId populated
+ * @param {Object} params
+ * @param {string} params.method - MANUAL or AUTO
+ * @param {string} [params.actorId] - Driver, for the trip status history
+ * @returns {Promise<Object>} The saved ride request
+ * @throws {Error} 400 when the passenger cannot be picked up
+ */
+export const recordPickup = async (rideRequest, { method, actorId }) => {
+  const blocker = getStopBlocker(rideRequest, rideRequest.tripId, 'PICKUP');
+  if (blocker) throw httpError(blocker, 400);
+
+  rideRequest.pickupStatus = 'PICKED_UP';
+  rideRequest.pickedUpAt = new Date();
+  rideRequest.pickupMethod = method;
+  rideRequest.stopDetection = undefined;
+  await rideRequest.save();
+
+  // First passenger on board moves the trip from STARTED to IN_PROGRESS
+  await markTripInProgress(rideRequest.tripId._id, {
+    actorId,
+    ...(method === 'AUTO' && { actorType: 'SYSTEM', reason: 'First passenger picked up (detected from GPS)' })
+  });
+
+  emitStopUpdate(rideRequest, 'PICKED_UP', method);
+  notifyShareViewers(`ride:${rideRequest._id}`, { rideStatus: 'PICKED_UP' });
+
+  return rideRequest;
+};
+
+/**
+ * Mark a passenger as dropped off: credit ride points, charge the fare and end the
+ * ride's share links (all non-blocking).
+ *
+ * @param {Object} rideRequest - Document with passengerId (name) and tripId populated
+ * @param {Object} params
+ * @param {string} params.method - MANUAL or AUTO
+ * @param {string} [params.organizationId] - Fallback when the trip has none
+ * @returns {Promise<Object>} The saved ride request
+ * @throws {Error} 400 when the passenger cannot be dropped off
+ */
+export const recordDropoff = async (rideRequest, { method, organizationId }) => {
+  const blocker = getStopBlocker(rideRequest, rideRequest.tripId, 'DROPOFF');
+  if (blocker) throw httpError(blocker, 400);
+
+  rideRequest.pickupStatus = 'DROPPED_OFF';
+  rideRequest.droppedOffAt = new Date();
+  rideRequest.dropoffMethod = method;
+  rideRequest.stopDetection = undefined;
+  await rideRequest.save();
+
+  // ── Epic-4: Credit points for passenger and driver (non-blocking) ──
+  creditRidePoints({
+    passengerId: rideRequest.passengerId._id,
+    driverId: rideRequest.tripId.driverId,
+    tripId: rideRequest.tripId._id,
+    rideRequestId: rideRequest._id,
+    organizationId: rideRequest.tripId.organizationId || organizationId,
+    scheduledTime: rideRequest.tripId.scheduledTime,
+    requestedAt: rideRequest.createdAt,
+  }).catch(err => console.error('Points credit failed (non-critical):', err.message));
+
+  // Charge the final fare: passenger wallet debited, driver wallet credited (non-blocking)
+  chargeRideFare({ rideRequest, trip: rideRequest.tripId })
+    .catch(err => console.error('Fare charge failed (non-critical):', err.message));
+
+  // Share links for this ride stop working once the passenger is dropped off
+  endTrackingShares({ rideRequestId: rideRequest._id }, 'DROPPED_OFF')
+    .catch(err => console.error('Ending tracking shares failed (non-critical):', err.message));
+
+  emitStopUpdate(rideRequest, 'DROPPED_OFF', method);
+
+  return rideRequest;
+};
+
+export default {
+  CONFIRMATION_METHODS,
+  getStopBlocker,
+  recordPickup,
+  recordDropoff
+};
@@ -0,0 +1,114 @@
+import { calculateDistance } from './routeOptimization.service.js';
+import { getStraightLineKm } from './tripTrace.service.js';
+
+/**
+ * @fileoverview Route Efficiency Service
+ * @description Inputs for the 1-5 leaf route efficiency score
+ * (esgCalculation.calculateRouteEfficiencyScore) and the breakdown shown to drivers.
+ *
+ * - Direct: straight line from source to destination
+ * - Actual: the distance driven when measured from the GPS trace, otherwise the length of
+ *   the planned multi-stop route (source -> ordered waypoints -> destination)
+ *
+ * Each waypoint's detour is what it adds to the planned route compared with going
+ * straight from the stop before it to the stop after it, so a driver can see which pickup
+ * cost them efficiency. Distance driven beyond the planned route is reported as
+ * unplannedKm.
+ *
+ * @module services/routeEfficiency.service
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toPoint = ([lng, lat]) => ({ lat, lng });
+
+const legKm = (a, b) => calculateDistance(toPoint(a.coordinates), toPoint(b.coordinates));
+
+/**
+ * The trip's planned stops in driving order.
+ *
+ * @param {Object} trip - { sourceLocation, destinationLocation, waypoints }
+ * @returns {Object[]|null} { coordinates, order?, address?, passengerId?, passengerName? };
+ * null when source or destination has no coordinates
+ */
+export const getRouteStops = (trip) => {
+  const source = trip.sourceLocation?.coordinates?.coordinates;
+  const destination = trip.destinationLocation?.coordinates?.coordinates;
+  if (!source || !destination) return null;
+
+  const waypoints = [...(trip.waypoints || [])]
+    .filter(wp => wp.coordinates?.coordinates?.length === 2)
+    .sort((a, b) => a.order - b.order)
+    .map(wp => ({
+      coordinates: wp.coordinates.coordinates,
+      order: wp.order,
+      address: wp.address,
+      passengerId: wp.passengerId,
+      passengerName: wp.passengerName
+    }));
+
+  return [{ coordinates: source }, ...waypoints, { coordinates: destination }];
+};
+
+/**
+ * Detour added by each waypoint.
+ *
+ * @param {Object[]} stops - From getRouteStops
+ * @param {number} directKm - Source -> destination, for detourPercent
+ * @returns {Object[]} { order, address, passengerId, passengerName, detourKm, detourPercent }
+ */
+export const getStopDetours = (stops, directKm) => stops.slice(1, -1).map((stop, i) => {
+  const before = stops[i];
+  const after = stops[i + 2];
+  const detourKm = round2(Math.max(0, legKm(before, stop) + legKm(stop, after) - legKm(before, after)));
+  return {
+    order: stop.order,
+    address: stop.address,
+    passengerId: stop.passengerId,
+    passengerName: stop.passengerName,
+    detourKm,
+    detourPercent: directKm > 0 ? Math.round((detourKm / directKm) * 1000) / 10 : null
+  };
+});
+
+/**
+ * Distances behind a trip's efficiency score, with the per-stop breakdown.
+ *
+ * Pure function.
+ *
+ * @param {Object} trip - Trip data (locations, waypoints)
+ * @param {Object} [driven]
+ * @param {number} [driven.distanceKm] - Trip distance
+ * @param {string} [driven.distanceSource] - Only TRACE distances count as driven
+ * @returns {Object|null} { directKm, plannedKm, actualKm, actualSource, ratio, unplannedKm, stops };
+ * null without source and destination coordinates
+ */
+export const computeRouteEfficiency = (trip, { distanceKm, distanceSource } = {}) => {
+  const stops = getRouteStops(trip);
+  const directKm = getStraightLineKm(trip);
+  if (!stops || !directKm) return null;
+
+  let plannedKm = 0;
+  for (let i = 0; i < stops.length - 1; i++) plannedKm += legKm(stops[i], stops[i + 1]);
+  plannedKm = round2(plannedKm);
+
+  const measured = distanceSource === 'TRACE' && distanceKm > 0;
+  // Neither can be shorter than the straight line; rounding and GPS noise aside
+  const actualKm = Math.max(directKm, measured ? distanceKm : plannedKm);
+
+  return {
+    directKm,
+    plannedKm,
+    actualKm,
+    actualSource: measured ? 'TRACE' : 'PLANNED_ROUTE',
+    ratio: Math.round((actualKm / directKm) * 100) / 100,
+    unplannedKm: measured ? round2(Math.max(0, distanceKm - plannedKm)) : 0,
+    stops: getStopDetours(stops, directKm)
+  };
+};
+
+export default {
+  getRouteStops,
+  getStopDetours,
+  computeRouteEfficiency
+};
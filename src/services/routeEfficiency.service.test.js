@@ -0,0 +1,94 @@
+import { describe, it, expect } from '@jest/globals';
+import { calculateRouteEfficiencyScore } from './esgCalculation.service.js';
+import {
+  getRouteStops,
+  getStopDetours,
+  computeRouteEfficiency
+} from './routeEfficiency.service.js';
+
+/**
+ * @fileoverview Route Efficiency Service Tests
+ * @description Tests for the direct / actual distances behind the route efficiency score
+ * and the per-stop detour breakdown
+ */
+
+// Source and destination on the equator, ~11.1 km apart
+const trip = {
+  sourceLocation: { coordinates: { coordinates: [0, 0] } },
+  destinationLocation: { coordinates: { coordinates: [0.1, 0] } },
+  waypoints: [
+    // Listed out of order on purpose; order decides the driving sequence
+    { order: 2, address: 'Far pickup', passengerName: 'Ravi', coordinates: { coordinates: [0.07, 0.02] } },
+    { order: 1, address: 'On the way', passengerName: 'Asha', coordinates: { coordinates: [0.03, 0] } }
+  ]
+};
+
+describe('Route Efficiency Service', () => {
+  describe('getRouteStops', () => {
+    it('should order waypoints between source and destination', () => {
+      const stops = getRouteStops(trip);
+      expect(stops.map(s => s.coordinates)).toEqual([[0, 0], [0.03, 0], [0.07, 0.02], [0.1, 0]]);
+      expect(stops[1].passengerName).toBe('Asha');
+    });
+
+    it('should be null without source or destination coordinates', () => {
+      expect(getRouteStops({ sourceLocation: trip.sourceLocation })).toBeNull();
+    });
+  });
+
+  describe('getStopDetours', () => {
+    it('should charge nothing for a stop on the way', () => {
+      const direct = { ...trip, waypoints: [trip.waypoints[1]] };
+      expect(getStopDetours(getRouteStops(direct), 11.12)).toEqual([
+        { order: 1, address: 'On the way', passengerId: undefined, passengerName: 'Asha', detourKm: 0, detourPercent: 0 }
+      ]);
+    });
+
+    it('should show which stop cost the most', () => {
+      const [onTheWay, far] = getStopDetours(getRouteStops(trip), 11.12);
+      expect(onTheWay.passengerName).toBe('Asha');
+      expect(far.passengerName).toBe('Ravi');
+      expect(far.detourKm).toBeGreaterThan(onTheWay.detourKm);
+      expect(far.detourKm).toBeGreaterThan(1);
+      expect(far.detourPercent).toBeCloseTo((far.detourKm / 11.12) * 100, 0);
+    });
+  });
+
+  describe('computeRouteEfficiency', () => {
+    it('should use the planned multi-stop route without a trace', () => {
+      const result = computeRouteEfficiency(trip, { distanceKm: 11.12, distanceSource: 'PLANNED' });
+      expect(result.actualSource).toBe('PLANNED_ROUTE');
+      expect(result.actualKm).toBe(result.plannedKm);
+      expect(result.plannedKm).toBeGreaterThan(result.directKm);
+      expect(result.unplannedKm).toBe(0);
+    });
+
+    it('should use the traced distance and report what went beyond the plan', () => {
+      const planned = computeRouteEfficiency(trip).plannedKm;
+      const result = computeRouteEfficiency(trip, { distanceKm: planned + 3, distanceSource: 'TRACE' });
+      expect(result.actualSource).toBe('TRACE');
+      expect(result.actualKm).toBeCloseTo(planned + 3, 2);
+      expect(result.unplannedKm).toBeCloseTo(3, 2);
+    });
+
+    it('should score a direct trip 5 and a long detour lower', () => {
+      const direct = { sourceLocation: trip.sourceLocation, destinationLocation: trip.destinationLocation };
+      const straight = computeRouteEfficiency(direct);
+      expect(straight.ratio).toBe(1);
+      expect(calculateRouteEfficiencyScore({ actualDistanceKm: straight.actualKm, directDistanceKm: straight.directKm })).toBe(5);
+
+      const detoured = computeRouteEfficiency(direct, { distanceKm: 18, distanceSource: 'TRACE' });
+      expect(calculateRouteEfficiencyScore({ actualDistanceKm: detoured.actualKm, directDistanceKm: detoured.directKm }))
+        .toBeLessThan(5);
+    });
+
+    it('should never put the actual distance below the direct one', () => {
+      const result = computeRouteEfficiency(trip, { distanceKm: 9, distanceSource: 'TRACE' });
+      expect(result.actualKm).toBe(result.directKm);
+    });
+
+    it('should be null without coordinates', () => {
+      expect(computeRouteEfficiency({})).toBeNull();
+    });
+  });
+});
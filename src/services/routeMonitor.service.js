@@ -0,0 +1,282 @@
+import RouteMonitorConfig from '../models/RouteMonitorConfig.js';
+import Trip from '../models/Trip.js';
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { calculateDistance } from './routeOptimization.service.js';
+import { projectPointOnRoute } from './tripMatching.service.js';
+import { getTripRouteCoordinates } from './fare.service.js';
+import { getRoute } from './routing.service.js';
+import { ACTIVE_TRIP_STATUSES } from './tripLifecycle.service.js';
+import { orgAdminRoom } from './incident.service.js';
+
+/**
+ * @fileoverview Route Monitor Service
+ * @description Checks every driver location of an active trip against the plan:
+ *
+ * - Route deviation: further than corridorMeters from the planned route (the routing
+ *   provider's road route from source through the ordered waypoints to destination, or
+ *   the straight lines between those stops when it is unavailable) for
+ *   deviationGraceSeconds. HIGH beyond
+ *   majorDeviationMeters. BACK_ON_ROUTE once the driver returns.
+ * - Unexpected stop: standing still (within stopRadiusMeters) for stopMinutes away from the
+ *   source, destination, waypoints and passengers' pickups and drop-offs. HIGH after
+ *   longStopMinutes. MOVING_AGAIN once the vehicle moves on.
+ *
+ * An alert is raised once per severity; it escalates from MEDIUM to HIGH but does not
+ * repeat. Alerts go to the trip room (`routeAlert`) and, from the org's
+ * adminAlertSeverity up, to its admins (`route-alert` in `org-admins-<organizationId>`).
+ * They are also kept on the trip (routeAlerts). Thresholds come from RouteMonitorConfig:
+ * org config, then platform config, then DEFAULT_ROUTE_MONITOR_RULES.
+ *
+ * @module services/routeMonitor.service
+ */
+
+/** Used when neither the org nor the platform has saved monitoring rules */
+export const DEFAULT_ROUTE_MONITOR_RULES = Object.freeze({
+  corridorMeters: 300,
+  majorDeviationMeters: 1000,
+  deviationGraceSeconds: 60,
+  stopRadiusMeters: 50,
+  plannedStopMeters: 150,
+  stopMinutes: 5,
+  longStopMinutes: 15,
+  adminAlertSeverity: 'HIGH'
+});
+
+/** Alert severities, lowest first. INFO marks the end of a deviation or stop. */
+export const ALERT_SEVERITIES = Object.freeze(['INFO', 'MEDIUM', 'HIGH']);
+
+const ALERT_MESSAGES = Object.freeze({
+  ROUTE_DEVIATION: 'The driver has left the planned route',
+  BACK_ON_ROUTE: 'The driver is back on the planned route',
+  UNEXPECTED_STOP: 'The vehicle has stopped away from any planned stop',
+  MOVING_AGAIN: 'The vehicle is moving again'
+});
+
+const severityRank = (severity) => ALERT_SEVERITIES.indexOf(severity);
+
+const toPoint = (coords) => (coords?.length === 2 ? { lat: coords[1], lng: coords[0] } : null);
+
+const distanceMeters = (a, b) => calculateDistance(a, b) * 1000;
+
+/**
+ * Places where the driver is expected to stop: source, destination, waypoints and the
+ * approved passengers' pickups and drop-offs.
+ *
+ * @param {Object} trip - { sourceLocation, destinationLocation, waypoints }
+ * @param {Object[]} [rides] - Approved ride requests with pickupLocation / dropoffLocation
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+export const getPlannedStops = (trip, rides = []) => [
+  trip.sourceLocation?.coordinates?.coordinates,
+  trip.destinationLocation?.coordinates?.coordinates,
+  ...(trip.waypoints || []).map(wp => wp.coordinates?.coordinates),
+  ...rides.flatMap(ride => [
+    ride.pickupLocation?.coordinates?.coordinates,
+    ride.dropoffLocation?.coordinates?.coordinates
+  ])
+].map(toPoint).filter(Boolean);
+
+/**
+ * Whether an alert of this severity also goes to org admins.
+ *
+ * @param {string} severity
+ * @param {Object} rules
+ * @returns {boolean}
+ */
+export const shouldAlertAdmins = (severity, rules) =>
+  rules.adminAlertSeverity !== 'OFF' && severityRank(severity) >= severityRank(rules.adminAlertSeverity);
+
+const evaluateDeviation = (state, location, route, rules, now) => {
+  const projection = route && projectPointOnRoute(location, route);
+  if (!projection) return { state: {}, alert: null };
+
+  const offsetMeters = Math.round(projection.offsetKm * 1000);
+  if (offsetMeters <= rules.corridorMeters) {
+    return {
+      state: {},
+      alert: state.deviationSeverity
+        ? { type: 'BACK_ON_ROUTE', severity: 'INFO', distanceMeters: offsetMeters }
+        : null
+    };
+  }
+
+  const offRouteSince = state.offRouteSince ? new Date(state.offRouteSince) : now;
+  const next = { offRouteSince, deviationSeverity: state.deviationSeverity };
+  const severity = offsetMeters >= rules.majorDeviationMeters ? 'HIGH' : 'MEDIUM';
+  const overGrace = now.getTime() - offRouteSince.getTime() >= rules.deviationGraceSeconds * 1000;
+
+  if (!overGrace || severityRank(severity) <= severityRank(state.deviationSeverity)) {
+    return { state: next, alert: null };
+  }
+  return {
+    state: { ...next, deviationSeverity: severity },
+    alert: { type: 'ROUTE_DEVIATION', severity, distanceMeters: offsetMeters }
+  };
+};
+
+const evaluateStop = (state, location, plannedStops, rules, now) => {
+  const anchor = toPoint(state.stationaryAt);
+  const since = state.stationarySince ? new Date(state.stationarySince) : null;
+  const minutesStill = since ? (now.getTime() - since.getTime()) / 60000 : 0;
+  const durationMinutes = Math.round(minutesStill * 10) / 10;
+
+  if (!anchor || !since || distanceMeters(location, anchor) > rules.stopRadiusMeters) {
+    return {
+      state: { stationaryAt: [location.lng, location.lat], stationarySince: now },
+      alert: state.stopSeverity ? { type: 'MOVING_AGAIN', severity: 'INFO', durationMinutes } : null
+    };
+  }
+
+  const next = { stationaryAt: state.stationaryAt, stationarySince: since, stopSeverity: state.stopSeverity };
+  const planned = plannedStops.some(stop => distanceMeters(anchor, stop) <= rules.plannedStopMeters);
+  if (planned || minutesStill < rules.stopMinutes) return { state: next, alert: null };
+
+  const severity = minutesStill >= rules.longStopMinutes ? 'HIGH' : 'MEDIUM';
+  if (severityRank(severity) <= severityRank(state.stopSeverity)) return { state: next, alert: null };
+
+  return {
+    state: { ...next, stopSeverity: severity },
+    alert: { type: 'UNEXPECTED_STOP', severity, durationMinutes }
+  };
+};
+
+/**
+ * Check one driver location against the plan.
+ *
+ * Pure function.
+ *
+ * @param {Object} params
+ * @param {Object} [params.state] - Trip.routeMonitor before this location
+ * @param {{lat: number, lng: number}} params.location
+ * @param {number[][]|null} params.route - Planned route ([lng, lat] pairs); no deviation checks without one
+ * @param {Array<{lat: number, lng: number}>} params.plannedStops - From getPlannedStops
+ * @param {Object} params.rules - From getRouteMonitorRules
+ * @param {Date} [params.now]
+ * @returns {{ state: Object, alerts: Object[] }} New Trip.routeMonitor and the alerts to raise
+ */
+export const evaluateRouteMonitor = ({ state = {}, location, route, plannedStops, rules, now = new Date() }) => {
+  const deviation = evaluateDeviation(state, location, route, rules, now);
+  const stop = evaluateStop(state, location, plannedStops, rules, now);
+
+  const alerts = [deviation.alert, stop.alert].filter(Boolean).map(alert => ({
+    ...alert,
+    location: [location.lng, location.lat],
+    at: now
+  }));
+
+  // Drop unset fields so the stored state stays minimal
+  const merged = { ...deviation.state, ...stop.state };
+  const next = Object.fromEntries(Object.entries(merged).filter(([, value]) => value !== undefined));
+  return { state: next, alerts };
+};
+
+/**
+ * Monitoring rules for an organization: org config, then platform config, then defaults.
+ *
+ * @param {ObjectId|string|null} organizationId
+ * @returns {Promise<Object>}
+ */
+export const getRouteMonitorRules = async (organizationId) => {
+  const configs = await RouteMonitorConfig.find({
+    organizationId: { $in: organizationId ? [organizationId, null] : [null] }
+  }).lean();
+
+  const org = configs.find(c => c.organizationId);
+  const platform = configs.find(c => !c.organizationId);
+  return { ...DEFAULT_ROUTE_MONITOR_RULES, ...(platform?.rules || {}), ...(org?.rules || {}) };
+};
+
+// Road geometry through the trip's stops; cached by the routing service, so cheap per location
+const getMonitoredRoute = async (trip) => {
+  const stops = getTripRouteCoordinates(trip);
+  if (!stops) return null;
+
+  try {
+    const { coordinates } = await getRoute(stops.map(toPoint));
+    if (Array.isArray(coordinates) && coordinates.length >= 2) return coordinates;
+  } catch (error) {
+    console.warn('Route monitor using straight lines between stops:', error.message);
+  }
+  return stops;
+};
+
+const emitRouteAlert = (trip, alert, rules) => {
+  const [lng, lat] = alert.location;
+  const payload = {
+    tripId: trip._id,
+    type: alert.type,
+    severity: alert.severity,
+    message: ALERT_MESSAGES[alert.type],
+    location: { lat, lng },
+    distanceMeters: alert.distanceMeters,
+    durationMinutes: alert.durationMinutes,
+    timestamp: alert.at
+  };
+
+  try {
+    const io = getIO();
+    io.to(`trip:${trip._id}`).emit('routeAlert', payload);
+    if (trip.organizationId && shouldAlertAdmins(alert.severity, rules)) {
+      io.to(orgAdminRoom(trip.organizationId)).emit('route-alert', { ...payload, driverId: trip.driverId });
+    }
+  } catch (socketError) {
+    console.error('Socket.io emit error in route monitor:', socketError);
+  }
+};
+
+/**
+ * Check a new driver position for route deviations and unexpected stops, store the
+ * monitoring state and raise any alerts. Called from the location handlers after the
+ * position is saved; never throws.
+ *
+ * @param {Object} trip - Trip document (status, source, destination, waypoints, routeMonitor, organizationId)
+ * @param {{ lat: number, lng: number }} location
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Alerts raised
+ */
+export const monitorTripLocation = async (trip, location, now = new Date()) => {
+  if (!ACTIVE_TRIP_STATUSES.includes(trip.status)) return [];
+  if (!Number.isFinite(location?.lat) || !Number.isFinite(location?.lng)) return [];
+
+  try {
+    const [rules, route, rides] = await Promise.all([
+      getRouteMonitorRules(trip.organizationId),
+      getMonitoredRoute(trip),
+      RideRequest.find({ tripId: trip._id, status: 'APPROVED' })
+        .select('pickupLocation dropoffLocation')
+        .lean()
+    ]);
+
+    const { state, alerts } = evaluateRouteMonitor({
+      state: trip.routeMonitor || {},
+      location,
+      route,
+      plannedStops: getPlannedStops(trip, rides),
+      rules,
+      now
+    });
+
+    const update = { $set: { routeMonitor: state } };
+    if (alerts.length > 0) {
+      update.$push = { routeAlerts: { $each: alerts } };
+    }
+    await Trip.updateOne({ _id: trip._id }, update);
+
+    alerts.forEach(alert => emitRouteAlert(trip, alert, rules));
+    return alerts;
+  } catch (error) {
+    console.error('Route monitoring failed for trip', String(trip._id), error.message);
+    return [];
+  }
+};
+
+export default {
+  DEFAULT_ROUTE_MONITOR_RULES,
+  ALERT_SEVERITIES,
+  getPlannedStops,
+  shouldAlertAdmins,
+  evaluateRouteMonitor,
+  getRouteMonitorRules,
+  monitorTripLocation
+};
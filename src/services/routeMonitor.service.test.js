@@ -0,0 +1,147 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_ROUTE_MONITOR_RULES,
+  getPlannedStops,
+  shouldAlertAdmins,
+  evaluateRouteMonitor
+} from './routeMonitor.service.js';
+
+/**
+ * @fileoverview Route Monitor Service Tests
+ * @description Tests for route deviation and unexpected stop detection and for which
+ * alerts reach org admins
+ */
+
+// Straight west -> east line along the equator, roughly 111 m per 0.001 degree
+const route = [[0, 0], [0.1, 0]];
+const rules = { ...DEFAULT_ROUTE_MONITOR_RULES };
+const NOW = new Date('2026-03-02T08:40:00Z');
+const secondsAgo = (s) => new Date(NOW.getTime() - s * 1000);
+
+const ON_ROUTE = { lat: 0, lng: 0.05 };
+const OFF_ROUTE = { lat: 0.004, lng: 0.05 };      // ~445 m north
+const FAR_OFF_ROUTE = { lat: 0.012, lng: 0.05 };  // ~1.3 km north
+
+const evaluate = (state, location, plannedStops = []) =>
+  evaluateRouteMonitor({ state, location, route, plannedStops, rules, now: NOW });
+
+const typesOf = (result) => result.alerts.map(alert => `${alert.type}:${alert.severity}`);
+
+describe('Route Monitor Service', () => {
+  describe('getPlannedStops', () => {
+    it('should collect source, destination, waypoints and passenger stops', () => {
+      const trip = {
+        sourceLocation: { coordinates: { coordinates: [0, 0] } },
+        destinationLocation: { coordinates: { coordinates: [0.1, 0] } },
+        waypoints: [{ coordinates: { coordinates: [0.03, 0] } }]
+      };
+      const rides = [{
+        pickupLocation: { coordinates: { coordinates: [0.04, 0] } },
+        dropoffLocation: undefined
+      }];
+      expect(getPlannedStops(trip, rides)).toEqual([
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 0.1 },
+        { lat: 0, lng: 0.03 },
+        { lat: 0, lng: 0.04 }
+      ]);
+    });
+  });
+
+  describe('shouldAlertAdmins', () => {
+    it('should send alerts from the configured severity up', () => {
+      expect(shouldAlertAdmins('HIGH', { adminAlertSeverity: 'HIGH' })).toBe(true);
+      expect(shouldAlertAdmins('MEDIUM', { adminAlertSeverity: 'HIGH' })).toBe(false);
+      expect(shouldAlertAdmins('MEDIUM', { adminAlertSeverity: 'MEDIUM' })).toBe(true);
+    });
+
+    it('should never send INFO alerts or anything when OFF', () => {
+      expect(shouldAlertAdmins('INFO', { adminAlertSeverity: 'MEDIUM' })).toBe(false);
+      expect(shouldAlertAdmins('HIGH', { adminAlertSeverity: 'OFF' })).toBe(false);
+    });
+  });
+
+  describe('route deviation', () => {
+    it('should not alert on the route', () => {
+      const result = evaluate({}, ON_ROUTE);
+      expect(result.alerts).toEqual([]);
+      expect(result.state.offRouteSince).toBeUndefined();
+    });
+
+    it('should wait for the grace period before alerting', () => {
+      const result = evaluate({}, OFF_ROUTE);
+      expect(result.alerts).toEqual([]);
+      expect(result.state.offRouteSince).toEqual(NOW);
+    });
+
+    it('should raise a MEDIUM alert once past the grace period', () => {
+      const result = evaluate({ offRouteSince: secondsAgo(60) }, OFF_ROUTE);
+      expect(typesOf(result)).toEqual(['ROUTE_DEVIATION:MEDIUM']);
+      expect(result.alerts[0].distanceMeters).toBeGreaterThan(rules.corridorMeters);
+      expect(result.state.deviationSeverity).toBe('MEDIUM');
+    });
+
+    it('should not repeat an alert but escalate to HIGH', () => {
+      const state = { offRouteSince: secondsAgo(120), deviationSeverity: 'MEDIUM' };
+      expect(evaluate(state, OFF_ROUTE).alerts).toEqual([]);
+      expect(typesOf(evaluate(state, FAR_OFF_ROUTE))).toEqual(['ROUTE_DEVIATION:HIGH']);
+    });
+
+    it('should report BACK_ON_ROUTE after an alerted deviation', () => {
+      const result = evaluate({ offRouteSince: secondsAgo(120), deviationSeverity: 'HIGH' }, ON_ROUTE);
+      expect(typesOf(result)).toEqual(['BACK_ON_ROUTE:INFO']);
+      expect(result.state.deviationSeverity).toBeUndefined();
+    });
+
+    it('should skip deviation checks without a planned route', () => {
+      const result = evaluateRouteMonitor({
+        state: { offRouteSince: secondsAgo(600) },
+        location: FAR_OFF_ROUTE,
+        route: null,
+        plannedStops: [],
+        rules,
+        now: NOW
+      });
+      expect(result.alerts).toEqual([]);
+    });
+  });
+
+  describe('unexpected stops', () => {
+    const stillAt = (location, seconds, extra = {}) => ({
+      stationaryAt: [location.lng, location.lat],
+      stationarySince: secondsAgo(seconds),
+      ...extra
+    });
+
+    it('should start the stop clock when the vehicle moves', () => {
+      const result = evaluate(stillAt({ lat: 0, lng: 0.02 }, 600), ON_ROUTE);
+      expect(result.alerts).toEqual([]);
+      expect(result.state.stationaryAt).toEqual([ON_ROUTE.lng, ON_ROUTE.lat]);
+      expect(result.state.stationarySince).toEqual(NOW);
+    });
+
+    it('should alert after stopMinutes away from planned stops', () => {
+      expect(evaluate(stillAt(ON_ROUTE, 4 * 60), ON_ROUTE).alerts).toEqual([]);
+
+      const result = evaluate(stillAt(ON_ROUTE, 6 * 60), ON_ROUTE);
+      expect(typesOf(result)).toEqual(['UNEXPECTED_STOP:MEDIUM']);
+      expect(result.alerts[0].durationMinutes).toBe(6);
+    });
+
+    it('should escalate to HIGH after longStopMinutes', () => {
+      const result = evaluate(stillAt(ON_ROUTE, 16 * 60, { stopSeverity: 'MEDIUM' }), ON_ROUTE);
+      expect(typesOf(result)).toEqual(['UNEXPECTED_STOP:HIGH']);
+    });
+
+    it('should ignore stops near a planned stop', () => {
+      const nearPickup = [{ lat: 0.0005, lng: 0.05 }]; // ~55 m away
+      expect(evaluate(stillAt(ON_ROUTE, 20 * 60), ON_ROUTE, nearPickup).alerts).toEqual([]);
+    });
+
+    it('should report MOVING_AGAIN after an alerted stop', () => {
+      const result = evaluate(stillAt({ lat: 0, lng: 0.02 }, 10 * 60, { stopSeverity: 'MEDIUM' }), ON_ROUTE);
+      expect(typesOf(result)).toEqual(['MOVING_AGAIN:INFO']);
+      expect(result.state.stopSeverity).toBeUndefined();
+    });
+  });
+});
@@ -1,7 +1,8 @@
 /**
  * @fileoverview Route Optimization Service
- * @description Optimizes multi-stop routes using nearest neighbor algorithm
- * to find the shortest path through waypoints (max 4 stops).
+ * @description Optimizes multi-stop routes: a nearest neighbor algorithm for plain
+ * waypoints (max 4 stops), and an exact / 2-opt and or-opt solver for passenger pickups
+ * and dropoffs that keeps each dropoff after its pickup.
  * @module services/routeOptimizationService
  */
 
@@ -50,6 +51,24 @@ export const calculateTotalDistance = (points) => {
   return total;
 };
 
+/**
+ * Leg distance and duration between points by index, from a road matrix when one is
+ * given (and has the pair), otherwise straight lines at 60 km/h.
+ *
+ * @param {Array<Object>} points - [{lat, lng}, ...] in matrix order
+ * @param {Object} [matrix] - { distancesMeters, durationsSeconds }
+ * @returns {{ distanceKm: Function, durationMinutes: Function }} (from, to) => number
+ */
+const createLegCosts = (points, matrix) => {
+  const distanceKm = (from, to) => (matrix?.distancesMeters?.[from]?.[to] ?? null) !== null
+    ? matrix.distancesMeters[from][to] / 1000
+    : calculateDistance(points[from], points[to]);
+  const durationMinutes = (from, to) => (matrix?.durationsSeconds?.[from]?.[to] ?? null) !== null
+    ? matrix.durationsSeconds[from][to] / 60
+    : distanceKm(from, to); // minutes at 60 km/h avg
+  return { distanceKm, durationMinutes };
+};
+
 /**
  * Optimize waypoint order using Nearest Neighbor Algorithm
  * 
@@ -62,15 +81,21 @@ export const calculateTotalDistance = (points) => {
  * 2. Always visit the nearest unvisited waypoint
  * 3. End at destination
  * 
+ * Distances are straight lines unless a road matrix from the routing provider
+ * (routing.service.getDistanceMatrix) is passed; durations then come from it too.
+ * 
  * Time Complexity: O(n²) where n is the number of waypoints
  * 
  * @param {Object} source - Starting location {lat, lng, address}
  * @param {Object} destination - Ending location {lat, lng, address}
  * @param {Array<Object>} waypoints - Intermediate stops [{lat, lng, address}, ...]
+ * @param {Object} [options]
+ * @param {Object} [options.matrix] - { distancesMeters, durationsSeconds } for
+ *   [source, ...waypoints, destination]
  * @returns {Object} Optimized route data
  * @returns {Array<Object>} result.orderedWaypoints - Optimized waypoint order
  * @returns {number} result.totalDistance - Total route distance in km
- * @returns {number} result.estimatedDuration - Estimated duration in minutes (60 km/h avg)
+ * @returns {number} result.estimatedDuration - Estimated duration in minutes (60 km/h avg without a matrix)
  * @returns {Array<Object>} result.legs - Individual route segments with distances
  * 
  * @example
@@ -84,55 +109,43 @@ export const calculateTotalDistance = (points) => {
  * );
  * // Returns optimized order: NYC → New Haven → Providence → Boston
  */
-export const optimizeRoute = (source, destination, waypoints = []) => {
+export const optimizeRoute = (source, destination, waypoints = [], { matrix } = {}) => {
   // Validate inputs
   if (!source || !destination) {
     throw new Error('Source and destination are required');
   }
 
-  if (!waypoints || waypoints.length === 0) {
-    // No waypoints, just direct route
-    const distance = calculateDistance(source, destination);
-    return {
-      orderedWaypoints: [],
-      totalDistance: Math.round(distance * 10) / 10,
-      estimatedDuration: Math.round((distance / 60) * 60), // minutes at 60 km/h avg
-      legs: [
-        {
-          from: source.address || 'Source',
-          to: destination.address || 'Destination',
-          distance: Math.round(distance * 10) / 10
-        }
-      ]
-    };
-  }
-
   // Validate max 4 waypoints
-  if (waypoints.length > 4) {
+  if (waypoints && waypoints.length > 4) {
     throw new Error('Maximum 4 intermediate stops allowed');
   }
 
   // Validate all waypoints have coordinates
-  for (const wp of waypoints) {
+  for (const wp of waypoints || []) {
     if (!wp.lat || !wp.lng) {
       throw new Error('All waypoints must have lat and lng coordinates');
     }
   }
 
+  // Points are indexed as in the matrix: source, waypoints..., destination
+  const points = [source, ...(waypoints || []), destination];
+  const destinationIndex = points.length - 1;
+  const { distanceKm, durationMinutes } = createLegCosts(points, matrix);
+
   // Nearest Neighbor Algorithm
-  const unvisited = [...waypoints];
-  const ordered = [];
-  let currentPoint = source;
+  const unvisited = points.slice(1, -1).map((_, i) => i + 1);
+  const order = [0];
   const legs = [];
+  let current = 0;
 
   // Visit each waypoint in nearest order
   while (unvisited.length > 0) {
     let nearestIndex = 0;
-    let nearestDistance = calculateDistance(currentPoint, unvisited[0]);
+    let nearestDistance = distanceKm(current, unvisited[0]);
 
     // Find nearest unvisited waypoint
     for (let i = 1; i < unvisited.length; i++) {
-      const distance = calculateDistance(currentPoint, unvisited[i]);
+      const distance = distanceKm(current, unvisited[i]);
       if (distance < nearestDistance) {
         nearestDistance = distance;
         nearestIndex = i;
@@ -141,37 +154,306 @@ export const optimizeRoute = (source, destination, waypoints = []) => {
 
     // Move to nearest waypoint
     const nearest = unvisited[nearestIndex];
-    ordered.push(nearest);
     legs.push({
-      from: currentPoint.address || 'Point',
-      to: nearest.address || 'Waypoint',
+      from: points[current].address || (current === 0 ? 'Source' : 'Point'),
+      to: points[nearest].address || 'Waypoint',
       distance: Math.round(nearestDistance * 10) / 10
     });
-    
-    currentPoint = nearest;
+
+    order.push(nearest);
+    current = nearest;
     unvisited.splice(nearestIndex, 1);
   }
 
   // Add final leg to destination
-  const finalDistance = calculateDistance(currentPoint, destination);
   legs.push({
-    from: currentPoint.address || 'Last waypoint',
+    from: points[current].address || (current === 0 ? 'Source' : 'Last waypoint'),
     to: destination.address || 'Destination',
-    distance: Math.round(finalDistance * 10) / 10
+    distance: Math.round(distanceKm(current, destinationIndex) * 10) / 10
   });
+  order.push(destinationIndex);
 
-  // Calculate total distance
-  const allPoints = [source, ...ordered, destination];
-  const totalDistance = calculateTotalDistance(allPoints);
+  // Calculate total distance and duration
+  let totalDistance = 0;
+  let totalMinutes = 0;
+  for (let i = 0; i < order.length - 1; i++) {
+    totalDistance += distanceKm(order[i], order[i + 1]);
+    totalMinutes += durationMinutes(order[i], order[i + 1]);
+  }
 
   return {
-    orderedWaypoints: ordered,
+    orderedWaypoints: order.slice(1, -1).map(index => points[index]),
     totalDistance: Math.round(totalDistance * 10) / 10,
-    estimatedDuration: Math.round((totalDistance / 60) * 60), // minutes at 60 km/h avg
+    estimatedDuration: Math.round(totalMinutes),
     legs
   };
 };
 
+/** Largest number of stops solved exactly; larger instances use the improvement heuristic */
+export const DEFAULT_EXACT_STOP_LIMIT = 10;
+
+// Local search stops after this many improvements, whatever is left
+const MAX_IMPROVEMENTS = 200;
+
+/**
+ * Bitmask per stop of the stops that have to come before it: a DROPOFF needs the PICKUP
+ * with the same pairId, when that pickup is in the list.
+ *
+ * @param {Array<Object>} stops - [{ type, pairId }, ...]
+ * @returns {number[]}
+ */
+const getPrecedence = (stops) => {
+  const pickupIndex = new Map();
+  stops.forEach((stop, i) => {
+    if (stop.type === 'PICKUP' && stop.pairId !== undefined) pickupIndex.set(String(stop.pairId), i);
+  });
+  return stops.map(stop => {
+    const pickup = stop.type === 'DROPOFF' && stop.pairId !== undefined
+      ? pickupIndex.get(String(stop.pairId))
+      : undefined;
+    return pickup === undefined ? 0 : 1 << pickup;
+  });
+};
+
+/**
+ * Whether an order of stop indices keeps every pickup before its dropoff.
+ *
+ * Pure function.
+ *
+ * @param {number[]} order - Stop indices (0-based, excluding source and destination)
+ * @param {number[]} precedence - From getPrecedence
+ * @returns {boolean}
+ */
+const isFeasibleOrder = (order, precedence) => {
+  let visited = 0;
+  for (const stop of order) {
+    if ((precedence[stop] & visited) !== precedence[stop]) return false;
+    visited |= 1 << stop;
+  }
+  return true;
+};
+
+/**
+ * Nearest-neighbour order that only moves to stops whose pickup has been made.
+ *
+ * @param {number} n - Number of stops
+ * @param {number[]} precedence
+ * @param {Function} leg - (from, to) => km, with 0 = source and stop i = i + 1
+ * @returns {number[]}
+ */
+const nearestNeighbourOrder = (n, precedence, leg) => {
+  const order = [];
+  let visited = 0;
+  let current = -1;
+  while (order.length < n) {
+    let next = -1;
+    for (let i = 0; i < n; i++) {
+      if (visited & (1 << i) || (precedence[i] & visited) !== precedence[i]) continue;
+      if (next === -1 || leg(current + 1, i + 1) < leg(current + 1, next + 1)) next = i;
+    }
+    order.push(next);
+    visited |= 1 << next;
+    current = next;
+  }
+  return order;
+};
+
+/**
+ * Held-Karp dynamic programme over visited subsets, skipping stops whose pickup is not in
+ * the subset yet. O(2^n * n^2).
+ *
+ * @param {number} n
+ * @param {number[]} precedence
+ * @param {Function} leg - As in nearestNeighbourOrder; n + 1 is the destination
+ * @returns {number[]}
+ */
+const exactOrder = (n, precedence, leg) => {
+  if (n === 0) return [];
+  const size = 1 << n;
+  const cost = new Float64Array(size * n).fill(Infinity);
+  const parent = new Int8Array(size * n).fill(-1);
+
+  for (let i = 0; i < n; i++) {
+    if (precedence[i] === 0) cost[(1 << i) * n + i] = leg(0, i + 1);
+  }
+
+  for (let mask = 1; mask < size; mask++) {
+    for (let last = 0; last < n; last++) {
+      const here = cost[mask * n + last];
+      if (here === Infinity) continue;
+      for (let next = 0; next < n; next++) {
+        if (mask & (1 << next) || (precedence[next] & mask) !== precedence[next]) continue;
+        const nextMask = mask | (1 << next);
+        const candidate = here + leg(last + 1, next + 1);
+        if (candidate < cost[nextMask * n + next]) {
+          cost[nextMask * n + next] = candidate;
+          parent[nextMask * n + next] = last;
+        }
+      }
+    }
+  }
+
+  const full = size - 1;
+  let last = 0;
+  for (let i = 1; i < n; i++) {
+    if (cost[full * n + i] + leg(i + 1, n + 1) < cost[full * n + last] + leg(last + 1, n + 1)) last = i;
+  }
+
+  const order = [];
+  let mask = full;
+  while (last !== -1) {
+    order.unshift(last);
+    const previous = parent[mask * n + last];
+    mask &= ~(1 << last);
+    last = previous;
+  }
+  return order;
+};
+
+/**
+ * Improve an order with or-opt (move a run of 1-3 stops elsewhere) and 2-opt (reverse a
+ * run), keeping only feasible changes, until neither finds a shorter route.
+ *
+ * @param {number[]} start - Feasible order
+ * @param {number[]} precedence
+ * @param {Function} routeKm - order => km
+ * @returns {number[]}
+ */
+const improveOrder = (start, precedence, routeKm) => {
+  let best = start;
+  let bestKm = routeKm(best);
+  const n = best.length;
+
+  const tryOrder = (candidate) => {
+    if (!isFeasibleOrder(candidate, precedence)) return false;
+    const km = routeKm(candidate);
+    // Ignore floating-point noise so the search cannot cycle
+    if (km >= bestKm - 1e-9) return false;
+    best = candidate;
+    bestKm = km;
+    return true;
+  };
+
+  const orOpt = () => {
+    for (let length = 1; length <= Math.min(3, n - 1); length++) {
+      for (let i = 0; i + length <= n; i++) {
+        const run = best.slice(i, i + length);
+        const rest = [...best.slice(0, i), ...best.slice(i + length)];
+        for (let j = 0; j <= rest.length; j++) {
+          if (j === i) continue;
+          if (tryOrder([...rest.slice(0, j), ...run, ...rest.slice(j)])) return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  const twoOpt = () => {
+    for (let i = 0; i < n - 1; i++) {
+      for (let k = i + 1; k < n; k++) {
+        if (tryOrder([...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)])) return true;
+      }
+    }
+    return false;
+  };
+
+  for (let improvements = 0; improvements < MAX_IMPROVEMENTS; improvements++) {
+    if (!orOpt() && !twoOpt()) break;
+  }
+  return best;
+};
+
+/**
+ * Optimize a multi-stop route with pickup / dropoff pairs
+ *
+ * @description Orders the stops between source and destination for the shortest total
+ * distance, keeping each passenger's DROPOFF after their PICKUP (stops sharing a
+ * pairId). Stops without a pair, or a dropoff whose pickup is not in the list (passenger
+ * already on board), can go anywhere.
+ *
+ * - Up to exactLimit stops (default 10): exact, by dynamic programming over subsets
+ * - Beyond: precedence-aware nearest neighbour improved by or-opt and 2-opt
+ *
+ * The result reports the saving against the greedy order optimizeRoute would pick,
+ * restricted to stops whose pickup has been made.
+ *
+ * @param {Object} source - Starting location {lat, lng, address}
+ * @param {Object} destination - Ending location {lat, lng, address}
+ * @param {Array<Object>} stops - [{lat, lng, address, type?: 'PICKUP'|'DROPOFF', pairId?, ...}]; extra fields are kept
+ * @param {Object} [options]
+ * @param {Object} [options.matrix] - { distancesMeters, durationsSeconds } for [source, ...stops, destination]
+ * @param {number} [options.exactLimit=10]
+ * @returns {Object} result
+ * @returns {Array<Object>} result.orderedStops - Stops in driving order
+ * @returns {number} result.totalDistance - km
+ * @returns {number} result.estimatedDuration - minutes
+ * @returns {Array<Object>} result.legs - { from, to, distance }
+ * @returns {string} result.method - EXACT or HEURISTIC
+ * @returns {Object} result.savings - { baselineKm, savedKm, savedPercent } versus nearest neighbour
+ * @throws {Error} When source or destination is missing, a stop has no coordinates or there are more than 30 stops
+ */
+export const optimizeMultiStopRoute = (source, destination, stops = [], { matrix, exactLimit = DEFAULT_EXACT_STOP_LIMIT } = {}) => {
+  if (!source || !destination) {
+    throw new Error('Source and destination are required');
+  }
+  // Precedence is tracked in 32-bit masks
+  if (stops.length > 30) {
+    throw new Error('At most 30 stops can be optimized');
+  }
+  for (const stop of stops) {
+    if (!stop.lat || !stop.lng) {
+      throw new Error('All stops must have lat and lng coordinates');
+    }
+  }
+
+  const points = [source, ...stops, destination];
+  const n = stops.length;
+  const { distanceKm, durationMinutes } = createLegCosts(points, matrix);
+  const precedence = getPrecedence(stops);
+  const withEnds = (order) => [0, ...order.map(i => i + 1), n + 1];
+  const routeKm = (order) => {
+    const path = withEnds(order);
+    let km = 0;
+    for (let i = 0; i < path.length - 1; i++) km += distanceKm(path[i], path[i + 1]);
+    return km;
+  };
+
+  const baseline = nearestNeighbourOrder(n, precedence, distanceKm);
+  const method = n <= exactLimit ? 'EXACT' : 'HEURISTIC';
+  const order = method === 'EXACT'
+    ? exactOrder(n, precedence, distanceKm)
+    : improveOrder(baseline, precedence, routeKm);
+
+  const path = withEnds(order);
+  let totalMinutes = 0;
+  const legs = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    totalMinutes += durationMinutes(path[i], path[i + 1]);
+    legs.push({
+      from: points[path[i]].address || (i === 0 ? 'Source' : 'Stop'),
+      to: points[path[i + 1]].address || (i === path.length - 2 ? 'Destination' : 'Stop'),
+      distance: Math.round(distanceKm(path[i], path[i + 1]) * 10) / 10
+    });
+  }
+
+  const optimizedKm = routeKm(order);
+  const baselineKm = routeKm(baseline);
+  const savedKm = Math.max(0, baselineKm - optimizedKm);
+
+  return {
+    orderedStops: order.map(i => stops[i]),
+    totalDistance: Math.round(optimizedKm * 10) / 10,
+    estimatedDuration: Math.round(totalMinutes),
+    legs,
+    method,
+    savings: {
+      baselineKm: Math.round(baselineKm * 10) / 10,
+      savedKm: Math.round(savedKm * 10) / 10,
+      savedPercent: baselineKm > 0 ? Math.round((savedKm / baselineKm) * 1000) / 10 : 0
+    }
+  };
+};
+
 /**
  * Validate route optimization input
  * 
@@ -203,7 +485,9 @@ export const validateRouteInput = (source, destination, waypoints = []) => {
 };
 
 export default {
+  DEFAULT_EXACT_STOP_LIMIT,
   optimizeRoute,
+  optimizeMultiStopRoute,
   validateRouteInput,
   calculateDistance,
   calculateTotalDistance
@@ -1,6 +1,7 @@
 import { describe, it, expect } from '@jest/globals';
 import { 
   optimizeRoute, 
+  optimizeMultiStopRoute,
   validateRouteInput,
   calculateDistance,
   calculateTotalDistance 
@@ -95,6 +96,120 @@ describe('Route Optimization Service', () => {
       expect(result.orderedWaypoints[0].address).toBe('Near NYC');
       expect(result.orderedWaypoints[1].address).toBe('Near Boston');
     });
+
+    it('should order and total by a road matrix when given one', () => {
+      const waypoints = [
+        { lat: 42.0000, lng: -71.3000, address: 'Near Boston' },
+        { lat: 40.8000, lng: -73.9000, address: 'Near NYC' }
+      ];
+      // [source, Near Boston, Near NYC, destination]; by road Near Boston is reached first
+      const matrix = {
+        distancesMeters: [
+          [0, 10000, 20000, 300000],
+          [10000, 0, 15000, 30000],
+          [20000, 15000, 0, 40000],
+          [300000, 30000, 40000, 0]
+        ],
+        durationsSeconds: [
+          [0, 600, 1200, 18000],
+          [600, 0, 900, 1800],
+          [1200, 900, 0, 2400],
+          [18000, 1800, 2400, 0]
+        ]
+      };
+
+      const result = optimizeRoute(source, destination, waypoints, { matrix });
+
+      expect(result.orderedWaypoints.map(wp => wp.address)).toEqual(['Near Boston', 'Near NYC']);
+      expect(result.totalDistance).toBe(65); // 10 + 15 + 40 km
+      expect(result.estimatedDuration).toBe(65); // 10 + 15 + 40 min
+    });
+  });
+
+  describe('optimizeMultiStopRoute', () => {
+    // Along the equator, so distances follow longitude
+    const at = (lng, extra = {}) => ({ lat: 0.0001, lng, address: `lng ${lng}`, ...extra });
+    const pickup = (lng, pairId) => at(lng, { type: 'PICKUP', pairId });
+    const dropoff = (lng, pairId) => at(lng, { type: 'DROPOFF', pairId });
+
+    const routeKm = (source, destination, stops) => calculateTotalDistance([source, ...stops, destination]);
+
+    const bruteForceKm = (source, destination, stops) => {
+      const permute = (items) => (items.length <= 1 ? [items] : items.flatMap((item, i) =>
+        permute([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])));
+      const feasible = (order) => order.every((stop, i) => stop.type !== 'DROPOFF' ||
+        order.slice(0, i).some(s => s.type === 'PICKUP' && s.pairId === stop.pairId));
+      return Math.min(...permute(stops).filter(feasible).map(order => routeKm(source, destination, order)));
+    };
+
+    it('should keep each dropoff after its pickup', () => {
+      // Going straight would drop off before picking up
+      const result = optimizeMultiStopRoute(at(0), at(10), [dropoff(2, 'a'), pickup(6, 'a')]);
+      expect(result.orderedStops.map(stop => stop.type)).toEqual(['PICKUP', 'DROPOFF']);
+    });
+
+    it('should let a dropoff without a pickup go anywhere', () => {
+      const result = optimizeMultiStopRoute(at(0), at(10), [pickup(6, 'a'), dropoff(2, 'b')]);
+      expect(result.orderedStops.map(stop => stop.lng)).toEqual([2, 6]);
+    });
+
+    it('should beat nearest neighbour and report the saving', () => {
+      // Nearest neighbour goes to +1 first and has to come all the way back
+      const result = optimizeMultiStopRoute(at(0), at(0.1), [at(1), at(-1.2)]);
+
+      expect(result.method).toBe('EXACT');
+      expect(result.orderedStops.map(stop => stop.lng)).toEqual([-1.2, 1]);
+      expect(result.savings.savedKm).toBeGreaterThan(20);
+      expect(result.savings.baselineKm - result.savings.savedKm).toBeCloseTo(result.totalDistance, 0);
+      expect(result.legs).toHaveLength(3);
+    });
+
+    it('should match brute force on a small instance', () => {
+      const source = at(0);
+      const destination = at(5);
+      const stops = [pickup(4, 'a'), dropoff(1, 'a'), pickup(3, 'b'), dropoff(6, 'b'), pickup(-1, 'c'), dropoff(2, 'c')];
+
+      const result = optimizeMultiStopRoute(source, destination, stops);
+      expect(routeKm(source, destination, result.orderedStops)).toBeCloseTo(bruteForceKm(source, destination, stops), 6);
+    });
+
+    it('should use the improvement heuristic beyond the exact limit without breaking precedence', () => {
+      const source = at(0);
+      const destination = at(5);
+      const stops = [pickup(4, 'a'), dropoff(1, 'a'), pickup(3, 'b'), dropoff(6, 'b'), pickup(-1, 'c'), dropoff(2, 'c')];
+
+      const result = optimizeMultiStopRoute(source, destination, stops, { exactLimit: 2 });
+      const order = result.orderedStops;
+
+      expect(result.method).toBe('HEURISTIC');
+      for (const pairId of ['a', 'b', 'c']) {
+        const picked = order.findIndex(s => s.pairId === pairId && s.type === 'PICKUP');
+        const dropped = order.findIndex(s => s.pairId === pairId && s.type === 'DROPOFF');
+        expect(picked).toBeLessThan(dropped);
+      }
+      expect(result.totalDistance).toBeLessThanOrEqual(result.savings.baselineKm);
+    });
+
+    it('should order by a road matrix when given one', () => {
+      // By road the stop at -1.2 is a long way round, so +1 comes first
+      const matrix = {
+        distancesMeters: [
+          [0, 111000, 400000, 11000],
+          [111000, 0, 244000, 100000],
+          [400000, 244000, 0, 144000],
+          [11000, 100000, 144000, 0]
+        ]
+      };
+      const result = optimizeMultiStopRoute(at(0), at(0.1), [at(1), at(-1.2)], { matrix });
+      expect(result.orderedStops.map(stop => stop.lng)).toEqual([1, -1.2]);
+    });
+
+    it('should return the direct route without stops', () => {
+      const result = optimizeMultiStopRoute(at(0), at(1), []);
+      expect(result.orderedStops).toEqual([]);
+      expect(result.legs).toHaveLength(1);
+      expect(result.savings.savedKm).toBe(0);
+    });
   });
 
   describe('validateRouteInput', () => {
@@ -0,0 +1,132 @@
+import RideRequest from '../models/RideRequest.js';
+import { calculateDistance, optimizeMultiStopRoute } from './routeOptimization.service.js';
+import { getDistanceMatrix } from './routing.service.js';
+
+/**
+ * @fileoverview Route Planner Service
+ * @description Plans a trip's stops for its approved passengers: each passenger's pickup
+ * and, when they get off somewhere other than the trip's destination, their dropoff
+ * (RideRequest.dropoffLocation). The order comes from
+ * routeOptimization.optimizeMultiStopRoute on road distances from the routing provider,
+ * so every dropoff comes after its pickup.
+ *
+ * Used when passengers are approved (rideController.optimizeRouteForTrip, which stores
+ * the plan as Trip.waypoints) and by the driver's route preview.
+ *
+ * @module services/routePlanner.service
+ */
+
+/** Passengers on one trip; Trip.waypoints holds at most this many pickups */
+export const MAX_PLANNED_PASSENGERS = 4;
+
+// A dropoff this close to the trip's destination is the destination
+const DROPOFF_AT_DESTINATION_METERS = 200;
+
+const toPoint = (coords) => (coords?.length === 2 ? { lat: coords[1], lng: coords[0] } : null);
+
+/**
+ * Stops for the solver: a PICKUP per ride and a DROPOFF for rides leaving before the
+ * destination, paired by ride id. Rides without pickup coordinates are left out.
+ *
+ * @param {Object} trip - { destinationLocation }
+ * @param {Object[]} rides - With pickupLocation, dropoffLocation and passengerId (populated name)
+ * @returns {Object[]} { lat, lng, address, type, pairId, passengerId, passengerName }
+ */
+export const buildTripStops = (trip, rides) => {
+  const destination = toPoint(trip.destinationLocation?.coordinates?.coordinates);
+
+  return rides.flatMap(ride => {
+    const pickup = toPoint(ride.pickupLocation?.coordinates?.coordinates);
+    if (!pickup) return [];
+
+    const passenger = {
+      pairId: String(ride._id),
+      passengerId: ride.passengerId?._id || ride.passengerId,
+      passengerName: ride.passengerId?.name
+    };
+    const stops = [{ ...pickup, address: ride.pickupLocation.address, type: 'PICKUP', ...passenger }];
+
+    const dropoff = toPoint(ride.dropoffLocation?.coordinates?.coordinates);
+    const atDestination = destination && dropoff &&
+      calculateDistance(dropoff, destination) * 1000 <= DROPOFF_AT_DESTINATION_METERS;
+    if (dropoff && !atDestination) {
+      stops.push({ ...dropoff, address: ride.dropoffLocation.address, type: 'DROPOFF', ...passenger });
+    }
+    return stops;
+  });
+};
+
+/**
+ * A solver result in Trip.waypoints form.
+ *
+ * @param {Object} result - From optimizeMultiStopRoute
+ * @returns {Object[]}
+ */
+export const toTripWaypoints = (result) => result.orderedStops.map((stop, index) => ({
+  address: stop.address || `Stop ${index + 1}`,
+  coordinates: {
+    type: 'Point',
+    coordinates: [stop.lng, stop.lat] // [longitude, latitude] as per GeoJSON
+  },
+  order: index + 1,
+  stopType: stop.type,
+  passengerName: stop.passengerName,
+  passengerId: stop.passengerId,
+  distanceFromPrevious: result.legs[index]?.distance
+}));
+
+/**
+ * Plan the trip's stops for its approved passengers (the first MAX_PLANNED_PASSENGERS
+ * approved, no-shows left out).
+ *
+ * @param {Object} trip - Trip document (sourceLocation, destinationLocation)
+ * @param {Object[]} [rides] - Approved ride requests with passengerId populated; loaded when omitted
+ * @returns {Promise<Object|null>} { waypoints, totalDistance, estimatedDuration, legs, method,
+ * savings, passengersCount }; null when the trip has no coordinates or no passenger stops
+ */
+export const planTripRoute = async (trip, rides) => {
+  const source = toPoint(trip.sourceLocation?.coordinates?.coordinates);
+  const destination = toPoint(trip.destinationLocation?.coordinates?.coordinates);
+  if (!source || !destination) return null;
+
+  const approved = rides || await RideRequest.find({ tripId: trip._id, status: 'APPROVED' })
+    .select('passengerId pickupStatus pickupLocation dropoffLocation')
+    .populate('passengerId', 'name')
+    .sort({ createdAt: 1 })
+    .lean();
+  const planned = approved.filter(ride => ride.pickupStatus !== 'NO_SHOW');
+  if (planned.length > MAX_PLANNED_PASSENGERS) {
+    console.warn(`Trip ${trip._id} has more than ${MAX_PLANNED_PASSENGERS} approved passengers. Planning the first ${MAX_PLANNED_PASSENGERS} only.`);
+  }
+
+  const stops = buildTripStops(trip, planned.slice(0, MAX_PLANNED_PASSENGERS));
+  if (stops.length === 0) return null;
+
+  const matrix = await getDistanceMatrix([source, ...stops, destination]).catch(err => {
+    console.warn('[routing] Distance matrix failed, using straight lines:', err.message);
+    return null;
+  });
+  const result = optimizeMultiStopRoute(
+    { ...source, address: trip.sourceLocation.address || trip.source },
+    { ...destination, address: trip.destinationLocation.address || trip.destination },
+    stops,
+    { matrix }
+  );
+
+  return {
+    waypoints: toTripWaypoints(result),
+    totalDistance: result.totalDistance,
+    estimatedDuration: result.estimatedDuration,
+    legs: result.legs,
+    method: result.method,
+    savings: result.savings,
+    passengersCount: new Set(stops.map(stop => stop.pairId)).size
+  };
+};
+
+export default {
+  MAX_PLANNED_PASSENGERS,
+  buildTripStops,
+  toTripWaypoints,
+  planTripRoute
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildTripStops, planTripRoute } from './routePlanner.service.js';
+
+/**
+ * @fileoverview Route Planner Service Tests
+ * @description Passenger stops from ride requests and the planned waypoints (offline
+ * routing, rides passed in so no database is needed)
+ */
+
+const point = (lng, lat, address) => ({ address, coordinates: { type: 'Point', coordinates: [lng, lat] } });
+
+// Heading east along the equator from lng 0 to lng 0.1
+const trip = {
+  _id: 't1',
+  source: 'Depot',
+  sourceLocation: point(0, 0.0001, 'Depot'),
+  destination: 'Office',
+  destinationLocation: point(0.1, 0.0001, 'Office')
+};
+
+const ride = (id, pickupLng, dropoffLng, extra = {}) => ({
+  _id: id,
+  passengerId: { _id: `p-${id}`, name: `Passenger ${id}` },
+  pickupStatus: 'WAITING',
+  pickupLocation: point(pickupLng, 0.0001, `Pickup ${id}`),
+  ...(dropoffLng !== undefined && { dropoffLocation: point(dropoffLng, 0.0001, `Dropoff ${id}`) }),
+  ...extra
+});
+
+describe('Route Planner Service', () => {
+
+  describe('buildTripStops', () => {
+    it('should pair each pickup with a dropoff before the destination', () => {
+      const stops = buildTripStops(trip, [ride('r1', 0.02, 0.05)]);
+
+      expect(stops.map(stop => stop.type)).toEqual(['PICKUP', 'DROPOFF']);
+      expect(stops[0].pairId).toBe(stops[1].pairId);
+      expect(stops[1]).toMatchObject({ lat: 0.0001, lng: 0.05, passengerName: 'Passenger r1' });
+    });
+
+    it('should not add a dropoff at the destination or without one', () => {
+      const stops = buildTripStops(trip, [ride('r1', 0.02, 0.1001), ride('r2', 0.03)]);
+      expect(stops.map(stop => stop.type)).toEqual(['PICKUP', 'PICKUP']);
+    });
+
+    it('should leave out rides without pickup coordinates', () => {
+      const stops = buildTripStops(trip, [{ _id: 'r1', passengerId: 'p1', pickupLocation: { address: 'Gate 2' } }]);
+      expect(stops).toEqual([]);
+    });
+  });
+
+  describe('planTripRoute', () => {
+    it('should order pickups and dropoffs as Trip waypoints', async () => {
+      // r1 rides 0.06 -> 0.03 (backwards), so its dropoff has to wait for the pickup
+      const plan = await planTripRoute(trip, [ride('r1', 0.06, 0.03), ride('r2', 0.02, 0.08)]);
+
+      const pickupR1 = plan.waypoints.findIndex(wp => wp.stopType === 'PICKUP' && wp.passengerId === 'p-r1');
+      const dropoffR1 = plan.waypoints.findIndex(wp => wp.stopType === 'DROPOFF' && wp.passengerId === 'p-r1');
+      expect(pickupR1).toBeLessThan(dropoffR1);
+      expect(plan.waypoints.map(wp => wp.order)).toEqual([1, 2, 3, 4]);
+      expect(plan.waypoints[0].coordinates.coordinates).toHaveLength(2);
+      expect(plan).toMatchObject({ method: 'EXACT', passengersCount: 2 });
+      expect(plan.savings.savedKm).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should leave out no-shows and return null without passenger stops', async () => {
+      expect(await planTripRoute(trip, [ride('r1', 0.02, 0.05, { pickupStatus: 'NO_SHOW' })])).toBeNull();
+    });
+  });
+});
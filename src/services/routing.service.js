@@ -0,0 +1,178 @@
+import redisClient from '../config/redis.js';
+import { getRoutingProvider, createRoutingProviderFromEnv } from './routingProvider.service.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Routing Service
+ * @description Road routes, ETAs and distance matrices from the configured routing
+ * provider (services/routingProvider.service.js), cached in Redis.
+ *
+ * - Coordinates are rounded to ROUTING_COORDINATE_PRECISION decimals (4, about 11 m)
+ *   before the lookup, so nearby driver positions share a cache entry.
+ * - Routes and matrices are cached for ROUTING_CACHE_TTL_SECONDS (default 1 day), ETAs
+ *   for ROUTING_ETA_CACHE_TTL_SECONDS (default 5 minutes).
+ * - When the provider fails, the offline haversine provider answers instead and the
+ *   result is marked `fallback: true`. Fallback results are never cached.
+ * - Cache errors are logged and ignored; routing still works without Redis.
+ *
+ * Redis keys: routing:<provider>:<route|eta|matrix>:<lng,lat;lng,lat;...>
+ *
+ * @module services/routing.service
+ */
+
+export const DEFAULT_ROUTING_CACHE_TTL_SECONDS = 24 * 60 * 60;
+export const DEFAULT_ETA_CACHE_TTL_SECONDS = 5 * 60;
+export const DEFAULT_COORDINATE_PRECISION = 4;
+
+/**
+ * Current cache settings, read from the environment on each call.
+ *
+ * @returns {{ routeTtlSeconds: number, etaTtlSeconds: number, precision: number }}
+ */
+export const getRoutingCacheSettings = () => ({
+  routeTtlSeconds: readNumber(process.env.ROUTING_CACHE_TTL_SECONDS, DEFAULT_ROUTING_CACHE_TTL_SECONDS),
+  etaTtlSeconds: readNumber(process.env.ROUTING_ETA_CACHE_TTL_SECONDS, DEFAULT_ETA_CACHE_TTL_SECONDS),
+  precision: readNumber(process.env.ROUTING_COORDINATE_PRECISION, DEFAULT_COORDINATE_PRECISION)
+});
+
+// ─── Cache keys ─────────────────────────────────────────────────────────────
+
+/**
+ * Points rounded for lookup and caching.
+ *
+ * @param {Array<{lat: number, lng: number}>} points
+ * @param {number} precision - Decimal places
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+export const roundPoints = (points, precision) => points.map(p => ({
+  lat: Number(Number(p.lat).toFixed(precision)),
+  lng: Number(Number(p.lng).toFixed(precision))
+}));
+
+/**
+ * Cache key for a lookup.
+ *
+ * @param {string} prefix
+ * @param {string} providerName
+ * @param {string} kind - route, eta or matrix
+ * @param {Array<{lat: number, lng: number}>} points - Already rounded
+ * @returns {string}
+ */
+export const routingCacheKey = (prefix, providerName, kind, points) =>
+  `${prefix}:${providerName}:${kind}:${points.map(p => `${p.lng},${p.lat}`).join(';')}`;
+
+const isValidPoint = (p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lng) &&
+  Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180;
+
+// ─── Service ────────────────────────────────────────────────────────────────
+
+/**
+ * Create a routing service bound to a Redis client.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.redis] - ioredis client (defaults to config/redis.js)
+ * @param {Function} [options.getProvider] - () => provider; defaults to the ROUTING_PROVIDER one
+ * @param {Function} [options.getFallback] - () => provider used when the first one fails
+ * @param {string} [options.prefix='routing'] - Key prefix
+ * @returns {Object} Service with getRoute, getETA and getDistanceMatrix
+ */
+export const createRoutingService = ({
+  redis = redisClient,
+  getProvider = () => getRoutingProvider(),
+  getFallback = () => createRoutingProviderFromEnv('haversine'),
+  prefix = 'routing'
+} = {}) => {
+  const readCache = async (key) => {
+    try {
+      const cached = await redis.get(key);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn('[routing] Cache read failed (non-fatal):', error.message);
+      return null;
+    }
+  };
+
+  const writeCache = async (key, value, ttlSeconds) => {
+    try {
+      await redis.setex(key, Math.round(ttlSeconds), JSON.stringify(value));
+    } catch (error) {
+      console.warn('[routing] Cache write failed (non-fatal):', error.message);
+    }
+  };
+
+  const lookup = async (kind, points, compute) => {
+    if (!Array.isArray(points) || points.length < 2 || !points.every(isValidPoint)) {
+      throw new Error('At least two points with valid lat and lng are required');
+    }
+
+    const settings = getRoutingCacheSettings();
+    const rounded = roundPoints(points, settings.precision);
+    const provider = getProvider();
+    const key = provider.cacheable !== false && routingCacheKey(prefix, provider.name, kind, rounded);
+
+    if (key) {
+      const cached = await readCache(key);
+      if (cached) return { ...cached, cached: true };
+    }
+
+    try {
+      const result = { ...(await compute(provider, rounded)), provider: provider.name, fallback: false };
+      if (key) await writeCache(key, result, kind === 'eta' ? settings.etaTtlSeconds : settings.routeTtlSeconds);
+      return { ...result, cached: false };
+    } catch (error) {
+      const fallback = getFallback();
+      if (!fallback || fallback.name === provider.name) throw error;
+      console.warn(`[routing] ${provider.name} ${kind} failed, using ${fallback.name}:`, error.message);
+      return { ...(await compute(fallback, rounded)), provider: fallback.name, fallback: true, cached: false };
+    }
+  };
+
+  return {
+    /**
+     * Road route through the points in order.
+     *
+     * @param {Array<{lat: number, lng: number}>} points - At least two
+     * @returns {Promise<Object>} { distanceMeters, durationSeconds, coordinates, provider, fallback, cached }
+     */
+    getRoute: (points) => lookup('route', points, (provider, rounded) => provider.route(rounded)),
+
+    /**
+     * Driving time and distance from one point to another, without the geometry.
+     *
+     * @param {{lat: number, lng: number}} from
+     * @param {{lat: number, lng: number}} to
+     * @returns {Promise<Object>} { distanceMeters, durationSeconds, provider, fallback, cached }
+     */
+    getETA: (from, to) => lookup('eta', [from, to], async (provider, rounded) => {
+      const { distanceMeters, durationSeconds } = await provider.route(rounded);
+      return { distanceMeters, durationSeconds };
+    }),
+
+    /**
+     * Travel distances and times between every pair of points.
+     *
+     * @param {Array<{lat: number, lng: number}>} points - At least two
+     * @returns {Promise<Object>} { distancesMeters, durationsSeconds, provider, fallback, cached }
+     */
+    getDistanceMatrix: (points) => lookup('matrix', points, (provider, rounded) => provider.matrix(rounded))
+  };
+};
+
+const defaultRoutingService = createRoutingService();
+
+export const getRoute = (points) => defaultRoutingService.getRoute(points);
+export const getETA = (from, to) => defaultRoutingService.getETA(from, to);
+export const getDistanceMatrix = (points) => defaultRoutingService.getDistanceMatrix(points);
+
+export default {
+  DEFAULT_ROUTING_CACHE_TTL_SECONDS,
+  DEFAULT_ETA_CACHE_TTL_SECONDS,
+  DEFAULT_COORDINATE_PRECISION,
+  getRoutingCacheSettings,
+  roundPoints,
+  routingCacheKey,
+  createRoutingService,
+  getRoute,
+  getETA,
+  getDistanceMatrix
+};
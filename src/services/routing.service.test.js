@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import Redis from 'ioredis-mock';
+import { createRoutingService, roundPoints, routingCacheKey } from './routing.service.js';
+import { createHaversineRoutingProvider } from './routingProvider.service.js';
+
+/**
+ * @fileoverview Routing Service Tests
+ * @description Caching and the offline fallback, against an in-memory Redis and a
+ * counting provider
+ */
+
+const from = { lat: 12.97561, lng: 77.60504 };
+const to = { lat: 12.93523, lng: 77.62448 };
+
+const createCountingProvider = ({ fail = false } = {}) => {
+  const calls = { route: 0, matrix: 0 };
+  const inner = createHaversineRoutingProvider({ speedKmh: 20 });
+  return {
+    name: 'counting',
+    calls,
+    route: async (points) => {
+      calls.route += 1;
+      if (fail) throw new Error('engine down');
+      return inner.route(points);
+    },
+    matrix: async (points) => {
+      calls.matrix += 1;
+      if (fail) throw new Error('engine down');
+      return inner.matrix(points);
+    }
+  };
+};
+
+describe('Routing Service', () => {
+  let redis;
+  let prefix = 0;
+
+  beforeEach(() => {
+    redis = new Redis();
+  });
+
+  const serviceFor = (provider) =>
+    // ioredis-mock instances share data, so each test gets its own keys
+    createRoutingService({ redis, getProvider: () => provider, prefix: `test-routing-${++prefix}` });
+
+  describe('roundPoints / routingCacheKey', () => {
+    it('should round nearby positions to the same key', () => {
+      const a = roundPoints([{ lat: 12.975612, lng: 77.605041 }], 4);
+      const b = roundPoints([{ lat: 12.975638, lng: 77.604988 }], 4);
+      expect(routingCacheKey('routing', 'osrm', 'eta', a)).toBe(routingCacheKey('routing', 'osrm', 'eta', b));
+      expect(routingCacheKey('routing', 'osrm', 'eta', a)).toBe('routing:osrm:eta:77.605,12.9756');
+    });
+  });
+
+  describe('caching', () => {
+    it('should answer a repeated ETA from the cache', async () => {
+      const provider = createCountingProvider();
+      const routing = serviceFor(provider);
+
+      const first = await routing.getETA(from, to);
+      const second = await routing.getETA(from, to);
+
+      expect(provider.calls.route).toBe(1);
+      expect(first.cached).toBe(false);
+      expect(second).toMatchObject({ cached: true, durationSeconds: first.durationSeconds, provider: 'counting' });
+    });
+
+    it('should cache routes and matrices under separate keys', async () => {
+      const provider = createCountingProvider();
+      const routing = serviceFor(provider);
+
+      await routing.getRoute([from, to]);
+      await routing.getRoute([from, to]);
+      await routing.getDistanceMatrix([from, to]);
+      const matrix = await routing.getDistanceMatrix([from, to]);
+
+      expect(provider.calls).toEqual({ route: 1, matrix: 1 });
+      expect(matrix.distancesMeters[0][1]).toBeGreaterThan(0);
+    });
+
+    it('should not cache providers marked as not cacheable', async () => {
+      const routing = serviceFor(createHaversineRoutingProvider());
+      await routing.getETA(from, to);
+      const again = await routing.getETA(from, to);
+      expect(again.cached).toBe(false);
+    });
+
+    it('should still route when Redis fails', async () => {
+      const provider = createCountingProvider();
+      const broken = { get: async () => { throw new Error('down'); }, setex: async () => { throw new Error('down'); } };
+      const routing = createRoutingService({ redis: broken, getProvider: () => provider });
+
+      const eta = await routing.getETA(from, to);
+      expect(eta).toMatchObject({ provider: 'counting', fallback: false });
+    });
+  });
+
+  describe('fallback', () => {
+    it('should answer with haversine and not cache when the provider fails', async () => {
+      const provider = createCountingProvider({ fail: true });
+      const routing = serviceFor(provider);
+
+      const first = await routing.getETA(from, to);
+      await routing.getETA(from, to);
+
+      expect(first).toMatchObject({ provider: 'haversine', fallback: true, cached: false });
+      expect(first.distanceMeters).toBeGreaterThan(0);
+      expect(provider.calls.route).toBe(2);
+    });
+  });
+
+  it('should reject fewer than two valid points', async () => {
+    const routing = serviceFor(createCountingProvider());
+    await expect(routing.getRoute([from])).rejects.toThrow('At least two points');
+    await expect(routing.getETA(from, { lat: 'x', lng: 1 })).rejects.toThrow('At least two points');
+  });
+});
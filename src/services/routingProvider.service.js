@@ -0,0 +1,338 @@
+import { calculateDistance } from './routeOptimization.service.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Routing Provider Service
+ * @description Pluggable road routing engines behind route, ETA and distance-matrix
+ * lookups (services/routing.service.js adds caching and the offline fallback).
+ *
+ * A provider is an object with:
+ * - name: string, used as ROUTING_PROVIDER
+ * - route(points)  -> Promise<{ distanceMeters, durationSeconds, coordinates }>
+ *   (points in visiting order; coordinates is the road geometry as [lng, lat] pairs)
+ * - matrix(points) -> Promise<{ distancesMeters, durationsSeconds }>  (n x n, from row to column)
+ * - cacheable: false for providers that are cheaper to recompute than to cache
+ *
+ * Points are { lat, lng }. Both methods reject when the engine fails or finds no route.
+ *
+ * Built-in providers, configured from the environment on each call:
+ * - 'osrm' (default): OSRM HTTP API at ROUTING_BASE_URL (default the public demo server)
+ * - 'valhalla': Valhalla-compatible /route and /sources_to_targets at ROUTING_BASE_URL
+ * - 'graphhopper': GraphHopper-compatible /route and /matrix at ROUTING_BASE_URL, with
+ *   ROUTING_API_KEY when the server needs one
+ * - 'haversine': offline straight-line estimate at ROUTING_HAVERSINE_SPEED_KMH (default 40)
+ *
+ * @module services/routingProvider.service
+ */
+
+export const ROUTING_PROVIDER_NAMES = Object.freeze(['osrm', 'valhalla', 'graphhopper', 'haversine']);
+
+export const DEFAULT_ROUTING_BASE_URLS = Object.freeze({
+  osrm: 'https://router.project-osrm.org',
+  valhalla: 'http://localhost:8002',
+  graphhopper: 'https://graphhopper.com/api/1'
+});
+
+export const DEFAULT_ROUTING_TIMEOUT_MS = 5000;
+export const DEFAULT_HAVERSINE_SPEED_KMH = 40;
+
+const PROVIDER_METHODS = ['route', 'matrix'];
+
+const providers = new Map();
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+const requestJSON = async (name, url, { timeoutMs, body } = {}) => {
+  const response = await fetch(url, {
+    method: body ? 'POST' : 'GET',
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    throw new Error(`${name}: invalid JSON (HTTP ${response.status})`);
+  }
+  if (!response.ok) {
+    throw new Error(`${name}: HTTP ${response.status}${data?.message ? ` ${data.message}` : ''}`);
+  }
+  return data;
+};
+
+/**
+ * Decode an encoded polyline (Valhalla uses precision 6).
+ *
+ * Pure function.
+ *
+ * @param {string} encoded
+ * @param {number} [precision=6]
+ * @returns {number[][]} [lng, lat] pairs
+ */
+export const decodePolyline = (encoded, precision = 6) => {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const next = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += next();
+    lng += next();
+    coordinates.push([lng / factor, lat / factor]);
+  }
+  return coordinates;
+};
+
+// ─── Providers ──────────────────────────────────────────────────────────────
+
+/**
+ * Offline provider: straight lines at a fixed average speed. Never fails.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.speedKmh=40]
+ * @returns {Object} Provider
+ */
+export const createHaversineRoutingProvider = ({ speedKmh = DEFAULT_HAVERSINE_SPEED_KMH } = {}) => {
+  const secondsFor = (km) => (km / speedKmh) * 3600;
+
+  return {
+    name: 'haversine',
+    cacheable: false,
+    route: async (points) => {
+      let km = 0;
+      for (let i = 0; i < points.length - 1; i++) km += calculateDistance(points[i], points[i + 1]);
+      return {
+        distanceMeters: Math.round(km * 1000),
+        durationSeconds: Math.round(secondsFor(km)),
+        coordinates: points.map(p => [p.lng, p.lat])
+      };
+    },
+    matrix: async (points) => {
+      const km = points.map(from => points.map(to => calculateDistance(from, to)));
+      return {
+        distancesMeters: km.map(row => row.map(d => Math.round(d * 1000))),
+        durationsSeconds: km.map(row => row.map(d => Math.round(secondsFor(d))))
+      };
+    }
+  };
+};
+
+/**
+ * OSRM HTTP API (/route/v1 and /table/v1).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.profile='driving']
+ * @param {number} [options.timeoutMs=5000]
+ * @returns {Object} Provider
+ */
+export const createOsrmRoutingProvider = ({
+  baseUrl = DEFAULT_ROUTING_BASE_URLS.osrm,
+  profile = 'driving',
+  timeoutMs = DEFAULT_ROUTING_TIMEOUT_MS
+} = {}) => {
+  const coords = (points) => points.map(p => `${p.lng},${p.lat}`).join(';');
+
+  const call = async (service, points, query) => {
+    const data = await requestJSON('osrm', `${trimSlash(baseUrl)}/${service}/v1/${profile}/${coords(points)}?${query}`, { timeoutMs });
+    if (data.code !== 'Ok') throw new Error(`osrm: ${data.code || 'no response code'}`);
+    return data;
+  };
+
+  return {
+    name: 'osrm',
+    route: async (points) => {
+      const data = await call('route', points, 'overview=full&geometries=geojson');
+      const route = data.routes?.[0];
+      if (!route) throw new Error('osrm: no route returned');
+      return {
+        distanceMeters: Math.round(route.distance),
+        durationSeconds: Math.round(route.duration),
+        coordinates: route.geometry?.coordinates || []
+      };
+    },
+    matrix: async (points) => {
+      const data = await call('table', points, 'annotations=distance,duration');
+      return { distancesMeters: data.distances, durationsSeconds: data.durations };
+    }
+  };
+};
+
+/**
+ * Valhalla-compatible API (/route and /sources_to_targets, distances in km).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.costing='auto']
+ * @param {number} [options.timeoutMs=5000]
+ * @returns {Object} Provider
+ */
+export const createValhallaRoutingProvider = ({
+  baseUrl = DEFAULT_ROUTING_BASE_URLS.valhalla,
+  costing = 'auto',
+  timeoutMs = DEFAULT_ROUTING_TIMEOUT_MS
+} = {}) => {
+  const locations = (points) => points.map(p => ({ lat: p.lat, lon: p.lng }));
+
+  return {
+    name: 'valhalla',
+    route: async (points) => {
+      const data = await requestJSON('valhalla', `${trimSlash(baseUrl)}/route`, {
+        timeoutMs,
+        body: { locations: locations(points), costing, directions_options: { units: 'kilometers' } }
+      });
+      const summary = data.trip?.summary;
+      if (!summary) throw new Error('valhalla: no route returned');
+      return {
+        distanceMeters: Math.round(summary.length * 1000),
+        durationSeconds: Math.round(summary.time),
+        coordinates: (data.trip.legs || []).flatMap((leg, i) => decodePolyline(leg.shape || '').slice(i > 0 ? 1 : 0))
+      };
+    },
+    matrix: async (points) => {
+      const data = await requestJSON('valhalla', `${trimSlash(baseUrl)}/sources_to_targets`, {
+        timeoutMs,
+        body: { sources: locations(points), targets: locations(points), costing, units: 'kilometers' }
+      });
+      const rows = data.sources_to_targets;
+      if (!rows) throw new Error('valhalla: no matrix returned');
+      return {
+        distancesMeters: rows.map(row => row.map(cell => (cell.distance === null ? null : Math.round(cell.distance * 1000)))),
+        durationsSeconds: rows.map(row => row.map(cell => cell.time))
+      };
+    }
+  };
+};
+
+/**
+ * GraphHopper-compatible API (/route and /matrix).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.profile='car']
+ * @param {number} [options.timeoutMs=5000]
+ * @returns {Object} Provider
+ */
+export const createGraphHopperRoutingProvider = ({
+  baseUrl = DEFAULT_ROUTING_BASE_URLS.graphhopper,
+  apiKey,
+  profile = 'car',
+  timeoutMs = DEFAULT_ROUTING_TIMEOUT_MS
+} = {}) => {
+  const keyParam = apiKey ? `?key=${encodeURIComponent(apiKey)}` : '';
+
+  return {
+    name: 'graphhopper',
+    route: async (points) => {
+      const query = new URLSearchParams({ profile, points_encoded: 'false' });
+      points.forEach(p => query.append('point', `${p.lat},${p.lng}`));
+      if (apiKey) query.set('key', apiKey);
+
+      const data = await requestJSON('graphhopper', `${trimSlash(baseUrl)}/route?${query}`, { timeoutMs });
+      const path = data.paths?.[0];
+      if (!path) throw new Error('graphhopper: no route returned');
+      return {
+        distanceMeters: Math.round(path.distance),
+        durationSeconds: Math.round(path.time / 1000),
+        coordinates: path.points?.coordinates || []
+      };
+    },
+    matrix: async (points) => {
+      const data = await requestJSON('graphhopper', `${trimSlash(baseUrl)}/matrix${keyParam}`, {
+        timeoutMs,
+        body: { points: points.map(p => [p.lng, p.lat]), out_arrays: ['distances', 'times'], profile }
+      });
+      if (!data.distances) throw new Error('graphhopper: no matrix returned');
+      return { distancesMeters: data.distances, durationsSeconds: data.times };
+    }
+  };
+};
+
+// ─── Registry ───────────────────────────────────────────────────────────────
+
+/**
+ * A built-in provider configured from the environment.
+ *
+ * @param {string} name - One of ROUTING_PROVIDER_NAMES
+ * @returns {Object|null} null for an unknown name
+ */
+export const createRoutingProviderFromEnv = (name) => {
+  const timeoutMs = readNumber(process.env.ROUTING_TIMEOUT_MS, DEFAULT_ROUTING_TIMEOUT_MS);
+  const baseUrl = process.env.ROUTING_BASE_URL || DEFAULT_ROUTING_BASE_URLS[name];
+
+  switch (name) {
+  case 'osrm':
+    return createOsrmRoutingProvider({ baseUrl, timeoutMs });
+  case 'valhalla':
+    return createValhallaRoutingProvider({ baseUrl, timeoutMs });
+  case 'graphhopper':
+    return createGraphHopperRoutingProvider({ baseUrl, timeoutMs, apiKey: process.env.ROUTING_API_KEY });
+  case 'haversine':
+    return createHaversineRoutingProvider({
+      speedKmh: readNumber(process.env.ROUTING_HAVERSINE_SPEED_KMH, DEFAULT_HAVERSINE_SPEED_KMH)
+    });
+  default:
+    return null;
+  }
+};
+
+/**
+ * Register a provider so it can be selected by name. A registered provider takes
+ * precedence over the built-in one of the same name.
+ *
+ * @param {Object} provider
+ * @throws {Error} When the provider does not implement the interface
+ */
+export const registerRoutingProvider = (provider) => {
+  if (!provider?.name) {
+    throw new Error('Routing provider must have a name');
+  }
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Routing provider "${provider.name}" is missing: ${missing.join(', ')}`);
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * The provider configured by ROUTING_PROVIDER (default 'osrm'), or a named one.
+ *
+ * @param {string} [name]
+ * @returns {Object}
+ * @throws {Error} When no provider is known under that name
+ */
+export const getRoutingProvider = (name = process.env.ROUTING_PROVIDER || 'osrm') => {
+  const provider = providers.get(name) || createRoutingProviderFromEnv(name);
+  if (!provider) {
+    throw new Error(`Unknown routing provider "${name}"`);
+  }
+  return provider;
+};
+
+export default {
+  ROUTING_PROVIDER_NAMES,
+  DEFAULT_ROUTING_BASE_URLS,
+  decodePolyline,
+  createHaversineRoutingProvider,
+  createOsrmRoutingProvider,
+  createValhallaRoutingProvider,
+  createGraphHopperRoutingProvider,
+  createRoutingProviderFromEnv,
+  registerRoutingProvider,
+  getRoutingProvider
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import {
+  decodePolyline,
+  createHaversineRoutingProvider,
+  createOsrmRoutingProvider,
+  createValhallaRoutingProvider,
+  createGraphHopperRoutingProvider,
+  registerRoutingProvider,
+  getRoutingProvider
+} from './routingProvider.service.js';
+import { startRoutingStubServer } from '../../tests/routingStubServer.js';
+
+/**
+ * @fileoverview Routing Provider Service Tests
+ * @description Each HTTP provider against the local routing stub, the offline provider
+ * and the registry
+ */
+
+// Bengaluru: MG Road -> Koramangala -> HSR Layout
+const points = [
+  { lat: 12.9756, lng: 77.6050 },
+  { lat: 12.9352, lng: 77.6245 },
+  { lat: 12.9116, lng: 77.6389 }
+];
+
+describe('Routing Provider Service', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startRoutingStubServer();
+  });
+
+  afterAll(async () => {
+    await stub.close();
+  });
+
+  afterEach(() => {
+    stub.setFailure(null);
+  });
+
+  describe('HTTP providers', () => {
+    const cases = [
+      ['osrm', () => createOsrmRoutingProvider({ baseUrl: stub.url })],
+      ['valhalla', () => createValhallaRoutingProvider({ baseUrl: stub.url })],
+      ['graphhopper', () => createGraphHopperRoutingProvider({ baseUrl: stub.url, apiKey: 'test-key' })]
+    ];
+
+    it.each(cases)('%s should return the same route as the others', async (_name, create) => {
+      const route = await create().route(points);
+      const reference = await createOsrmRoutingProvider({ baseUrl: stub.url }).route(points);
+
+      expect(route.distanceMeters).toBe(reference.distanceMeters);
+      expect(route.durationSeconds).toBe(reference.durationSeconds);
+      expect(route.coordinates[0][0]).toBeCloseTo(points[0].lng, 5);
+      expect(route.coordinates[route.coordinates.length - 1][1]).toBeCloseTo(points[2].lat, 5);
+    });
+
+    it.each(cases)('%s should return a square matrix with a zero diagonal', async (_name, create) => {
+      const { distancesMeters, durationsSeconds } = await create().matrix(points);
+
+      expect(distancesMeters).toHaveLength(3);
+      expect(durationsSeconds[1]).toHaveLength(3);
+      expect(distancesMeters[1][1]).toBe(0);
+      expect(distancesMeters[0][2]).toBeGreaterThan(distancesMeters[0][1]);
+    });
+
+    it.each(cases)('%s should reject when the engine fails', async (name, create) => {
+      stub.setFailure(503);
+      await expect(create().route(points)).rejects.toThrow(`${name}: HTTP 503`);
+    });
+  });
+
+  describe('createHaversineRoutingProvider', () => {
+    it('should drive straight lines at the configured speed', async () => {
+      const provider = createHaversineRoutingProvider({ speedKmh: 36 });
+      const { distanceMeters, durationSeconds } = await provider.route(points.slice(0, 2));
+
+      // 36 km/h is 10 m/s
+      expect(durationSeconds).toBeCloseTo(distanceMeters / 10, -1);
+      expect(provider.cacheable).toBe(false);
+    });
+  });
+
+  describe('decodePolyline', () => {
+    it('should decode a precision-6 polyline to [lng, lat] pairs', () => {
+      const coordinates = decodePolyline('_~}vWogs_sC~{mAwae@');
+      expect(coordinates).toEqual([[77.605, 12.9756], [77.6245, 12.9352]]);
+    });
+
+    it('should decode the reference precision-5 example', () => {
+      expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@', 5))
+        .toEqual([[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]]);
+    });
+  });
+
+  describe('registry', () => {
+    it('should build a built-in provider by name', () => {
+      expect(getRoutingProvider('valhalla').name).toBe('valhalla');
+    });
+
+    it('should return a registered provider by name', () => {
+      const custom = { name: 'custom-routing', route: async () => ({}), matrix: async () => ({}) };
+      registerRoutingProvider(custom);
+      expect(getRoutingProvider('custom-routing')).toBe(custom);
+    });
+
+    it('should reject a provider missing a method', () => {
+      expect(() => registerRoutingProvider({ name: 'broken', route: async () => ({}) }))
+        .toThrow('missing: matrix');
+    });
+
+    it('should throw for an unknown provider', () => {
+      expect(() => getRoutingProvider('nope')).toThrow('Unknown routing provider "nope"');
+    });
+  });
+});
@@ -0,0 +1,294 @@
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { calculateDistance } from './routeOptimization.service.js';
+import { ACTIVE_TRIP_STATUSES } from './tripLifecycle.service.js';
+import { recordPickup, recordDropoff } from './ridePickup.service.js';
+import { httpError } from '../utils/service.utils.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Stop Detection Service
+ * @description Detects pickups and drop-offs from the driver's GPS so points, fares and
+ * share links do not depend on the driver remembering to tap. For each approved
+ * passenger the next stop is their pickup, then their drop-off (or the trip's
+ * destination). When the driver stays inside the stop's geofence for the dwell time
+ * they are asked to confirm (`stop-detected`); without an answer the stop is confirmed
+ * automatically and recorded as AUTO. The driver can still confirm manually or dismiss.
+ *
+ * State lives on the ride request (stopDetection) so it survives restarts and is shared
+ * by every API process. Location updates drive it; the confirm-detected-stops job
+ * confirms prompts that time out while no updates arrive.
+ *
+ * Configuration (environment):
+ * - STOP_GEOFENCE_METERS: radius around a stop (default 75)
+ * - STOP_DWELL_SECONDS: time inside the radius before prompting (default 30)
+ * - STOP_AUTO_CONFIRM_SECONDS: time to answer the prompt before auto-confirmation (default 60)
+ *
+ * @module services/stopDetection.service
+ */
+
+export const DEFAULT_STOP_GEOFENCE_METERS = 75;
+export const DEFAULT_STOP_DWELL_SECONDS = 30;
+export const DEFAULT_STOP_AUTO_CONFIRM_SECONDS = 60;
+
+/**
+ * Current detection settings, read from the environment on each call.
+ *
+ * @returns {{ radiusMeters: number, dwellSeconds: number, confirmSeconds: number }}
+ */
+export const getStopDetectionSettings = () => ({
+  radiusMeters: readNumber(process.env.STOP_GEOFENCE_METERS, DEFAULT_STOP_GEOFENCE_METERS),
+  dwellSeconds: readNumber(process.env.STOP_DWELL_SECONDS, DEFAULT_STOP_DWELL_SECONDS, { allowZero: true }),
+  confirmSeconds: readNumber(process.env.STOP_AUTO_CONFIRM_SECONDS, DEFAULT_STOP_AUTO_CONFIRM_SECONDS, { allowZero: true })
+});
+
+const toPoint = (coords) => (coords?.length === 2 ? { lat: coords[1], lng: coords[0] } : null);
+
+/**
+ * The passenger's next stop and where it is.
+ *
+ * @param {Object} ride - { pickupStatus, pickupLocation, dropoffLocation }
+ * @param {Object} trip - { destinationLocation }
+ * @returns {{ stop: string, point: { lat: number, lng: number } }|null} null when there is no stop left or no coordinates
+ */
+export const getNextStop = (ride, trip) => {
+  if (ride.pickupStatus === 'WAITING') {
+    const point = toPoint(ride.pickupLocation?.coordinates?.coordinates);
+    return point && { stop: 'PICKUP', point };
+  }
+  if (ride.pickupStatus === 'PICKED_UP') {
+    const point = toPoint(ride.dropoffLocation?.coordinates?.coordinates)
+      || toPoint(trip?.destinationLocation?.coordinates?.coordinates);
+    return point && { stop: 'DROPOFF', point };
+  }
+  return null;
+};
+
+/**
+ * What a driver position means for one passenger's next stop.
+ *
+ * Actions:
+ * - ENTER: driver just entered the geofence, start the dwell clock
+ * - LEAVE: driver left before being prompted (or after dismissing), reset
+ * - PROMPT: dwell time reached, ask the driver to confirm
+ * - CONFIRM: prompt went unanswered, confirm automatically
+ * - NONE: nothing to do
+ *
+ * Once prompted, leaving the geofence does not cancel the prompt - drivers usually pull
+ * away right after a pickup.
+ *
+ * @param {Object} params
+ * @param {Object} params.ride - With pickupStatus, locations and stopDetection
+ * @param {Object} params.trip - With destinationLocation
+ * @param {{ lat: number, lng: number }} params.location - Driver position
+ * @param {Object} params.settings - From getStopDetectionSettings
+ * @param {Date} [params.now]
+ * @returns {{ action: string, stop?: string }}
+ */
+export const evaluateStopDetection = ({ ride, trip, location, settings, now = new Date() }) => {
+  const next = getNextStop(ride, trip);
+  if (!next) return { action: 'NONE' };
+
+  // State left over from the previous stop does not count for this one
+  const state = ride.stopDetection?.stop === next.stop ? ride.stopDetection : {};
+  const { stop } = next;
+
+  if (state.promptedAt) {
+    return state.autoConfirmAt && now >= new Date(state.autoConfirmAt)
+      ? { action: 'CONFIRM', stop }
+      : { action: 'NONE', stop };
+  }
+
+  const inside = calculateDistance(location, next.point) * 1000 <= settings.radiusMeters;
+  if (!inside) {
+    return state.enteredAt || state.dismissed ? { action: 'LEAVE', stop } : { action: 'NONE', stop };
+  }
+
+  if (state.dismissed) return { action: 'NONE', stop };
+  if (!state.enteredAt) return { action: 'ENTER', stop };
+
+  const dwellMs = now.getTime() - new Date(state.enteredAt).getTime();
+  return dwellMs >= settings.dwellSeconds * 1000 ? { action: 'PROMPT', stop } : { action: 'NONE', stop };
+};
+
+const notifyDriver = (driverId, event, payload) => {
+  try {
+    getIO().to(`user-${driverId}`).emit(event, { ...payload, timestamp: new Date() });
+  } catch (socketError) {
+    console.error('Socket.io emit error in stop detection:', socketError);
+  }
+};
+
+const loadRideForStop = (rideRequestId) =>
+  RideRequest.findById(rideRequestId)
+    .populate('passengerId', 'name email')
+    .populate('tripId');
+
+/**
+ * Confirm a detected stop without the driver (AUTO). Skips rides that moved on in the
+ * meantime, e.g. the driver confirmed manually.
+ *
+ * @param {string} rideRequestId
+ * @param {string} stop - PICKUP or DROPOFF
+ * @returns {Promise<boolean>} Whether the stop was confirmed
+ */
+export const autoConfirmStop = async (rideRequestId, stop) => {
+  const ride = await loadRideForStop(rideRequestId);
+  if (!ride || ride.stopDetection?.stop !== stop || !ride.stopDetection?.promptedAt) return false;
+
+  try {
+    if (stop === 'PICKUP') {
+      await recordPickup(ride, { method: 'AUTO' });
+    } else {
+      await recordDropoff(ride, { method: 'AUTO' });
+    }
+  } catch (error) {
+    if (!error.status) throw error;
+    // No longer possible (trip ended, no-show...) - drop the stale prompt
+    await RideRequest.updateOne({ _id: ride._id }, { $unset: { stopDetection: 1 } });
+    return false;
+  }
+
+  notifyDriver(ride.tripId.driverId, 'stop-auto-confirmed', {
+    rideId: ride._id,
+    tripId: ride.tripId._id,
+    stop,
+    passengerName: ride.passengerId?.name
+  });
+  return true;
+};
+
+/**
+ * Run stop detection for every passenger on the trip against a new driver position.
+ * Called from the location handlers after the position is saved; never throws.
+ *
+ * @param {Object} trip - Trip document (status, driverId, destinationLocation)
+ * @param {{ lat: number, lng: number }} location
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Actions taken, { rideId, action, stop }
+ */
+export const detectStopsFromLocation = async (trip, location, now = new Date()) => {
+  if (!ACTIVE_TRIP_STATUSES.includes(trip.status)) return [];
+  if (!Number.isFinite(location?.lat) || !Number.isFinite(location?.lng)) return [];
+
+  try {
+    const settings = getStopDetectionSettings();
+    const rides = await RideRequest.find({
+      tripId: trip._id,
+      status: 'APPROVED',
+      pickupStatus: { $in: ['WAITING', 'PICKED_UP'] }
+    })
+      .select('passengerId pickupStatus pickupLocation dropoffLocation stopDetection')
+      .populate('passengerId', 'name')
+      .lean();
+
+    const taken = [];
+    for (const ride of rides) {
+      const { action, stop } = evaluateStopDetection({ ride, trip, location, settings, now });
+      if (action === 'NONE') continue;
+
+      if (action === 'ENTER') {
+        await RideRequest.updateOne(
+          { _id: ride._id, pickupStatus: ride.pickupStatus },
+          { $set: { stopDetection: { stop, enteredAt: now } } }
+        );
+      } else if (action === 'LEAVE') {
+        await RideRequest.updateOne(
+          { _id: ride._id, 'stopDetection.promptedAt': { $exists: false } },
+          { $unset: { stopDetection: 1 } }
+        );
+      } else if (action === 'PROMPT') {
+        const autoConfirmAt = new Date(now.getTime() + settings.confirmSeconds * 1000);
+        // Conditional so two location updates racing do not prompt twice
+        const { modifiedCount } = await RideRequest.updateOne(
+          { _id: ride._id, 'stopDetection.stop': stop, 'stopDetection.promptedAt': { $exists: false } },
+          { $set: { 'stopDetection.promptedAt': now, 'stopDetection.autoConfirmAt': autoConfirmAt } }
+        );
+        if (modifiedCount === 0) continue;
+        notifyDriver(trip.driverId, 'stop-detected', {
+          rideId: ride._id,
+          tripId: trip._id,
+          stop,
+          passengerName: ride.passengerId?.name,
+          autoConfirmAt
+        });
+      } else if (action === 'CONFIRM') {
+        if (!(await autoConfirmStop(ride._id, stop))) continue;
+      }
+
+      taken.push({ rideId: ride._id, action, stop });
+    }
+    return taken;
+  } catch (error) {
+    console.error('Stop detection failed for trip', String(trip._id), error.message);
+    return [];
+  }
+};
+
+/**
+ * Confirm every prompt whose timeout has passed. Run by the confirm-detected-stops job
+ * for drivers whose app stopped sending locations after the prompt.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ confirmed: number }>}
+ */
+export const confirmDueStops = async (now = new Date()) => {
+  const due = await RideRequest.find({
+    status: 'APPROVED',
+    'stopDetection.autoConfirmAt': { $lte: now }
+  })
+    .select('stopDetection.stop')
+    .lean();
+
+  let confirmed = 0;
+  for (const ride of due) {
+    try {
+      if (await autoConfirmStop(ride._id, ride.stopDetection.stop)) confirmed += 1;
+    } catch (error) {
+      console.error('Auto-confirming stop failed for ride', String(ride._id), error.message);
+    }
+  }
+  return { confirmed };
+};
+
+/**
+ * Driver answers "not yet" to a prompt. No new prompt for this stop until the driver
+ * has left its geofence.
+ *
+ * @param {Object} params
+ * @param {string} params.rideRequestId
+ * @param {string} params.driverId
+ * @returns {Promise<void>}
+ * @throws {Error} 404 ride not found, 403 not the driver, 400 no pending prompt
+ */
+export const dismissStopPrompt = async ({ rideRequestId, driverId }) => {
+  const ride = await RideRequest.findById(rideRequestId)
+    .select('tripId stopDetection')
+    .populate('tripId', 'driverId');
+  if (!ride) throw httpError('Ride request not found', 404);
+  if (String(ride.tripId.driverId) !== String(driverId)) {
+    throw httpError('Only the trip driver can dismiss stop prompts', 403);
+  }
+
+  const { modifiedCount } = await RideRequest.updateOne(
+    { _id: ride._id, 'stopDetection.promptedAt': { $exists: true } },
+    {
+      $set: { 'stopDetection.dismissed': true },
+      $unset: { 'stopDetection.promptedAt': 1, 'stopDetection.autoConfirmAt': 1 }
+    }
+  );
+  if (modifiedCount === 0) throw httpError('No stop is waiting for confirmation', 400);
+};
+
+export default {
+  DEFAULT_STOP_GEOFENCE_METERS,
+  DEFAULT_STOP_DWELL_SECONDS,
+  DEFAULT_STOP_AUTO_CONFIRM_SECONDS,
+  getStopDetectionSettings,
+  getNextStop,
+  evaluateStopDetection,
+  autoConfirmStop,
+  detectStopsFromLocation,
+  confirmDueStops,
+  dismissStopPrompt
+};
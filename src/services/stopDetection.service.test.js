@@ -0,0 +1,140 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  DEFAULT_STOP_GEOFENCE_METERS,
+  getStopDetectionSettings,
+  getNextStop,
+  evaluateStopDetection
+} from './stopDetection.service.js';
+import { getStopBlocker } from './ridePickup.service.js';
+
+/**
+ * @fileoverview Stop Detection Service Tests
+ * @description Tests for geofence and dwell handling of pickups and drop-offs, and for
+ * when a ride can move to its next stop
+ */
+
+const PICKUP = [77.5946, 12.9716];   // [lng, lat]
+const DROPOFF = [77.6408, 12.9784];
+const DESTINATION = [77.7500, 12.9900];
+
+const AT_PICKUP = { lat: 12.9716, lng: 77.5946 };
+const NEAR_PICKUP = { lat: 12.9719, lng: 77.5947 };  // ~35 m away
+const FAR_FROM_PICKUP = { lat: 12.9760, lng: 77.5946 }; // ~490 m away
+
+const settings = { radiusMeters: 75, dwellSeconds: 30, confirmSeconds: 60 };
+const trip = { destinationLocation: { coordinates: { type: 'Point', coordinates: DESTINATION } } };
+const NOW = new Date('2026-03-02T08:40:00Z');
+const secondsAgo = (s) => new Date(NOW.getTime() - s * 1000);
+
+const waitingRide = (stopDetection) => ({
+  pickupStatus: 'WAITING',
+  pickupLocation: { address: 'Main Gate', coordinates: { type: 'Point', coordinates: PICKUP } },
+  dropoffLocation: { address: 'Office', coordinates: { type: 'Point', coordinates: DROPOFF } },
+  stopDetection
+});
+
+const evaluate = (ride, location = AT_PICKUP) =>
+  evaluateStopDetection({ ride, trip, location, settings, now: NOW });
+
+describe('Stop Detection Service', () => {
+  describe('getStopDetectionSettings', () => {
+    afterEach(() => {
+      delete process.env.STOP_GEOFENCE_METERS;
+      delete process.env.STOP_DWELL_SECONDS;
+    });
+
+    it('should use defaults', () => {
+      expect(getStopDetectionSettings().radiusMeters).toBe(DEFAULT_STOP_GEOFENCE_METERS);
+    });
+
+    it('should read the environment and ignore invalid values', () => {
+      process.env.STOP_GEOFENCE_METERS = '120';
+      process.env.STOP_DWELL_SECONDS = '-5';
+      const current = getStopDetectionSettings();
+      expect(current.radiusMeters).toBe(120);
+      expect(current.dwellSeconds).toBe(30);
+    });
+  });
+
+  describe('getNextStop', () => {
+    it('should be the pickup while the passenger is waiting', () => {
+      expect(getNextStop(waitingRide(), trip)).toEqual({ stop: 'PICKUP', point: { lat: PICKUP[1], lng: PICKUP[0] } });
+    });
+
+    it('should be the drop-off once picked up', () => {
+      const ride = { ...waitingRide(), pickupStatus: 'PICKED_UP' };
+      expect(getNextStop(ride, trip).point).toEqual({ lat: DROPOFF[1], lng: DROPOFF[0] });
+    });
+
+    it('should fall back to the trip destination without a drop-off point', () => {
+      const ride = { ...waitingRide(), pickupStatus: 'PICKED_UP', dropoffLocation: undefined };
+      expect(getNextStop(ride, trip)).toEqual({ stop: 'DROPOFF', point: { lat: DESTINATION[1], lng: DESTINATION[0] } });
+    });
+
+    it('should have no stop after drop-off or a no-show', () => {
+      expect(getNextStop({ ...waitingRide(), pickupStatus: 'DROPPED_OFF' }, trip)).toBeNull();
+      expect(getNextStop({ ...waitingRide(), pickupStatus: 'NO_SHOW' }, trip)).toBeNull();
+    });
+  });
+
+  describe('evaluateStopDetection', () => {
+    it('should start the dwell clock on entering the geofence', () => {
+      expect(evaluate(waitingRide(), NEAR_PICKUP)).toEqual({ action: 'ENTER', stop: 'PICKUP' });
+    });
+
+    it('should do nothing outside the geofence', () => {
+      expect(evaluate(waitingRide(), FAR_FROM_PICKUP)).toEqual({ action: 'NONE', stop: 'PICKUP' });
+    });
+
+    it('should wait for the dwell time before prompting', () => {
+      expect(evaluate(waitingRide({ stop: 'PICKUP', enteredAt: secondsAgo(10) })).action).toBe('NONE');
+      expect(evaluate(waitingRide({ stop: 'PICKUP', enteredAt: secondsAgo(30) })).action).toBe('PROMPT');
+    });
+
+    it('should reset when the driver leaves before the prompt', () => {
+      const ride = waitingRide({ stop: 'PICKUP', enteredAt: secondsAgo(10) });
+      expect(evaluate(ride, FAR_FROM_PICKUP).action).toBe('LEAVE');
+    });
+
+    it('should keep a prompt when the driver drives off and confirm it after the timeout', () => {
+      const pending = { stop: 'PICKUP', enteredAt: secondsAgo(90), promptedAt: secondsAgo(50), autoConfirmAt: new Date(NOW.getTime() + 10000) };
+      expect(evaluate(waitingRide(pending), FAR_FROM_PICKUP).action).toBe('NONE');
+
+      const due = { ...pending, autoConfirmAt: secondsAgo(1) };
+      expect(evaluate(waitingRide(due), FAR_FROM_PICKUP)).toEqual({ action: 'CONFIRM', stop: 'PICKUP' });
+    });
+
+    it('should not prompt again after a dismissal until the driver leaves', () => {
+      const dismissed = { stop: 'PICKUP', enteredAt: secondsAgo(300), dismissed: true };
+      expect(evaluate(waitingRide(dismissed)).action).toBe('NONE');
+      expect(evaluate(waitingRide(dismissed), FAR_FROM_PICKUP).action).toBe('LEAVE');
+    });
+
+    it('should ignore state left from the pickup when heading to the drop-off', () => {
+      const ride = { ...waitingRide({ stop: 'PICKUP', enteredAt: secondsAgo(300) }), pickupStatus: 'PICKED_UP' };
+      const atDropoff = { lat: DROPOFF[1], lng: DROPOFF[0] };
+      expect(evaluate(ride, atDropoff)).toEqual({ action: 'ENTER', stop: 'DROPOFF' });
+    });
+  });
+
+  describe('getStopBlocker', () => {
+    const activeTrip = { status: 'STARTED' };
+
+    it('should allow picking up a waiting approved passenger on an active trip', () => {
+      expect(getStopBlocker({ status: 'APPROVED', pickupStatus: 'WAITING' }, activeTrip, 'PICKUP')).toBeNull();
+    });
+
+    it('should not pick up before the trip starts or after a no-show', () => {
+      expect(getStopBlocker({ status: 'APPROVED', pickupStatus: 'WAITING' }, { status: 'SCHEDULED' }, 'PICKUP'))
+        .toMatch(/Start the trip/);
+      expect(getStopBlocker({ status: 'APPROVED', pickupStatus: 'NO_SHOW' }, activeTrip, 'PICKUP'))
+        .toMatch(/no-show/);
+    });
+
+    it('should only drop off picked-up passengers', () => {
+      expect(getStopBlocker({ status: 'APPROVED', pickupStatus: 'WAITING' }, activeTrip, 'DROPOFF'))
+        .toMatch(/picked up before/);
+      expect(getStopBlocker({ status: 'APPROVED', pickupStatus: 'PICKED_UP' }, activeTrip, 'DROPOFF')).toBeNull();
+    });
+  });
+});
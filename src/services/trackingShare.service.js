@@ -0,0 +1,395 @@
+import crypto from 'crypto';
+import TrackingShare from '../models/TrackingShare.js';
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { calculateETA } from './etaService.js';
+import { httpError } from '../utils/service.utils.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Tracking Share Service
+ * @description Time-limited, revocable links that let someone without an account follow
+ * a passenger's ride. Viewers see only the driver's position, the ETA to the passenger's
+ * next stop (pickup, then drop-off), the vehicle and the ride status - never the other
+ * passengers or anyone's contact details.
+ *
+ * Viewers connect to the `/shared-tracking` socket namespace (sockets/sharedTrackingSocket.js)
+ * and are placed in rooms `trip:<tripId>`, `ride:<rideRequestId>` and `share:<shareId>`.
+ * Links end at their expiry, when revoked, or when the ride ends.
+ *
+ * Configuration (environment):
+ * - TRACKING_SHARE_MAX_MINUTES: longest a link can last (default 720)
+ *
+ * @module services/trackingShare.service
+ */
+
+export const SHARE_NAMESPACE = '/shared-tracking';
+export const DEFAULT_SHARE_MINUTES = 120;
+export const DEFAULT_MAX_SHARE_MINUTES = 720;
+
+/** Ride states a link can be created for and stays valid in */
+const SHAREABLE_PICKUP_STATUSES = ['WAITING', 'PICKED_UP'];
+const ENDED_TRIP_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+/**
+ * Longest allowed link duration in minutes, read from the environment on each call.
+ *
+ * @returns {number}
+ */
+export const getMaxShareMinutes = () => {
+  return readNumber(process.env.TRACKING_SHARE_MAX_MINUTES, DEFAULT_MAX_SHARE_MINUTES);
+};
+
+// ─── Tokens and views ───────────────────────────────────────────────────────
+
+/**
+ * SHA-256 hex digest stored in place of the token.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+export const hashShareToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Expiry for a new link, capped at the maximum duration.
+ *
+ * @param {number} [minutes] - Requested duration
+ * @param {number} maxMinutes
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getShareExpiry = (minutes, maxMinutes, now = new Date()) => {
+  const requested = Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_SHARE_MINUTES;
+  return new Date(now.getTime() + Math.min(requested, maxMinutes) * 60 * 1000);
+};
+
+/**
+ * Why a ride can no longer be followed through a link, or null if it can.
+ *
+ * @param {Object} ride - { status, pickupStatus }
+ * @param {Object} trip - { status }
+ * @returns {string|null} DROPPED_OFF, RIDE_ENDED or null
+ */
+export const getRideShareEndReason = (ride, trip) => {
+  if (ride.pickupStatus === 'DROPPED_OFF') return 'DROPPED_OFF';
+  if (
+    ride.status !== 'APPROVED' ||
+    !SHAREABLE_PICKUP_STATUSES.includes(ride.pickupStatus) ||
+    ENDED_TRIP_STATUSES.includes(trip.status)
+  ) {
+    return 'RIDE_ENDED';
+  }
+  return null;
+};
+
+/**
+ * The stop the ETA is measured to: the pickup point until the passenger is on board,
+ * then their drop-off point (or the trip destination when they did not set one).
+ *
+ * @param {Object} ride
+ * @param {Object} trip
+ * @returns {{stop: 'PICKUP'|'DROPOFF', lat: number, lng: number}|null}
+ */
+export const getShareTarget = (ride, trip) => {
+  const coords = ride.pickupStatus === 'PICKED_UP'
+    ? ride.dropoffLocation?.coordinates?.coordinates || trip.destinationLocation?.coordinates?.coordinates
+    : ride.pickupLocation?.coordinates?.coordinates;
+  if (!coords || coords.length !== 2) return null;
+
+  return {
+    stop: ride.pickupStatus === 'PICKED_UP' ? 'DROPOFF' : 'PICKUP',
+    lat: coords[1],
+    lng: coords[0]
+  };
+};
+
+/**
+ * What a link viewer is shown. Nothing identifying the passenger, the driver's contact
+ * details or other passengers is included.
+ *
+ * @param {Object} params
+ * @param {Object} params.trip - With vehicleId populated when it has one
+ * @param {Object} params.ride
+ * @param {Object|null} params.eta - From calculateETA
+ * @param {Date} params.expiresAt
+ * @returns {Object}
+ */
+export const buildSharedTrackingView = ({ trip, ride, eta, expiresAt }) => {
+  const [lng, lat] = trip.currentLocation?.coordinates || [];
+  const vehicle = trip.vehicleId?.registrationNumber
+    ? {
+        vehicleType: trip.vehicleId.vehicleType || trip.vehicleType,
+        make: trip.vehicleId.make,
+        model: trip.vehicleId.model,
+        colour: trip.vehicleId.colour,
+        registrationNumber: trip.vehicleId.registrationNumber
+      }
+    : { vehicleType: trip.vehicleType };
+
+  return {
+    tripStatus: trip.status,
+    rideStatus: ride.pickupStatus,
+    driverLocation: lat !== undefined && lng !== undefined ? { lat, lng } : null,
+    eta: eta ? { ...eta, stop: getShareTarget(ride, trip)?.stop } : null,
+    vehicle,
+    expiresAt
+  };
+};
+
+// ─── Sockets ────────────────────────────────────────────────────────────────
+
+const shareNamespace = () => getIO().of(SHARE_NAMESPACE);
+
+/**
+ * Tell viewers of the given rooms their link has ended and disconnect them.
+ */
+const endViewerSockets = (rooms, reason) => {
+  try {
+    const ns = shareNamespace();
+    ns.to(rooms).emit('share-ended', { reason, timestamp: new Date() });
+    ns.in(rooms).disconnectSockets(true);
+  } catch (socketError) {
+    console.error('Shared tracking socket error:', socketError.message);
+  }
+};
+
+// ─── Links ──────────────────────────────────────────────────────────────────
+
+const ACTIVE = () => ({ expiresAt: { $gt: new Date() } });
+
+/**
+ * Create a link for the passenger's own ride.
+ *
+ * @param {Object} params
+ * @param {string} params.rideRequestId
+ * @param {string} params.userId - Must be the ride's passenger
+ * @param {number} [params.expiresInMinutes] - Default 120, capped at TRACKING_SHARE_MAX_MINUTES
+ * @param {string} [params.label]
+ * @returns {Promise<{share: Object, token: string}>} The token is not stored and cannot be shown again
+ * @throws {Error} 404 ride not found, 403 not the passenger, 400 ride not approved or already over
+ */
+export const createTrackingShare = async ({ rideRequestId, userId, expiresInMinutes, label }) => {
+  const ride = await RideRequest.findById(rideRequestId)
+    .select('passengerId tripId status pickupStatus')
+    .populate('tripId', 'status');
+  if (!ride || !ride.tripId) {
+    throw httpError('Ride request not found', 404);
+  }
+  if (ride.passengerId.toString() !== String(userId)) {
+    throw httpError('Only the passenger can share this ride', 403);
+  }
+  if (getRideShareEndReason(ride, ride.tripId)) {
+    throw httpError('Only approved rides that have not ended can be shared', 400);
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const share = await TrackingShare.create({
+    rideRequestId: ride._id,
+    tripId: ride.tripId._id,
+    passengerId: userId,
+    tokenHash: hashShareToken(token),
+    label,
+    expiresAt: getShareExpiry(expiresInMinutes, getMaxShareMinutes())
+  });
+
+  return { share, token };
+};
+
+/**
+ * Links the passenger created for a ride, newest first.
+ *
+ * @param {Object} params
+ * @param {string} params.rideRequestId
+ * @param {string} params.userId
+ * @returns {Promise<Object[]>} Each with an `active` flag
+ */
+export const listTrackingShares = async ({ rideRequestId, userId }) => {
+  const shares = await TrackingShare.find({ rideRequestId, passengerId: userId })
+    .sort({ createdAt: -1 })
+    .lean();
+  const now = Date.now();
+  return shares.map(share => ({ ...share, active: new Date(share.expiresAt).getTime() > now }));
+};
+
+/**
+ * Revoke one of the passenger's links. Connected viewers are disconnected.
+ *
+ * @param {Object} params
+ * @param {string} params.rideRequestId
+ * @param {string} params.shareId
+ * @param {string} params.userId
+ * @returns {Promise<Object>} Updated link
+ * @throws {Error} 404 when the link is not the passenger's or has already ended
+ */
+export const revokeTrackingShare = async ({ rideRequestId, shareId, userId }) => {
+  const now = new Date();
+  const share = await TrackingShare.findOneAndUpdate(
+    { _id: shareId, rideRequestId, passengerId: userId, ...ACTIVE() },
+    { $set: { expiresAt: now, endedAt: now, endedReason: 'REVOKED' } },
+    { new: true }
+  );
+  if (!share) {
+    throw httpError('Active share link not found', 404);
+  }
+
+  endViewerSockets(`share:${share._id}`, 'REVOKED');
+  return share;
+};
+
+/**
+ * End all open links for a ride, or for every ride on a trip.
+ * Called on drop-off, no-show and when a trip completes or is cancelled.
+ *
+ * @param {Object} filter - { rideRequestId } or { tripId }
+ * @param {string} reason - DROPPED_OFF or RIDE_ENDED
+ * @returns {Promise<number>} Links ended
+ */
+export const endTrackingShares = async (filter, reason) => {
+  const now = new Date();
+  const result = await TrackingShare.updateMany(
+    { ...filter, ...ACTIVE() },
+    { $set: { expiresAt: now, endedAt: now, endedReason: reason } }
+  );
+  if (result.modifiedCount > 0) {
+    endViewerSockets(
+      filter.rideRequestId ? `ride:${filter.rideRequestId}` : `trip:${filter.tripId}`,
+      reason
+    );
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Look up an active link by its token, with the ride and trip it shows.
+ * A link whose ride has ended is ended on the spot.
+ *
+ * @param {string} token
+ * @returns {Promise<{share: Object, ride: Object, trip: Object}>}
+ * @throws {Error} 404 unknown token, 410 expired, revoked or ride over
+ */
+export const resolveTrackingShare = async (token) => {
+  const share = await TrackingShare.findOne({ tokenHash: hashShareToken(token) });
+  if (!share) {
+    throw httpError('Tracking link not found', 404);
+  }
+  if (share.expiresAt <= new Date()) {
+    throw httpError('This tracking link has expired', 410);
+  }
+
+  const ride = await RideRequest.findById(share.rideRequestId)
+    .select('tripId status pickupStatus pickupLocation dropoffLocation')
+    .populate({
+      path: 'tripId',
+      select: 'status currentLocation destinationLocation vehicleType vehicleId',
+      populate: { path: 'vehicleId', select: 'registrationNumber make model colour vehicleType' }
+    });
+
+  const endReason = ride?.tripId ? getRideShareEndReason(ride, ride.tripId) : 'RIDE_ENDED';
+  if (endReason) {
+    await endTrackingShares({ rideRequestId: share.rideRequestId }, endReason);
+    throw httpError('This ride has ended', 410);
+  }
+
+  return { share, ride, trip: ride.tripId };
+};
+
+/**
+ * The read-only view for a link, with the ETA to the passenger's next stop.
+ *
+ * @param {string} token
+ * @returns {Promise<Object>} See buildSharedTrackingView
+ */
+export const getSharedTrackingView = async (token) => {
+  const { share, ride, trip } = await resolveTrackingShare(token);
+
+  let eta = null;
+  const [lng, lat] = trip.currentLocation?.coordinates || [];
+  const target = getShareTarget(ride, trip);
+  if (lat !== undefined && target) {
+    try {
+      eta = await calculateETA({ lat, lng }, target);
+    } catch (etaErr) {
+      console.warn('[ETA] Shared tracking ETA failed:', etaErr.message);
+    }
+  }
+
+  TrackingShare.updateOne({ _id: share._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } })
+    .catch(err => console.error('Share view count update failed:', err.message));
+
+  return buildSharedTrackingView({ trip, ride, eta, expiresAt: share.expiresAt });
+};
+
+/**
+ * Send the driver's new position to link viewers of a trip, with each ride's ETA to
+ * its next stop. Does nothing when no viewer is connected.
+ *
+ * @param {Object} trip - Trip with currentLocation already updated
+ * @returns {Promise<void>}
+ */
+export const forwardLocationToShareViewers = async (trip) => {
+  const ns = shareNamespace();
+  if (!ns.adapter.rooms.get(`trip:${trip._id}`)?.size) return;
+
+  const [lng, lat] = trip.currentLocation?.coordinates || [];
+  if (lat === undefined) return;
+
+  const rideIds = await TrackingShare.distinct('rideRequestId', { tripId: trip._id, ...ACTIVE() });
+  const rides = await RideRequest.find({ _id: { $in: rideIds } })
+    .select('pickupStatus pickupLocation dropoffLocation')
+    .lean();
+
+  for (const ride of rides) {
+    const room = `ride:${ride._id}`;
+    if (!ns.adapter.rooms.get(room)?.size) continue;
+
+    const target = getShareTarget(ride, trip);
+    let eta = null;
+    try {
+      eta = target ? await calculateETA({ lat, lng }, target) : null;
+    } catch (etaErr) {
+      console.warn('[ETA] Shared tracking ETA failed:', etaErr.message);
+    }
+
+    ns.to(room).emit('locationUpdate', {
+      driverLocation: { lat, lng },
+      eta: eta ? { ...eta, stop: target.stop } : null,
+      rideStatus: ride.pickupStatus,
+      timestamp: new Date()
+    });
+  }
+};
+
+/**
+ * Tell link viewers of a trip or ride about a status change.
+ *
+ * @param {string} room - `trip:<id>` or `ride:<id>`
+ * @param {Object} payload - { tripStatus } or { rideStatus }
+ */
+export const notifyShareViewers = (room, payload) => {
+  try {
+    shareNamespace().to(room).emit('statusUpdate', { ...payload, timestamp: new Date() });
+  } catch (socketError) {
+    console.error('Shared tracking socket error:', socketError.message);
+  }
+};
+
+export default {
+  SHARE_NAMESPACE,
+  DEFAULT_SHARE_MINUTES,
+  DEFAULT_MAX_SHARE_MINUTES,
+  getMaxShareMinutes,
+  hashShareToken,
+  getShareExpiry,
+  getRideShareEndReason,
+  getShareTarget,
+  buildSharedTrackingView,
+  createTrackingShare,
+  listTrackingShares,
+  revokeTrackingShare,
+  endTrackingShares,
+  resolveTrackingShare,
+  getSharedTrackingView,
+  forwardLocationToShareViewers,
+  notifyShareViewers
+};
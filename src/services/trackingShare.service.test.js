@@ -0,0 +1,155 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  DEFAULT_SHARE_MINUTES,
+  DEFAULT_MAX_SHARE_MINUTES,
+  getMaxShareMinutes,
+  hashShareToken,
+  getShareExpiry,
+  getRideShareEndReason,
+  getShareTarget,
+  buildSharedTrackingView
+} from './trackingShare.service.js';
+
+/**
+ * @fileoverview Tracking Share Service Tests
+ * @description Tests for link expiry, when a shared ride ends, the ETA target and
+ * what link viewers are shown
+ */
+
+describe('Tracking Share Service', () => {
+  const now = new Date('2026-03-02T09:00:00Z');
+  const minutesAfter = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+  describe('getMaxShareMinutes', () => {
+    afterEach(() => {
+      delete process.env.TRACKING_SHARE_MAX_MINUTES;
+    });
+
+    it('should default when unset or invalid', () => {
+      expect(getMaxShareMinutes()).toBe(DEFAULT_MAX_SHARE_MINUTES);
+      process.env.TRACKING_SHARE_MAX_MINUTES = 'soon';
+      expect(getMaxShareMinutes()).toBe(DEFAULT_MAX_SHARE_MINUTES);
+    });
+
+    it('should read the environment', () => {
+      process.env.TRACKING_SHARE_MAX_MINUTES = '60';
+      expect(getMaxShareMinutes()).toBe(60);
+    });
+  });
+
+  describe('hashShareToken', () => {
+    it('should be stable and not contain the token', () => {
+      const hash = hashShareToken('abc123');
+      expect(hash).toBe(hashShareToken('abc123'));
+      expect(hash).toHaveLength(64);
+      expect(hash).not.toContain('abc123');
+      expect(hashShareToken('abc124')).not.toBe(hash);
+    });
+  });
+
+  describe('getShareExpiry', () => {
+    it('should use the default duration when none is requested', () => {
+      expect(getShareExpiry(undefined, 720, now)).toEqual(minutesAfter(DEFAULT_SHARE_MINUTES));
+    });
+
+    it('should use the requested duration', () => {
+      expect(getShareExpiry(45, 720, now)).toEqual(minutesAfter(45));
+    });
+
+    it('should cap at the maximum', () => {
+      expect(getShareExpiry(1440, 720, now)).toEqual(minutesAfter(720));
+    });
+  });
+
+  describe('getRideShareEndReason', () => {
+    const activeTrip = { status: 'IN_PROGRESS' };
+
+    it('should allow approved rides waiting or on board', () => {
+      expect(getRideShareEndReason({ status: 'APPROVED', pickupStatus: 'WAITING' }, { status: 'SCHEDULED' })).toBeNull();
+      expect(getRideShareEndReason({ status: 'APPROVED', pickupStatus: 'PICKED_UP' }, activeTrip)).toBeNull();
+    });
+
+    it('should end after drop-off', () => {
+      expect(getRideShareEndReason({ status: 'APPROVED', pickupStatus: 'DROPPED_OFF' }, activeTrip)).toBe('DROPPED_OFF');
+    });
+
+    it('should end for no-shows, cancelled requests and finished trips', () => {
+      expect(getRideShareEndReason({ status: 'APPROVED', pickupStatus: 'NO_SHOW' }, activeTrip)).toBe('RIDE_ENDED');
+      expect(getRideShareEndReason({ status: 'REJECTED', pickupStatus: 'WAITING' }, activeTrip)).toBe('RIDE_ENDED');
+      expect(getRideShareEndReason({ status: 'PENDING', pickupStatus: 'WAITING' }, activeTrip)).toBe('RIDE_ENDED');
+      expect(getRideShareEndReason({ status: 'APPROVED', pickupStatus: 'PICKED_UP' }, { status: 'COMPLETED' })).toBe('RIDE_ENDED');
+      expect(getRideShareEndReason({ status: 'APPROVED', pickupStatus: 'WAITING' }, { status: 'CANCELLED' })).toBe('RIDE_ENDED');
+    });
+  });
+
+  describe('getShareTarget', () => {
+    const point = (lng, lat) => ({ coordinates: { type: 'Point', coordinates: [lng, lat] } });
+    const trip = { destinationLocation: point(77.75, 12.98) };
+    const ride = { pickupLocation: point(77.6, 12.9), dropoffLocation: point(77.7, 12.95) };
+
+    it('should target the pickup until the passenger is on board', () => {
+      expect(getShareTarget({ ...ride, pickupStatus: 'WAITING' }, trip)).toEqual({ stop: 'PICKUP', lat: 12.9, lng: 77.6 });
+    });
+
+    it('should target the drop-off once on board', () => {
+      expect(getShareTarget({ ...ride, pickupStatus: 'PICKED_UP' }, trip)).toEqual({ stop: 'DROPOFF', lat: 12.95, lng: 77.7 });
+    });
+
+    it('should fall back to the trip destination without a drop-off point', () => {
+      const onBoard = { pickupLocation: ride.pickupLocation, pickupStatus: 'PICKED_UP' };
+      expect(getShareTarget(onBoard, trip)).toEqual({ stop: 'DROPOFF', lat: 12.98, lng: 77.75 });
+    });
+
+    it('should return null without coordinates', () => {
+      expect(getShareTarget({ pickupStatus: 'WAITING' }, trip)).toBeNull();
+    });
+  });
+
+  describe('buildSharedTrackingView', () => {
+    const ride = {
+      passengerId: '507f1f77bcf86cd799439011',
+      pickupStatus: 'WAITING',
+      pickupLocation: { coordinates: { type: 'Point', coordinates: [77.6, 12.9] } }
+    };
+    const trip = {
+      status: 'STARTED',
+      vehicleType: 'CAR',
+      driverId: { name: 'Kiran', phone: '9876543210' },
+      currentLocation: { type: 'Point', coordinates: [77.59, 12.97] },
+      vehicleId: { registrationNumber: 'KA01AB1234', make: 'Tata', model: 'Nexon EV', colour: 'White', vehicleType: 'CAR' }
+    };
+    const expiresAt = minutesAfter(60);
+
+    it('should show position, ETA, vehicle and status', () => {
+      const eta = { durationSeconds: 420, etaText: '7 min' };
+      const view = buildSharedTrackingView({ trip, ride, eta, expiresAt });
+      expect(view).toEqual({
+        tripStatus: 'STARTED',
+        rideStatus: 'WAITING',
+        driverLocation: { lat: 12.97, lng: 77.59 },
+        eta: { ...eta, stop: 'PICKUP' },
+        vehicle: { vehicleType: 'CAR', make: 'Tata', model: 'Nexon EV', colour: 'White', registrationNumber: 'KA01AB1234' },
+        expiresAt
+      });
+    });
+
+    it('should not expose the driver or passenger', () => {
+      const view = buildSharedTrackingView({ trip, ride, eta: null, expiresAt });
+      expect(JSON.stringify(view)).not.toContain('9876543210');
+      expect(JSON.stringify(view)).not.toContain('Kiran');
+      expect(JSON.stringify(view)).not.toContain(ride.passengerId);
+    });
+
+    it('should handle trips without a location or registered vehicle', () => {
+      const view = buildSharedTrackingView({
+        trip: { status: 'SCHEDULED', vehicleType: 'BIKE' },
+        ride,
+        eta: null,
+        expiresAt
+      });
+      expect(view.driverLocation).toBeNull();
+      expect(view.eta).toBeNull();
+      expect(view.vehicle).toEqual({ vehicleType: 'BIKE' });
+    });
+  });
+});
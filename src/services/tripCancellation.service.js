@@ -0,0 +1,86 @@
+import Trip from '../models/Trip.js';
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { sumSeats } from '../utils/seats.utils.js';
+import { transitionTrip } from './tripLifecycle.service.js';
+
+/**
+ * @fileoverview Trip Cancellation Service
+ * @description Shared cancellation routine for a single trip. Used by the driver's
+ * cancel endpoint and by recurring-series operations that cancel occurrences.
+ * @module services/tripCancellation.service
+ */
+
+/**
+ * Cancel a trip, release its bookings and notify affected passengers.
+ *
+ * - Moves the trip to CANCELLED through the lifecycle service (throws if not allowed)
+ * - Restores seats held by APPROVED ride requests
+ * - Auto-rejects PENDING and WAITLISTED ride requests
+ * - Emits 'trip-cancelled' to every affected passenger and a 'trip-seats-updated' broadcast
+ *
+ * Callers are responsible for authorization.
+ *
+ * @param {Object} trip - Trip mongoose document
+ * @param {Object} [options]
+ * @param {string} [options.cancelledBy='driver'] - Who cancelled: 'driver' or 'system' (sent to passengers)
+ * @param {ObjectId|string} [options.actorId] - User recorded in the status history (defaults to the driver)
+ * @param {string} [options.reason] - Reason recorded in the status history (defaults to message)
+ * @param {string} [options.message] - Custom notification text
+ * @returns {Promise<{trip: Object, affectedRides: Array}>} trip is the updated document
+ */
+export const cancelTripAndNotify = async (trip, { cancelledBy = 'driver', actorId, reason, message } = {}) => {
+  const byDriver = cancelledBy === 'driver';
+  const cancelledTrip = await transitionTrip(trip, 'CANCELLED', {
+    actorId: actorId ?? (byDriver ? trip.driverId : null),
+    actorType: byDriver ? 'DRIVER' : 'SYSTEM',
+    reason: reason || message
+  });
+
+  // Find all affected ride requests (APPROVED, PENDING and WAITLISTED)
+  const affectedRides = await RideRequest.find({
+    tripId: trip._id,
+    status: { $in: ['APPROVED', 'PENDING', 'WAITLISTED'] }
+  }).populate('passengerId', 'name email');
+
+  // Restore available seats atomically for APPROVED rides
+  const approvedSeats = sumSeats(affectedRides.filter(r => r.status === 'APPROVED'));
+  if (approvedSeats > 0) {
+    await Trip.findByIdAndUpdate(trip._id, {
+      $inc: { availableSeats: approvedSeats }
+    });
+  }
+
+  // Auto-reject any pending or waitlisted requests since the trip is gone
+  await RideRequest.updateMany(
+    { tripId: trip._id, status: { $in: ['PENDING', 'WAITLISTED'] } },
+    { $set: { status: 'REJECTED' } }
+  );
+
+  // Notify every affected passenger in real-time
+  try {
+    const io = getIO();
+    for (const ride of affectedRides) {
+      io.to(`user-${ride.passengerId._id.toString()}`).emit('trip-cancelled', {
+        tripId: trip._id.toString(),
+        rideId: ride._id.toString(),
+        message: message || `Your requested trip from ${trip.source} to ${trip.destination} has been cancelled by the driver`,
+        cancelledBy,
+        timestamp: new Date()
+      });
+    }
+    // Also broadcast a general trip status update
+    io.emit('trip-seats-updated', {
+      tripId: trip._id.toString(),
+      availableSeats: trip.totalSeats,
+      status: 'CANCELLED',
+      timestamp: new Date()
+    });
+  } catch (socketError) {
+    console.error('Socket.io emit error in cancelTripAndNotify:', socketError);
+  }
+
+  return { trip: cancelledTrip, affectedRides };
+};
+
+export default { cancelTripAndNotify };
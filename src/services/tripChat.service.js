@@ -0,0 +1,288 @@
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import RideRequest from '../models/RideRequest.js';
+import TripMessage from '../models/TripMessage.js';
+import { getIO } from '../config/socket.js';
+import { httpError, idOf } from '../utils/service.utils.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Trip Chat Service
+ * @description One chat per trip between the driver and approved passengers. Messages
+ * are stored in TripMessage, read over REST and pushed live on the trip's socket room.
+ * Anyone can join a `trip:<id>` room to track the trip, so chat events are only sent to
+ * the sockets in that room that belong to a participant.
+ *
+ * The chat stays readable but stops taking messages TRIP_CHAT_LOCK_MINUTES (default 30)
+ * after the trip is completed or cancelled.
+ *
+ * @module services/tripChat.service
+ */
+
+export const DEFAULT_CHAT_LOCK_MINUTES = 30;
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+export const MAX_HISTORY_LIMIT = 100;
+
+/** Quick replies offered in the chat; clients send the key, the text is stored */
+export const CANNED_REPLIES = Object.freeze({
+  AT_PICKUP: "I'm at the pickup point",
+  ON_MY_WAY: 'On my way',
+  RUNNING_LATE: 'Running a few minutes late',
+  WAITING: "I'm waiting for you",
+  CANT_FIND_YOU: "I can't find you - where exactly are you?",
+  THANKS: 'Thanks!'
+});
+
+/**
+ * Current chat lock delay in minutes, read from the environment on each call.
+ *
+ * @returns {number}
+ */
+export const getChatLockMinutes = () => {
+  return readNumber(process.env.TRIP_CHAT_LOCK_MINUTES, DEFAULT_CHAT_LOCK_MINUTES, { allowZero: true });
+};
+
+/**
+ * When the trip's chat stops taking messages, or null while the trip is not over.
+ *
+ * @param {Object} trip - { status, actualEndTime, statusHistory }
+ * @param {number} lockMinutes
+ * @returns {Date|null}
+ */
+export const getChatClosesAt = (trip, lockMinutes) => {
+  if (trip.status !== 'COMPLETED' && trip.status !== 'CANCELLED') return null;
+
+  const ended = [...(trip.statusHistory || [])].reverse().find(entry => entry.to === trip.status);
+  const endedAt = ended?.at || trip.actualEndTime || trip.updatedAt;
+  if (!endedAt) return null;
+
+  return new Date(new Date(endedAt).getTime() + lockMinutes * 60 * 1000);
+};
+
+/**
+ * Whether the chat has locked.
+ *
+ * @param {Object} trip
+ * @param {number} lockMinutes
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isChatLocked = (trip, lockMinutes, now = new Date()) => {
+  const closesAt = getChatClosesAt(trip, lockMinutes);
+  return closesAt !== null && now >= closesAt;
+};
+
+/**
+ * Text and quick-reply key to store for a message.
+ *
+ * @param {Object} params
+ * @param {string} [params.text]
+ * @param {string} [params.cannedReply] - Key of CANNED_REPLIES
+ * @returns {{ body: string, cannedReply?: string }}
+ * @throws {Error} 400 unknown quick reply, empty or too long message
+ */
+export const buildMessageContent = ({ text, cannedReply }) => {
+  if (cannedReply) {
+    if (!Object.hasOwn(CANNED_REPLIES, cannedReply)) {
+      throw httpError('Unknown quick reply', 400);
+    }
+    return { body: CANNED_REPLIES[cannedReply], cannedReply };
+  }
+
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (!body) throw httpError('Message text is required', 400);
+  if (body.length > 500) throw httpError('Message cannot exceed 500 characters', 400);
+  return { body };
+};
+
+const loadApprovedPassengerIds = async (tripId) => {
+  const rides = await RideRequest.find({ tripId, status: 'APPROVED' }).select('passengerId').lean();
+  return rides.map(ride => String(ride.passengerId));
+};
+
+/**
+ * The trip and the user's place in its chat.
+ *
+ * @param {string} tripId
+ * @param {string} userId
+ * @returns {Promise<{ trip: Object, role: string, participantIds: string[] }>}
+ * @throws {Error} 400 invalid id, 404 trip not found, 403 not the driver or an approved passenger
+ */
+export const getChatAccess = async (tripId, userId) => {
+  if (!mongoose.isValidObjectId(tripId)) throw httpError('Invalid trip id', 400);
+
+  const trip = await Trip.findById(tripId)
+    .select('driverId status actualEndTime statusHistory updatedAt')
+    .lean();
+  if (!trip) throw httpError('Trip not found', 404);
+
+  const passengerIds = await loadApprovedPassengerIds(trip._id);
+  const participantIds = [String(trip.driverId), ...passengerIds];
+
+  let role = null;
+  if (String(trip.driverId) === String(userId)) role = 'DRIVER';
+  else if (passengerIds.includes(String(userId))) role = 'PASSENGER';
+  if (!role) {
+    throw httpError('Only the driver and approved passengers can use this chat', 403);
+  }
+
+  return { trip, role, participantIds };
+};
+
+/**
+ * Send an event to the participants' sockets in the trip room. Sockets of people only
+ * tracking the trip are skipped.
+ *
+ * @param {string} tripId
+ * @param {string[]} participantIds
+ * @param {string} event
+ * @param {Object} payload
+ * @returns {Promise<void>}
+ */
+export const emitToChatParticipants = async (tripId, participantIds, event, payload) => {
+  try {
+    const allowed = new Set(participantIds.map(String));
+    const sockets = await getIO().in(`trip:${tripId}`).fetchSockets();
+    sockets
+      .filter(socket => allowed.has(String(socket.data?.userId)))
+      .forEach(socket => socket.emit(event, payload));
+  } catch (socketError) {
+    console.error('Socket.io emit error in trip chat:', socketError.message);
+  }
+};
+
+const toMessageView = (message) => ({
+  _id: message._id,
+  tripId: message.tripId,
+  sender: {
+    _id: idOf(message.senderId),
+    name: message.senderId?.name
+  },
+  senderRole: message.senderRole,
+  body: message.body,
+  cannedReply: message.cannedReply,
+  readBy: message.readBy,
+  createdAt: message.createdAt
+});
+
+/**
+ * Store a message and push it to the other participants.
+ *
+ * @param {Object} params
+ * @param {string} params.tripId
+ * @param {string} params.userId
+ * @param {string} [params.text]
+ * @param {string} [params.cannedReply]
+ * @returns {Promise<Object>} The message
+ * @throws {Error} 403 chat locked or not a participant, 404 trip not found, 400 empty message
+ */
+export const sendTripMessage = async ({ tripId, userId, text, cannedReply }) => {
+  const { trip, role, participantIds } = await getChatAccess(tripId, userId);
+  if (isChatLocked(trip, getChatLockMinutes())) {
+    throw httpError('This trip chat is closed', 403);
+  }
+
+  const content = buildMessageContent({ text, cannedReply });
+  const message = await TripMessage.create({
+    tripId: trip._id,
+    senderId: userId,
+    senderRole: role,
+    ...content
+  });
+  await message.populate('senderId', 'name');
+
+  const view = toMessageView(message);
+  await emitToChatParticipants(trip._id, participantIds, 'tripChat:message', view);
+  return view;
+};
+
+/**
+ * One page of history, oldest first, plus the chat's state.
+ *
+ * @param {Object} params
+ * @param {string} params.tripId
+ * @param {string} params.userId
+ * @param {Date} [params.before] - Only messages sent before this time
+ * @param {number} [params.limit]
+ * @returns {Promise<Object>} { messages, hasMore, locked, closesAt, cannedReplies }
+ */
+export const listTripMessages = async ({ tripId, userId, before, limit = DEFAULT_HISTORY_LIMIT }) => {
+  const { trip } = await getChatAccess(tripId, userId);
+  const pageSize = Math.min(Math.max(1, limit), MAX_HISTORY_LIMIT);
+
+  const filter = { tripId: trip._id };
+  if (before) filter.createdAt = { $lt: before };
+
+  const found = await TripMessage.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate('senderId', 'name')
+    .lean();
+
+  const lockMinutes = getChatLockMinutes();
+  return {
+    messages: found.slice(0, pageSize).reverse().map(toMessageView),
+    hasMore: found.length > pageSize,
+    locked: isChatLocked(trip, lockMinutes),
+    closesAt: getChatClosesAt(trip, lockMinutes),
+    cannedReplies: Object.entries(CANNED_REPLIES).map(([key, text]) => ({ key, text }))
+  };
+};
+
+/**
+ * Record that the user has read the chat up to a message (or all of it) and tell the
+ * other participants.
+ *
+ * @param {Object} params
+ * @param {string} params.tripId
+ * @param {string} params.userId
+ * @param {string} [params.upTo] - Last message read; everything when omitted
+ * @returns {Promise<Object>} { upTo, readAt, updated }
+ * @throws {Error} 404 unknown message
+ */
+export const markTripMessagesRead = async ({ tripId, userId, upTo }) => {
+  const { trip, participantIds } = await getChatAccess(tripId, userId);
+  const readAt = new Date();
+
+  const filter = {
+    tripId: trip._id,
+    senderId: { $ne: new mongoose.Types.ObjectId(String(userId)) },
+    'readBy.userId': { $ne: new mongoose.Types.ObjectId(String(userId)) }
+  };
+  if (upTo) {
+    if (!mongoose.isValidObjectId(upTo)) throw httpError('Invalid message id', 400);
+    const last = await TripMessage.findOne({ _id: upTo, tripId: trip._id }).select('createdAt').lean();
+    if (!last) throw httpError('Message not found', 404);
+    filter.createdAt = { $lte: last.createdAt };
+  }
+
+  const { modifiedCount } = await TripMessage.updateMany(filter, {
+    $push: { readBy: { userId, readAt } }
+  });
+
+  if (modifiedCount > 0) {
+    await emitToChatParticipants(trip._id, participantIds, 'tripChat:read', {
+      tripId: String(trip._id),
+      userId: String(userId),
+      upTo: upTo || null,
+      readAt
+    });
+  }
+
+  return { upTo: upTo || null, readAt, updated: modifiedCount };
+};
+
+export default {
+  DEFAULT_CHAT_LOCK_MINUTES,
+  CANNED_REPLIES,
+  getChatLockMinutes,
+  getChatClosesAt,
+  isChatLocked,
+  buildMessageContent,
+  getChatAccess,
+  emitToChatParticipants,
+  sendTripMessage,
+  listTripMessages,
+  markTripMessagesRead
+};
@@ -0,0 +1,104 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  CANNED_REPLIES,
+  DEFAULT_CHAT_LOCK_MINUTES,
+  getChatLockMinutes,
+  getChatClosesAt,
+  isChatLocked,
+  buildMessageContent
+} from './tripChat.service.js';
+
+/**
+ * @fileoverview Trip Chat Service Tests
+ * @description Tests for when the chat locks and what a message stores
+ */
+
+const ENDED_AT = new Date('2026-03-02T09:00:00Z');
+
+const completedTrip = {
+  status: 'COMPLETED',
+  actualEndTime: ENDED_AT,
+  statusHistory: [
+    { from: 'SCHEDULED', to: 'STARTED', at: new Date('2026-03-02T08:30:00Z') },
+    { from: 'STARTED', to: 'COMPLETED', at: ENDED_AT }
+  ]
+};
+
+describe('Trip Chat Service', () => {
+  describe('getChatLockMinutes', () => {
+    afterEach(() => {
+      delete process.env.TRIP_CHAT_LOCK_MINUTES;
+    });
+
+    it('should default to 30 minutes', () => {
+      expect(getChatLockMinutes()).toBe(DEFAULT_CHAT_LOCK_MINUTES);
+    });
+
+    it('should read TRIP_CHAT_LOCK_MINUTES', () => {
+      process.env.TRIP_CHAT_LOCK_MINUTES = '120';
+      expect(getChatLockMinutes()).toBe(120);
+    });
+
+    it('should ignore invalid values', () => {
+      process.env.TRIP_CHAT_LOCK_MINUTES = 'soon';
+      expect(getChatLockMinutes()).toBe(DEFAULT_CHAT_LOCK_MINUTES);
+    });
+  });
+
+  describe('getChatClosesAt', () => {
+    it('should stay open while the trip is not over', () => {
+      expect(getChatClosesAt({ status: 'SCHEDULED' }, 30)).toBeNull();
+      expect(getChatClosesAt({ status: 'IN_PROGRESS' }, 30)).toBeNull();
+    });
+
+    it('should close the lock delay after completion', () => {
+      expect(getChatClosesAt(completedTrip, 30)).toEqual(new Date('2026-03-02T09:30:00Z'));
+    });
+
+    it('should count from the cancellation', () => {
+      const trip = {
+        status: 'CANCELLED',
+        statusHistory: [{ from: 'SCHEDULED', to: 'CANCELLED', at: new Date('2026-03-01T18:00:00Z') }]
+      };
+      expect(getChatClosesAt(trip, 60)).toEqual(new Date('2026-03-01T19:00:00Z'));
+    });
+
+    it('should fall back to actualEndTime without history', () => {
+      expect(getChatClosesAt({ status: 'COMPLETED', actualEndTime: ENDED_AT }, 0)).toEqual(ENDED_AT);
+    });
+  });
+
+  describe('isChatLocked', () => {
+    it('should lock once the delay has passed', () => {
+      expect(isChatLocked(completedTrip, 30, new Date('2026-03-02T09:29:00Z'))).toBe(false);
+      expect(isChatLocked(completedTrip, 30, new Date('2026-03-02T09:30:00Z'))).toBe(true);
+    });
+
+    it('should not lock active trips', () => {
+      expect(isChatLocked({ status: 'STARTED' }, 0)).toBe(false);
+    });
+  });
+
+  describe('buildMessageContent', () => {
+    it('should store the text of a quick reply with its key', () => {
+      expect(buildMessageContent({ cannedReply: 'AT_PICKUP' })).toEqual({
+        body: CANNED_REPLIES.AT_PICKUP,
+        cannedReply: 'AT_PICKUP'
+      });
+    });
+
+    it('should reject unknown quick replies', () => {
+      expect(() => buildMessageContent({ cannedReply: 'toString' })).toThrow('Unknown quick reply');
+    });
+
+    it('should trim text', () => {
+      expect(buildMessageContent({ text: "  I'm at gate 2 " })).toEqual({ body: "I'm at gate 2" });
+    });
+
+    it('should reject empty or overlong text', () => {
+      expect(() => buildMessageContent({ text: '   ' })).toThrow('Message text is required');
+      expect(() => buildMessageContent({})).toThrow('Message text is required');
+      expect(() => buildMessageContent({ text: 'x'.repeat(501) })).toThrow(/500 characters/);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+import Trip from '../models/Trip.js';
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { computeAllTripEsgMetrics } from './esgCalculation.service.js';
+import { resolveTripDistance } from './tripTrace.service.js';
+import { measureTripIdle } from './idleTime.service.js';
+import { computeRouteEfficiency } from './routeEfficiency.service.js';
+import { sumSeats } from '../utils/seats.utils.js';
+import { chargeTripFares } from './wallet.service.js';
+import { notifyShareViewers, endTrackingShares } from './trackingShare.service.js';
+
+/**
+ * @fileoverview Trip Lifecycle Service
+ * @description Single source of truth for trip status changes. Every path that moves a
+ * trip between statuses (REST handlers, socket handlers, cancellation, pickups) goes
+ * through transitionTrip, which enforces the legal transitions, records the change in
+ * trip.statusHistory and broadcasts it to the trip room.
+ *
+ *   SCHEDULED ──start──▶ STARTED ──first pickup──▶ IN_PROGRESS
+ *       │                   │                          │
+ *     cancel             complete                   complete
+ *       ▼                   ▼                          ▼
+ *   CANCELLED           COMPLETED ◀────────────────────┘
+ *
+ * @module services/tripLifecycle.service
+ */
+
+export const TRIP_TRANSITIONS = Object.freeze({
+  SCHEDULED: ['STARTED', 'CANCELLED'],
+  STARTED: ['IN_PROGRESS', 'COMPLETED'],
+  IN_PROGRESS: ['COMPLETED'],
+  COMPLETED: [],
+  CANCELLED: []
+});
+
+/** Statuses in which the driver is on the road */
+export const ACTIVE_TRIP_STATUSES = ['STARTED', 'IN_PROGRESS'];
+
+const STATUS_MESSAGES = {
+  STARTED: 'Trip has started!',
+  IN_PROGRESS: 'Trip is in progress',
+  COMPLETED: 'Trip has been completed!',
+  CANCELLED: 'Trip has been cancelled'
+};
+
+const ACTION_VERBS = {
+  STARTED: 'start',
+  IN_PROGRESS: 'mark as in progress',
+  COMPLETED: 'complete',
+  CANCELLED: 'cancel'
+};
+
+/**
+ * Whether a trip may move from one status to another.
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => (TRIP_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Human-readable reason a transition is not allowed.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {string}
+ */
+export const describeInvalidTransition = (from, to) => {
+  if (from === 'SCHEDULED' && to === 'COMPLETED') {
+    return 'Trip must be started before it can be completed';
+  }
+  if (ACTIVE_TRIP_STATUSES.includes(from) && to === 'CANCELLED') {
+    return 'Cannot cancel a trip that has already started';
+  }
+  const verb = ACTION_VERBS[to] || `move to ${to}`;
+  return `Cannot ${verb} a trip with status ${from}`;
+};
+
+/**
+ * Move a trip to a new status.
+ *
+ * The update is conditional on the status the caller saw, so two concurrent
+ * transitions (e.g. REST and socket) cannot both succeed.
+ *
+ * @param {Object} trip - Trip document (or lean object with _id and status)
+ * @param {string} to - Target status
+ * @param {Object} [options]
+ * @param {ObjectId|string} [options.actorId] - User who caused the change (null for system)
+ * @param {string} [options.actorType='SYSTEM'] - DRIVER, PASSENGER, ADMIN or SYSTEM
+ * @param {string} [options.reason] - Free-text reason stored in the history
+ * @param {Object} [options.set] - Extra fields to persist in the same update
+ * @returns {Promise<Object>} Updated trip document
+ * @throws {Error} status 400 for an illegal transition, 409 if the trip changed underneath
+ */
+export const transitionTrip = async (trip, to, { actorId = null, actorType = 'SYSTEM', reason, set = {} } = {}) => {
+  const from = trip.status;
+  if (!canTransition(from, to)) {
+    throw Object.assign(new Error(describeInvalidTransition(from, to)), { status: 400 });
+  }
+
+  const at = new Date();
+  const entry = { from, to, actorId, actorType, reason: reason || null, at };
+  const timestamps = {};
+  if (to === 'STARTED') timestamps.actualStartTime = at;
+  if (to === 'COMPLETED') timestamps.actualEndTime = at;
+
+  const updated = await Trip.findOneAndUpdate(
+    { _id: trip._id, status: from },
+    {
+      $set: { status: to, ...timestamps, ...set },
+      $push: { statusHistory: entry }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw Object.assign(
+      new Error('Trip status was changed by another request, please refresh and try again'),
+      { status: 409 }
+    );
+  }
+
+  notifyStatusChange(updated, entry);
+  return updated;
+};
+
+/**
+ * Driver starts the trip: SCHEDULED -> STARTED.
+ *
+ * @param {Object} trip
+ * @param {Object} [actor] - { actorId, actorType, reason }
+ * @returns {Promise<Object>} Updated trip
+ */
+export const startTrip = (trip, actor = {}) =>
+  transitionTrip(trip, 'STARTED', { actorType: 'DRIVER', ...actor });
+
+/**
+ * First passenger on board: STARTED -> IN_PROGRESS. No-op in any other status,
+ * so it is safe to call on every pickup.
+ *
+ * @param {ObjectId|string} tripId
+ * @param {Object} [actor]
+ * @returns {Promise<Object|null>} Updated trip, or null if nothing changed
+ */
+export const markTripInProgress = async (tripId, actor = {}) => {
+  const trip = await Trip.findById(tripId).select('status');
+  if (!trip || trip.status !== 'STARTED') return null;
+  try {
+    return await transitionTrip(trip, 'IN_PROGRESS', {
+      actorType: 'DRIVER',
+      reason: 'First passenger picked up',
+      ...actor
+    });
+  } catch (error) {
+    // Lost a race with another pickup or a completion - nothing to do
+    if (error.status === 409) return null;
+    throw error;
+  }
+};
+
+/**
+ * Complete a trip: record the distance driven (from the GPS trace, else the planned
+ * distance, else the straight line - services/tripTrace.service.js) and the idle time
+ * (services/idleTime.service.js), compute ESG metrics from the seats actually occupied
+ * and the route efficiency breakdown (services/routeEfficiency.service.js), and move to
+ * COMPLETED in one update.
+ * Once COMPLETED, passenger fares are finalised and charged to their wallets.
+ *
+ * @param {Object} trip - Trip document
+ * @param {Object} [actor]
+ * @returns {Promise<Object>} Updated trip
+ */
+export const completeTrip = async (trip, actor = {}) => {
+  if (!canTransition(trip.status, 'COMPLETED')) {
+    throw Object.assign(new Error(describeInvalidTransition(trip.status, 'COMPLETED')), { status: 400 });
+  }
+
+  const set = {};
+  const { distanceKm, source } = await resolveTripDistance(trip);
+  if (distanceKm) {
+    set.distanceKm = distanceKm;
+    set.distanceSource = source;
+  }
+
+  // CO2 saved was computed at creation for the planned distance; it scales with distance
+  let co2SavedKg = trip.co2SavedKg ?? 0;
+  if (source === 'TRACE' && trip.co2SavedKg && trip.distanceKm) {
+    co2SavedKg = Math.round(trip.co2SavedKg * (distanceKm / trip.distanceKm) * 10000) / 10000;
+    set.co2SavedKg = co2SavedKg;
+  }
+
+  let idleMinutes = 0;
+  try {
+    const idle = await measureTripIdle(trip);
+    idleMinutes = idle.idleMinutes;
+    Object.assign(set, idle);
+  } catch (idleErr) {
+    console.warn('[tripLifecycle] Idle time measurement failed (non-fatal):', idleErr.message);
+  }
+
+  // Driven (or planned multi-stop) distance against the direct route, with each stop's detour
+  const efficiency = computeRouteEfficiency(trip, { distanceKm, distanceSource: source });
+  if (efficiency) set.routeEfficiency = efficiency;
+
+  if (distanceKm && trip.fuelType) {
+    try {
+      // seatsOccupied: seats held by approved passengers who showed up + driver
+      const approvedRides = await RideRequest.find({
+        tripId: trip._id,
+        status: 'APPROVED',
+        pickupStatus: { $ne: 'NO_SHOW' }
+      })
+        .select('seatsRequested')
+        .lean();
+      const esg = computeAllTripEsgMetrics({
+        distanceKm,
+        fuelType:      trip.fuelType,
+        co2SavedKg,
+        seatsOccupied: sumSeats(approvedRides) + 1,
+        idleMinutes,
+        actualDistanceKm: efficiency?.actualKm,
+        directDistanceKm: efficiency?.directKm,
+      });
+      Object.assign(set, {
+        treesEquivalent:       esg.treesEquivalent,
+        soloBaselineCo2Kg:     esg.soloBaselineCo2Kg,
+        carpoolSavingsKg:      esg.carpoolSavingsKg,
+        routeEfficiencyScore:  esg.routeEfficiencyScore,
+        idleEmissionsKg:       esg.idleEmissionsKg,
+        fuelCostSavingsINR:    esg.fuelCostSavingsINR,
+        maintenanceSavingsINR: esg.maintenanceSavingsINR,
+      });
+    } catch (esgErr) {
+      console.warn('[tripLifecycle] ESG metric computation failed (non-fatal):', esgErr.message);
+    }
+  }
+
+  const updated = await transitionTrip(trip, 'COMPLETED', { actorType: 'DRIVER', ...actor, set });
+
+  try {
+    await chargeTripFares(updated);
+  } catch (fareErr) {
+    console.warn('[tripLifecycle] Fare charging failed (non-fatal):', fareErr.message);
+  }
+
+  return updated;
+};
+
+function notifyStatusChange(trip, entry) {
+  try {
+    const io = getIO();
+    io.to(`trip:${trip._id.toString()}`).emit('tripStatusUpdate', {
+      tripId: trip._id.toString(),
+      status: entry.to,
+      previousStatus: entry.from,
+      reason: entry.reason,
+      message: STATUS_MESSAGES[entry.to],
+      timestamp: entry.at
+    });
+  } catch (socketError) {
+    console.error('Socket.io emit error in transitionTrip:', socketError);
+  }
+
+  notifyShareViewers(`trip:${trip._id}`, { tripStatus: entry.to });
+  if (entry.to === 'COMPLETED' || entry.to === 'CANCELLED') {
+    endTrackingShares({ tripId: trip._id }, 'RIDE_ENDED')
+      .catch(err => console.error('Ending tracking shares failed:', err.message));
+  }
+}
+
+export default {
+  TRIP_TRANSITIONS,
+  ACTIVE_TRIP_STATUSES,
+  canTransition,
+  describeInvalidTransition,
+  transitionTrip,
+  startTrip,
+  markTripInProgress,
+  completeTrip
+};
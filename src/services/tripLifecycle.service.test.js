@@ -0,0 +1,65 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  TRIP_TRANSITIONS,
+  canTransition,
+  describeInvalidTransition
+} from './tripLifecycle.service.js';
+
+/**
+ * @fileoverview Trip Lifecycle Service Tests
+ * @description Tests for the trip status transition table
+ */
+
+describe('Trip Lifecycle Service', () => {
+
+  describe('canTransition', () => {
+    it('should allow the normal journey SCHEDULED -> STARTED -> IN_PROGRESS -> COMPLETED', () => {
+      expect(canTransition('SCHEDULED', 'STARTED')).toBe(true);
+      expect(canTransition('STARTED', 'IN_PROGRESS')).toBe(true);
+      expect(canTransition('IN_PROGRESS', 'COMPLETED')).toBe(true);
+    });
+
+    it('should allow completing a started trip nobody boarded', () => {
+      expect(canTransition('STARTED', 'COMPLETED')).toBe(true);
+    });
+
+    it('should only allow cancelling before the trip starts', () => {
+      expect(canTransition('SCHEDULED', 'CANCELLED')).toBe(true);
+      expect(canTransition('STARTED', 'CANCELLED')).toBe(false);
+      expect(canTransition('IN_PROGRESS', 'CANCELLED')).toBe(false);
+    });
+
+    it('should not allow completing a trip that never started', () => {
+      expect(canTransition('SCHEDULED', 'COMPLETED')).toBe(false);
+    });
+
+    it('should treat COMPLETED and CANCELLED as terminal', () => {
+      expect(TRIP_TRANSITIONS.COMPLETED).toEqual([]);
+      expect(TRIP_TRANSITIONS.CANCELLED).toEqual([]);
+      expect(canTransition('COMPLETED', 'STARTED')).toBe(false);
+      expect(canTransition('CANCELLED', 'SCHEDULED')).toBe(false);
+    });
+
+    it('should reject unknown statuses', () => {
+      expect(canTransition('PAUSED', 'STARTED')).toBe(false);
+      expect(canTransition('SCHEDULED', 'PAUSED')).toBe(false);
+    });
+  });
+
+  describe('describeInvalidTransition', () => {
+    it('should explain that a trip must be started first', () => {
+      expect(describeInvalidTransition('SCHEDULED', 'COMPLETED'))
+        .toBe('Trip must be started before it can be completed');
+    });
+
+    it('should explain that a started trip cannot be cancelled', () => {
+      expect(describeInvalidTransition('IN_PROGRESS', 'CANCELLED'))
+        .toBe('Cannot cancel a trip that has already started');
+    });
+
+    it('should name the current status otherwise', () => {
+      expect(describeInvalidTransition('COMPLETED', 'STARTED'))
+        .toBe('Cannot start a trip with status COMPLETED');
+    });
+  });
+});
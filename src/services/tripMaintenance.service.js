@@ -0,0 +1,202 @@
+import Trip from '../models/Trip.js';
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { cancelTripAndNotify } from './tripCancellation.service.js';
+import { ACTIVE_TRIP_STATUSES, completeTrip } from './tripLifecycle.service.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Trip Maintenance Service
+ * @description Handlers for the background jobs that clean up trips nobody closed:
+ * - expireOverdueTrips: SCHEDULED trips never started long after departure are cancelled
+ * - rejectPendingAtDeparture: requests still PENDING or WAITLISTED once a trip departs are rejected
+ * - autoCompleteStaleTrips: trips left STARTED / IN_PROGRESS for hours are completed
+ *
+ * Each handler returns a small summary that the job scheduler keeps as lastResult.
+ *
+ * Configuration (environment):
+ * - TRIP_EXPIRY_GRACE_MINUTES: how long after departure a trip may still be started (default 60)
+ * - STALE_TRIP_HOURS: how long a trip may stay active before it is auto-completed (default 6)
+ *
+ * @module services/tripMaintenance.service
+ */
+
+export const DEFAULT_TRIP_EXPIRY_GRACE_MINUTES = 60;
+export const DEFAULT_STALE_TRIP_HOURS = 6;
+
+/** Departed trips older than this are left alone by rejectPendingAtDeparture */
+const DEPARTURE_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+/** Upper bound on trips handled per run; the rest are picked up next time */
+const BATCH_SIZE = 100;
+
+/**
+ * Current maintenance settings, read from the environment on each call.
+ *
+ * @returns {{expiryGraceMinutes: number, staleTripHours: number}}
+ */
+export const getMaintenanceSettings = () => ({
+  expiryGraceMinutes: readNumber(process.env.TRIP_EXPIRY_GRACE_MINUTES, DEFAULT_TRIP_EXPIRY_GRACE_MINUTES),
+  staleTripHours: readNumber(process.env.STALE_TRIP_HOURS, DEFAULT_STALE_TRIP_HOURS)
+});
+
+/**
+ * Cut-off times used by the maintenance jobs.
+ *
+ * Pure function.
+ *
+ * @param {Date} now
+ * @param {{expiryGraceMinutes: number, staleTripHours: number}} settings
+ * @returns {{expireBefore: Date, staleBefore: Date, departedAfter: Date}}
+ */
+export const getMaintenanceCutoffs = (now, { expiryGraceMinutes, staleTripHours }) => ({
+  expireBefore: new Date(now.getTime() - expiryGraceMinutes * 60 * 1000),
+  staleBefore: new Date(now.getTime() - staleTripHours * 60 * 60 * 1000),
+  departedAfter: new Date(now.getTime() - DEPARTURE_LOOKBACK_MS)
+});
+
+/**
+ * Cancel SCHEDULED trips whose departure passed more than the grace period ago.
+ * Bookings are released and passengers notified through cancelTripAndNotify.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{expired: number}>}
+ */
+export const expireOverdueTrips = async (now = new Date()) => {
+  const settings = getMaintenanceSettings();
+  const { expireBefore } = getMaintenanceCutoffs(now, settings);
+
+  const trips = await Trip.find({ status: 'SCHEDULED', scheduledTime: { $lt: expireBefore } })
+    .sort({ scheduledTime: 1 })
+    .limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const trip of trips) {
+    try {
+      await cancelTripAndNotify(trip, {
+        cancelledBy: 'system',
+        reason: `Trip expired: not started within ${settings.expiryGraceMinutes} minutes of departure`,
+        message: `Your trip from ${trip.source} to ${trip.destination} was cancelled because the driver never started it`
+      });
+      expired++;
+      emitToUser(trip.driverId, 'trip-expired', {
+        tripId: trip._id.toString(),
+        message: `Your trip from ${trip.source} to ${trip.destination} was cancelled because it was not started`,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      // Started or cancelled in the meantime
+      if (error.status) continue;
+      console.error(`[tripMaintenance] Failed to expire trip ${trip._id}:`, error.message);
+    }
+  }
+  return { expired };
+};
+
+/**
+ * Reject ride requests still PENDING or WAITLISTED once their trip has departed.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{rejected: number}>}
+ */
+export const rejectPendingAtDeparture = async (now = new Date()) => {
+  const { departedAfter } = getMaintenanceCutoffs(now, getMaintenanceSettings());
+
+  const trips = await Trip.find({
+    status: { $ne: 'CANCELLED' },
+    scheduledTime: { $lte: now, $gte: departedAfter }
+  })
+    .select('_id source destination')
+    .lean();
+  if (trips.length === 0) return { rejected: 0 };
+
+  const tripsById = new Map(trips.map(t => [t._id.toString(), t]));
+  const rides = await RideRequest.find({
+    tripId: { $in: trips.map(t => t._id) },
+    status: { $in: ['PENDING', 'WAITLISTED'] }
+  })
+    .select('_id tripId passengerId status')
+    .limit(BATCH_SIZE * 10)
+    .lean();
+
+  let rejected = 0;
+  for (const ride of rides) {
+    // Conditional so a driver approving at the last second wins
+    const updated = await RideRequest.findOneAndUpdate(
+      { _id: ride._id, status: ride.status },
+      { $set: { status: 'REJECTED' } },
+      { new: true }
+    );
+    if (!updated) continue;
+    rejected++;
+
+    const trip = tripsById.get(ride.tripId.toString());
+    emitToUser(ride.passengerId, 'ride-request-expired', {
+      rideId: ride._id.toString(),
+      tripId: ride.tripId.toString(),
+      previousStatus: ride.status,
+      message: `Your request for the trip from ${trip.source} to ${trip.destination} expired at departure`,
+      timestamp: new Date()
+    });
+  }
+  return { rejected };
+};
+
+/**
+ * Complete trips that have been STARTED or IN_PROGRESS for longer than STALE_TRIP_HOURS.
+ * Trips started before actualStartTime was recorded fall back to scheduledTime.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{completed: number}>}
+ */
+export const autoCompleteStaleTrips = async (now = new Date()) => {
+  const settings = getMaintenanceSettings();
+  const { staleBefore } = getMaintenanceCutoffs(now, settings);
+
+  const trips = await Trip.find({
+    status: { $in: ACTIVE_TRIP_STATUSES },
+    $or: [
+      { actualStartTime: { $lt: staleBefore } },
+      { actualStartTime: null, scheduledTime: { $lt: staleBefore } }
+    ]
+  })
+    .sort({ actualStartTime: 1 })
+    .limit(BATCH_SIZE);
+
+  let completed = 0;
+  for (const trip of trips) {
+    try {
+      await completeTrip(trip, {
+        actorType: 'SYSTEM',
+        reason: `Auto-completed: still active ${settings.staleTripHours} hours after start`
+      });
+      completed++;
+      emitToUser(trip.driverId, 'trip-auto-completed', {
+        tripId: trip._id.toString(),
+        message: `Your trip from ${trip.source} to ${trip.destination} was completed automatically`,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      // Completed by the driver in the meantime
+      if (error.status) continue;
+      console.error(`[tripMaintenance] Failed to auto-complete trip ${trip._id}:`, error.message);
+    }
+  }
+  return { completed };
+};
+
+function emitToUser(userId, event, payload) {
+  try {
+    const io = getIO();
+    io.to(`user-${userId.toString()}`).emit(event, payload);
+  } catch (socketError) {
+    console.error(`Socket.io emit error (${event}):`, socketError);
+  }
+}
+
+export default {
+  getMaintenanceSettings,
+  getMaintenanceCutoffs,
+  expireOverdueTrips,
+  rejectPendingAtDeparture,
+  autoCompleteStaleTrips
+};
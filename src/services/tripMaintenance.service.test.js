@@ -0,0 +1,38 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { getMaintenanceSettings, getMaintenanceCutoffs } from './tripMaintenance.service.js';
+
+/**
+ * @fileoverview Trip Maintenance Service Tests
+ * @description Tests for settings and job cut-off times
+ */
+
+describe('Trip Maintenance Service', () => {
+
+  describe('getMaintenanceSettings', () => {
+    afterEach(() => {
+      delete process.env.TRIP_EXPIRY_GRACE_MINUTES;
+      delete process.env.STALE_TRIP_HOURS;
+    });
+
+    it('should default to a 60 minute grace and 6 hour stale limit', () => {
+      expect(getMaintenanceSettings()).toEqual({ expiryGraceMinutes: 60, staleTripHours: 6 });
+    });
+
+    it('should read overrides and ignore invalid values', () => {
+      process.env.TRIP_EXPIRY_GRACE_MINUTES = '30';
+      process.env.STALE_TRIP_HOURS = '0';
+      expect(getMaintenanceSettings()).toEqual({ expiryGraceMinutes: 30, staleTripHours: 6 });
+    });
+  });
+
+  describe('getMaintenanceCutoffs', () => {
+    it('should count back from now', () => {
+      const now = new Date('2026-03-02T12:00:00Z');
+      const cutoffs = getMaintenanceCutoffs(now, { expiryGraceMinutes: 60, staleTripHours: 6 });
+
+      expect(cutoffs.expireBefore.toISOString()).toBe('2026-03-02T11:00:00.000Z');
+      expect(cutoffs.staleBefore.toISOString()).toBe('2026-03-02T06:00:00.000Z');
+      expect(cutoffs.departedAfter.toISOString()).toBe('2026-03-01T12:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { calculateDistance } from './routeOptimization.service.js';
+
+/**
+ * @fileoverview Trip Matching Service
+ * @description Route-corridor matching for trip search. Projects a passenger's pickup
+ * and dropoff onto a trip's route LineString and estimates the extra distance and time
+ * the driver would spend leaving the route to serve them.
+ * @module services/tripMatching.service
+ */
+
+/** Average urban driving speed used to turn detour distance into minutes. */
+export const AVERAGE_SPEED_KMH = 40;
+
+/**
+ * Project a point onto a single segment.
+ *
+ * Uses an equirectangular approximation around the segment, which is accurate to well
+ * under a metre at commute-scale segment lengths. Returned distances are haversine.
+ *
+ * @param {{lat: number, lng: number}} point
+ * @param {{lat: number, lng: number}} a - Segment start
+ * @param {{lat: number, lng: number}} b - Segment end
+ * @returns {{point: {lat: number, lng: number}, t: number}} Closest point and its position (0-1) along the segment
+ */
+export const projectOntoSegment = (point, a, b) => {
+  const cosLat = Math.cos(((a.lat + b.lat) / 2) * Math.PI / 180);
+  const ax = a.lng * cosLat, ay = a.lat;
+  const bx = b.lng * cosLat, by = b.lat;
+  const px = point.lng * cosLat, py = point.lat;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+
+  let t = lengthSq === 0 ? 0 : ((px - ax) * dx + (py - ay) * dy) / lengthSq;
+  t = Math.max(0, Math.min(1, t));
+
+  return {
+    point: { lat: a.lat + t * (b.lat - a.lat), lng: a.lng + t * (b.lng - a.lng) },
+    t
+  };
+};
+
+/**
+ * Project a point onto a route polyline.
+ *
+ * @param {{lat: number, lng: number}} point
+ * @param {number[][]} routeCoordinates - GeoJSON LineString coordinates ([lng, lat] pairs)
+ * @returns {{point: {lat: number, lng: number}, offsetKm: number, alongKm: number, segmentIndex: number}|null}
+ *   Closest point on the route, its distance from the input point, and its distance from the route start
+ */
+export const projectPointOnRoute = (point, routeCoordinates) => {
+  if (!Array.isArray(routeCoordinates) || routeCoordinates.length < 2) return null;
+
+  const vertices = routeCoordinates.map(([lng, lat]) => ({ lat, lng }));
+  let best = null;
+  let travelled = 0;
+
+  for (let i = 0; i < vertices.length - 1; i++) {
+    const a = vertices[i];
+    const b = vertices[i + 1];
+    const { point: projected } = projectOntoSegment(point, a, b);
+    const offsetKm = calculateDistance(point, projected);
+
+    if (!best || offsetKm < best.offsetKm) {
+      best = {
+        point: projected,
+        offsetKm,
+        alongKm: travelled + calculateDistance(a, projected),
+        segmentIndex: i
+      };
+    }
+    travelled += calculateDistance(a, b);
+  }
+
+  return best;
+};
+
+/**
+ * Match a passenger's pickup/dropoff against a trip route.
+ *
+ * A trip matches when both points lie within `maxDistanceMeters` of the route and the
+ * dropoff projects further along the route than the pickup (the driver is heading the
+ * passenger's way). The detour is an out-and-back leg from the route to each of the
+ * passenger's points. Route LineStrings here are coarse (source, stops, destination),
+ * so inserting into the straight segment would understate what the driver actually
+ * drives on the road network.
+ *
+ * @param {number[][]} routeCoordinates - GeoJSON LineString coordinates ([lng, lat] pairs)
+ * @param {{lat: number, lng: number}} pickup
+ * @param {{lat: number, lng: number}} dropoff
+ * @param {Object} [options]
+ * @param {number} [options.maxDistanceMeters=5000] - Max distance from the route for either point
+ * @param {number} [options.averageSpeedKmh=AVERAGE_SPEED_KMH]
+ * @returns {Object|null} Match details, or null if the trip does not serve this passenger
+ * @returns {Object} return.pickupProjection - { lat, lng } closest route point to pickup
+ * @returns {Object} return.dropoffProjection - { lat, lng } closest route point to dropoff
+ * @returns {number} return.pickupDistance - Pickup distance from route in metres
+ * @returns {number} return.dropoffDistance - Dropoff distance from route in metres
+ * @returns {number} return.sharedDistanceKm - Route distance between the two projections
+ * @returns {number} return.detourKm - Extra driving distance
+ * @returns {number} return.detourMinutes - Extra driving time
+ */
+export const matchRouteCorridor = (routeCoordinates, pickup, dropoff, options = {}) => {
+  const { maxDistanceMeters = 5000, averageSpeedKmh = AVERAGE_SPEED_KMH } = options;
+
+  const pickupProj = projectPointOnRoute(pickup, routeCoordinates);
+  const dropoffProj = projectPointOnRoute(dropoff, routeCoordinates);
+  if (!pickupProj || !dropoffProj) return null;
+
+  const maxKm = maxDistanceMeters / 1000;
+  if (pickupProj.offsetKm > maxKm || dropoffProj.offsetKm > maxKm) return null;
+
+  // Passenger must travel in the driver's direction
+  if (dropoffProj.alongKm <= pickupProj.alongKm) return null;
+
+  const detourKm = 2 * (pickupProj.offsetKm + dropoffProj.offsetKm);
+
+  return {
+    pickupProjection: pickupProj.point,
+    dropoffProjection: dropoffProj.point,
+    pickupDistance: Math.round(pickupProj.offsetKm * 1000),
+    dropoffDistance: Math.round(dropoffProj.offsetKm * 1000),
+    sharedDistanceKm: Number((dropoffProj.alongKm - pickupProj.alongKm).toFixed(2)),
+    detourKm: Number(detourKm.toFixed(2)),
+    detourMinutes: Number(((detourKm / averageSpeedKmh) * 60).toFixed(1))
+  };
+};
+
+/** Relative weight of each penalty in the relevance score. */
+export const RELEVANCE_WEIGHTS = {
+  walking: 0.4,
+  detour: 0.3,
+  timeOffset: 0.3
+};
+
+// Penalties saturate at these values
+const MAX_DETOUR_MINUTES = 30;
+const MAX_TIME_OFFSET_MINUTES = 60;
+
+/**
+ * Relevance score (0-100, higher is better) for a search result.
+ *
+ * Combines walking distance to/from the route, the driver's detour and how far the
+ * departure is from the passenger's preferred time. Each component is a penalty in
+ * [0, 1]; components that are not available (e.g. no coordinates in a text search,
+ * no time window) are left out and the remaining weights are rescaled.
+ *
+ * @param {Object} components
+ * @param {number} [components.walkingMeters] - Pickup + dropoff distance from the route
+ * @param {number} [components.maxWalkingMeters] - Walking distance that scores zero (2 x maxDistance)
+ * @param {number} [components.detourMinutes] - Extra driving time for the driver
+ * @param {number} [components.timeOffsetMinutes] - |departure - preferred time|
+ * @returns {number} Score rounded to one decimal
+ */
+export const computeRelevanceScore = ({ walkingMeters, maxWalkingMeters, detourMinutes, timeOffsetMinutes } = {}) => {
+  const penalties = [];
+
+  if (walkingMeters !== undefined && maxWalkingMeters > 0) {
+    penalties.push([RELEVANCE_WEIGHTS.walking, Math.min(1, walkingMeters / maxWalkingMeters)]);
+  }
+  if (detourMinutes !== undefined) {
+    penalties.push([RELEVANCE_WEIGHTS.detour, Math.min(1, detourMinutes / MAX_DETOUR_MINUTES)]);
+  }
+  if (timeOffsetMinutes !== undefined) {
+    penalties.push([RELEVANCE_WEIGHTS.timeOffset, Math.min(1, Math.abs(timeOffsetMinutes) / MAX_TIME_OFFSET_MINUTES)]);
+  }
+
+  if (penalties.length === 0) return 100;
+
+  const totalWeight = penalties.reduce((sum, [w]) => sum + w, 0);
+  const weightedPenalty = penalties.reduce((sum, [w, p]) => sum + w * p, 0) / totalWeight;
+  return Number((100 * (1 - weightedPenalty)).toFixed(1));
+};
+
+export default {
+  projectOntoSegment,
+  projectPointOnRoute,
+  matchRouteCorridor,
+  computeRelevanceScore
+};
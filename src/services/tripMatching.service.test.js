@@ -0,0 +1,141 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  projectOntoSegment,
+  projectPointOnRoute,
+  matchRouteCorridor,
+  computeRelevanceScore
+} from './tripMatching.service.js';
+
+/**
+ * @fileoverview Trip Matching Service Tests
+ * @description Tests for route projection and corridor matching
+ */
+
+describe('Trip Matching Service', () => {
+
+  // Roughly 22 km east-west route along latitude 12.97 (Bangalore), with a bend
+  const route = [
+    [77.50, 12.97],
+    [77.60, 12.97],
+    [77.70, 12.97]
+  ];
+
+  describe('projectOntoSegment', () => {
+    it('should project a point onto the middle of a segment', () => {
+      const result = projectOntoSegment(
+        { lat: 12.98, lng: 77.55 },
+        { lat: 12.97, lng: 77.50 },
+        { lat: 12.97, lng: 77.60 }
+      );
+
+      expect(result.t).toBeCloseTo(0.5, 2);
+      expect(result.point.lat).toBeCloseTo(12.97, 5);
+      expect(result.point.lng).toBeCloseTo(77.55, 3);
+    });
+
+    it('should clamp to the segment endpoints', () => {
+      const result = projectOntoSegment(
+        { lat: 12.97, lng: 77.40 },
+        { lat: 12.97, lng: 77.50 },
+        { lat: 12.97, lng: 77.60 }
+      );
+
+      expect(result.t).toBe(0);
+      expect(result.point.lng).toBe(77.50);
+    });
+  });
+
+  describe('projectPointOnRoute', () => {
+    it('should return offset and distance along the route', () => {
+      const result = projectPointOnRoute({ lat: 12.975, lng: 77.65 }, route);
+
+      expect(result.segmentIndex).toBe(1);
+      expect(result.offsetKm).toBeCloseTo(0.556, 1);
+      expect(result.alongKm).toBeGreaterThan(15);
+      expect(result.alongKm).toBeLessThan(17);
+    });
+
+    it('should return null for a route with fewer than 2 points', () => {
+      expect(projectPointOnRoute({ lat: 12.97, lng: 77.5 }, [[77.5, 12.97]])).toBeNull();
+    });
+  });
+
+  describe('matchRouteCorridor', () => {
+    it('should match a passenger in the middle of the route', () => {
+      const pickup = { lat: 12.972, lng: 77.56 };
+      const dropoff = { lat: 12.968, lng: 77.66 };
+
+      const match = matchRouteCorridor(route, pickup, dropoff, { maxDistanceMeters: 1000 });
+
+      expect(match).not.toBeNull();
+      expect(match.pickupProjection.lat).toBeCloseTo(12.97, 4);
+      expect(match.dropoffProjection.lng).toBeCloseTo(77.66, 3);
+      expect(match.pickupDistance).toBeLessThan(300);
+      expect(match.sharedDistanceKm).toBeGreaterThan(10);
+      expect(match.detourKm).toBeGreaterThan(0);
+      expect(match.detourMinutes).toBeGreaterThan(0);
+    });
+
+    it('should give zero detour for points exactly on the route', () => {
+      const match = matchRouteCorridor(route, { lat: 12.97, lng: 77.55 }, { lat: 12.97, lng: 77.65 });
+
+      expect(match.detourKm).toBe(0);
+      expect(match.detourMinutes).toBe(0);
+    });
+
+    it('should reject a passenger travelling in the opposite direction', () => {
+      const match = matchRouteCorridor(route, { lat: 12.97, lng: 77.66 }, { lat: 12.97, lng: 77.56 });
+      expect(match).toBeNull();
+    });
+
+    it('should reject points further than maxDistance from the route', () => {
+      const match = matchRouteCorridor(
+        route,
+        { lat: 13.02, lng: 77.56 }, // ~5.5 km north
+        { lat: 12.97, lng: 77.66 },
+        { maxDistanceMeters: 2000 }
+      );
+      expect(match).toBeNull();
+    });
+
+    it('should rank a closer passenger with a smaller detour', () => {
+      const near = matchRouteCorridor(route, { lat: 12.971, lng: 77.56 }, { lat: 12.971, lng: 77.66 });
+      const far = matchRouteCorridor(route, { lat: 12.985, lng: 77.56 }, { lat: 12.985, lng: 77.66 });
+
+      expect(near.detourMinutes).toBeLessThan(far.detourMinutes);
+    });
+  });
+
+  describe('computeRelevanceScore', () => {
+    it('should score a perfect match as 100', () => {
+      expect(computeRelevanceScore({
+        walkingMeters: 0,
+        maxWalkingMeters: 10000,
+        detourMinutes: 0,
+        timeOffsetMinutes: 0
+      })).toBe(100);
+    });
+
+    it('should score the worst match as 0', () => {
+      expect(computeRelevanceScore({
+        walkingMeters: 20000,
+        maxWalkingMeters: 10000,
+        detourMinutes: 90,
+        timeOffsetMinutes: 240
+      })).toBe(0);
+    });
+
+    it('should prefer a departure closer to the preferred time', () => {
+      const base = { walkingMeters: 500, maxWalkingMeters: 10000, detourMinutes: 3 };
+      const onTime = computeRelevanceScore({ ...base, timeOffsetMinutes: 5 });
+      const late = computeRelevanceScore({ ...base, timeOffsetMinutes: 40 });
+
+      expect(onTime).toBeGreaterThan(late);
+    });
+
+    it('should rescale when only some components are available', () => {
+      expect(computeRelevanceScore({ timeOffsetMinutes: 30 })).toBe(50);
+      expect(computeRelevanceScore({})).toBe(100);
+    });
+  });
+});
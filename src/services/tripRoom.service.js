@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import RideRequest from '../models/RideRequest.js';
+import { httpError, idOf } from '../utils/service.utils.js';
+
+/**
+ * @fileoverview Trip Room Service
+ * @description Who may join a trip's socket room (`trip:<tripId>`), which carries the
+ * driver's live location, route alerts and chat: the driver, passengers whose request
+ * is APPROVED, and admins of the trip's organization.
+ * @module services/tripRoom.service
+ */
+
+/**
+ * Whether a socket user may join the trip room.
+ *
+ * @param {{driverId: ObjectId, organizationId?: ObjectId}} trip
+ * @param {{userId: string, userRole?: string, organizationId?: string}} user - Socket (fields from its JWT)
+ * @param {string[]} approvedPassengerIds
+ * @returns {boolean}
+ */
+export const canJoinTripRoom = (trip, user, approvedPassengerIds) => {
+  if (!user?.userId) return false;
+  if (idOf(trip.driverId) === String(user.userId)) return true;
+  if (approvedPassengerIds.map(String).includes(String(user.userId))) return true;
+  return user.userRole === 'ORG_ADMIN'
+    && Boolean(trip.organizationId)
+    && idOf(trip.organizationId) === String(user.organizationId);
+};
+
+/**
+ * Load a trip for a socket user about to join its room.
+ *
+ * @param {string} tripId
+ * @param {{userId: string, userRole?: string, organizationId?: string}} user - Socket
+ * @returns {Promise<Object>} Trip (lean)
+ * @throws {Error} 404 trip not found, 403 not the driver, an approved passenger or an org admin
+ */
+export const authorizeTripRoomJoin = async (tripId, user) => {
+  if (!mongoose.isValidObjectId(tripId)) throw httpError('Trip not found', 404);
+
+  const trip = await Trip.findById(tripId)
+    .select('driverId organizationId status currentLocation')
+    .lean();
+  if (!trip) throw httpError('Trip not found', 404);
+
+  const rides = await RideRequest.find({ tripId: trip._id, status: 'APPROVED' })
+    .select('passengerId')
+    .lean();
+  if (!canJoinTripRoom(trip, user, rides.map(ride => String(ride.passengerId)))) {
+    throw httpError('Only the driver, approved passengers and org admins can join this trip', 403);
+  }
+  return trip;
+};
+
+export default {
+  canJoinTripRoom,
+  authorizeTripRoomJoin
+};
@@ -0,0 +1,29 @@
+import { describe, it, expect } from '@jest/globals';
+import { canJoinTripRoom } from './tripRoom.service.js';
+
+/**
+ * @fileoverview Trip Room Service Tests
+ * @description Tests for who may join a trip's socket room
+ */
+
+describe('Trip Room Service', () => {
+  describe('canJoinTripRoom', () => {
+    const trip = { driverId: 'driver-1', organizationId: 'org-1' };
+    const approved = ['passenger-1'];
+
+    it('should let the driver and approved passengers join', () => {
+      expect(canJoinTripRoom(trip, { userId: 'driver-1', userRole: 'EMPLOYEE' }, approved)).toBe(true);
+      expect(canJoinTripRoom(trip, { userId: 'passenger-1', userRole: 'EMPLOYEE' }, approved)).toBe(true);
+    });
+
+    it('should let admins of the trip organization join', () => {
+      expect(canJoinTripRoom(trip, { userId: 'admin-1', userRole: 'ORG_ADMIN', organizationId: 'org-1' }, approved)).toBe(true);
+    });
+
+    it('should refuse other users and admins of another organization', () => {
+      expect(canJoinTripRoom(trip, { userId: 'passenger-2', userRole: 'EMPLOYEE', organizationId: 'org-1' }, approved)).toBe(false);
+      expect(canJoinTripRoom(trip, { userId: 'admin-2', userRole: 'ORG_ADMIN', organizationId: 'org-2' }, approved)).toBe(false);
+      expect(canJoinTripRoom(trip, {}, approved)).toBe(false);
+    });
+  });
+});
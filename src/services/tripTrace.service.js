@@ -0,0 +1,275 @@
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import TripTrace from '../models/TripTrace.js';
+import { calculateDistance } from './routeOptimization.service.js';
+import { httpError } from '../utils/service.utils.js';
+import { readNumber } from '../utils/env.utils.js';
+
+/**
+ * @fileoverview Trip Trace Service
+ * @description GPS breadcrumbs of started trips, stored in the TripTrace time-series
+ * collection. Each driver location is checked against the last stored point:
+ *
+ * - Outliers are dropped: a reported accuracy worse than TRACE_MAX_ACCURACY_METERS, or a
+ *   jump that would need more than TRACE_MAX_SPEED_KMH.
+ * - Points are downsampled: a point is only stored once the driver has moved
+ *   TRACE_MIN_DISTANCE_METERS or TRACE_MIN_INTERVAL_SECONDS have passed, so a stationary
+ *   car still leaves a heartbeat.
+ *
+ * On completion the trip's distance is the length of its trace. A trace with fewer than
+ * TRACE_MIN_POINTS points, a gap longer than TRACE_MAX_GAP_KM, or shorter than the
+ * straight line between source and destination is too sparse; the planned distance (or
+ * the straight line) is used instead.
+ *
+ * @module services/tripTrace.service
+ */
+
+export const DEFAULT_TRACE_SETTINGS = Object.freeze({
+  maxSpeedKmh: 160,
+  maxAccuracyMeters: 100,
+  minDistanceMeters: 25,
+  minIntervalSeconds: 30,
+  minPoints: 10,
+  maxGapKm: 2
+});
+
+/** Where Trip.distanceKm came from */
+export const DISTANCE_SOURCES = Object.freeze(['TRACE', 'PLANNED', 'STRAIGHT_LINE']);
+
+// A road route is never shorter than the straight line; allow for GPS rounding
+const MIN_TRACE_TO_STRAIGHT_RATIO = 0.9;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toPoint = ([lng, lat]) => ({ lat, lng });
+
+/**
+ * Current trace settings, read from the environment on each call.
+ *
+ * @returns {Object} Same keys as DEFAULT_TRACE_SETTINGS
+ */
+export const getTraceSettings = () => ({
+  maxSpeedKmh: readNumber(process.env.TRACE_MAX_SPEED_KMH, DEFAULT_TRACE_SETTINGS.maxSpeedKmh),
+  maxAccuracyMeters: readNumber(process.env.TRACE_MAX_ACCURACY_METERS, DEFAULT_TRACE_SETTINGS.maxAccuracyMeters),
+  minDistanceMeters: readNumber(process.env.TRACE_MIN_DISTANCE_METERS, DEFAULT_TRACE_SETTINGS.minDistanceMeters),
+  minIntervalSeconds: readNumber(process.env.TRACE_MIN_INTERVAL_SECONDS, DEFAULT_TRACE_SETTINGS.minIntervalSeconds),
+  minPoints: readNumber(process.env.TRACE_MIN_POINTS, DEFAULT_TRACE_SETTINGS.minPoints),
+  maxGapKm: readNumber(process.env.TRACE_MAX_GAP_KM, DEFAULT_TRACE_SETTINGS.maxGapKm)
+});
+
+/**
+ * Whether a new location should be stored.
+ *
+ * @param {Object} params
+ * @param {Object|null} params.previous - Last stored point { coordinates, recordedAt }
+ * @param {Object} params.point - { lat, lng, recordedAt, accuracyMeters? }
+ * @param {Object} params.settings - From getTraceSettings
+ * @returns {string} ACCEPT, OUTLIER or DOWNSAMPLE
+ */
+export const classifyTracePoint = ({ previous, point, settings }) => {
+  if (Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180) return 'OUTLIER';
+  if (point.accuracyMeters !== undefined && point.accuracyMeters > settings.maxAccuracyMeters) return 'OUTLIER';
+  if (!previous) return 'ACCEPT';
+
+  const seconds = (new Date(point.recordedAt).getTime() - new Date(previous.recordedAt).getTime()) / 1000;
+  // Repeated or out-of-order updates add nothing
+  if (seconds <= 0) return 'DOWNSAMPLE';
+
+  const km = calculateDistance(toPoint(previous.coordinates), point);
+  if (km / (seconds / 3600) > settings.maxSpeedKmh) return 'OUTLIER';
+
+  const moved = km * 1000 >= settings.minDistanceMeters;
+  return moved || seconds >= settings.minIntervalSeconds ? 'ACCEPT' : 'DOWNSAMPLE';
+};
+
+/**
+ * Length of a trace in km.
+ *
+ * @param {number[][]} coordinates - [lng, lat] pairs in time order
+ * @returns {number}
+ */
+export const getTraceDistanceKm = (coordinates) => {
+  let total = 0;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    total += calculateDistance(toPoint(coordinates[i]), toPoint(coordinates[i + 1]));
+  }
+  return round2(total);
+};
+
+/**
+ * Whether a trace is dense enough to measure the trip by.
+ *
+ * @param {number[][]} coordinates - [lng, lat] pairs in time order
+ * @param {number|null} straightLineKm - Source -> destination, when known
+ * @param {Object} settings - From getTraceSettings
+ * @returns {{ usable: boolean, distanceKm: number, reason?: string }}
+ */
+export const assessTrace = (coordinates, straightLineKm, settings) => {
+  const distanceKm = getTraceDistanceKm(coordinates);
+
+  if (coordinates.length < settings.minPoints) {
+    return { usable: false, distanceKm, reason: `fewer than ${settings.minPoints} points` };
+  }
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    if (calculateDistance(toPoint(coordinates[i]), toPoint(coordinates[i + 1])) > settings.maxGapKm) {
+      return { usable: false, distanceKm, reason: `gap longer than ${settings.maxGapKm} km` };
+    }
+  }
+  if (straightLineKm && distanceKm < straightLineKm * MIN_TRACE_TO_STRAIGHT_RATIO) {
+    return { usable: false, distanceKm, reason: 'shorter than the straight line' };
+  }
+  return { usable: true, distanceKm };
+};
+
+/**
+ * Straight-line source -> destination distance, rounded to 2 decimals.
+ *
+ * @param {Object} trip
+ * @returns {number|null} null when either endpoint has no coordinates
+ */
+export const getStraightLineKm = (trip) => {
+  const src = trip.sourceLocation?.coordinates?.coordinates;
+  const dest = trip.destinationLocation?.coordinates?.coordinates;
+  if (!src || !dest) return null;
+  return round2(calculateDistance(toPoint(src), toPoint(dest)));
+};
+
+/**
+ * The trace as a GeoJSON Feature (LineString, or Point for a single fix).
+ *
+ * @param {Object} trip - { _id, status }
+ * @param {Object[]} points - { coordinates, recordedAt } in time order
+ * @returns {Object} GeoJSON Feature; geometry is null without points
+ */
+export const toTraceGeoJson = (trip, points) => {
+  const coordinates = points.map(p => p.coordinates);
+  let geometry = null;
+  if (coordinates.length === 1) geometry = { type: 'Point', coordinates: coordinates[0] };
+  if (coordinates.length > 1) geometry = { type: 'LineString', coordinates };
+
+  return {
+    type: 'Feature',
+    geometry,
+    properties: {
+      tripId: String(trip._id),
+      status: trip.status,
+      pointCount: points.length,
+      distanceKm: getTraceDistanceKm(coordinates),
+      startedAt: points[0]?.recordedAt || null,
+      endedAt: points[points.length - 1]?.recordedAt || null,
+      timestamps: points.map(p => p.recordedAt)
+    }
+  };
+};
+
+/**
+ * The trip's trace in time order.
+ *
+ * @param {ObjectId|string} tripId
+ * @returns {Promise<Object[]>} { coordinates, recordedAt }
+ */
+export const loadTrace = (tripId) =>
+  TripTrace.find({ tripId })
+    .select('coordinates recordedAt -_id')
+    .sort({ recordedAt: 1 })
+    .lean();
+
+/**
+ * Store a driver location in the trip's trace unless it is an outlier or too close to
+ * the last point. Only trips that have started and not ended are traced. Called from the
+ * location handlers after the position is saved; never throws.
+ *
+ * @param {Object} trip - Trip document (actualStartTime, actualEndTime)
+ * @param {{ lat: number, lng: number, accuracy?: number }} location
+ * @param {Date} [now]
+ * @returns {Promise<string|null>} ACCEPT, OUTLIER or DOWNSAMPLE; null when not traced
+ */
+export const recordTracePoint = async (trip, location, now = new Date()) => {
+  if (!trip.actualStartTime || trip.actualEndTime) return null;
+  if (!Number.isFinite(location?.lat) || !Number.isFinite(location?.lng)) return null;
+
+  try {
+    const previous = await TripTrace.findOne({ tripId: trip._id })
+      .sort({ recordedAt: -1 })
+      .select('coordinates recordedAt')
+      .lean();
+
+    const point = {
+      lat: location.lat,
+      lng: location.lng,
+      recordedAt: now,
+      ...(Number.isFinite(location.accuracy) && { accuracyMeters: location.accuracy })
+    };
+    const outcome = classifyTracePoint({ previous, point, settings: getTraceSettings() });
+    if (outcome !== 'ACCEPT') return outcome;
+
+    await TripTrace.create({
+      tripId: trip._id,
+      recordedAt: now,
+      coordinates: [point.lng, point.lat],
+      accuracyMeters: point.accuracyMeters
+    });
+    return outcome;
+  } catch (error) {
+    console.error('Recording trace failed for trip', String(trip._id), error.message);
+    return null;
+  }
+};
+
+/**
+ * Distance to record for a completed trip: the trace when it is dense enough, otherwise
+ * the planned distance, otherwise the straight line.
+ *
+ * @param {Object} trip - Trip document
+ * @returns {Promise<{ distanceKm: number|null, source: string|null }>}
+ */
+export const resolveTripDistance = async (trip) => {
+  const straightLineKm = getStraightLineKm(trip);
+  try {
+    const points = await loadTrace(trip._id);
+    const trace = assessTrace(points.map(p => p.coordinates), straightLineKm, getTraceSettings());
+    if (trace.usable) return { distanceKm: trace.distanceKm, source: 'TRACE' };
+    if (points.length > 0) {
+      console.warn(`[tripTrace] Trace for trip ${trip._id} not used: ${trace.reason}`);
+    }
+  } catch (error) {
+    console.warn('[tripTrace] Loading trace failed (non-fatal):', error.message);
+  }
+
+  if (trip.distanceKm) return { distanceKm: trip.distanceKm, source: 'PLANNED' };
+  if (straightLineKm) return { distanceKm: straightLineKm, source: 'STRAIGHT_LINE' };
+  return { distanceKm: null, source: null };
+};
+
+/**
+ * A trip's trace as GeoJSON, for its organization's admins.
+ *
+ * @param {Object} params
+ * @param {string} params.tripId
+ * @param {string} params.organizationId - Admin's organization
+ * @returns {Promise<Object>} GeoJSON Feature
+ * @throws {Error} 400 invalid id, 404 trip not found in the organization
+ */
+export const getTripTraceGeoJson = async ({ tripId, organizationId }) => {
+  if (!mongoose.isValidObjectId(tripId)) throw httpError('Invalid trip id', 400);
+
+  const trip = await Trip.findOne({ _id: tripId, organizationId }).select('status').lean();
+  if (!trip) throw httpError('Trip not found', 404);
+
+  return toTraceGeoJson(trip, await loadTrace(trip._id));
+};
+
+export default {
+  DEFAULT_TRACE_SETTINGS,
+  DISTANCE_SOURCES,
+  getTraceSettings,
+  classifyTracePoint,
+  getTraceDistanceKm,
+  assessTrace,
+  getStraightLineKm,
+  toTraceGeoJson,
+  loadTrace,
+  recordTracePoint,
+  resolveTripDistance,
+  getTripTraceGeoJson
+};
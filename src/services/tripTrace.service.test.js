@@ -0,0 +1,146 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  DEFAULT_TRACE_SETTINGS,
+  getTraceSettings,
+  classifyTracePoint,
+  getTraceDistanceKm,
+  assessTrace,
+  getStraightLineKm,
+  toTraceGeoJson
+} from './tripTrace.service.js';
+
+/**
+ * @fileoverview Trip Trace Service Tests
+ * @description Tests for outlier rejection, downsampling, trace distance and the
+ * sparse-trace fallback
+ */
+
+const settings = { ...DEFAULT_TRACE_SETTINGS };
+const T0 = new Date('2026-03-02T08:30:00Z');
+const at = (seconds) => new Date(T0.getTime() + seconds * 1000);
+
+// Along the equator, 0.001 degree of longitude is ~111 m
+const previous = { coordinates: [0, 0], recordedAt: T0 };
+const pointAt = (lng, seconds, extra = {}) => ({ lat: 0, lng, recordedAt: at(seconds), ...extra });
+
+// A west -> east trace of `count` points, 0.001 degree apart
+const straightTrace = (count) => Array.from({ length: count }, (_, i) => [i * 0.001, 0]);
+
+describe('Trip Trace Service', () => {
+  describe('getTraceSettings', () => {
+    afterEach(() => {
+      delete process.env.TRACE_MAX_SPEED_KMH;
+      delete process.env.TRACE_MIN_POINTS;
+    });
+
+    it('should use defaults', () => {
+      expect(getTraceSettings()).toEqual(DEFAULT_TRACE_SETTINGS);
+    });
+
+    it('should read the environment and ignore invalid values', () => {
+      process.env.TRACE_MAX_SPEED_KMH = '200';
+      process.env.TRACE_MIN_POINTS = 'many';
+      expect(getTraceSettings().maxSpeedKmh).toBe(200);
+      expect(getTraceSettings().minPoints).toBe(DEFAULT_TRACE_SETTINGS.minPoints);
+    });
+  });
+
+  describe('classifyTracePoint', () => {
+    it('should accept the first point', () => {
+      expect(classifyTracePoint({ previous: null, point: pointAt(0, 0), settings })).toBe('ACCEPT');
+    });
+
+    it('should accept a point once the driver has moved far enough', () => {
+      expect(classifyTracePoint({ previous, point: pointAt(0.0005, 5), settings })).toBe('ACCEPT');
+    });
+
+    it('should downsample small moves until the interval has passed', () => {
+      expect(classifyTracePoint({ previous, point: pointAt(0.0001, 5), settings })).toBe('DOWNSAMPLE');
+      expect(classifyTracePoint({ previous, point: pointAt(0.0001, 30), settings })).toBe('ACCEPT');
+    });
+
+    it('should downsample repeated or out-of-order updates', () => {
+      expect(classifyTracePoint({ previous, point: pointAt(0.001, 0), settings })).toBe('DOWNSAMPLE');
+      expect(classifyTracePoint({ previous, point: pointAt(0.001, -10), settings })).toBe('DOWNSAMPLE');
+    });
+
+    it('should reject jumps faster than the speed limit', () => {
+      // ~1.1 km in 10 s is ~400 km/h
+      expect(classifyTracePoint({ previous, point: pointAt(0.01, 10), settings })).toBe('OUTLIER');
+    });
+
+    it('should reject inaccurate and impossible fixes', () => {
+      expect(classifyTracePoint({ previous, point: pointAt(0.0005, 5, { accuracyMeters: 500 }), settings }))
+        .toBe('OUTLIER');
+      expect(classifyTracePoint({ previous: null, point: { lat: 95, lng: 0, recordedAt: T0 }, settings }))
+        .toBe('OUTLIER');
+    });
+  });
+
+  describe('getTraceDistanceKm', () => {
+    it('should add up the legs of the trace', () => {
+      expect(getTraceDistanceKm(straightTrace(11))).toBeCloseTo(1.11, 2);
+    });
+
+    it('should be 0 for fewer than two points', () => {
+      expect(getTraceDistanceKm([])).toBe(0);
+      expect(getTraceDistanceKm([[0, 0]])).toBe(0);
+    });
+  });
+
+  describe('assessTrace', () => {
+    it('should use a dense trace', () => {
+      const result = assessTrace(straightTrace(20), 2, settings);
+      expect(result.usable).toBe(true);
+      expect(result.distanceKm).toBeCloseTo(2.11, 2);
+    });
+
+    it('should reject a trace with too few points', () => {
+      const result = assessTrace(straightTrace(5), 0.4, settings);
+      expect(result.usable).toBe(false);
+      expect(result.reason).toMatch(/points/);
+    });
+
+    it('should reject a trace with a long gap', () => {
+      const trace = [...straightTrace(10), [0.05, 0]]; // last leg ~4.6 km
+      expect(assessTrace(trace, 5, settings)).toMatchObject({ usable: false, reason: expect.stringMatching(/gap/) });
+    });
+
+    it('should reject a trace shorter than the straight line', () => {
+      expect(assessTrace(straightTrace(20), 10, settings).usable).toBe(false);
+    });
+  });
+
+  describe('getStraightLineKm', () => {
+    it('should measure source to destination', () => {
+      const trip = {
+        sourceLocation: { coordinates: { coordinates: [0, 0] } },
+        destinationLocation: { coordinates: { coordinates: [0.1, 0] } }
+      };
+      expect(getStraightLineKm(trip)).toBeCloseTo(11.12, 1);
+    });
+
+    it('should be null without coordinates', () => {
+      expect(getStraightLineKm({})).toBeNull();
+    });
+  });
+
+  describe('toTraceGeoJson', () => {
+    const trip = { _id: '507f1f77bcf86cd799439011', status: 'COMPLETED' };
+
+    it('should build a LineString feature', () => {
+      const points = [
+        { coordinates: [0, 0], recordedAt: at(0) },
+        { coordinates: [0.001, 0], recordedAt: at(10) }
+      ];
+      const feature = toTraceGeoJson(trip, points);
+      expect(feature.type).toBe('Feature');
+      expect(feature.geometry).toEqual({ type: 'LineString', coordinates: [[0, 0], [0.001, 0]] });
+      expect(feature.properties).toMatchObject({ pointCount: 2, startedAt: at(0), endedAt: at(10) });
+    });
+
+    it('should have no geometry without points', () => {
+      expect(toTraceGeoJson(trip, []).geometry).toBeNull();
+    });
+  });
+});
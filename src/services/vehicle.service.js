@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import Vehicle from '../models/Vehicle.js';
+
+/**
+ * @fileoverview Vehicle Service
+ * @description Helpers for tying trips to a driver's verified vehicle. Trip and
+ * recurring-trip creation take vehicle type, fuel type and seat count from the
+ * vehicle so ESG figures cannot be inflated by typing a different fuel per trip.
+ * @module services/vehicle.service
+ */
+
+/**
+ * Normalize a registration number for storage and uniqueness checks:
+ * "ka-01 ab 1234" -> "KA01AB1234".
+ *
+ * Pure function.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeRegistrationNumber = (value) =>
+  String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Trip fields derived from a vehicle. The driver may offer fewer seats than the
+ * vehicle has, never more.
+ *
+ * Pure function.
+ *
+ * @param {Object} vehicle - Vehicle document or lean object
+ * @param {number|string} [requestedSeats] - Seats the driver wants to offer (defaults to seatCapacity)
+ * @returns {{vehicleId: any, vehicleType: string, fuelType: string, totalSeats: number}}
+ * @throws {Error} status 400 when requestedSeats is not a whole number between 1 and seatCapacity
+ */
+export const deriveTripVehicleFields = (vehicle, requestedSeats) => {
+  const totalSeats = requestedSeats === undefined || requestedSeats === null || requestedSeats === ''
+    ? vehicle.seatCapacity
+    : Number(requestedSeats);
+
+  if (!Number.isInteger(totalSeats) || totalSeats < 1 || totalSeats > vehicle.seatCapacity) {
+    throw Object.assign(
+      new Error(`totalSeats must be between 1 and the vehicle's ${vehicle.seatCapacity} seat(s)`),
+      { status: 400 }
+    );
+  }
+
+  return {
+    vehicleId: vehicle._id,
+    vehicleType: vehicle.vehicleType,
+    fuelType: vehicle.fuelType,
+    totalSeats
+  };
+};
+
+/**
+ * Load a vehicle the driver may use for a trip: owned by them, verified and not removed.
+ *
+ * @param {ObjectId|string} vehicleId
+ * @param {ObjectId|string} driverId
+ * @returns {Promise<Object>} Vehicle document
+ * @throws {Error} status 400 when the vehicle is missing, not theirs or not verified
+ */
+export const findVerifiedVehicle = async (vehicleId, driverId) => {
+  const vehicle = mongoose.isValidObjectId(vehicleId)
+    ? await Vehicle.findOne({ _id: vehicleId, driverId, isActive: true })
+    : null;
+
+  if (!vehicle) {
+    throw Object.assign(new Error('Vehicle not found'), { status: 400 });
+  }
+  if (vehicle.status !== 'VERIFIED') {
+    throw Object.assign(
+      new Error('This vehicle has not been verified by your organization admin yet'),
+      { status: 400 }
+    );
+  }
+  return vehicle;
+};
+
+export default {
+  normalizeRegistrationNumber,
+  deriveTripVehicleFields,
+  findVerifiedVehicle
+};
@@ -0,0 +1,51 @@
+import { describe, it, expect } from '@jest/globals';
+import { normalizeRegistrationNumber, deriveTripVehicleFields } from './vehicle.service.js';
+
+/**
+ * @fileoverview Vehicle Service Tests
+ * @description Tests for registration number normalization and trip fields derived from a vehicle
+ */
+
+describe('Vehicle Service', () => {
+
+  describe('normalizeRegistrationNumber', () => {
+    it('should upper-case and drop spaces and dashes', () => {
+      expect(normalizeRegistrationNumber('ka-01 ab 1234')).toBe('KA01AB1234');
+    });
+
+    it('should return an empty string for a missing value', () => {
+      expect(normalizeRegistrationNumber(undefined)).toBe('');
+    });
+  });
+
+  describe('deriveTripVehicleFields', () => {
+    const vehicle = { _id: 'v1', vehicleType: 'CAR', fuelType: 'ELECTRIC', seatCapacity: 4 };
+
+    it('should take type, fuel and seats from the vehicle', () => {
+      expect(deriveTripVehicleFields(vehicle)).toEqual({
+        vehicleId: 'v1',
+        vehicleType: 'CAR',
+        fuelType: 'ELECTRIC',
+        totalSeats: 4
+      });
+    });
+
+    it('should allow offering fewer seats than the vehicle has', () => {
+      expect(deriveTripVehicleFields(vehicle, '2').totalSeats).toBe(2);
+    });
+
+    it('should reject more seats than the vehicle has', () => {
+      expect(() => deriveTripVehicleFields(vehicle, 5)).toThrow(/4 seat/);
+    });
+
+    it('should reject zero or fractional seats with status 400', () => {
+      expect(() => deriveTripVehicleFields(vehicle, 0)).toThrow();
+      try {
+        deriveTripVehicleFields(vehicle, 1.5);
+      } catch (error) {
+        expect(error.status).toBe(400);
+      }
+      expect.assertions(2);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import Trip from '../models/Trip.js';
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { seatsOf, sumSeats } from '../utils/seats.utils.js';
+
+/**
+ * @fileoverview Waitlist Service
+ * @description Ordered waitlist for full trips. Passengers who request a full trip are
+ * stored as WAITLISTED ride requests; when a seat frees up the head of the queue is
+ * promoted to PENDING, or straight to APPROVED when the driver has enabled
+ * trip.autoApproveWaitlist. The queue is strictly first-in, first-out: a multi-seat
+ * request at the head is not skipped in favour of a smaller one behind it.
+ * @module services/waitlist.service
+ */
+
+/**
+ * Assign 1-based queue positions to waitlisted requests of a single trip.
+ *
+ * Pure function - queue order is waitlistedAt, then createdAt, then id.
+ *
+ * @param {Array<{_id: any, waitlistedAt?: Date, createdAt?: Date}>} entries
+ * @returns {Map<string, number>} rideId -> position
+ */
+export const assignWaitlistPositions = (entries) => {
+  const time = (e) => new Date(e.waitlistedAt || e.createdAt || 0).getTime();
+  const sorted = [...entries].sort((a, b) =>
+    (time(a) - time(b)) || String(a._id).localeCompare(String(b._id))
+  );
+  return new Map(sorted.map((e, index) => [String(e._id), index + 1]));
+};
+
+/**
+ * Look up queue positions for a set of waitlisted ride requests.
+ *
+ * @param {Array<Object>} rides - Ride requests (any status; only WAITLISTED are ranked)
+ * @returns {Promise<Map<string, number>>} rideId -> position
+ */
+export const getWaitlistPositions = async (rides) => {
+  const tripIds = [...new Set(
+    rides
+      .filter(r => r.status === 'WAITLISTED')
+      .map(r => String(r.tripId?._id || r.tripId))
+  )];
+  if (tripIds.length === 0) return new Map();
+
+  const queued = await RideRequest.find({ tripId: { $in: tripIds }, status: 'WAITLISTED' })
+    .select('_id tripId waitlistedAt createdAt')
+    .lean();
+
+  const byTrip = new Map();
+  for (const entry of queued) {
+    const key = String(entry.tripId);
+    if (!byTrip.has(key)) byTrip.set(key, []);
+    byTrip.get(key).push(entry);
+  }
+
+  const positions = new Map();
+  for (const entries of byTrip.values()) {
+    for (const [rideId, position] of assignWaitlistPositions(entries)) {
+      positions.set(rideId, position);
+    }
+  }
+  return positions;
+};
+
+/**
+ * Seats not already spoken for. PENDING requests do not hold seats, but each is
+ * owed its seatsRequested if the driver approves it, so they count against what the
+ * waitlist can take.
+ */
+const countFreeSlots = async (trip) => {
+  const pending = await RideRequest.find({ tripId: trip._id, status: 'PENDING' })
+    .select('seatsRequested')
+    .lean();
+  return trip.availableSeats - sumSeats(pending);
+};
+
+/**
+ * Promote waitlisted passengers while the trip has free slots.
+ *
+ * Call after anything that frees a seat or a pending claim on one: a passenger
+ * cancelling, the driver rejecting a request, or a no-show.
+ *
+ * @param {ObjectId|string} tripId
+ * @returns {Promise<Array<Object>>} Promoted ride requests (status PENDING or APPROVED)
+ */
+export const promoteFromWaitlist = async (tripId) => {
+  const promoted = [];
+
+  const initial = await Trip.findById(tripId);
+  if (!initial || initial.status !== 'SCHEDULED') return promoted;
+
+  // Bounded by seat count so a misbehaving queue can never spin forever
+  for (let i = 0; i < initial.totalSeats; i++) {
+    const trip = await Trip.findById(tripId);
+    if (!trip || trip.status !== 'SCHEDULED') break;
+
+    const head = await RideRequest.findOne({ tripId, status: 'WAITLISTED' })
+      .sort({ waitlistedAt: 1, createdAt: 1, _id: 1 })
+      .select('seatsRequested')
+      .lean();
+    if (!head) break;
+
+    const seats = seatsOf(head);
+    if (await countFreeSlots(trip) < seats) break;
+
+    // Conditional on status so a concurrent cancel or promotion of the same request wins
+    const next = await RideRequest.findOneAndUpdate(
+      { _id: head._id, status: 'WAITLISTED' },
+      { $set: { status: 'PENDING', updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!next) continue;
+
+    let availableSeats = trip.availableSeats;
+    if (trip.autoApproveWaitlist) {
+      const reserved = await Trip.findOneAndUpdate(
+        { _id: tripId, availableSeats: { $gte: seats } },
+        { $inc: { availableSeats: -seats } },
+        { new: true }
+      );
+      if (reserved) {
+        next.status = 'APPROVED';
+        await next.save();
+        availableSeats = reserved.availableSeats;
+      }
+    }
+
+    promoted.push(next);
+    notifyPromotion(trip, next, availableSeats);
+  }
+
+  if (promoted.length > 0) {
+    await notifyQueuePositions(tripId);
+  }
+
+  return promoted;
+};
+
+function notifyPromotion(trip, ride, availableSeats) {
+  try {
+    const io = getIO();
+    const approved = ride.status === 'APPROVED';
+
+    io.to(`user-${ride.passengerId.toString()}`).emit('waitlist-promoted', {
+      rideId: ride._id.toString(),
+      tripId: trip._id.toString(),
+      status: ride.status,
+      message: approved
+        ? `A seat opened up - your ride from ${trip.source} to ${trip.destination} is confirmed`
+        : `A seat opened up on the trip from ${trip.source} to ${trip.destination} - waiting for driver approval`,
+      timestamp: new Date()
+    });
+
+    io.to(`user-${trip.driverId.toString()}`).emit('waitlist-promoted', {
+      rideId: ride._id.toString(),
+      tripId: trip._id.toString(),
+      status: ride.status,
+      message: approved
+        ? 'A waitlisted passenger has been auto-approved'
+        : 'A waitlisted passenger is now awaiting your approval',
+      timestamp: new Date()
+    });
+
+    if (approved) {
+      io.emit('trip-seats-updated', {
+        tripId: trip._id.toString(),
+        availableSeats,
+        timestamp: new Date()
+      });
+    }
+  } catch (socketError) {
+    console.error('Socket.io emit error in promoteFromWaitlist:', socketError);
+  }
+}
+
+async function notifyQueuePositions(tripId) {
+  const remaining = await RideRequest.find({ tripId, status: 'WAITLISTED' })
+    .select('_id passengerId waitlistedAt createdAt')
+    .lean();
+  const positions = assignWaitlistPositions(remaining);
+
+  try {
+    const io = getIO();
+    for (const entry of remaining) {
+      io.to(`user-${entry.passengerId.toString()}`).emit('waitlist-position-updated', {
+        rideId: entry._id.toString(),
+        tripId: tripId.toString(),
+        waitlistPosition: positions.get(String(entry._id)),
+        timestamp: new Date()
+      });
+    }
+  } catch (socketError) {
+    console.error('Socket.io emit error in notifyQueuePositions:', socketError);
+  }
+}
+
+export default {
+  assignWaitlistPositions,
+  getWaitlistPositions,
+  promoteFromWaitlist
+};
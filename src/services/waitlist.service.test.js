@@ -0,0 +1,49 @@
+import { describe, it, expect } from '@jest/globals';
+import { assignWaitlistPositions } from './waitlist.service.js';
+
+/**
+ * @fileoverview Waitlist Service Tests
+ * @description Tests for waitlist queue ordering
+ */
+
+describe('Waitlist Service', () => {
+
+  describe('assignWaitlistPositions', () => {
+    it('should order by waitlistedAt, first in line is position 1', () => {
+      const positions = assignWaitlistPositions([
+        { _id: 'c', waitlistedAt: new Date('2026-03-02T08:10:00Z') },
+        { _id: 'a', waitlistedAt: new Date('2026-03-02T08:00:00Z') },
+        { _id: 'b', waitlistedAt: new Date('2026-03-02T08:05:00Z') }
+      ]);
+
+      expect(positions.get('a')).toBe(1);
+      expect(positions.get('b')).toBe(2);
+      expect(positions.get('c')).toBe(3);
+    });
+
+    it('should fall back to createdAt when waitlistedAt is missing', () => {
+      const positions = assignWaitlistPositions([
+        { _id: 'late', waitlistedAt: new Date('2026-03-02T09:00:00Z') },
+        { _id: 'legacy', createdAt: new Date('2026-03-02T07:00:00Z') }
+      ]);
+
+      expect(positions.get('legacy')).toBe(1);
+      expect(positions.get('late')).toBe(2);
+    });
+
+    it('should break ties by id so positions are stable', () => {
+      const at = new Date('2026-03-02T08:00:00Z');
+      const positions = assignWaitlistPositions([
+        { _id: 'y', waitlistedAt: at },
+        { _id: 'x', waitlistedAt: at }
+      ]);
+
+      expect(positions.get('x')).toBe(1);
+      expect(positions.get('y')).toBe(2);
+    });
+
+    it('should return an empty map for an empty queue', () => {
+      expect(assignWaitlistPositions([]).size).toBe(0);
+    });
+  });
+});
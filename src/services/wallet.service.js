@@ -0,0 +1,573 @@
+import mongoose from 'mongoose';
+import Wallet from '../models/Wallet.js';
+import WalletLedger from '../models/WalletLedger.js';
+import SettlementStatement from '../models/SettlementStatement.js';
+import RideRequest from '../models/RideRequest.js';
+import { getIO } from '../config/socket.js';
+import { finalizeRideFare, finalizeTripFares } from './fare.service.js';
+import { getPaymentProvider } from './paymentProvider.service.js';
+import { idOf } from '../utils/service.utils.js';
+
+/**
+ * @fileoverview Wallet Service
+ * @description Commute wallet: balances, ride charges and periodic settlement.
+ *
+ * Every money movement is an append-only WalletLedger row; the user's Wallet is rebuilt
+ * from their rows after each one (the PointLedger/UserPoints pattern, without the $inc).
+ * Ride rows carry the ride request id and a unique index, so charging the same ride twice
+ * is a no-op. MongoDB here is a standalone server, so there are no multi-document
+ * transactions: instead each leg of a transfer (passenger debit, driver credit, balance)
+ * is idempotent and safe to retry on its own, and the reconcile-wallets job finishes
+ * transfers a failed process left half done.
+ *
+ * - Drop-off: passenger is debited their final fare, driver credited the same amount
+ * - Trip completion: anyone picked up but never dropped off is charged the same way
+ * - Settlement: per period, each user's ledger is summarized into a statement; a
+ *   negative closing balance is collected and a positive one paid out through the
+ *   configured payment provider, with a counter-entry bringing the wallet back to zero;
+ *   a user's next statement waits until the previous one is settled
+ * - Reconciliation: driver credits missing for a charged ride are posted, and recently
+ *   active wallets are rebuilt from the ledger
+ *
+ * @module services/wallet.service
+ */
+
+/** Statements are retried this many times before they need an org admin */
+export const MAX_SETTLEMENT_ATTEMPTS = 5;
+
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rows younger than this may still be mid-posting and are left to their own process
+const RECONCILE_GRACE_MS = 5 * 60 * 1000;
+const RECONCILE_LOOKBACK_MS = DAY_MS;
+
+const roundINR = (value) => Math.round(value * 100) / 100;
+
+// ─── Periods and statements ─────────────────────────────────────────────────
+
+/**
+ * The last complete settlement period before `now`, in UTC. Weeks start on Monday.
+ *
+ * @param {Date} now
+ * @param {'WEEKLY'|'MONTHLY'} [period] - Defaults to SETTLEMENT_PERIOD, else WEEKLY
+ * @returns {{periodStart: Date, periodEnd: Date}} [periodStart, periodEnd)
+ */
+export const getSettlementPeriod = (now, period = process.env.SETTLEMENT_PERIOD || 'WEEKLY') => {
+  if (period === 'MONTHLY') {
+    const periodEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const periodStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    return { periodStart, periodEnd };
+  }
+
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+  const periodEnd = new Date(today - daysSinceMonday * DAY_MS);
+  const periodStart = new Date(periodEnd.getTime() - 7 * DAY_MS);
+  return { periodStart, periodEnd };
+};
+
+/**
+ * Totals for a statement from the ledger rows in its period.
+ *
+ * @param {Array<{type: string, reason: string, amountINR: number}>} entries
+ * @param {number} openingBalanceINR
+ * @returns {{totalCreditsINR: number, totalDebitsINR: number, closingBalanceINR: number, entryCounts: Object}}
+ */
+export const summarizeEntries = (entries, openingBalanceINR) => {
+  let credits = 0;
+  let debits = 0;
+  const entryCounts = {};
+
+  for (const entry of entries) {
+    if (entry.type === 'CREDIT') credits += entry.amountINR;
+    else debits += entry.amountINR;
+    entryCounts[entry.reason] = (entryCounts[entry.reason] || 0) + 1;
+  }
+
+  return {
+    totalCreditsINR: roundINR(credits),
+    totalDebitsINR: roundINR(debits),
+    closingBalanceINR: roundINR(openingBalanceINR + credits - debits),
+    entryCounts
+  };
+};
+
+/**
+ * What settling a closing balance takes: collect what the user owes, pay out what
+ * they are owed.
+ *
+ * @param {number} closingBalanceINR
+ * @returns {{action: 'COLLECT'|'PAYOUT'|'NONE', amountINR: number}}
+ */
+export const planSettlement = (closingBalanceINR) => {
+  const amountINR = roundINR(Math.abs(closingBalanceINR));
+  if (amountINR === 0) return { action: 'NONE', amountINR: 0 };
+  return { action: closingBalanceINR < 0 ? 'COLLECT' : 'PAYOUT', amountINR };
+};
+
+/**
+ * Whether a user's statement for a period can be built yet. Until the user's previous
+ * statement is settled, and its counter-entry posted before this period ends, the
+ * period's opening balance still holds money that statement will collect or pay out;
+ * building now would move it twice. The period's rows roll into the next statement.
+ *
+ * @param {{status: string, settlement?: {settledAt?: Date}}|null} previousStatement
+ * @param {Date} periodEnd
+ * @returns {boolean}
+ */
+export const isReadyForStatement = (previousStatement, periodEnd) => {
+  if (!previousStatement) return true;
+  const settledAt = previousStatement.settlement?.settledAt;
+  return previousStatement.status === 'SETTLED' && Boolean(settledAt) && settledAt < periodEnd;
+};
+
+// ─── Ledger ─────────────────────────────────────────────────────────────────
+
+/**
+ * Rebuild a user's wallet totals from all of their ledger rows. Concurrent rebuilds are
+ * safe: rows are only ever added, so the rebuild that counted more rows saw every row
+ * the other did, and an older one never overwrites it.
+ *
+ * @param {ObjectId|string} userId
+ * @returns {Promise<Object|null>} Wallet, null when the user has no ledger rows
+ */
+export const rebuildWalletBalance = async (userId) => {
+  const [totals] = await WalletLedger.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    {
+      $group: {
+        _id: null,
+        organizationId: { $first: '$organizationId' },
+        credited: { $sum: { $cond: [{ $eq: ['$type', 'CREDIT'] }, '$amountINR', 0] } },
+        debited: { $sum: { $cond: [{ $eq: ['$type', 'DEBIT'] }, '$amountINR', 0] } },
+        entries: { $sum: 1 }
+      }
+    }
+  ]);
+  if (!totals) return Wallet.findOne({ userId });
+
+  try {
+    return await Wallet.findOneAndUpdate(
+      { userId, $or: [{ ledgerEntries: { $lt: totals.entries } }, { ledgerEntries: { $exists: false } }] },
+      {
+        $set: {
+          balanceINR: roundINR(totals.credited - totals.debited),
+          totalCreditedINR: roundINR(totals.credited),
+          totalDebitedINR: roundINR(totals.debited),
+          ledgerEntries: totals.entries
+        },
+        $setOnInsert: { organizationId: totals.organizationId }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // The wallet already holds this or a newer rebuild
+    if (error.code === 11000) return Wallet.findOne({ userId });
+    throw error;
+  }
+};
+
+/**
+ * Append a ledger row and rebuild the wallet balance from the ledger. A retry after a
+ * failure anywhere in here finds the row already posted and still rebuilds the balance,
+ * so a row is never left out of it.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId
+ * @param {ObjectId} params.organizationId
+ * @param {'CREDIT'|'DEBIT'} params.type
+ * @param {string} params.reason - WalletLedger reason enum
+ * @param {number} params.amountINR - Positive; rounded to 2 decimals
+ * @param {ObjectId} [params.refId]
+ * @param {string} [params.refModel]
+ * @param {string} [params.providerRef]
+ * @param {string} [params.note]
+ * @param {ObjectId} [params.createdBy]
+ * @returns {Promise<{entry: Object, wallet: Object}|null>} null when the amount rounds to
+ * zero or the row was already posted
+ */
+export const postWalletEntry = async ({ userId, organizationId, type, reason, amountINR, ...rest }) => {
+  const amount = roundINR(amountINR);
+  if (!(amount > 0)) return null;
+
+  let entry = null;
+  try {
+    entry = await WalletLedger.create({ userId, organizationId, type, reason, amountINR: amount, ...rest });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const wallet = await rebuildWalletBalance(userId);
+  return entry ? { entry, wallet } : null;
+};
+
+/**
+ * Debit the passenger and credit the driver for one ride. Both legs are always
+ * attempted, so retrying after a failure between them posts the missing credit.
+ */
+const postRideCharge = async ({ rideRequestId, passengerId, driverId, organizationId, fareINR }) => {
+  const debit = await postWalletEntry({
+    userId: passengerId,
+    organizationId,
+    type: 'DEBIT',
+    reason: 'RIDE_FARE',
+    amountINR: fareINR,
+    refId: rideRequestId,
+    refModel: 'RideRequest'
+  });
+  await postWalletEntry({
+    userId: driverId,
+    organizationId,
+    type: 'CREDIT',
+    reason: 'RIDE_EARNING',
+    amountINR: fareINR,
+    refId: rideRequestId,
+    refModel: 'RideRequest'
+  });
+
+  if (debit) {
+    try {
+      const io = getIO();
+      io.to(`user-${passengerId}`).emit('fare-charged', {
+        rideId: rideRequestId,
+        amountINR: debit.entry.amountINR,
+        balanceINR: roundINR(debit.wallet.balanceINR),
+        timestamp: new Date()
+      });
+    } catch (e) {
+      console.error('fare-charged socket emit failed:', e.message);
+    }
+  }
+  return Boolean(debit);
+};
+
+// ─── Ride charges ───────────────────────────────────────────────────────────
+
+/**
+ * Charge a ride that has just completed — called from rideController.markAsDroppedOff.
+ * Finalises the passenger's fare first. Safe to call more than once.
+ *
+ * @param {Object} params
+ * @param {Object} params.rideRequest - Ride request (passengerId may be populated)
+ * @param {Object} params.trip - Trip document
+ * @returns {Promise<number|null>} Fare charged in INR, null when the ride could not be priced
+ */
+export const chargeRideFare = async ({ rideRequest, trip }) => {
+  if (!trip.organizationId) {
+    console.warn('chargeRideFare: no organizationId — skipping wallet charge');
+    return null;
+  }
+
+  const fareINR = await finalizeRideFare(trip, rideRequest._id);
+  if (!fareINR) return null;
+
+  await postRideCharge({
+    rideRequestId: rideRequest._id,
+    passengerId: idOf(rideRequest.passengerId),
+    driverId: idOf(trip.driverId),
+    organizationId: trip.organizationId,
+    fareINR
+  });
+  return fareINR;
+};
+
+/**
+ * Finalise every fare on a completed trip and charge the passengers who were not
+ * charged at drop-off (e.g. the trip was completed with them still on board). Only
+ * passengers who were picked up are charged; anyone still waiting pays nothing.
+ *
+ * @param {Object} trip - Trip document
+ * @returns {Promise<{totalINR: number, charged: number}>}
+ */
+export const chargeTripFares = async (trip) => {
+  const { totalINR, fares } = await finalizeTripFares(trip);
+  if (!trip.organizationId || fares.size === 0) return { totalINR, charged: 0 };
+
+  const rides = await RideRequest.find({ _id: { $in: [...fares.keys()] } })
+    .select('_id passengerId')
+    .lean();
+
+  let charged = 0;
+  for (const ride of rides) {
+    const posted = await postRideCharge({
+      rideRequestId: ride._id,
+      passengerId: ride.passengerId,
+      driverId: idOf(trip.driverId),
+      organizationId: trip.organizationId,
+      fareINR: fares.get(String(ride._id))
+    });
+    if (posted) charged++;
+  }
+  return { totalINR, charged };
+};
+
+/**
+ * Background job: finish ride charges a failed process left half done and rebuild
+ * recently active wallets from the ledger. Rows posted in the last few minutes are
+ * left alone; their own process may still be posting.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{creditsPosted: number, walletsRebuilt: number}>}
+ */
+export const reconcileWallets = async (now = new Date()) => {
+  const recent = {
+    $gte: new Date(now.getTime() - RECONCILE_LOOKBACK_MS),
+    $lt: new Date(now.getTime() - RECONCILE_GRACE_MS)
+  };
+
+  // Passenger debited, driver never credited
+  const fares = await WalletLedger.find({ reason: 'RIDE_FARE', createdAt: recent })
+    .select('refId organizationId amountINR')
+    .lean();
+  const credited = new Set((await WalletLedger.find({
+    refId: { $in: fares.map(fare => fare.refId) },
+    reason: 'RIDE_EARNING'
+  }).select('refId').lean()).map(entry => String(entry.refId)));
+  const missing = fares.filter(fare => !credited.has(String(fare.refId)));
+
+  const rides = await RideRequest.find({ _id: { $in: missing.map(fare => fare.refId) } })
+    .select('tripId')
+    .populate('tripId', 'driverId')
+    .lean();
+  const driverOf = new Map(rides.map(ride => [String(ride._id), ride.tripId?.driverId]));
+
+  let creditsPosted = 0;
+  for (const fare of missing) {
+    const driverId = driverOf.get(String(fare.refId));
+    if (!driverId) continue;
+    const posted = await postWalletEntry({
+      userId: driverId,
+      organizationId: fare.organizationId,
+      type: 'CREDIT',
+      reason: 'RIDE_EARNING',
+      amountINR: fare.amountINR,
+      refId: fare.refId,
+      refModel: 'RideRequest'
+    });
+    if (posted) creditsPosted++;
+  }
+
+  // Balances a failed process left behind its rows
+  const userIds = await WalletLedger.distinct('userId', { createdAt: recent });
+  for (const userId of userIds) {
+    await rebuildWalletBalance(userId);
+  }
+
+  return { creditsPosted, walletsRebuilt: userIds.length };
+};
+
+// ─── Top-ups and adjustments ────────────────────────────────────────────────
+
+/**
+ * Add money to a wallet through the payment provider.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId
+ * @param {ObjectId} params.organizationId
+ * @param {number} params.amountINR
+ * @param {Object} [params.provider] - Defaults to the configured provider
+ * @returns {Promise<{entry: Object, wallet: Object}>}
+ */
+export const topUpWallet = async ({ userId, organizationId, amountINR, provider = getPaymentProvider() }) => {
+  const reference = `topup_${new mongoose.Types.ObjectId()}`;
+  const { providerRef } = await provider.collect({ userId, amountINR, reference });
+
+  return postWalletEntry({
+    userId,
+    organizationId,
+    type: 'CREDIT',
+    reason: 'TOP_UP',
+    amountINR,
+    providerRef,
+    note: `${provider.name} ${reference}`
+  });
+};
+
+// ─── Settlement ─────────────────────────────────────────────────────────────
+
+/**
+ * Build (or return the existing) statement for one user and period. Nothing is built
+ * while the user's previous statement is unsettled (see isReadyForStatement).
+ *
+ * @param {ObjectId} userId
+ * @param {ObjectId} organizationId
+ * @param {{periodStart: Date, periodEnd: Date}} period
+ * @returns {Promise<Object|null>} SettlementStatement document, null when not ready
+ */
+export const generateStatement = async (userId, organizationId, { periodStart, periodEnd }) => {
+  const existing = await SettlementStatement.findOne({ userId, periodStart });
+  if (existing) return existing;
+
+  // Statements are only built once the one before is settled, so the latest is enough
+  const previous = await SettlementStatement.findOne({ userId, periodStart: { $lt: periodStart } })
+    .sort({ periodStart: -1 })
+    .select('status settlement.settledAt')
+    .lean();
+  if (!isReadyForStatement(previous, periodEnd)) return null;
+
+  const [before, entries] = await Promise.all([
+    WalletLedger.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)), createdAt: { $lt: periodStart } } },
+      {
+        $group: {
+          _id: null,
+          balance: { $sum: { $cond: [{ $eq: ['$type', 'CREDIT'] }, '$amountINR', { $multiply: ['$amountINR', -1] }] } }
+        }
+      }
+    ]),
+    WalletLedger.find({ userId, createdAt: { $gte: periodStart, $lt: periodEnd } })
+      .select('type reason amountINR')
+      .lean()
+  ]);
+
+  const openingBalanceINR = roundINR(before[0]?.balance || 0);
+  try {
+    return await SettlementStatement.create({
+      userId,
+      organizationId,
+      periodStart,
+      periodEnd,
+      openingBalanceINR,
+      ...summarizeEntries(entries, openingBalanceINR)
+    });
+  } catch (error) {
+    // Another worker generated it first
+    if (error.code === 11000) return SettlementStatement.findOne({ userId, periodStart });
+    throw error;
+  }
+};
+
+/**
+ * Generate statements for every user with wallet activity in the period, and for users
+ * still holding a balance (rows rolled forward while an earlier statement was unsettled).
+ *
+ * @param {{periodStart: Date, periodEnd: Date}} period
+ * @returns {Promise<number>} Statements created or found
+ */
+export const generateStatementsForPeriod = async (period) => {
+  const [active, holding] = await Promise.all([
+    WalletLedger.aggregate([
+      { $match: { createdAt: { $gte: period.periodStart, $lt: period.periodEnd } } },
+      { $group: { _id: '$userId', organizationId: { $first: '$organizationId' } } }
+    ]),
+    Wallet.find({ balanceINR: { $ne: 0 } }).select('userId organizationId').lean()
+  ]);
+
+  const users = new Map(active.map(user => [String(user._id), user.organizationId]));
+  for (const wallet of holding) {
+    if (!users.has(String(wallet.userId))) users.set(String(wallet.userId), wallet.organizationId);
+  }
+
+  let generated = 0;
+  for (const [userId, organizationId] of users) {
+    if (await generateStatement(userId, organizationId, period)) generated++;
+  }
+  return generated;
+};
+
+/**
+ * Settle a statement through the payment provider and post the counter-entry that
+ * brings the wallet back to zero. Failures are recorded on the statement and retried
+ * on the next run; the provider reference (statement id) and the ledger's unique
+ * index keep retries from moving money twice.
+ *
+ * @param {Object} statement - SettlementStatement document
+ * @param {Object} [provider] - Defaults to the configured provider
+ * @returns {Promise<Object>} Updated statement
+ */
+export const settleStatement = async (statement, provider = getPaymentProvider()) => {
+  const { action, amountINR } = planSettlement(statement.closingBalanceINR);
+  statement.set({ 'settlement.action': action, 'settlement.amountINR': amountINR });
+
+  if (action === 'NONE') {
+    statement.set({ status: 'SETTLED', 'settlement.settledAt': new Date() });
+    return statement.save();
+  }
+
+  statement.set({
+    'settlement.provider': provider.name,
+    'settlement.attempts': (statement.settlement?.attempts || 0) + 1
+  });
+  try {
+    const request = { userId: statement.userId, amountINR, reference: String(statement._id) };
+    const { providerRef } = action === 'COLLECT'
+      ? await provider.collect(request)
+      : await provider.payout(request);
+
+    await postWalletEntry({
+      userId: statement.userId,
+      organizationId: statement.organizationId,
+      type: action === 'COLLECT' ? 'CREDIT' : 'DEBIT',
+      reason: action === 'COLLECT' ? 'SETTLEMENT_COLLECTION' : 'SETTLEMENT_PAYOUT',
+      amountINR,
+      refId: statement._id,
+      refModel: 'SettlementStatement',
+      providerRef
+    });
+
+    statement.set({
+      status: 'SETTLED',
+      'settlement.providerRef': providerRef,
+      'settlement.settledAt': new Date(),
+      'settlement.failureReason': undefined
+    });
+  } catch (error) {
+    statement.set({ status: 'FAILED', 'settlement.failureReason': error.message });
+  }
+  return statement.save();
+};
+
+/**
+ * Settle OPEN statements and retry FAILED ones under the attempt limit.
+ *
+ * @param {Object} [provider]
+ * @returns {Promise<{settled: number, failed: number}>}
+ */
+export const settleOpenStatements = async (provider = getPaymentProvider()) => {
+  const statements = await SettlementStatement.find({
+    status: { $in: ['OPEN', 'FAILED'] },
+    'settlement.attempts': { $not: { $gte: MAX_SETTLEMENT_ATTEMPTS } }
+  })
+    .sort({ periodEnd: 1 })
+    .limit(BATCH_SIZE);
+
+  const result = { settled: 0, failed: 0 };
+  for (const statement of statements) {
+    const updated = await settleStatement(statement, provider);
+    if (updated.status === 'SETTLED') result.settled++;
+    else result.failed++;
+  }
+  return result;
+};
+
+/**
+ * Background job: generate statements for the last complete period, then settle.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{generated: number, settled: number, failed: number}>}
+ */
+export const runSettlementCycle = async (now = new Date()) => {
+  const generated = await generateStatementsForPeriod(getSettlementPeriod(now));
+  const { settled, failed } = await settleOpenStatements();
+  return { generated, settled, failed };
+};
+
+export default {
+  MAX_SETTLEMENT_ATTEMPTS,
+  getSettlementPeriod,
+  summarizeEntries,
+  planSettlement,
+  isReadyForStatement,
+  rebuildWalletBalance,
+  postWalletEntry,
+  chargeRideFare,
+  chargeTripFares,
+  reconcileWallets,
+  topUpWallet,
+  generateStatement,
+  generateStatementsForPeriod,
+  settleStatement,
+  settleOpenStatements,
+  runSettlementCycle
+};
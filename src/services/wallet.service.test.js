@@ -0,0 +1,185 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  getSettlementPeriod,
+  summarizeEntries,
+  planSettlement,
+  isReadyForStatement,
+  settleStatement
+} from './wallet.service.js';
+import { createLocalPaymentProvider } from './paymentProvider.service.js';
+
+/**
+ * @fileoverview Wallet Service Tests
+ * @description Tests for settlement periods, statement totals, settlement planning,
+ * statement ordering and settling against the local fake payment provider
+ */
+
+describe('Wallet Service', () => {
+
+  describe('getSettlementPeriod', () => {
+    it('should return the previous Monday-to-Monday week in UTC', () => {
+      // Wednesday 2026-03-11
+      const { periodStart, periodEnd } = getSettlementPeriod(new Date('2026-03-11T10:00:00Z'), 'WEEKLY');
+      expect(periodStart.toISOString()).toBe('2026-03-02T00:00:00.000Z');
+      expect(periodEnd.toISOString()).toBe('2026-03-09T00:00:00.000Z');
+    });
+
+    it('should end the period at the start of today when today is Monday', () => {
+      const { periodEnd } = getSettlementPeriod(new Date('2026-03-09T00:30:00Z'), 'WEEKLY');
+      expect(periodEnd.toISOString()).toBe('2026-03-09T00:00:00.000Z');
+    });
+
+    it('should return the previous calendar month for MONTHLY', () => {
+      const { periodStart, periodEnd } = getSettlementPeriod(new Date('2026-01-15T00:00:00Z'), 'MONTHLY');
+      expect(periodStart.toISOString()).toBe('2025-12-01T00:00:00.000Z');
+      expect(periodEnd.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('summarizeEntries', () => {
+    it('should total credits and debits from the opening balance', () => {
+      const summary = summarizeEntries([
+        { type: 'DEBIT', reason: 'RIDE_FARE', amountINR: 42.5 },
+        { type: 'DEBIT', reason: 'RIDE_FARE', amountINR: 30.1 },
+        { type: 'CREDIT', reason: 'TOP_UP', amountINR: 100 }
+      ], -10);
+
+      expect(summary.totalCreditsINR).toBe(100);
+      expect(summary.totalDebitsINR).toBe(72.6);
+      expect(summary.closingBalanceINR).toBe(17.4);
+      expect(summary.entryCounts).toEqual({ RIDE_FARE: 2, TOP_UP: 1 });
+    });
+
+    it('should carry the opening balance when there are no entries', () => {
+      expect(summarizeEntries([], 25).closingBalanceINR).toBe(25);
+    });
+  });
+
+  describe('planSettlement', () => {
+    it('should collect a negative balance', () => {
+      expect(planSettlement(-42.5)).toEqual({ action: 'COLLECT', amountINR: 42.5 });
+    });
+
+    it('should pay out a positive balance', () => {
+      expect(planSettlement(120)).toEqual({ action: 'PAYOUT', amountINR: 120 });
+    });
+
+    it('should do nothing for a zero balance or rounding dust', () => {
+      expect(planSettlement(0)).toEqual({ action: 'NONE', amountINR: 0 });
+      expect(planSettlement(0.001).action).toBe('NONE');
+    });
+  });
+
+  describe('isReadyForStatement', () => {
+    const periodEnd = new Date('2026-03-16T00:00:00Z');
+
+    it('should be ready for a user with no previous statement', () => {
+      expect(isReadyForStatement(null, periodEnd)).toBe(true);
+    });
+
+    it('should wait while the previous statement is open or failed', () => {
+      expect(isReadyForStatement({ status: 'OPEN', settlement: {} }, periodEnd)).toBe(false);
+      expect(isReadyForStatement({ status: 'FAILED', settlement: {} }, periodEnd)).toBe(false);
+    });
+
+    it('should wait when the previous statement was settled after the period ended', () => {
+      const previous = { status: 'SETTLED', settlement: { settledAt: new Date('2026-03-16T01:00:00Z') } };
+      expect(isReadyForStatement(previous, periodEnd)).toBe(false);
+    });
+
+    it('should be ready once the previous statement was settled within the period', () => {
+      const previous = { status: 'SETTLED', settlement: { settledAt: new Date('2026-03-09T01:00:00Z') } };
+      expect(isReadyForStatement(previous, periodEnd)).toBe(true);
+    });
+
+    it('should collect each ride once when a collection fails and succeeds a cycle later', () => {
+      // Ledger and settlement cycles replayed the way generateStatement and
+      // settleOpenStatements apply them
+      const ledger = [{ type: 'DEBIT', reason: 'RIDE_FARE', amountINR: 100, createdAt: new Date('2026-03-04T09:00:00Z') }];
+      const statements = [];
+      const collected = [];
+
+      const runCycle = (now, providerFails) => {
+        const { periodStart, periodEnd } = getSettlementPeriod(now, 'WEEKLY');
+        const balanceBefore = (rows) => rows.reduce((sum, row) => sum + (row.type === 'CREDIT' ? row.amountINR : -row.amountINR), 0);
+        if (isReadyForStatement(statements.at(-1) || null, periodEnd)) {
+          const openingBalanceINR = balanceBefore(ledger.filter(row => row.createdAt < periodStart));
+          const entries = ledger.filter(row => row.createdAt >= periodStart && row.createdAt < periodEnd);
+          statements.push({ periodStart, status: 'OPEN', settlement: {}, ...summarizeEntries(entries, openingBalanceINR) });
+        }
+        for (const statement of statements.filter(s => s.status !== 'SETTLED')) {
+          if (providerFails) {
+            statement.status = 'FAILED';
+            continue;
+          }
+          const { amountINR } = planSettlement(statement.closingBalanceINR);
+          collected.push(amountINR);
+          ledger.push({ type: 'CREDIT', reason: 'SETTLEMENT_COLLECTION', amountINR, createdAt: now });
+          statement.status = 'SETTLED';
+          statement.settlement.settledAt = now;
+        }
+      };
+
+      runCycle(new Date('2026-03-09T01:00:00Z'), true);
+      ledger.push({ type: 'DEBIT', reason: 'RIDE_FARE', amountINR: 50, createdAt: new Date('2026-03-12T09:00:00Z') });
+      runCycle(new Date('2026-03-16T01:00:00Z'), false);
+      ledger.push({ type: 'DEBIT', reason: 'RIDE_FARE', amountINR: 20, createdAt: new Date('2026-03-18T09:00:00Z') });
+      runCycle(new Date('2026-03-23T01:00:00Z'), false);
+
+      // The week of 9 March waited for the failed statement and rolled into the next one
+      expect(statements.map(s => s.periodStart.toISOString())).toEqual([
+        '2026-03-02T00:00:00.000Z',
+        '2026-03-16T00:00:00.000Z'
+      ]);
+      expect(collected).toEqual([100, 70]);
+    });
+  });
+
+  describe('settleStatement', () => {
+    // Stand-in for a SettlementStatement document: set() by path, save() resolves itself
+    const makeStatement = (closingBalanceINR) => ({
+      _id: '507f1f77bcf86cd799439044',
+      userId: '507f1f77bcf86cd799439011',
+      organizationId: '507f1f77bcf86cd799439022',
+      closingBalanceINR,
+      status: 'OPEN',
+      settlement: {},
+      set(paths) {
+        for (const [path, value] of Object.entries(paths)) {
+          const [head, key] = path.split('.');
+          if (key) this[head][key] = value;
+          else this[head] = value;
+        }
+      },
+      save() {
+        return Promise.resolve(this);
+      }
+    });
+
+    it('should settle a zero balance without calling the provider', async () => {
+      const provider = createLocalPaymentProvider({ name: 'fake-none' });
+      const statement = await settleStatement(makeStatement(0), provider);
+
+      expect(statement.status).toBe('SETTLED');
+      expect(statement.settlement.action).toBe('NONE');
+      expect(provider.transactions).toHaveLength(0);
+    });
+
+    it('should record a provider failure and count the attempt', async () => {
+      const provider = createLocalPaymentProvider({
+        name: 'fake-failing',
+        shouldFail: () => 'insufficient funds'
+      });
+      const statement = await settleStatement(makeStatement(-42.5), provider);
+
+      expect(statement.status).toBe('FAILED');
+      expect(statement.settlement).toMatchObject({
+        action: 'COLLECT',
+        amountINR: 42.5,
+        provider: 'fake-failing',
+        attempts: 1
+      });
+      expect(statement.settlement.failureReason).toMatch(/insufficient funds/);
+    });
+  });
+});
@@ -6,6 +6,14 @@
  */
 
 import Trip from '../models/Trip.js';
+import { ACTIVE_TRIP_STATUSES } from '../services/tripLifecycle.service.js';
+import { orgAdminRoom } from '../services/incident.service.js';
+import { forwardLocationToShareViewers } from '../services/trackingShare.service.js';
+import { detectStopsFromLocation } from '../services/stopDetection.service.js';
+import { monitorTripLocation } from '../services/routeMonitor.service.js';
+import { recordTracePoint } from '../services/tripTrace.service.js';
+import { notifyPickupEtas } from '../services/pickupEta.service.js';
+import { authorizeTripRoomJoin } from '../services/tripRoom.service.js';
 
 /**
  * Setup Ride Socket Handlers
@@ -23,6 +31,8 @@ import Trip from '../models/Trip.js';
  * @rooms
  * - `user-${userId}`: Personal room for user-specific notifications
  * - `trip-${tripId}`: Trip room for all passengers and driver
+ * - `org-admins-${organizationId}`: ORG_ADMIN sockets, for SOS alerts (sos-alert, incident-updated)
+ *   and route alerts (route-alert)
  * 
  * @events
  * 
@@ -32,7 +42,8 @@ import Trip from '../models/Trip.js';
  * Join a trip room to receive real-time updates
  * @param {string} tripId - MongoDB ObjectId of trip
  * @emits trip-joined - Confirmation of joining trip room
- * @emits error - If tripId missing
+ * @emits error - If tripId missing, trip not found or unauthorized
+ * @security Only the driver, approved passengers and the trip org's admins can join
  * 
  * ### leaveTrip
  * Leave a trip room
@@ -45,8 +56,13 @@ import Trip from '../models/Trip.js';
  * @param {Object} data.location - GeoJSON Point location
  * @param {Object} data.location.coordinates - GeoJSON coordinates
  * @emits driverLocationUpdate - Broadcast to all in trip room
- * @emits error - If validation fails or update fails
- * @note Only updates if trip.status === 'IN_PROGRESS'
+ * @emits error - If validation fails, trip not found, unauthorized or update fails
+ * @security Only trip driver can update location
+ * @note Only updates while the trip is STARTED or IN_PROGRESS
+ * @note Also runs pickup / drop-off detection (services/stopDetection.service.js)
+ * @note ...and route deviation / unexpected stop checks (services/routeMonitor.service.js)
+ * @note ...and is stored in the trip's GPS trace (services/tripTrace.service.js)
+ * @note ...and sends waiting passengers their pickup ETA (services/pickupEta.service.js)
  * 
  * ### tripStatusChanged
  * Broadcast trip status change to all passengers
@@ -79,8 +95,9 @@ import Trip from '../models/Trip.js';
  * @security
  * - JWT authentication required for all connections
  * - Users auto-join personal room on connection
+ * - Trip rooms are limited to the driver, approved passengers and the trip org's admins
  * - Drivers can only update their own trips
- * - Location updates only processed for IN_PROGRESS trips
+ * - Location updates only processed for STARTED or IN_PROGRESS trips
  * 
  * @example Client Usage:
  * ```javascript
@@ -116,13 +133,25 @@ export const setupRideSocket = (io) => {
     // Auto-join user to their personal room for notifications
     socket.join(`user-${socket.userId}`);
 
+    // Org admins receive SOS alerts for their organization's trips
+    if (socket.userRole === 'ORG_ADMIN' && socket.organizationId) {
+      socket.join(orgAdminRoom(socket.organizationId));
+    }
+
     // Join a trip room for tracking
-    socket.on('joinTrip', (tripId) => {
+    socket.on('joinTrip', async (tripId) => {
       if (!tripId) {
         socket.emit('error', { message: 'Trip ID is required' });
         return;
       }
 
+      try {
+        await authorizeTripRoomJoin(tripId, socket);
+      } catch (error) {
+        socket.emit('error', { message: error.status ? error.message : 'Failed to join trip' });
+        return;
+      }
+
       socket.join(`trip:${tripId}`);
       console.log(`Socket ${socket.id} joined trip room: trip:${tripId}`);
       
@@ -152,12 +181,29 @@ export const setupRideSocket = (io) => {
       try {
         // Update trip location in database
         const trip = await Trip.findById(tripId);
-        if (trip && trip.status === 'IN_PROGRESS') {
+        if (!trip) {
+          socket.emit('error', { message: 'Trip not found' });
+          return;
+        }
+
+        if (trip.driverId.toString() !== socket.userId?.toString()) {
+          socket.emit('error', { message: 'Only the driver can update location' });
+          return;
+        }
+
+        if (ACTIVE_TRIP_STATUSES.includes(trip.status)) {
           trip.currentLocation = location;
           await trip.save();
 
           // Broadcast location update to all passengers in the trip room
           io.to(`trip:${tripId}`).emit('driverLocationUpdate', location);
+          forwardLocationToShareViewers(trip)
+            .catch(err => console.error('Shared tracking forward failed:', err.message));
+          const [lng, lat] = trip.currentLocation?.coordinates || [];
+          detectStopsFromLocation(trip, { lat, lng });
+          monitorTripLocation(trip, { lat, lng });
+          recordTracePoint(trip, { lat, lng });
+          notifyPickupEtas(trip, { lat, lng });
           console.log(`Driver location updated for trip ${tripId}`);
         }
       } catch (error) {
@@ -181,7 +227,7 @@ export const setupRideSocket = (io) => {
     });
 
     // Legacy events (keep for backward compatibility)
-    socket.on('join-trip', (data) => {
+    socket.on('join-trip', async (data) => {
       const { tripId, userId } = data;
       
       if (!tripId) {
@@ -189,6 +235,13 @@ export const setupRideSocket = (io) => {
         return;
       }
 
+      try {
+        await authorizeTripRoomJoin(tripId, socket);
+      } catch (error) {
+        socket.emit('error', { message: error.status ? error.message : 'Failed to join trip' });
+        return;
+      }
+
       socket.join(`trip:${tripId}`);
       console.log(`User ${userId || socket.id} joined trip room: trip:${tripId}`);
       
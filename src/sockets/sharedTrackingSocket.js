@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Shared Tracking Socket.io Handlers
+ * @description Read-only live tracking for people a passenger shared their ride with.
+ * Runs on its own namespace so the JWT middleware of the default namespace
+ * (sockets/trackingSocket.js) does not apply; a share token is required instead.
+ * @module sockets/sharedTrackingSocket
+ */
+
+import {
+  SHARE_NAMESPACE,
+  resolveTrackingShare,
+  getSharedTrackingView
+} from '../services/trackingShare.service.js';
+
+/**
+ * Setup Shared Tracking Socket Handlers
+ *
+ * @param {Object} io - Socket.io server instance
+ *
+ * @authentication
+ * - Requires a share token in socket.handshake.auth.shareToken
+ * - Rejected when the link is unknown, expired, revoked or the ride has ended
+ *
+ * @rooms (namespace /shared-tracking)
+ * - `trip:${tripId}`: Trip status changes
+ * - `ride:${rideRequestId}`: Driver position, ETA and the passenger's pickup status
+ * - `share:${shareId}`: Used to disconnect viewers when the link is revoked
+ *
+ * ## Server -> Client Events:
+ *
+ * ### tracking
+ * Current view, sent on connection
+ * @payload {Object} { tripStatus, rideStatus, driverLocation, eta, vehicle, expiresAt }
+ *
+ * ### locationUpdate
+ * @payload {Object} { driverLocation, eta, rideStatus, timestamp }
+ *
+ * ### statusUpdate
+ * @payload {Object} { tripStatus } or { rideStatus }, with timestamp
+ *
+ * ### share-ended
+ * Sent before the server disconnects the viewer
+ * @payload {Object} { reason: EXPIRED | REVOKED | DROPPED_OFF | RIDE_ENDED, timestamp }
+ *
+ * @example Client Usage:
+ * ```javascript
+ * const socket = io('http://localhost:5000/shared-tracking', {
+ *   auth: { shareToken }
+ * });
+ * socket.on('tracking', renderView);
+ * socket.on('locationUpdate', ({ driverLocation, eta }) => moveMarker(driverLocation));
+ * socket.on('share-ended', () => showEndedMessage());
+ * ```
+ */
+export const setupSharedTrackingSocket = (io) => {
+  const ns = io.of(SHARE_NAMESPACE);
+
+  ns.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.shareToken;
+      if (!token) {
+        return next(new Error('Share token required'));
+      }
+
+      const { share, ride } = await resolveTrackingShare(token);
+      socket.shareToken = token;
+      socket.shareId = share._id.toString();
+      socket.tripId = ride.tripId._id.toString();
+      socket.rideRequestId = ride._id.toString();
+      socket.shareExpiresAt = share.expiresAt;
+      next();
+    } catch (error) {
+      next(new Error(error.status ? error.message : 'Invalid share token'));
+    }
+  });
+
+  ns.on('connection', async (socket) => {
+    socket.join([`trip:${socket.tripId}`, `ride:${socket.rideRequestId}`, `share:${socket.shareId}`]);
+
+    // Links expire on a clock, not on an event; drop the viewer when time is up
+    const expiryTimer = setTimeout(() => {
+      socket.emit('share-ended', { reason: 'EXPIRED', timestamp: new Date() });
+      socket.disconnect(true);
+    }, Math.min(2 ** 31 - 1, Math.max(0, new Date(socket.shareExpiresAt).getTime() - Date.now())));
+
+    socket.on('disconnect', () => clearTimeout(expiryTimer));
+
+    try {
+      socket.emit('tracking', await getSharedTrackingView(socket.shareToken));
+    } catch (error) {
+      socket.emit('share-ended', { reason: 'EXPIRED', message: error.message, timestamp: new Date() });
+      socket.disconnect(true);
+    }
+  });
+};
+
+export default setupSharedTrackingSocket;
@@ -8,6 +8,13 @@
 import Trip from '../models/Trip.js';
 import jwt from 'jsonwebtoken';
 import { calculateETA } from '../services/etaService.js';
+import { startTrip, completeTrip } from '../services/tripLifecycle.service.js';
+import { forwardLocationToShareViewers } from '../services/trackingShare.service.js';
+import { detectStopsFromLocation } from '../services/stopDetection.service.js';
+import { monitorTripLocation } from '../services/routeMonitor.service.js';
+import { recordTracePoint } from '../services/tripTrace.service.js';
+import { notifyPickupEtas } from '../services/pickupEta.service.js';
+import { authorizeTripRoomJoin } from '../services/tripRoom.service.js';
 
 /**
  * Setup Tracking Socket Handlers
@@ -21,6 +28,7 @@ import { calculateETA } from '../services/etaService.js';
  * - Requires JWT token in socket.handshake.auth.token
  * - Token verified using JWT_SECRET from environment
  * - socket.userId and socket.userRole attached from decoded token
+ * - socket.data.userId also set so services can tell whose sockets are in a room
  * 
  * @rooms
  * - `trip:${tripId}`: Trip tracking room for passengers and driver
@@ -33,7 +41,8 @@ import { calculateETA } from '../services/etaService.js';
  * Join a trip tracking room and receive current trip status
  * @param {string} tripId - MongoDB ObjectId of trip
  * @emits tripStatus - Current trip status and location
- * @emits error - If trip not found
+ * @emits error - If trip not found or unauthorized
+ * @security Only the driver, approved passengers and the trip org's admins can join
  * @async Fetches trip from database
  * 
  * ### leaveTrip
@@ -51,14 +60,31 @@ import { calculateETA } from '../services/etaService.js';
  * @emits error - If validation fails or unauthorized
  * @security Only trip driver can update location
  * @async Updates trip.currentLocation in database
+ * @note Also runs pickup / drop-off detection (services/stopDetection.service.js), which
+ * emits stop-detected and stop-auto-confirmed to the driver's user-${driverId} room
+ * @note ...and route monitoring (services/routeMonitor.service.js), which emits routeAlert to the
+ * trip room and route-alert to org admins from the org's adminAlertSeverity up
+ * @note Stored in the trip's GPS trace (services/tripTrace.service.js); an optional
+ * data.location.accuracy (meters) lets inaccurate fixes be left out
+ * @note Each passenger waiting for pickup gets pickup-eta in their user-${passengerId} room,
+ * counted through the pickups and drop-offs before theirs, plus driver-approaching and
+ * driver-at-pickup once (services/pickupEta.service.js)
  * 
  * ### startTrip
- * Driver starts the trip
+ * Driver starts the trip (same lifecycle rules as POST /api/trips/:id/start)
  * @param {string} tripId - MongoDB ObjectId of trip
- * @emits tripStarted - Broadcast to all in trip room
- * @emits error - If trip not found or unauthorized
+ * @emits tripStatusUpdate - Broadcast to all in trip room
+ * @emits error - If trip not found, unauthorized or not SCHEDULED
  * @security Only trip driver can start trip
- * @async Updates trip.status to 'STARTED'
+ * @async Updates trip.status to 'STARTED' via services/tripLifecycle.service
+ * 
+ * ### completeTrip
+ * Driver completes the trip (same lifecycle rules and ESG computation as
+ * POST /api/trips/:id/complete)
+ * @param {string} tripId - MongoDB ObjectId of trip
+ * @emits tripStatusUpdate - Broadcast to all in trip room
+ * @emits error - If trip not found, unauthorized or not started
+ * @security Only trip driver can complete trip
  * 
  * ## Server -> Client Events:
  * 
@@ -76,13 +102,17 @@ import { calculateETA } from '../services/etaService.js';
  * @payload.location - { lat, lng } coordinates
  * @payload.timestamp - Update timestamp
  * @room trip:${tripId}
+ * @note Also forwarded to share-link viewers (sockets/sharedTrackingSocket.js)
  * 
- * ### tripStarted
- * Trip start notification
+ * ### tripStatusUpdate
+ * Trip status change, emitted by the lifecycle service for every transition
  * @payload {Object}
  * @payload.tripId - MongoDB ObjectId
- * @payload.status - 'STARTED'
- * @payload.actualStartTime - Start timestamp
+ * @payload.status - New status
+ * @payload.previousStatus - Status before the change
+ * @payload.reason - Reason recorded in the status history, if any
+ * @payload.message - Display text
+ * @payload.timestamp - Transition timestamp
  * @room trip:${tripId}
  * 
  * ### error
@@ -122,9 +152,9 @@ import { calculateETA } from '../services/etaService.js';
  *   updateMapMarker(location.lat, location.lng);
  * });
  * 
- * // Trip started notification
- * socket.on('tripStarted', (data) => {
- *   console.log('Trip started at:', data.actualStartTime);
+ * // Trip status changes (started, in progress, completed, cancelled)
+ * socket.on('tripStatusUpdate', (data) => {
+ *   console.log(`Trip ${data.previousStatus} -> ${data.status}`);
  * });
  * ```
  * 
@@ -164,6 +194,8 @@ export const setupTrackingSocket = (io) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
       socket.userId = decoded.userId; // JWT payload uses 'userId', not 'id'
       socket.userRole = decoded.role;
+      socket.organizationId = decoded.organizationId;
+      socket.data.userId = decoded.userId; // visible to fetchSockets(), used for trip chat delivery
       console.log(`[Auth] Socket authenticated - userId: ${socket.userId}, role: ${socket.userRole}`);
       next();
     } catch {
@@ -177,12 +209,7 @@ export const setupTrackingSocket = (io) => {
     // Join a specific trip room
     socket.on('joinTrip', async (tripId) => {
       try {
-        const trip = await Trip.findById(tripId);
-        
-        if (!trip) {
-          socket.emit('error', { message: 'Trip not found' });
-          return;
-        }
+        const trip = await authorizeTripRoomJoin(tripId, socket);
 
         socket.join(`trip:${tripId}`);
         console.log(`User ${socket.userId} joined trip ${tripId}`);
@@ -193,8 +220,8 @@ export const setupTrackingSocket = (io) => {
           status: trip.status,
           currentLocation: trip.currentLocation
         });
-      } catch {
-        socket.emit('error', { message: 'Failed to join trip' });
+      } catch (error) {
+        socket.emit('error', { message: error.status ? error.message : 'Failed to join trip' });
       }
     });
 
@@ -263,6 +290,21 @@ export const setupTrackingSocket = (io) => {
         });
 
         console.log(`✓ Location broadcast for trip ${tripId} - ${location.lat}, ${location.lng}`);
+
+        forwardLocationToShareViewers(trip)
+          .catch(err => console.error('Shared tracking forward failed:', err.message));
+
+        // Pickup / drop-off detection for the passengers on board (never throws)
+        detectStopsFromLocation(trip, location);
+
+        // Route deviation and unexpected stop alerts (never throws)
+        monitorTripLocation(trip, location);
+
+        // GPS breadcrumb for the driven distance (never throws)
+        recordTracePoint(trip, location);
+
+        // ETA to each waiting passenger's pickup, to their user room (never throws)
+        notifyPickupEtas(trip, location);
       } catch (error) {
         console.error('Location update error:', error);
         socket.emit('error', { message: 'Failed to update location' });
@@ -284,26 +326,13 @@ export const setupTrackingSocket = (io) => {
           return;
         }
 
-        if (trip.status !== 'SCHEDULED') {
-          socket.emit('error', { message: 'Trip already started or completed' });
-          return;
-        }
-
-        trip.status = 'STARTED';
-        trip.actualStartTime = new Date();
-        await trip.save();
-
-        // Notify all passengers
-        io.to(`trip:${tripId}`).emit('tripStatusUpdate', {
-          tripId,
-          status: 'STARTED',
-          message: 'Trip has started!'
-        });
+        // Passengers in the trip room are notified by the lifecycle service
+        await startTrip(trip, { actorId: socket.userId });
 
         console.log(`Trip ${tripId} started`);
       } catch (error) {
         console.error('Start trip error:', error);
-        socket.emit('error', { message: 'Failed to start trip' });
+        socket.emit('error', { message: error.status ? error.message : 'Failed to start trip' });
       }
     });
 
@@ -322,26 +351,12 @@ export const setupTrackingSocket = (io) => {
           return;
         }
 
-        if (trip.status === 'COMPLETED') {
-          socket.emit('error', { message: 'Trip already completed' });
-          return;
-        }
-
-        trip.status = 'COMPLETED';
-        trip.actualEndTime = new Date();
-        await trip.save();
-
-        // Notify all passengers
-        io.to(`trip:${tripId}`).emit('tripStatusUpdate', {
-          tripId,
-          status: 'COMPLETED',
-          message: 'Trip has been completed!'
-        });
+        await completeTrip(trip, { actorId: socket.userId });
 
         console.log(`Trip ${tripId} completed`);
       } catch (error) {
         console.error('Complete trip error:', error);
-        socket.emit('error', { message: 'Failed to complete trip' });
+        socket.emit('error', { message: error.status ? error.message : 'Failed to complete trip' });
       }
     });
 
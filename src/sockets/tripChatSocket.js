@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Trip Chat Socket.io Handlers
+ * @description Live side of the per-trip chat. Uses the `trip:<id>` rooms joined with
+ * joinTrip; services/tripChat.service.js checks participation and only delivers chat
+ * events to the driver's and approved passengers' sockets in the room.
+ * @module sockets/tripChatSocket
+ */
+
+import {
+  sendTripMessage,
+  markTripMessagesRead
+} from '../services/tripChat.service.js';
+
+/**
+ * Setup Trip Chat Socket Handlers
+ *
+ * @param {Object} io - Socket.io server instance
+ *
+ * @authentication
+ * - JWT middleware registered by setupTrackingSocket (socket.userId, socket.data.userId)
+ *
+ * @events
+ *
+ * ## Client -> Server Events:
+ *
+ * ### tripChat:send
+ * @param {Object} data - { tripId, text } or { tripId, cannedReply }
+ * @param {Function} [ack] - Called with { success, chatMessage } or { success: false, message }
+ *
+ * ### tripChat:read
+ * @param {Object} data - { tripId, upTo? }
+ * @param {Function} [ack] - Called with { success, upTo, readAt, updated } or { success: false, message }
+ *
+ * ## Server -> Client Events (room trip:${tripId}, participants only):
+ *
+ * ### tripChat:message
+ * @payload {Object} { _id, tripId, sender: { _id, name }, senderRole, body, cannedReply, readBy, createdAt }
+ *
+ * ### tripChat:read
+ * @payload {Object} { tripId, userId, upTo, readAt }
+ *
+ * @example Client Usage:
+ * ```javascript
+ * socket.emit('joinTrip', tripId);
+ * socket.on('tripChat:message', appendMessage);
+ * socket.emit('tripChat:send', { tripId, cannedReply: 'AT_PICKUP' }, (res) => {
+ *   if (!res.success) showError(res.message);
+ * });
+ * ```
+ */
+export const setupTripChatSocket = (io) => {
+  io.on('connection', (socket) => {
+    const reply = (ack, payload) => {
+      if (typeof ack === 'function') ack(payload);
+    };
+
+    socket.on('tripChat:send', async ({ tripId, text, cannedReply } = {}, ack) => {
+      try {
+        const chatMessage = await sendTripMessage({ tripId, userId: socket.userId, text, cannedReply });
+        reply(ack, { success: true, chatMessage });
+      } catch (error) {
+        if (!error.status) console.error('Trip chat send error:', error);
+        reply(ack, { success: false, message: error.status ? error.message : 'Failed to send message' });
+      }
+    });
+
+    socket.on('tripChat:read', async ({ tripId, upTo } = {}, ack) => {
+      try {
+        const receipt = await markTripMessagesRead({ tripId, userId: socket.userId, upTo });
+        reply(ack, { success: true, ...receipt });
+      } catch (error) {
+        if (!error.status) console.error('Trip chat read error:', error);
+        reply(ack, { success: false, message: error.status ? error.message : 'Failed to mark messages as read' });
+      }
+    });
+  });
+};
+
+export default setupTripChatSocket;
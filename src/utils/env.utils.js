@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Environment Settings Utility
+ * @description Reads numeric settings from environment variables. Services call it on
+ * every read, so a changed value applies without a restart (tests rely on this too).
+ * @module utils/env.utils
+ */
+
+/**
+ * A numeric setting, or the fallback when it is unset, not a number or out of range.
+ * Only positive values are accepted unless allowZero is set.
+ *
+ * @param {string|undefined} value - Raw value, e.g. process.env.STALE_TRIP_HOURS
+ * @param {number} fallback
+ * @param {Object} [options]
+ * @param {boolean} [options.allowZero=false] - Accept 0, for settings where 0 means
+ *   "immediately" or "off"
+ * @returns {number}
+ */
+export const readNumber = (value, fallback, { allowZero = false } = {}) => {
+  if (value === undefined || value === null || String(value).trim() === '') return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return n > 0 || (allowZero && n === 0) ? n : fallback;
+};
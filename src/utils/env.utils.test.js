@@ -0,0 +1,32 @@
+import { describe, it, expect } from '@jest/globals';
+import { readNumber } from './env.utils.js';
+
+/**
+ * @fileoverview Environment Settings Utility Tests
+ */
+
+describe('Env Utils', () => {
+    describe('readNumber', () => {
+        it('should parse a positive number', () => {
+            expect(readNumber('45', 60)).toBe(45);
+            expect(readNumber('0.5', 60)).toBe(0.5);
+        });
+
+        it('should fall back when unset, blank or not a number', () => {
+            expect(readNumber(undefined, 60)).toBe(60);
+            expect(readNumber('', 60)).toBe(60);
+            expect(readNumber('  ', 60)).toBe(60);
+            expect(readNumber('soon', 60)).toBe(60);
+        });
+
+        it('should fall back for zero and negative values by default', () => {
+            expect(readNumber('0', 60)).toBe(60);
+            expect(readNumber('-5', 60)).toBe(60);
+        });
+
+        it('should accept zero, but not negative values, with allowZero', () => {
+            expect(readNumber('0', 60, { allowZero: true })).toBe(0);
+            expect(readNumber('-5', 60, { allowZero: true })).toBe(60);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Cursor Pagination Utility
+ * @description Opaque cursor pagination for result lists that are ranked in memory
+ * (relevance score, then time, then id). The cursor encodes the sort key of the last
+ * item returned, so pages stay stable when items are added or removed between requests.
+ * @module utils/pagination.utils
+ */
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 50;
+
+/**
+ * Encode a sort key as a URL-safe cursor string.
+ *
+ * @param {{score: number, time: number, id: string}} key
+ * @returns {string}
+ */
+export const encodeCursor = (key) =>
+    Buffer.from(JSON.stringify(key)).toString('base64url');
+
+/**
+ * Decode a cursor string. Returns null when the cursor is missing or malformed.
+ *
+ * @param {string} cursor
+ * @returns {{score: number, time: number, id: string}|null}
+ */
+export const decodeCursor = (cursor) => {
+    if (!cursor) return null;
+    try {
+        const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof key.score !== 'number' || typeof key.time !== 'number' || typeof key.id !== 'string') {
+            return null;
+        }
+        return key;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Parse the `limit` query parameter, clamped to [1, MAX_PAGE_SIZE].
+ *
+ * @param {string|number} [limit]
+ * @returns {number}
+ */
+export const parsePageSize = (limit) => {
+    const parsed = parseInt(limit);
+    if (isNaN(parsed) || parsed < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+/**
+ * Compare two sort keys: higher score first, then earlier time, then id.
+ */
+const compareKeys = (a, b) =>
+    (b.score - a.score) || (a.time - b.time) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Sort items by a derived key and return the page following `cursor`.
+ *
+ * @param {Array<Object>} items - Full candidate list
+ * @param {Function} keyOf - item => { score, time, id }
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {number} [options.limit=DEFAULT_PAGE_SIZE]
+ * @returns {{items: Array<Object>, nextCursor: string|null, hasMore: boolean}}
+ */
+export const paginateRanked = (items, keyOf, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) => {
+    const keyed = items.map(item => ({ item, key: keyOf(item) }));
+    keyed.sort((a, b) => compareKeys(a.key, b.key));
+
+    const after = decodeCursor(cursor);
+    const remaining = after ? keyed.filter(({ key }) => compareKeys(key, after) > 0) : keyed;
+
+    const page = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+
+    return {
+        items: page.map(({ item }) => item),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null,
+        hasMore
+    };
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  encodeCursor,
+  decodeCursor,
+  parsePageSize,
+  paginateRanked,
+  MAX_PAGE_SIZE,
+  DEFAULT_PAGE_SIZE
+} from './pagination.utils.js';
+
+/**
+ * @fileoverview Cursor Pagination Utility Tests
+ */
+
+describe('Pagination Utils', () => {
+  const items = [
+    { id: 'a', score: 50, time: 300 },
+    { id: 'b', score: 90, time: 200 },
+    { id: 'c', score: 90, time: 100 },
+    { id: 'd', score: 70, time: 100 },
+    { id: 'e', score: 10, time: 100 }
+  ];
+  const keyOf = (item) => ({ score: item.score, time: item.time, id: item.id });
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip a sort key', () => {
+      const key = { score: 87.4, time: 1760000000000, id: '507f1f77bcf86cd799439011' };
+      expect(decodeCursor(encodeCursor(key))).toEqual(key);
+    });
+
+    it('should return null for missing or malformed cursors', () => {
+      expect(decodeCursor(undefined)).toBeNull();
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(encodeCursor({ score: 'x' }))).toBeNull();
+    });
+  });
+
+  describe('parsePageSize', () => {
+    it('should default and clamp the page size', () => {
+      expect(parsePageSize(undefined)).toBe(DEFAULT_PAGE_SIZE);
+      expect(parsePageSize('0')).toBe(DEFAULT_PAGE_SIZE);
+      expect(parsePageSize('5')).toBe(5);
+      expect(parsePageSize('1000')).toBe(MAX_PAGE_SIZE);
+    });
+  });
+
+  describe('paginateRanked', () => {
+    it('should sort by score desc, then time asc', () => {
+      const page = paginateRanked(items, keyOf, { limit: 10 });
+      expect(page.items.map(i => i.id)).toEqual(['c', 'b', 'd', 'a', 'e']);
+      expect(page.hasMore).toBe(false);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it('should walk through all pages without gaps or duplicates', () => {
+      const first = paginateRanked(items, keyOf, { limit: 2 });
+      expect(first.items.map(i => i.id)).toEqual(['c', 'b']);
+      expect(first.hasMore).toBe(true);
+
+      const second = paginateRanked(items, keyOf, { cursor: first.nextCursor, limit: 2 });
+      expect(second.items.map(i => i.id)).toEqual(['d', 'a']);
+
+      const third = paginateRanked(items, keyOf, { cursor: second.nextCursor, limit: 2 });
+      expect(third.items.map(i => i.id)).toEqual(['e']);
+      expect(third.hasMore).toBe(false);
+    });
+
+    it('should keep position when an earlier item disappears between requests', () => {
+      const first = paginateRanked(items, keyOf, { limit: 2 });
+      const withoutB = items.filter(i => i.id !== 'b');
+
+      const second = paginateRanked(withoutB, keyOf, { cursor: first.nextCursor, limit: 2 });
+      expect(second.items.map(i => i.id)).toEqual(['d', 'a']);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Seat Counting Utility
+ * @description Helpers for ride requests that hold more than one seat. Requests created
+ * before seatsRequested existed (and lean query results) may lack the field and count as 1.
+ * @module utils/seats.utils
+ */
+
+/**
+ * Number of seats a single ride request holds or needs.
+ *
+ * @param {{seatsRequested?: number}} ride
+ * @returns {number}
+ */
+export const seatsOf = (ride) => ride?.seatsRequested || 1;
+
+/**
+ * Total seats across a list of ride requests.
+ *
+ * @param {Array<{seatsRequested?: number}>} rides
+ * @returns {number}
+ */
+export const sumSeats = (rides) => rides.reduce((total, ride) => total + seatsOf(ride), 0);
+
+/**
+ * Parse a client-supplied seat count. Missing values default to 1.
+ *
+ * @param {*} value - Raw value from the request body
+ * @returns {number|null} Whole number >= 1, or null if invalid
+ */
+export const parseSeatsRequested = (value) => {
+  if (value === undefined || value === null || value === '') return 1;
+  const seats = Number(value);
+  return Number.isInteger(seats) && seats >= 1 ? seats : null;
+};
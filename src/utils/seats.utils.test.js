@@ -0,0 +1,41 @@
+import { describe, it, expect } from '@jest/globals';
+import { seatsOf, sumSeats, parseSeatsRequested } from './seats.utils.js';
+
+/**
+ * @fileoverview Seat Counting Utility Tests
+ */
+
+describe('Seats Utils', () => {
+    describe('seatsOf', () => {
+        it('should default to one seat for requests without seatsRequested', () => {
+            expect(seatsOf({})).toBe(1);
+            expect(seatsOf({ seatsRequested: 3 })).toBe(3);
+        });
+    });
+
+    describe('sumSeats', () => {
+        it('should add up seats across requests', () => {
+            expect(sumSeats([{ seatsRequested: 2 }, {}, { seatsRequested: 1 }])).toBe(4);
+            expect(sumSeats([])).toBe(0);
+        });
+    });
+
+    describe('parseSeatsRequested', () => {
+        it('should default a missing value to 1', () => {
+            expect(parseSeatsRequested(undefined)).toBe(1);
+            expect(parseSeatsRequested(null)).toBe(1);
+        });
+
+        it('should accept whole numbers and numeric strings', () => {
+            expect(parseSeatsRequested(2)).toBe(2);
+            expect(parseSeatsRequested('3')).toBe(3);
+        });
+
+        it('should reject zero, negatives, fractions and non-numbers', () => {
+            expect(parseSeatsRequested(0)).toBeNull();
+            expect(parseSeatsRequested(-1)).toBeNull();
+            expect(parseSeatsRequested(1.5)).toBeNull();
+            expect(parseSeatsRequested('two')).toBeNull();
+        });
+    });
+});
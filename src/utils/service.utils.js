@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Service Utility
+ * @description Small helpers shared by the services. Services throw httpError for
+ * problems the caller should see; controllers turn error.status into the response code.
+ * @module utils/service.utils
+ */
+
+/**
+ * An Error carrying the HTTP status a controller should respond with.
+ *
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error}
+ */
+export const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * String id of a populated document or a raw ObjectId / id string.
+ *
+ * @param {Object|ObjectId|string} ref
+ * @returns {string}
+ */
+export const idOf = (ref) => String(ref?._id || ref);
@@ -0,0 +1,24 @@
+import { describe, it, expect } from '@jest/globals';
+import { httpError, idOf } from './service.utils.js';
+
+/**
+ * @fileoverview Service Utility Tests
+ */
+
+describe('Service Utils', () => {
+    describe('httpError', () => {
+        it('should carry the message and HTTP status', () => {
+            const error = httpError('Trip not found', 404);
+            expect(error).toBeInstanceOf(Error);
+            expect(error.message).toBe('Trip not found');
+            expect(error.status).toBe(404);
+        });
+    });
+
+    describe('idOf', () => {
+        it('should return the string id of a document or a raw id', () => {
+            expect(idOf({ _id: '507f1f77bcf86cd799439011', name: 'Asha' })).toBe('507f1f77bcf86cd799439011');
+            expect(idOf('507f1f77bcf86cd799439011')).toBe('507f1f77bcf86cd799439011');
+        });
+    });
+});
@@ -0,0 +1,174 @@
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * @fileoverview Routing Stub Server
+ * @description Local stand-in for the routing engines behind
+ * services/routingProvider.service.js, so tests and offline development need no network.
+ * Answers the OSRM, Valhalla and GraphHopper endpoints the providers call:
+ *
+ * - GET  /route/v1/:profile/:coords and /table/v1/:profile/:coords  (OSRM)
+ * - POST /route and /sources_to_targets                             (Valhalla)
+ * - GET  /route?point=lat,lng&...  and POST /matrix                 (GraphHopper)
+ *
+ * Distances are straight lines times `detourFactor`, driven at `speedKmh`.
+ *
+ * Run standalone with `npm run routing:stub` (port ROUTING_STUB_PORT, default 5005) and
+ * point ROUTING_BASE_URL at it.
+ */
+
+const R = 6371;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+const haversineKm = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+/** Encode [lng, lat] pairs as a precision-6 polyline, as Valhalla returns shapes */
+const encodePolyline = (coordinates, precision = 6) => {
+  const factor = 10 ** precision;
+  let lastLat = 0;
+  let lastLng = 0;
+  let out = '';
+  const encode = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    while (v >= 0x20) {
+      out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    out += String.fromCharCode(v + 63);
+  };
+  for (const [lng, lat] of coordinates) {
+    const la = Math.round(lat * factor);
+    const ln = Math.round(lng * factor);
+    encode(la - lastLat);
+    encode(ln - lastLng);
+    lastLat = la;
+    lastLng = ln;
+  }
+  return out;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try { resolve(raw ? JSON.parse(raw) : {}); } catch (error) { reject(error); }
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Start the stub.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {number} [options.speedKmh=30]
+ * @param {number} [options.detourFactor=1.3]
+ * @returns {Promise<Object>} { url, requests, setFailure(status|null), close() }
+ */
+export const startRoutingStubServer = async ({ port = 0, speedKmh = 30, detourFactor = 1.3 } = {}) => {
+  const requests = [];
+  let failureStatus = null;
+
+  const leg = (a, b) => {
+    const km = haversineKm(a, b) * detourFactor;
+    return { meters: Math.round(km * 1000), seconds: Math.round((km / speedKmh) * 3600) };
+  };
+  const total = (points) => points.slice(1).reduce((sum, p, i) => {
+    const l = leg(points[i], p);
+    return { meters: sum.meters + l.meters, seconds: sum.seconds + l.seconds };
+  }, { meters: 0, seconds: 0 });
+  const grid = (points, field) => points.map(a => points.map(b => leg(a, b)[field]));
+  const line = (points) => points.map(p => [p.lng, p.lat]);
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    requests.push({ method: req.method, path: url.pathname });
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (failureStatus) return send(failureStatus, { message: 'stub failure' });
+
+    const osrm = url.pathname.match(/^\/(route|table)\/v1\/[^/]+\/(.+)$/);
+    if (req.method === 'GET' && osrm) {
+      const points = osrm[2].split(';').map(pair => {
+        const [lng, lat] = pair.split(',').map(Number);
+        return { lat, lng };
+      });
+      if (osrm[1] === 'table') {
+        return send(200, { code: 'Ok', distances: grid(points, 'meters'), durations: grid(points, 'seconds') });
+      }
+      const { meters, seconds } = total(points);
+      return send(200, {
+        code: 'Ok',
+        routes: [{ distance: meters, duration: seconds, geometry: { type: 'LineString', coordinates: line(points) } }]
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/route') {
+      const points = url.searchParams.getAll('point').map(pair => {
+        const [lat, lng] = pair.split(',').map(Number);
+        return { lat, lng };
+      });
+      const { meters, seconds } = total(points);
+      return send(200, {
+        paths: [{ distance: meters, time: seconds * 1000, points: { type: 'LineString', coordinates: line(points) } }]
+      });
+    }
+
+    if (req.method === 'POST') {
+      const body = await readBody(req);
+      if (url.pathname === '/matrix') {
+        const points = body.points.map(([lng, lat]) => ({ lat, lng }));
+        return send(200, { distances: grid(points, 'meters'), times: grid(points, 'seconds') });
+      }
+
+      const points = (body.locations || body.sources || []).map(l => ({ lat: l.lat, lng: l.lon }));
+      if (url.pathname === '/route') {
+        const { meters, seconds } = total(points);
+        return send(200, {
+          trip: {
+            summary: { length: meters / 1000, time: seconds },
+            legs: points.slice(1).map((p, i) => ({ shape: encodePolyline(line([points[i], p])) }))
+          }
+        });
+      }
+      if (url.pathname === '/sources_to_targets') {
+        return send(200, {
+          sources_to_targets: points.map(a => points.map(b => {
+            const l = leg(a, b);
+            return { distance: l.meters / 1000, time: l.seconds };
+          }))
+        });
+      }
+    }
+
+    return send(404, { message: `No stub for ${req.method} ${url.pathname}` });
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: error.message }));
+    });
+  });
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    setFailure: (status) => { failureStatus = status; },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const stub = await startRoutingStubServer({ port: Number(process.env.ROUTING_STUB_PORT) || 5005 });
+  console.log(`Routing stub listening on ${stub.url}`);
+}